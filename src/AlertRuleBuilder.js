@@ -0,0 +1,73 @@
+// src/AlertRuleBuilder.js
+// Alert rules for a scheduled query: "<aggregate> of <column> <operator>
+// <value>", e.g. sum of revenue_rm drops 20% vs previous run. Given sample
+// rows (a test run) each rule shows its current value and whether it fires.
+
+import React from 'react';
+import { RULE_AGGREGATES, RULE_OPERATORS, normalizeRule, validateRule, evaluateRule, describeRule } from './schedules';
+
+const input = 'border border-gray-300 rounded px-2 py-1 text-xs bg-white text-gray-900 dark:bg-gray-800 dark:border-gray-700 dark:text-gray-100';
+const btn = 'text-xs px-3 py-1 rounded border border-gray-300 hover:bg-gray-50 dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100 disabled:opacity-50';
+
+const fmt = (v) => (v == null ? '—' : Number(v).toLocaleString(undefined, { maximumFractionDigits: 2 }));
+
+function RuleCheck({ rule, rows }) {
+  const r = evaluateRule(rule, rows);
+  if (r.value == null) return <span className="text-gray-500 dark:text-gray-400">No numeric values in the test run</span>;
+  if (RULE_OPERATORS.find(o => o.id === rule.operator)?.pct) {
+    return <span className="text-gray-500 dark:text-gray-400">Now {fmt(r.value)}; compared with the previous run once scheduled</span>;
+  }
+  return r.triggered
+    ? <span className="text-red-600 dark:text-red-400">⚠️ Now {fmt(r.value)}: would alert</span>
+    : <span className="text-green-700 dark:text-green-400">✅ Now {fmt(r.value)}: OK</span>;
+}
+
+/**
+ * `rules` / `onChange(rules)` are normalized rules (see schedules.js);
+ * `columns` fills the column picker and `rows` (optional) a test result.
+ */
+export default function AlertRuleBuilder({ rules, columns = [], rows = null, onChange }) {
+  const set = (i, changes) => onChange(rules.map((r, j) => (j === i ? { ...r, ...changes } : r)));
+  const add = () => onChange([...rules, normalizeRule({ id: `r${Date.now()}`, column: columns[0] || '' })]);
+
+  return (
+    <div className="space-y-2 text-xs dark:text-gray-300" role="group" aria-label="Alert rules">
+      {!rules.length && <div className="text-gray-500 dark:text-gray-400">No alerts: every run is delivered as a report.</div>}
+      {rules.map((r, i) => {
+        const pct = RULE_OPERATORS.find(o => o.id === r.operator)?.pct;
+        const error = validateRule(r);
+        return (
+          <div key={r.id} className="flex flex-wrap items-center gap-2">
+            <span className="text-gray-500 dark:text-gray-400">Alert if</span>
+            <select className={input} value={r.aggregate} aria-label={`Rule ${i + 1} aggregate`}
+                    onChange={(e) => set(i, { aggregate: e.target.value })}>
+              {RULE_AGGREGATES.map(a => <option key={a.id} value={a.id}>{a.label}</option>)}
+            </select>
+            {r.aggregate !== 'count' && (columns.length ? (
+              <select className={input} value={r.column} aria-label={`Rule ${i + 1} column`} onChange={(e) => set(i, { column: e.target.value })}>
+                {!columns.includes(r.column) && <option value={r.column}>{r.column || 'Column…'}</option>}
+                {columns.map(c => <option key={c} value={c}>{c}</option>)}
+              </select>
+            ) : (
+              <input className={`${input} w-36`} value={r.column} placeholder="column" aria-label={`Rule ${i + 1} column`}
+                     onChange={(e) => set(i, { column: e.target.value })} />
+            ))}
+            <select className={input} value={r.operator} aria-label={`Rule ${i + 1} condition`}
+                    onChange={(e) => set(i, { operator: e.target.value })}>
+              {RULE_OPERATORS.map(o => <option key={o.id} value={o.id}>{o.label}</option>)}
+            </select>
+            <input type="number" className={`${input} w-24`} value={r.value} aria-label={`Rule ${i + 1} ${pct ? 'percent' : 'threshold'}`}
+                   onChange={(e) => set(i, { value: e.target.value })} />
+            {pct && <span>%</span>}
+            <button type="button" className="text-gray-500 hover:text-red-600 dark:text-gray-400" aria-label={`Remove rule ${i + 1}`}
+                    onClick={() => onChange(rules.filter((_, j) => j !== i))}>✕</button>
+            {error
+              ? <span className="text-red-600 dark:text-red-400">{error}</span>
+              : rows ? <RuleCheck rule={r} rows={rows} /> : <span className="text-gray-500 dark:text-gray-400" title={describeRule(r)}>{describeRule(r)}</span>}
+          </div>
+        );
+      })}
+      <button type="button" className={btn} onClick={add}>+ Add alert</button>
+    </div>
+  );
+}
@@ -3,15 +3,50 @@
 // safer chart axis resolution & try/catch guard (prevents black screen),
 // ErrorBoundary wrapper, keep login modal & auth headers, CSV upload, etc.
 
-import React, { useState, useEffect, useRef } from 'react';
-import axios from 'axios';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
-  BarChart, Bar, LineChart, Line, PieChart, Pie, Cell,
-  XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer
-} from 'recharts';
-
-const API_BASE = window.__API_BASE__ || process.env.REACT_APP_API_BASE || 'http://localhost:5000';
-const COLORS = ['#3b82f6', '#f97316', '#10b981', '#ef4444', '#6366f1', '#eab308', '#22c55e', '#06b6d4', '#a855f7', '#f59e0b'];
+  listSessions, getSession, upsertConversation, deleteSession, renameSession, duplicateSession, moveSessions, deleteSessionsFor
+} from './sessionStore';
+import SqlEditor, { sqlTables } from './SqlEditor';
+import SchemaExplorer, { normalizeSchema, schemaIdentifiers, completeWord } from './SchemaExplorer';
+import { EXPORT_FORMATS, exportRows, toMarkdown, toTSV, copyText } from './exporters';
+import { downloadChartPng, downloadChartSvg } from './chartExport';
+import {
+  DEFAULT_COLUMN_DICTIONARY, loadColumnDictionary, saveColumnDictionary, removeColumnDictionary, normalizeDictionary,
+  columnLabel, formatColumnValue, excelNumberFormat
+} from './columnDictionary';
+import ColumnDictionaryEditor from './ColumnDictionaryEditor';
+import { ChartView, resolveChartSpec, chartLegend, normalizeChartType } from './charts';
+import PivotTable, { buildPivot, pivotToRows, pivotConfigFromSpec } from './PivotTable';
+import { streamQuery, streamResult, STREAM_STAGES, STREAM_UNSUPPORTED } from './queryStream';
+import { buildContext, currentThread, isAnswer, MAX_CONTEXT_TURNS } from './conversationContext';
+import ChartBuilder from './ChartBuilder';
+import ResultTable, { cachedTableView, visibleColumns } from './ResultTable';
+import {
+  api, apiFetch, ApiError, normalizeError, getToken, getRefreshToken, getAuthProvider, setTokens, clearTokens, onAuthEvent,
+  refreshTokens
+} from './api';
+import {
+  sessionStatus, normalizeUser, sessionUser, loadUser, saveUser, can, canUseDb, rememberReturnTo, takeReturnTo
+} from './auth';
+import UserMenu, { SessionExpiryBanner } from './UserMenu';
+import UploadData from './UploadData';
+import TenantManager from './TenantManager';
+import MetricsDashboard from './MetricsDashboard';
+import FeedbackRow from './FeedbackRow';
+import FeedbackReview from './FeedbackReview';
+import { feedbackPayload, submitFeedback } from './feedback';
+import SavedQueryLibrary from './SavedQueryLibrary';
+import CommandPalette from './CommandPalette';
+import { fetchSavedQueries } from './savedQueries';
+import DashboardView, { PinMenu } from './DashboardView';
+import { loadDashboards, saveDashboards, moveDashboards, removeDashboards, createDashboard, tileFromMessage } from './dashboards';
+import ScheduleEditor from './ScheduleEditor';
+import NotificationInbox from './NotificationInbox';
+import { oidcConfig, startOidcLogin, oidcLogoutUrl, OIDC_PROVIDER } from './oidc';
+import { historyKey, clearUserData, claimUserData } from './userData';
+
+const QUERY_TIMEOUT = 120000; // NL→SQL + execution can be slow
 const uid = () => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
 /* ───────── Theme (Tailwind dark mode via root class) ───────── */
@@ -79,182 +114,39 @@ function useSpeech() {
   return { supported, isRecording, interim, finalText, start, stop, toggle, setFinalText, setInterim };
 }
 
-/* ───────── Helpers: numbers & time parsing ───────── */
-const toNumber = (v) => {
-  if (typeof v === 'number') return v;
-  if (typeof v === 'string') {
-    const cleaned = v.replace(/[^\d.,-]/g, '').replace(/\s+/g, '').replace(/,/g, '');
-    const n = Number(cleaned);
-    return Number.isFinite(n) ? n : NaN;
-  }
-  return NaN;
-};
-
-// Add this helper near the top with other helpers
-const isNumber = (v) => {
-  if (typeof v === 'number') return Number.isFinite(v);
-  if (typeof v === 'string') {
-    const cleaned = v.replace(/[^\d.,-]/g, '').replace(/\s+/g, '').replace(/,/g, '');
-    const n = Number(cleaned);
-    return Number.isFinite(n);
-  }
-  return false;
-};
-
-
-
-// Pretty number formatting (2 decimals max)
-const nf = new Intl.NumberFormat(undefined, { maximumFractionDigits: 2 });
-const formatNumber = (n) => {
-  const x = toNumber(n);
-  return Number.isFinite(x) ? nf.format(x) : String(n);
-};
-
-const MONTHS3 = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
-const fullTo3 = (m) => {
-  const idx = ['January','February','March','April','May','June','July','August','September','October','November','December']
-    .findIndex(x => x.toLowerCase() === String(m).toLowerCase());
-  return idx >= 0 ? MONTHS3[idx] : null;
-};
-const monthIndex = (s) => {
-  if (typeof s !== 'string') return Number.POSITIVE_INFINITY;
-  const t = s.trim();
-  let m = t.match(/^([A-Za-z]{3})\s+(\d{4})$/);
-  if (m) { const mi = MONTHS3.indexOf(m[1].slice(0,3)); return (parseInt(m[2],10)*12)+(mi>=0?mi:0); }
-  m = t.match(/^([A-Za-z]+)\s+(\d{4})$/);
-  if (m) { const abbr = fullTo3(m[1]) || m[1].slice(0,3); const mi = MONTHS3.indexOf(abbr); return (parseInt(m[2],10)*12)+(mi>=0?mi:0); }
-  m = t.match(/^(\d{4})-(\d{2})$/); if (m) return (parseInt(m[1],10)*12)+(parseInt(m[2],10)-1);
-  m = t.match(/^(\d{2})\/(\d{4})$/); if (m) return (parseInt(m[2],10)*12)+(parseInt(m[1],10)-1);
-  m = t.match(/^(\d{4})$/); if (m) return parseInt(m[1],10)*12;
-  return Number.POSITIVE_INFINITY;
-};
-
-const looksLikeTimeName = (name) => /(^|_)(month|date|period|quarter|year)s?($|_)/i.test(name);
-const isTimeLikeAxis = (name, sampleValues = []) => {
-  if (!name) return false;
-  if (looksLikeTimeName(name)) return true;
-  const toCheck = sampleValues.slice(0, 15);
-  let parsed = 0;
-  for (const v of toCheck) if (Number.isFinite(monthIndex(String(v ?? '')))) parsed++;
-  return parsed >= Math.ceil((toCheck.length || 1) * 0.6);
-};
-const nameMatches = (name, patterns) => patterns.some(p => new RegExp(p, 'i').test(name));
-
-/* ───────── Axis resolution & pivoting ───────── */
-function resolveAxes(rows) {
-  if (!Array.isArray(rows) || rows.length === 0) {
-    return { xKey: null, seriesKey: null, yKey: null, isMulti: false };
-  }
-  const sample = rows[0];
-  const cols = Object.keys(sample || {});
-  const isNum = (c) => Number.isFinite(toNumber(sample[c]));
-
-  const numericCols    = cols.filter(isNum);
-  const nonNumericCols = cols.filter(c => !isNum(c));
-
-  // Prefer time for x
-  const timeCandidates = ['^month$', 'month', 'date', 'period', 'quarter', '^year$'];
-  let xKey = cols.find(c => nameMatches(c, timeCandidates));
-
-  // Prefer region/branch for series, product category alternate
-  const geoPrefs     = ['^region$', 'region', '^branch$', 'branch_name', 'city', 'country', 'location'];
-  const productPrefs = ['^product_category$', 'product_category', '^category$', 'category', '^product$', 'model', 'product_name', 'product'];
-  const geoCol     = cols.find(c => nameMatches(c, geoPrefs));
-  const productCol = cols.find(c => nameMatches(c, productPrefs));
-
-  if (!xKey) xKey = geoCol || nonNumericCols.find(c => looksLikeTimeName(c)) || nonNumericCols[0] || null;
-
-  let seriesKey = null;
-  if (xKey && productCol && productCol !== xKey) seriesKey = productCol;
-  else if (xKey && geoCol && geoCol !== xKey)   seriesKey = geoCol;
-  else seriesKey = nonNumericCols.find(c => c !== xKey) || null;
-
-  const metricPref = ['revenue_rm', 'revenue', 'total_amount', 'price', 'sales', 'total', 'total_sales', 'quantity', 'qty', 'count'];
-  let yKey = cols.find(c => metricPref.some(p => new RegExp(p, 'i').test(c)) && isNum(c));
-  if (!yKey) yKey = numericCols[0] || null;
-
-  // Only swap if x is NOT time-like AND series is a geo column
-  const xLooksTime = isTimeLikeAxis(xKey, rows.slice(0, 20).map(r => r?.[xKey]));
-  if (!xLooksTime && !nameMatches(xKey || '', geoPrefs) && nameMatches(seriesKey || '', geoPrefs)) {
-    const tmp = xKey; xKey = seriesKey; seriesKey = tmp;
-  }
-
-  const isMulti = Boolean(xKey && seriesKey && yKey && xKey !== seriesKey && Number.isFinite(toNumber(sample[yKey])));
-  return { xKey, seriesKey, yKey, isMulti };
-}
-
-function pivotData(rows, xKey, seriesKey, yKey) {
-  const xSet = new Set();
-  const seriesSet = new Set();
-  const map = new Map();
-  rows.forEach(r => {
-    const x = r[xKey];
-    const s = r[seriesKey];
-    const v = toNumber(r[yKey]);
-    if (!map.has(x)) map.set(x, { [xKey]: x });
-    map.get(x)[s] = Number.isFinite(v) ? v : 0;
-    xSet.add(x); seriesSet.add(s);
-  });
-  const xs = Array.from(xSet);
-  xs.sort((a, b) => {
-    const ia = monthIndex(String(a));
-    const ib = monthIndex(String(b));
-    if (Number.isFinite(ia) && Number.isFinite(ib)) return ia - ib;
-    if (Number.isFinite(ia)) return -1;
-    if (Number.isFinite(ib)) return 1;
-    return String(a).localeCompare(String(b));
-  });
-  return { data: xs.map(x => map.get(x)), series: Array.from(seriesSet) };
-}
-
-/* ───────── Feedback UI ───────── */
-function FeedbackButtons({ disabled, onUp, onDown }) {
-  return (
-    <div className="mt-2 flex items-center gap-2 text-sm">
-      <button
-        type="button"
-        disabled={disabled}
-        onClick={onUp}
-        className="px-2 py-1 rounded border border-gray-300 hover:bg-gray-50
-                   dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100 disabled:opacity-50"
-        title="Helpful"
-      >
-        👍
-      </button>
-      <button
-        type="button"
-        disabled={disabled}
-        onClick={onDown}
-        className="px-2 py-1 rounded border border-gray-300 hover:bg-gray-50
-                   dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100 disabled:opacity-50"
-        title="Not helpful"
-      >
-        👎
-      </button>
-    </div>
-  );
-}
-
 /* ───────── Login Modal (NEW) ───────── */
-function LoginModal({ open, onClose, onSuccess }) {
-  const [username, setUsername] = useState('admin');
-  const [password, setPassword] = useState('admin');
+function LoginModal({ open, reason, onClose, onSuccess }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
   const [status, setStatus] = useState('');
   const [loading, setLoading] = useState(false);
   if (!open) return null;
+  const sso = oidcConfig();
+
+  // Leaves the page; the callback route stores the tokens and comes back here
+  const startSso = async () => {
+    setStatus('');
+    setLoading(true);
+    try {
+      await startOidcLogin({ returnTo: `${window.location.pathname}${window.location.search}` });
+    } catch (err) {
+      setStatus(`⚠️ ${normalizeError(err).message || 'SSO sign-in failed'}`);
+      setLoading(false);
+    }
+  };
 
   const submit = async (e) => {
     e.preventDefault();
     setStatus('');
     setLoading(true);
     try {
-      const { data } = await axios.post(`${API_BASE}/auth/login`, { username, password });
-      localStorage.setItem('auth_token_v180', data.token);
+      const { data } = await api.post('/auth/login', { username, password }, { skipAuth: true, retry: false });
+      setTokens({ token: data.token, refreshToken: data.refresh_token });
       setStatus('✅ Logged in');
-      onSuccess?.(data.token);
-      onClose?.();
+      setPassword('');
+      onSuccess?.(data);
     } catch (err) {
-      setStatus(err.response?.data?.error || err.message || 'Login failed');
+      setStatus(normalizeError(err).message || 'Login failed');
     } finally {
       setLoading(false);
     }
@@ -264,10 +156,27 @@ function LoginModal({ open, onClose, onSuccess }) {
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[999]">
       <form onSubmit={submit} className="w-full max-w-sm rounded-xl bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 p-4 space-y-3">
         <div className="text-lg font-semibold dark:text-gray-100">Login required</div>
+        {reason && <div className="text-sm text-gray-600 dark:text-gray-300">{reason}</div>}
+        {sso && (
+          <>
+            <button type="button" onClick={startSso} disabled={loading}
+                    className="w-full px-3 py-2 rounded border border-gray-300 hover:bg-gray-50 disabled:opacity-50
+                               dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100">
+              {sso.label}
+            </button>
+            <div className="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+              <div className="flex-1 border-t border-gray-200 dark:border-gray-700" />
+              or with username
+              <div className="flex-1 border-t border-gray-200 dark:border-gray-700" />
+            </div>
+          </>
+        )}
         <input className="w-full border rounded px-3 py-2 dark:bg-gray-800 dark:border-gray-700 dark:text-gray-100"
-               value={username} onChange={e=>setUsername(e.target.value)} placeholder="Username" />
+               value={username} onChange={e=>setUsername(e.target.value)} placeholder="Username"
+               autoComplete="username" autoFocus required />
         <input className="w-full border rounded px-3 py-2 dark:bg-gray-800 dark:border-gray-700 dark:text-gray-100"
-               type="password" value={password} onChange={e=>setPassword(e.target.value)} placeholder="Password" />
+               type="password" value={password} onChange={e=>setPassword(e.target.value)} placeholder="Password"
+               autoComplete="current-password" required />
         <div className="flex gap-2 justify-end">
           <button type="button" onClick={onClose}
                   className="px-3 py-1 rounded border dark:border-gray-700 dark:text-gray-100">Cancel</button>
@@ -280,103 +189,6 @@ function LoginModal({ open, onClose, onSuccess }) {
   );
 }
 
-/* ───────── CSV Upload (uses token; can request login) ───────── */
-function UploadCSV({ onUploaded, onRequireLogin }) {
-  const [tenant, setTenant] = useState('');
-  const [file, setFile] = useState(null);
-  const [open, setOpen] = useState(false);
-  const [status, setStatus] = useState('');
-  const [uploading, setUploading] = useState(false);
-
-  const handleUpload = async (e) => {
-    e.preventDefault();
-    setStatus('');
-    if (!tenant || !/^[A-Za-z0-9_\-]{2,40}$/.test(tenant)) { setStatus('Please enter a valid tenant key (2-40 chars, letters/numbers/_/-)'); return; }
-    if (!file) { setStatus('Please choose a .csv file'); return; }
-    if (file && file.size > 25 * 1024 * 1024) { setStatus('File too large (>25MB). Please upload a smaller CSV.'); return; }
-    if (file && file.type && !/text\/csv|application\/vnd\.ms-excel/.test(file.type)) { setStatus('File type does not look like CSV.'); return; }
-
-    const fd = new FormData();
-    fd.append('tenant', tenant);
-    fd.append('table', 'sales');
-    fd.append('file', file);
-
-    try {
-      setUploading(true);
-      const token = localStorage.getItem('auth_token_v180');
-      const res = await fetch(`${API_BASE}/tenants/upload-csv`, {
-        method: 'POST',
-        headers: token ? { 'Authorization': `Bearer ${token}` } : undefined,
-        body: fd
-      });
-      if (res.status === 401) {
-        setStatus('🔒 Login required');
-        onRequireLogin?.();
-        return;
-      }
-      const data = await res.json();
-      if (res.ok) {
-        setStatus(`✅ Uploaded: ${data.tenant}`);
-        setFile(null);
-        setTenant('');
-        if (typeof onUploaded === 'function') onUploaded(data.tenant);
-      } else {
-        setStatus(`⚠️ ${data.error || 'Upload failed'}`);
-      }
-    } catch (err) {
-      setStatus(`⚠️ ${err.message}`);
-    } finally {
-      setUploading(false);
-    }
-  };
-
-  return (
-    <div className="relative">
-      <button
-        type="button"
-        onClick={() => setOpen(o => !o)}
-        className="text-xs px-3 py-1 rounded border bg-gray-100 hover:bg-gray-200 border-gray-300
-                   dark:bg-gray-800 dark:hover:bg-gray-700 dark:border-gray-700 dark:text-gray-100"
-        title="Upload a CSV to create a new tenant DB"
-      >
-        {open ? 'Close Upload' : 'Upload CSV'}
-      </button>
-
-      {open && (
-        <form onSubmit={handleUpload}
-              className="absolute right-0 mt-2 w-80 z-10 rounded-xl border border-gray-200 bg-white p-3 shadow
-                         dark:bg-gray-900 dark:border-gray-700">
-          <div className="text-sm font-semibold mb-2 dark:text-gray-100">Create tenant from CSV</div>
-          <label className="text-xs dark:text-gray-300">Tenant key</label>
-          <input
-            type="text"
-            value={tenant}
-            onChange={(e) => setTenant(e.target.value)}
-            placeholder="e.g. cars"
-            className="w-full mb-2 border border-gray-300 rounded px-2 py-1 text-sm
-                       dark:bg-gray-800 dark:border-gray-700 dark:text-gray-100"
-          />
-          <input
-            type="file"
-            accept=".csv"
-            onChange={(e) => setFile(e.target.files?.[0] || null)}
-            className="w-full mb-2 text-sm dark:text-gray-200"
-          />
-          <button
-            type="submit"
-            disabled={uploading}
-            className="w-full text-sm bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700
-                       dark:bg-blue-500 dark:hover:bg-blue-600 disabled:opacity-50"
-          >
-            {uploading ? 'Uploading…' : 'Upload'}
-          </button>
-          {status && <div className="mt-2 text-xs text-gray-600 dark:text-gray-300">{status}</div>}
-        </form>
-      )}
-    </div>
-  );
-}
-
 /* ───────── Error Boundary (prevents black screens) ───────── */
 class ErrorBoundary extends React.Component {
   constructor(props) {
@@ -412,26 +224,87 @@ export default function App() {
   const [conversation, setConversation] = useState([]);
   const [loading, setLoading] = useState(false);
 
-  // Auth (NEW)
+  // Streaming answers (falls back to one-shot POST /query when unsupported)
+  const [streamMode, setStreamMode] = useState(() => localStorage.getItem('stream_mode') !== '0');
+  const [progress, setProgress] = useState(null); // { stage, sql, rowCount, message } while streaming
+  const streamSupportedRef = useRef(true);
+  const abortRef = useRef(null); // AbortController of the request in flight
+  useEffect(() => { localStorage.setItem('stream_mode', streamMode ? '1' : '0'); }, [streamMode]);
+
+  // Auth: token (mirrors api.js storage), profile & roles, expiry tracking
   const [showLogin, setShowLogin] = useState(false);
-  const getToken = () => localStorage.getItem('auth_token_v180');
+  const [loginReason, setLoginReason] = useState('');
+  const [authToken, setAuthToken] = useState(getToken);
+  const [user, setUser] = useState(() => sessionUser(loadUser(), getToken()));
+  const [now, setNow] = useState(Date.now);
+  const [expiryDismissed, setExpiryDismissed] = useState(false);
+  const session = sessionStatus(authToken, now);
+  const allowed = (action) => can(user, action);
+  const requireLogin = (reason = '') => { setLoginReason(reason); setShowLogin(true); };
+
+  useEffect(() => onAuthEvent((type, detail) => {
+    if (type === 'tokens') {
+      setAuthToken(detail?.token || null);
+      setExpiryDismissed(false);
+      if (!detail?.token) setUser(null);
+    }
+    // Any request that ends in 401 (after a refresh attempt) asks for login
+    if (type === 'unauthorized') requireLogin('Your session has ended. Log in to continue where you left off.');
+  }), []); // eslint-disable-line
 
-  // Attach token to axios when present
+  // Login/logout in another tab
   useEffect(() => {
-    const id = axios.interceptors.request.use((cfg) => {
+    const onStorage = (e) => {
+      if (e.key !== null && !/^auth_token/.test(e.key)) return;
       const t = getToken();
-      if (t) cfg.headers = { ...(cfg.headers || {}), Authorization: `Bearer ${t}` };
-      return cfg;
-    });
-    return () => axios.interceptors.request.eject(id);
+      setAuthToken(t);
+      if (!t) setUser(null);
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
   }, []);
 
+  useEffect(() => { saveUser(user); }, [user]);
+
+  // Tick while the token carries an expiry so warnings and refreshes fire on time
+  useEffect(() => {
+    setNow(Date.now());
+    if (!sessionStatus(authToken).expiresAt) return undefined;
+    const t = setInterval(() => setNow(Date.now()), 15000);
+    return () => clearInterval(t);
+  }, [authToken]);
+
+  // Refresh before the token lapses; without a refresh token warn (banner), then ask to log in
+  useEffect(() => {
+    if (session.state !== 'expiring' && session.state !== 'expired') return;
+    if (getRefreshToken()) {
+      refreshTokens().catch(() => requireLogin('Your session expired. Log in to continue.'));
+    } else if (session.state === 'expired') {
+      clearTokens();
+      requireLogin('Your session expired. Log in to continue.');
+    }
+  }, [session.state]); // eslint-disable-line
+
+  // Profile & roles: /auth/me when the backend has it, else login response / token claims
+  const loadProfile = async (fallback = null) => {
+    const token = getToken();
+    let profile;
+    try {
+      const { data } = await api.get('/auth/me', { authPrompt: false, retry: false });
+      profile = normalizeUser(data, token) || sessionUser(fallback, token);
+    } catch {
+      profile = sessionUser(fallback, token);
+    }
+    setUser(profile);
+    return profile;
+  };
+  useEffect(() => { if (getToken()) loadProfile(loadUser()); }, []); // eslint-disable-line
+
   // Databases
   const [databases, setDatabases] = useState([]);
   const [selectedDb, setSelectedDb] = useState(() => localStorage.getItem('selected_db') || 'demo');
 
   // History (namespaced by DB)
-  const historyKey = (db) => `nl_sql_history_v180_${db}`;
   const [history, setHistory] = useState(() => {
     const raw = localStorage.getItem(historyKey(selectedDb));
     if (!raw) return [];
@@ -439,18 +312,70 @@ export default function App() {
   });
   const [historySearch, setHistorySearch] = useState('');
 
+  // Saved sessions (full conversations, per DB, in IndexedDB)
+  const [sessions, setSessions] = useState([]);
+  const [activeSessionId, setActiveSessionId] = useState(null);
+  const sessionIdRef = useRef(null);
+  const skipNextSaveRef = useRef(false);
+
+  // Schema explorer (tables/columns of selectedDb; also feeds autocompletion)
+  const [schema, setSchema] = useState([]);
+  const [schemaLoading, setSchemaLoading] = useState(false);
+  const [schemaError, setSchemaError] = useState('');
+  const [showSchema, setShowSchema] = useState(() => localStorage.getItem('schema_panel_open') !== '0');
+  const schemaWords = useMemo(() => schemaIdentifiers(schema), [schema]);
+  const [nlCompletion, setNlCompletion] = useState(null); // { start, items, active }
+
+  // Column dictionary (labels/units/formats per DB)
+  const [columnDict, setColumnDict] = useState(() => loadColumnDictionary(selectedDb) || DEFAULT_COLUMN_DICTIONARY);
+  const [showColumnDict, setShowColumnDict] = useState(false);
+  const [showTenants, setShowTenants] = useState(false);
+  const [showFeedbackReview, setShowFeedbackReview] = useState(false);
+
+  // Saved-query library of the selected DB (also what the command palette searches)
+  const [savedQueries, setSavedQueries] = useState([]);
+  const [savedLoading, setSavedLoading] = useState(false);
+  const [savedError, setSavedError] = useState('');
+  const [showSaved, setShowSaved] = useState(false);
+  const [savedDraft, setSavedDraft] = useState(null);
+  const [showPalette, setShowPalette] = useState(false);
+
+  // Dashboards of the selected DB (localStorage); written through changeDashboards
+  const [dashboards, setDashboards] = useState(() => loadDashboards(selectedDb));
+  const [showDashboards, setShowDashboards] = useState(false);
+
+  // Scheduled reports of the selected DB (backend); results arrive in the inbox
+  const [showSchedules, setShowSchedules] = useState(false);
+  const [scheduleDraft, setScheduleDraft] = useState(null);   // { savedQueryId } for a new schedule
+  const [scheduleFocus, setScheduleFocus] = useState(null);
+  const labelFor = (col) => columnLabel(columnDict, col);
+  const formatCell = (v, col, kind) => formatColumnValue(columnDict, col, v, kind);
+
+  const [chartBuilderOpen, setChartBuilderOpen] = useState({}); // msgId → bool
+
+  // Multi-turn: pinned answer the next question refers to, and a flash on jump-to
+  const [pinnedId, setPinnedId] = useState(null);
+  const [highlightId, setHighlightId] = useState(null);
+  const pinned = pinnedId ? conversation.find(m => m.id === pinnedId) : null;
+  const threadTurns = useMemo(() => currentThread(conversation).filter(isAnswer).length, [conversation]);
+
   const messagesEndRef = useRef(null);
 
   // Metrics
   const [showMetrics, setShowMetrics] = useState(false);
-  const [metrics, setMetrics] = useState(null);
-  const [metricsLoading, setMetricsLoading] = useState(false);
-  const [metricsError, setMetricsError] = useState('');
+  const [metricsTick, setMetricsTick] = useState(0); // bumped after each query so an open dashboard refreshes
+
+  // Databases the user's roles allow; a login or user switch can take away the selected one
+  const visibleDbs = databases.filter(db => canUseDb(user, db));
+  useEffect(() => {
+    if (visibleDbs.length && !visibleDbs.includes(selectedDb)) setSelectedDb(visibleDbs[0]);
+  }, [user, databases]); // eslint-disable-line
+  const needsLogin = () => selectedDb.toLowerCase() !== 'demo' && !getToken();
 
   // Fetch DB list
   const fetchDatabases = async () => {
     try {
-      const { data } = await axios.get(`${API_BASE}/databases`);
+      const { data } = await api.get('/databases');
       const dbs = data.databases || [];
       setDatabases(dbs);
       if (!dbs.includes(selectedDb)) {
@@ -469,14 +394,90 @@ export default function App() {
 
   useEffect(() => { fetchDatabases(); /* on mount */ }, []); // eslint-disable-line
 
+  // Fetch schema for a DB
+  const fetchSchema = async (db = selectedDb) => {
+    try {
+      setSchemaError(''); setSchemaLoading(true);
+      const { data } = await api.get('/schema_suggestions', { params: { db }, authPrompt: false });
+      setSchema(normalizeSchema(data));
+    } catch (e) {
+      setSchema([]);
+      const err = normalizeError(e);
+      setSchemaError(err.isAuth ? '🔒 Login to view schema' : (err.message || 'Failed to load schema'));
+    } finally {
+      setSchemaLoading(false);
+    }
+  };
+
+  useEffect(() => { fetchSchema(selectedDb); }, [selectedDb]); // eslint-disable-line
+
+  // Column dictionary: local edits win; server entries fill columns not edited here
+  const fetchServerDictionary = async (db = selectedDb) => {
+    const { data } = await api.get('/column_dictionary', { params: { db }, authPrompt: false });
+    return normalizeDictionary(data);
+  };
+
+  useEffect(() => {
+    const local = loadColumnDictionary(selectedDb);
+    setColumnDict(local || DEFAULT_COLUMN_DICTIONARY);
+    let cancelled = false;
+    fetchServerDictionary(selectedDb)
+      .then(server => {
+        if (cancelled) return;
+        setColumnDict({ ...(local ? {} : DEFAULT_COLUMN_DICTIONARY), ...server, ...(local || {}) });
+      })
+      .catch(() => {}); // endpoint optional; keep local/defaults
+    return () => { cancelled = true; };
+  }, [selectedDb]); // eslint-disable-line
+
+  const saveDictionary = async (dict) => {
+    setColumnDict(dict);
+    saveColumnDictionary(selectedDb, dict);
+    try {
+      await api.put('/column_dictionary', { db: selectedDb, columns: dict }, { authPrompt: false });
+      return '✅ Saved';
+    } catch (e) {
+      return `✅ Saved in this browser (server: ${normalizeError(e).message || 'unavailable'})`;
+    }
+  };
+  useEffect(() => { localStorage.setItem('schema_panel_open', showSchema ? '1' : '0'); }, [showSchema]);
+
   // After CSV upload → refresh DBs and auto-select new
   const handleUploadedTenant = async (tenantKey) => {
     await fetchDatabases();
+    // Re-upload of the current tenant doesn't change selectedDb, so reload schema by hand
+    if (tenantKey === selectedDb) fetchSchema(tenantKey);
     setSelectedDb(tenantKey);
     localStorage.setItem('selected_db', tenantKey);
   };
 
-  // When DB changes: save selected, load that DB's history
+  // Local per-DB state (history, column dictionary, sessions) follows a renamed tenant
+  const handleTenantRenamed = async (from, to) => {
+    const hist = localStorage.getItem(historyKey(from));
+    if (hist) { localStorage.setItem(historyKey(to), hist); localStorage.removeItem(historyKey(from)); }
+    const dict = loadColumnDictionary(from);
+    if (dict) { saveColumnDictionary(to, dict); removeColumnDictionary(from); }
+    moveDashboards(from, to);
+    await moveSessions(from, to).catch(() => {});
+    setDatabases(prev => prev.map(db => (db === from ? to : db)));
+    if (selectedDb === from) setSelectedDb(to);
+  };
+
+  const handleTenantDeleted = async (name) => {
+    localStorage.removeItem(historyKey(name));
+    removeColumnDictionary(name);
+    removeDashboards(name);
+    await deleteSessionsFor(name).catch(() => {});
+    const rest = databases.filter(db => db !== name);
+    setDatabases(rest);
+    if (selectedDb === name) setSelectedDb(rest[0] || 'demo');
+  };
+
+  const refreshSessions = async (db = selectedDb) => {
+    try { setSessions(await listSessions(db)); } catch { setSessions([]); }
+  };
+
+  // When DB changes: save selected, load that DB's history & sessions
   useEffect(() => {
     localStorage.setItem('selected_db', selectedDb);
     const raw = localStorage.getItem(historyKey(selectedDb));
@@ -484,11 +485,35 @@ export default function App() {
       if (!raw) return [];
       try { return JSON.parse(raw); } catch { return []; }
     });
+    setDashboards(loadDashboards(selectedDb));
+    // Conversations belong to a DB: start clean and list that DB's sessions
+    abortRef.current?.abort();
+    setPinnedId(null);
+    sessionIdRef.current = null;
+    setActiveSessionId(null);
+    setConversation([]);
+    refreshSessions(selectedDb);
     // If switching to non-demo and no token → show login
-    if (selectedDb.toLowerCase() !== 'demo' && !getToken()) {
-      setShowLogin(true);
+    if (needsLogin()) requireLogin(`The “${selectedDb}” database requires login.`);
+  }, [selectedDb]); // eslint-disable-line
+
+  const loadSavedQueries = async (db = selectedDb) => {
+    setSavedLoading(true);
+    setSavedError('');
+    try {
+      setSavedQueries(await fetchSavedQueries(db));
+    } catch (e) {
+      const er = normalizeError(e);
+      setSavedQueries([]);
+      setSavedError(er.isAuth ? '🔒 Log in to see saved queries' : er.code === 'not_found' ? 'Saved queries aren’t available on this server' : `⚠️ ${er.message}`);
+    } finally {
+      setSavedLoading(false);
     }
-  }, [selectedDb]);
+  };
+  useEffect(() => { loadSavedQueries(selectedDb); }, [selectedDb, authToken]); // eslint-disable-line
+
+  // Back from a redirect (SSO) login: resume what the login prompt interrupted
+  useEffect(() => { if (getToken()) resumeAfterLogin(); }, []); // eslint-disable-line
 
   // Persist history for current DB
   useEffect(() => {
@@ -497,6 +522,20 @@ export default function App() {
 
   useEffect(() => { messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' }); }, [conversation]);
 
+  // Autosave the conversation into the active session (created on first message).
+  // Not while rows are streaming in: the done / error update saves once.
+  useEffect(() => {
+    if (skipNextSaveRef.current) { skipNextSaveRef.current = false; return; }
+    if (conversation.length === 0 || conversation.some(m => m.streaming)) return;
+    if (!sessionIdRef.current) {
+      sessionIdRef.current = uid();
+      setActiveSessionId(sessionIdRef.current);
+    }
+    upsertConversation(sessionIdRef.current, selectedDb, conversation)
+      .then(() => refreshSessions(selectedDb))
+      .catch((e) => console.error('Session save failed:', e)); // eslint-disable-line no-console
+  }, [conversation]); // eslint-disable-line
+
   // Voice hotkey: Ctrl/⌘ + Space
   useEffect(() => {
     const onKey = (e) => {
@@ -508,6 +547,16 @@ export default function App() {
     return () => window.removeEventListener('keydown', onKey);
   }, [speech]);
 
+  // Command palette hotkey: Ctrl/⌘ + K
+  useEffect(() => {
+    const onKey = (e) => {
+      const isMac = /Mac|iPod|iPhone|iPad/.test(navigator.platform);
+      if ((isMac ? e.metaKey : e.ctrlKey) && e.key.toLowerCase() === 'k') { e.preventDefault(); setShowPalette(v => !v); }
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, []);
+
   // Place final transcript into input
   useEffect(() => {
     if (speech.finalText) {
@@ -521,10 +570,85 @@ export default function App() {
     if (!t) return;
     setHistory(prev => [{ id: uid(), text: t, ts: Date.now() }, ...prev].slice(0, 200));
   };
+  // Insert text at the caret of the question input (schema column clicks)
+  const insertIntoQuery = (text) => {
+    const el = document.getElementById('nl-input');
+    const start = el && document.activeElement === el ? el.selectionStart : query.length;
+    const end = el && document.activeElement === el ? el.selectionEnd : query.length;
+    const before = query.slice(0, start);
+    const pad = before && !/\s$/.test(before) ? ' ' : '';
+    const next = `${before}${pad}${text} ${query.slice(end).replace(/^\s+/, '')}`;
+    setQuery(next);
+    const pos = before.length + pad.length + text.length + 1;
+    setTimeout(() => { el?.focus(); el?.setSelectionRange(pos, pos); }, 0);
+  };
+
+  // Schema-backed completion for the question input
+  const onQueryChange = (e) => {
+    setQuery(e.target.value);
+    const c = completeWord(e.target.value, e.target.selectionStart, schemaWords);
+    setNlCompletion(c ? { ...c, active: 0 } : null);
+  };
+  const acceptNlCompletion = (item) => {
+    if (!nlCompletion) return;
+    const el = document.getElementById('nl-input');
+    const caret = el ? el.selectionStart : query.length;
+    const next = query.slice(0, nlCompletion.start) + item + query.slice(caret);
+    const pos = nlCompletion.start + item.length;
+    setQuery(next);
+    setNlCompletion(null);
+    setTimeout(() => { el?.focus(); el?.setSelectionRange(pos, pos); }, 0);
+  };
+  const onQueryKeyDown = (e) => {
+    if (!nlCompletion) return;
+    const n = nlCompletion.items.length;
+    if (e.key === 'ArrowDown') { e.preventDefault(); setNlCompletion(c => ({ ...c, active: (c.active + 1) % n })); }
+    else if (e.key === 'ArrowUp') { e.preventDefault(); setNlCompletion(c => ({ ...c, active: (c.active - 1 + n) % n })); }
+    else if (e.key === 'Tab' || e.key === 'Enter') { e.preventDefault(); acceptNlCompletion(nlCompletion.items[nlCompletion.active]); }
+    else if (e.key === 'Escape') setNlCompletion(null);
+  };
+
   const rerunQuery = (text) => { setQuery(text); setTimeout(() => document.getElementById('nl-input')?.focus(), 0); };
   const deleteHistoryItem = (id) => setHistory(prev => prev.filter(h => h.id !== id));
   const clearHistory = () => setHistory([]);
 
+  // Sessions
+  const newSession = () => {
+    sessionIdRef.current = null;
+    setActiveSessionId(null);
+    setPinnedId(null);
+    setConversation([]);
+  };
+  const openSession = async (id) => {
+    const s = await getSession(id);
+    if (!s) { refreshSessions(); return; }
+    sessionIdRef.current = s.id;
+    setActiveSessionId(s.id);
+    setPinnedId(null);
+    skipNextSaveRef.current = true;
+    // Queued questions don't survive a reload; drop them instead of auto-running
+    setConversation(Array.isArray(s.conversation) ? s.conversation.filter(m => !m.pending) : []);
+  };
+  const renameSessionItem = async (id, name) => {
+    const t = name.trim();
+    if (!t) return;
+    await renameSession(id, t);
+    refreshSessions();
+  };
+  const duplicateSessionItem = async (id) => {
+    await duplicateSession(id, uid());
+    refreshSessions();
+  };
+  const deleteSessionItem = async (id) => {
+    await deleteSession(id);
+    if (sessionIdRef.current === id) newSession();
+    refreshSessions();
+  };
+
+  const updateMessage = (id, patch) => {
+    setConversation(prev => prev.map(m => (m.id === id ? { ...m, ...patch } : m)));
+  };
+
   // Apply UI action to last bot result (chart type/color)
   function applyUiActionToLastResult(action) {
     setConversation(prev => {
@@ -535,256 +659,404 @@ export default function App() {
       const target = prev.length - 1 - idx;
       const updated = [...prev];
       const msg = { ...updated[target] };
-      if (action.chartType) msg.chartType = action.chartType;
+      // Aliases like "stacked bar" / "100% stacked" carry stacking as well as a type
+      const ct = normalizeChartType(action.chartType);
+      const stacking = ct && ct.stacked !== undefined ? { stacked: ct.stacked, percent: Boolean(ct.percent) } : {};
+      if (ct) {
+        msg.chartType = ct.type;
+        if (stacking.stacked !== undefined) { msg.chartStacked = stacking.stacked; msg.chartPercent = stacking.percent; }
+      }
       if (action.color)     msg.chartColor = action.color;
+      // Manual chart config wins over chartType/chartColor, so keep it in sync
+      if (msg.chartConfig) {
+        msg.chartConfig = {
+          ...msg.chartConfig,
+          ...(ct ? { type: ct.type, ...stacking } : {}),
+          ...(action.color ? { color: action.color } : {})
+        };
+      }
       updated[target] = msg;
       return updated;
     });
   }
 
-  // Feedback
-  async function sendFeedback(messageId, rating) {
-    setConversation(prev => prev.map(m => m.id === messageId ? { ...m, feedback: rating === 1 ? 'up' : 'down' } : m));
+  // Feedback: re-posting for the same message replaces the earlier vote
+  async function sendFeedback(messageId, rating, details = {}) {
+    const msg = conversation.find(m => m.id === messageId);
+    const previous = { feedback: msg?.feedback ?? null, feedbackDetail: msg?.feedbackDetail ?? null };
+    const feedbackDetail = rating === -1 ? { reason: details.reason || null, comment: details.comment || '', correctedSql: details.correctedSql || '' } : null;
+    setConversation(prev => prev.map(m => m.id === messageId ? { ...m, feedback: rating === 1 ? 'up' : 'down', feedbackDetail } : m));
     try {
-      const msg = conversation.find(m => m.id === messageId);
-      await axios.post(`${API_BASE}/feedback`, {
-        messageId,
-        rating,
-        query: msg?.originalQuery || '',
-        sql: msg?.sql || '',
-        meta: msg?.meta || { db: selectedDb }
-      });
+      await submitFeedback(feedbackPayload(msg, rating, details, selectedDb));
+      return true;
     } catch {
-      setConversation(prev => prev.map(m => m.id === messageId ? { ...m, feedback: null } : m));
+      setConversation(prev => prev.map(m => m.id === messageId ? { ...m, ...previous } : m));
+      return false;
     }
   }
 
-  // Metrics
-  const fetchMetrics = async () => {
-    try {
-      setMetricsError(''); setMetricsLoading(true);
-      const { data } = await axios.get(`${API_BASE}/metrics/summary`);
-      setMetrics(data);
-    } catch (e) {
-      setMetricsError(e?.response?.data?.error || e.message || 'Failed to load metrics');
-    } finally {
-      setMetricsLoading(false);
-    }
-  };
-
-  const toggleMetrics = () => {
-    setShowMetrics(v => {
-      const next = !v;
-      if (next && !metrics) fetchMetrics();
-      return next;
-    });
-  };
-
   // Submit
-  const handleSubmit = async (e) => {
+  const handleSubmit = (e) => {
     e.preventDefault();
-    if (!query.trim()) return;
+    if (!query.trim() || !allowed('query')) return;
+    const toSend = query;
+    const refersTo = pinned ? pinnedId : null;
+    setQuery('');
+    setPinnedId(null);
+    submitQuestion(toSend, refersTo);
+  };
 
-    // If protected DB and not logged in → prompt
-    if (selectedDb.toLowerCase() !== 'demo' && !getToken()) {
-      setShowLogin(true);
+  // Ask now, or queue behind the running question / a login prompt
+  const submitQuestion = (toSend, refersTo = null) => {
+    addToHistory(toSend);
+    // Protected DB and not logged in → the question waits and runs right after login
+    if (needsLogin()) {
+      setConversation(prev => [...prev, { id: uid(), type: 'user', content: toSend, refersTo, authBlocked: true }]);
+      rememberReturnTo({ type: 'query', db: selectedDb, query: toSend });
+      requireLogin(`Log in to run your question on “${selectedDb}”.`);
+      return;
+    }
+    // While a question runs, later ones wait as pending messages (run by the queue effect)
+    if (loading) {
+      setConversation(prev => [...prev, { id: uid(), type: 'user', content: toSend, refersTo, pending: true }]);
       return;
     }
+    const userMsgId = uid();
+    setConversation(prev => [...prev, { id: userMsgId, type: 'user', content: toSend, refersTo }]);
+    askQuestion(userMsgId, toSend, refersTo);
+  };
 
-    addToHistory(query);
-    const toSend = query;
-    setConversation(prev => [...prev, { id: uid(), type: 'user', content: toSend }]);
+  async function askQuestion(userMsgId, toSend, refersTo = null) {
+    // Earlier turns of this thread (+ the pinned answer) so follow-ups resolve
+    const context = buildContext(conversation, { beforeId: userMsgId, refersTo });
+    const controller = new AbortController();
+    abortRef.current = controller;
     setLoading(true);
-    setQuery('');
 
     try {
-      const res = await axios.post(`${API_BASE}/query`, { query: toSend, db: selectedDb });
-
-      // UI action (theme/chart)
-      if (res.data.action) {
-        const action = res.data.action;
-        if (action.theme) {
-          const t = String(action.theme).toLowerCase();
-          if (t === 'toggle') setTheme(prev => (prev === 'dark' ? 'light' : 'dark'));
-          else if (t === 'dark' || t === 'light') setTheme(t);
+      let out = null;
+      if (streamMode && streamSupportedRef.current) {
+        const stream = { started: false };
+        try {
+          out = await runStreamingQuery(toSend, context, controller.signal, stream);
+        } catch (e) {
+          // Network/CORS failure on the stream endpoint → try the one-shot endpoint, unless
+          // events already arrived: the query is running and would run (and answer) twice
+          if (normalizeError(e).code !== 'network' || stream.started) throw e;
         }
-        if (action.chartType || action.color) applyUiActionToLastResult(action);
+      }
+      if (!out) {
+        const res = await api.post('/query', { query: toSend, db: selectedDb, context }, { signal: controller.signal, timeout: QUERY_TIMEOUT });
+        out = { data: res.data, msgId: null };
+      }
+      handleQueryData(out.data, toSend, out.msgId);
+    } catch (err) {
+      const e = normalizeError(err);
+      if (e.isCancelled) {
+        updateMessage(userMsgId, { cancelled: true });
         return;
       }
-
-      // Friendly reply
-      if (res.data.reply) {
-        setConversation(prev => [...prev, {
-          id: uid(), type: 'bot', reply: res.data.reply, originalQuery: toSend, feedback: null, meta: res.data?.meta || { db: selectedDb }
-        }]);
+      // Login prompt is already open (401 broadcast); re-ask once logged in
+      if (e.isAuth) {
+        updateMessage(userMsgId, { authBlocked: true });
+        rememberReturnTo({ type: 'query', db: selectedDb, query: toSend });
         return;
       }
+      setConversation(prev => [...prev, { id: uid(), type: 'bot', error: e.message, sql: e.sql, originalQuery: toSend }]);
+    } finally {
+      if (abortRef.current === controller) abortRef.current = null;
+      setLoading(false);
+      setProgress(null);
+      setMetricsTick(n => n + 1);
+    }
+  }
+
+  const stopQuery = () => abortRef.current?.abort();
+  const removeQueued = (id) => setConversation(prev => prev.filter(m => m.id !== id));
+
+  // Run queued questions in order once the current one finishes (held while logging in)
+  useEffect(() => {
+    if (loading || showLogin) return;
+    const next = conversation.find(m => m.type === 'user' && m.pending);
+    if (!next) return;
+    updateMessage(next.id, { pending: false });
+    askQuestion(next.id, next.content, next.refersTo || null);
+  }, [loading, showLogin, conversation]); // eslint-disable-line
+
+  const resultMessage = (toSend, data, id = uid()) => ({
+    id,
+    type: 'bot',
+    originalQuery: toSend,
+    sql: data.sql,
+    results: data.results || [],
+    chartType: 'bar',
+    chartColor: '#3b82f6',
+    view: 'both',
+    chartTitle: data?.meta?.title || 'Chart',
+    xLabel: data?.meta?.xLabel || '',
+    yLabel: data?.meta?.yLabel || '',
+    meta: data?.meta || { db: selectedDb },
+    feedback: null
+  });
+
+  // Render a /query response; `msgId` is the progressive message a stream already added
+  function handleQueryData(data, toSend, msgId = null) {
+    // A stream that ended in an action / reply still closes its partial message (and lets autosave run)
+    if (msgId && (data.action || data.reply)) updateMessage(msgId, { streaming: false });
+    // UI action (theme/chart)
+    if (data.action) {
+      const action = data.action;
+      if (action.theme) {
+        const t = String(action.theme).toLowerCase();
+        if (t === 'toggle') setTheme(prev => (prev === 'dark' ? 'light' : 'dark'));
+        else if (t === 'dark' || t === 'light') setTheme(t);
+      }
+      if (action.chartType || action.color) applyUiActionToLastResult(action);
+      return;
+    }
 
-      // SQL result
-      const rows = res.data.results || [];
+    // Friendly reply
+    if (data.reply) {
+      setConversation(prev => [...prev, {
+        id: uid(), type: 'bot', reply: data.reply, originalQuery: toSend, feedback: null, meta: data?.meta || { db: selectedDb }
+      }]);
+      return;
+    }
+
+    // SQL result
+    if (msgId) {
+      const { id, feedback, ...final } = resultMessage(toSend, data, msgId);
+      updateMessage(msgId, { ...final, streaming: false });
+      return;
+    }
+    setConversation(prev => [...prev, resultMessage(toSend, data)]);
+  }
+
+  // Stream /query/stream, showing stages as they arrive and rows as a growing
+  // message. Resolves { data, msgId } like a one-shot answer, or null when the
+  // server has no streaming endpoint.
+  // `stream.started` turns true with the first event from the server
+  async function runStreamingQuery(toSend, context, signal, stream = {}) {
+    let msgId = null;
+    setProgress({ stage: 'understanding', sql: null, rowCount: null, message: '' });
+    let res;
+    try {
+      res = await streamQuery('/query/stream', { query: toSend, db: selectedDb, context }, {
+        signal,
+        fetchImpl: (url, init) => apiFetch(url, { ...init, timeout: QUERY_TIMEOUT }),
+        onEvent: (ev, st) => {
+          stream.started = true;
+          setProgress({ stage: st.stage, sql: st.sql, rowCount: st.rowCount, message: st.message });
+          if (ev.type !== 'rows') return;
+          if (!msgId) {
+            const id = uid();
+            msgId = id;
+            setConversation(prev => [...prev, { ...resultMessage(toSend, { sql: st.sql, results: st.rows }, id), streaming: true }]);
+          } else {
+            updateMessage(msgId, { results: st.rows });
+          }
+        }
+      });
+    } catch (e) {
+      // Keep rows that already arrived, flagged as partial
+      if (msgId) updateMessage(msgId, { streaming: false, cancelled: normalizeError(e).isCancelled });
+      throw e;
+    }
+
+    if (!res.streamed) {
+      if (STREAM_UNSUPPORTED.includes(res.status)) {
+        streamSupportedRef.current = false;
+        return null;
+      }
+      if (res.status >= 400) {
+        throw normalizeError({ response: { status: res.status, data: res.data } });
+      }
+      return { data: res.data || {}, msgId: null };
+    }
+    if (res.state.error) {
+      if (msgId) updateMessage(msgId, { streaming: false });
+      throw new ApiError(res.state.error, { code: 'bad_request', data: { error: res.state.error, sql: res.state.sql } });
+    }
+    return { data: streamResult(res.state), msgId };
+  }
+
+  // Run hand-edited SQL for the selected DB; result is appended as a follow-up of `parent`
+  const runEditedSql = async (parent, sql) => {
+    if (!sql.trim() || loading || !allowed('run_sql')) return;
+    if (needsLogin()) {
+      rememberReturnTo({ type: 'sql', db: selectedDb, parentId: parent.id, sql });
+      requireLogin('Log in to run the edited SQL.');
+      return;
+    }
+
+    const meta = { ...(parent.meta || { db: selectedDb }), db: selectedDb, editedFrom: parent.id };
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setLoading(true);
+    try {
+      const res = await api.post('/query/sql', { sql, db: selectedDb }, { signal: controller.signal, timeout: QUERY_TIMEOUT });
       setConversation(prev => [...prev, {
         id: uid(),
         type: 'bot',
-        originalQuery: toSend,
-        sql: res.data.sql,
-        results: rows,
-        chartType: 'bar',
-        chartColor: '#3b82f6',
+        parentId: parent.id,
+        originalQuery: parent.originalQuery,
+        sql: res.data.sql || sql,
+        results: res.data.results || [],
+        chartType: parent.chartType || 'bar',
+        chartStacked: parent.chartStacked,
+        chartPercent: parent.chartPercent,
+        chartColor: parent.chartColor || '#3b82f6',
         view: 'both',
-        chartTitle: res.data?.meta?.title || 'Chart',
-        xLabel: res.data?.meta?.xLabel || '',
-        yLabel: res.data?.meta?.yLabel || '',
-        meta: res.data?.meta || { db: selectedDb },
+        chartTitle: parent.chartTitle || 'Chart',
+        xLabel: parent.xLabel || '',
+        yLabel: parent.yLabel || '',
+        meta: { ...meta, ...(res.data?.meta || {}) },
         feedback: null
       }]);
     } catch (err) {
-      const status = err?.response?.status;
-      const error = err?.response?.data?.error || err.message || 'Something went wrong';
-      const sql = err?.response?.data?.sql || null;
-      if (status === 401) setShowLogin(true);
-      setConversation(prev => [...prev, { id: uid(), type: 'bot', error, sql }]);
+      const e = normalizeError(err);
+      if (e.isAuth) {
+        rememberReturnTo({ type: 'sql', db: selectedDb, parentId: parent.id, sql });
+        return;
+      }
+      const error = e.message;
+      setConversation(prev => [...prev, {
+        id: uid(), type: 'bot', parentId: parent.id, originalQuery: parent.originalQuery, error, sql, meta
+      }]);
     } finally {
+      if (abortRef.current === controller) abortRef.current = null;
       setLoading(false);
-      if (showMetrics) fetchMetrics();
+      setMetricsTick(n => n + 1);
     }
   };
 
-  /* ───────── Chart Renderer ───────── */
-  const renderChart = (data, xKey, yKey, type, color, xLabel, yLabel) => {
-    try {
-      const { xKey: rx, seriesKey, yKey: ry, isMulti } = resolveAxes(data);
+  // Run a saved query with its parameters filled in: questions are asked as usual,
+  // SQL runs like edited SQL under a "You: ▶ title" message
+  const runSavedQuery = (item, text) => {
+    setShowSaved(false);
+    if (item.kind === 'question') {
+      if (allowed('query')) submitQuestion(text);
+      return;
+    }
+    if (loading || !allowed('run_sql')) return;
+    const parent = { id: uid(), type: 'user', content: `▶ ${item.title}`, originalQuery: item.question || item.title, meta: { db: selectedDb, savedQueryId: item.id } };
+    setConversation(prev => [...prev, parent]);
+    runEditedSql(parent, text);
+  };
 
-      // Use explicit keys when provided, otherwise the auto-resolved ones
-      const ex = xKey || rx;
-      const ey = yKey || ry;
+  const changeDashboards = (list) => {
+    setDashboards(list);
+    saveDashboards(selectedDb, list);
+  };
 
-      // Guard AFTER fallback
-      if (!ex || !ey) {
-        return <div className="text-sm text-red-600">Unable to resolve chart axes from the result.</div>;
-      }
+  // Pin a result as a tile on an existing dashboard ({ id }) or a new one ({ name })
+  const pinResult = (msg, target) => {
+    const tile = tileFromMessage(msg);
+    const existing = target.id && dashboards.find(d => d.id === target.id);
+    const dash = existing
+      ? { ...existing, tiles: [...existing.tiles, tile], updatedAt: Date.now() }
+      : { ...createDashboard(target.name), tiles: [tile] };
+    changeDashboards(existing ? dashboards.map(d => (d.id === dash.id ? dash : d)) : [...dashboards, dash]);
+    return dash;
+  };
 
-      if (isMulti) {
-        const { data: wide, series } = pivotData(data, ex, seriesKey, ey);
-        const sampleX = wide.map(row => row[ex]);
-        const timeLike = isTimeLikeAxis(ex, sampleX);
-
-        // Prefer grouped BAR for time multi-series unless explicitly asked for a line
-        if (timeLike && type !== 'line') {
-          return (
-            <ResponsiveContainer width="100%" height={360}>
-              <BarChart data={wide} margin={{ bottom: 48, left: 56, right: 16, top: 8 }}>
-                <XAxis
-                  dataKey={ex}
-                  angle={-30}
-                  textAnchor="end"
-                  interval={0}
-                  height={70}
-                  tick={{ fontSize: 12 }}
-                  label={xLabel ? { value: xLabel, position: 'insideBottom', offset: -36 } : undefined}
-                />
-                <YAxis tickMargin={8} width={80} tickFormatter={formatNumber}
-                       label={yLabel ? { value: yLabel, angle: -90, position: 'left', dx: -12 } : undefined} />
-                <Tooltip formatter={(v) => formatNumber(v)} />
-                {series.map((s, i) => (
-                  <Bar key={String(s)} dataKey={String(s)} fill={COLORS[i % COLORS.length]} />
-                ))}
-              </BarChart>
-            </ResponsiveContainer>
-          );
-        }
+  const openSavedLibrary = (draft = null) => {
+    setSavedDraft(draft);
+    setShowSaved(true);
+  };
 
-        // Explicit line
-        if (timeLike && type === 'line') {
-          return (
-            <ResponsiveContainer width="100%" height={360}>
-              <LineChart data={wide} margin={{ bottom: 64, left: 64, right: 24, top: 8 }}>
-                <XAxis dataKey={ex} angle={-30} textAnchor="end" interval={0} height={70}
-                       tick={{ fontSize: 12 }}
-                       label={xLabel ? { value: xLabel, position: 'insideBottom', offset: -36 } : undefined} />
-                <YAxis tickMargin={8} width={80} tickFormatter={formatNumber}
-                       label={yLabel ? { value: yLabel, angle: -90, position: 'left', dx: -10 } : undefined} />
-                <Tooltip formatter={(v) => formatNumber(v)} />
-                {series.map((s, i) => (
-                  <Line key={String(s)} type="monotone" dataKey={String(s)} stroke={COLORS[i % COLORS.length]} strokeWidth={2} />
-                ))}
-              </LineChart>
-            </ResponsiveContainer>
-          );
-        }
+  const openSchedules = ({ draft = null, focusId = null } = {}) => {
+    setScheduleDraft(draft);
+    setScheduleFocus(focusId);
+    setShowSchedules(true);
+  };
 
-        // Categorical multi-series → grouped bars
-        return (
-          <ResponsiveContainer width="100%" height={360}>
-            <BarChart data={wide} margin={{ bottom: 48, left: 56, right: 16, top: 8 }}>
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey={ex} angle={-20} textAnchor="end" interval={0}
-                     label={xLabel ? { value: xLabel, position: 'insideBottom', offset: -28 } : undefined} />
-              <YAxis tickMargin={8} tickFormatter={formatNumber}
-                     label={yLabel ? { value: yLabel, angle: -90, position: 'left', dx: -10 } : undefined} />
-              <Tooltip formatter={(v) => formatNumber(v)} />
-              {series.map((s, i) => (
-                <Bar key={String(s)} dataKey={String(s)} fill={COLORS[i % COLORS.length]} />
-              ))}
-            </BarChart>
-          </ResponsiveContainer>
-        );
-      }
+  // From the inbox: the schedule behind a notification, switching DB if needed
+  const openNotificationSchedule = (n) => {
+    if (n.db && n.db !== selectedDb && visibleDbs.includes(n.db)) setSelectedDb(n.db);
+    openSchedules({ focusId: n.scheduleId });
+  };
 
-      // Single-series
-      switch (type) {
-        case 'bar':
-          return (
-            <ResponsiveContainer width="100%" height={360}>
-              <BarChart data={data} margin={{ bottom: 48, left: 56, right: 16, top: 8 }}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey={ex} angle={-30} textAnchor="end" interval={0} />
-                <YAxis tickFormatter={formatNumber} />
-                <Tooltip formatter={(v) => formatNumber(v)} />
-                <Bar dataKey={ey} fill={color} />
-              </BarChart>
-            </ResponsiveContainer>
-          );
-        case 'line':
-          return (
-            <ResponsiveContainer width="100%" height={360}>
-              <LineChart data={data} margin={{ bottom: 48, left: 56, right: 16, top: 8 }}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey={ex} angle={-30} textAnchor="end" interval={0} />
-                <YAxis tickFormatter={formatNumber} />
-                <Tooltip formatter={(v) => formatNumber(v)} />
-                <Line dataKey={ey} stroke={color} strokeWidth={2} dot={false} />
-              </LineChart>
-            </ResponsiveContainer>
-          );
-        case 'pie':
-          return (
-            <ResponsiveContainer width="100%" height={360}>
-              <PieChart>
-                <Pie
-                  data={data}
-                  dataKey={ey}
-                  nameKey={ex}
-                  cx="50%"
-                  cy="50%"
-                  outerRadius={80}
-                  label={(e) => `${e.name}: ${formatNumber(e.value)}`}
-                >
-                  {data.map((_, idx) => <Cell key={idx} fill={COLORS[idx % COLORS.length]} />)}
-                </Pie>
-                <Tooltip formatter={(v) => formatNumber(v)} />
-              </PieChart>
-           </ResponsiveContainer>
-          );
-        default:
-          return null;
-      }
-    } catch (e) {
-      // eslint-disable-next-line no-console
-      console.error('Chart render error:', e);
-      return <div className="text-sm text-red-600">Chart failed to render. Check console for details.</div>;
+  // Pick up what the login prompt interrupted: waiting questions re-enter the queue
+  const resumeAfterLogin = () => {
+    const next = takeReturnTo();
+    if (!next || (next.db && next.db !== selectedDb)) return;
+    if (next.type === 'sql') {
+      const parent = conversation.find(m => m.id === next.parentId);
+      if (parent) runEditedSql(parent, next.sql);
+      return;
+    }
+    if (conversation.some(m => m.authBlocked)) {
+      setConversation(prev => prev.map(m => (m.authBlocked ? { ...m, authBlocked: false, pending: true } : m)));
+    } else if (next.query) {
+      // After a redirect login the waiting message is gone; ask again as a queued question
+      setConversation(prev => [...prev, { id: uid(), type: 'user', content: next.query, pending: true }]);
+    }
+  };
+
+  // What's on screen from the local data of a user who is gone
+  const resetUserState = () => {
+    abortRef.current?.abort();
+    newSession();
+    setHistory([]);
+    setColumnDict(DEFAULT_COLUMN_DICTIONARY);
+    setDashboards([]);
+    setSessions([]);
+    setChartBuilderOpen({});
+  };
+
+  const handleLoggedIn = async (data) => {
+    setShowLogin(false);
+    setLoginReason('');
+    fetchDatabases();
+    // Switch user: the previous user's data goes, and so does what they were about to do
+    if (await claimUserData(await loadProfile(data))) {
+      takeReturnTo();
+      resetUserState();
+    } else {
+      resumeAfterLogin();
     }
   };
 
+  // End the server session and drop everything that belonged to this user
+  const logout = async () => {
+    try {
+      await api.post('/auth/logout', { refresh_token: getRefreshToken() }, { authPrompt: false, retry: false, timeout: 5000 });
+    } catch { /* endpoint optional, or the token is already invalid */ }
+    const providerLogout = getAuthProvider() === OIDC_PROVIDER ? await oidcLogoutUrl() : null;
+    clearTokens();
+    takeReturnTo();
+    setUser(null);
+    resetUserState();
+    await clearUserData();
+    setShowMetrics(false);
+    setShowTenants(false);
+    setShowFeedbackReview(false);
+    setShowSaved(false);
+    setShowPalette(false);
+    setShowDashboards(false);
+    setShowSchedules(false);
+    if (selectedDb.toLowerCase() !== 'demo') setSelectedDb('demo');
+    // SSO: also end the provider session, or the next "Sign in" logs straight back in
+    if (providerLogout) window.location.assign(providerLogout);
+  };
+
+  const scrollToMessage = (id) => {
+    document.getElementById(`msg-${id}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setHighlightId(id);
+    setTimeout(() => setHighlightId(cur => (cur === id ? null : cur)), 1500);
+  };
+
+  // Follow-ups stop seeing earlier turns after a thread divider
+  const newThread = () => {
+    setPinnedId(null);
+    setConversation(prev => (prev.length && prev[prev.length - 1].type !== 'thread' ? [...prev, { id: uid(), type: 'thread' }] : prev));
+  };
+  const pinForFollowUp = (id) => {
+    setPinnedId(id);
+    document.getElementById('nl-input')?.focus();
+  };
+
   const filteredHistory = history.filter(h =>
     !historySearch.trim() || h.text.toLowerCase().includes(historySearch.toLowerCase())
   );
@@ -795,6 +1067,16 @@ export default function App() {
         {/* Sidebar: History */}
         <aside className="w-72 max-w-72 bg-white border-r border-gray-200 p-4 hidden md:flex md:flex-col gap-3
                           dark:bg-gray-900 dark:border-gray-800">
+          <SessionList
+            sessions={sessions}
+            activeId={activeSessionId}
+            onNew={newSession}
+            onOpen={openSession}
+            onRename={renameSessionItem}
+            onDuplicate={duplicateSessionItem}
+            onDelete={deleteSessionItem}
+          />
+
           <div className="text-lg font-semibold dark:text-gray-100">History ({selectedDb})</div>
           <input
             type="text"
@@ -837,6 +1119,18 @@ export default function App() {
           </div>
         </aside>
 
+        {/* Sidebar: Schema */}
+        <SchemaExplorer
+          db={selectedDb}
+          tables={schema}
+          loading={schemaLoading}
+          error={schemaError}
+          open={showSchema}
+          onToggle={() => setShowSchema(v => !v)}
+          onRefresh={() => fetchSchema(selectedDb)}
+          onPickColumn={(col) => insertIntoQuery(col)}
+        />
+
         {/* Main */}
         <main className="flex-1 p-6 flex flex-col items-stretch">
           <div className="w-full max-w-[1400px] bg-white rounded-2xl shadow p-6 space-y-4 dark:bg-gray-900 dark:shadow-none mx-auto">
@@ -851,30 +1145,79 @@ export default function App() {
                              dark:bg-gray-800 dark:hover:bg-gray-700 dark:border-gray-700 dark:text-gray-100"
                   title="Select database"
                 >
-                  {databases.map(db => <option key={db} value={db}>{db}</option>)}
+                  {visibleDbs.map(db => <option key={db} value={db}>{db}</option>)}
                 </select>
 
-                {/* Auth controls (NEW) */}
-                {selectedDb.toLowerCase() !== 'demo' ? (
-                  getToken() ? (
-                    <button
-                      onClick={() => { localStorage.removeItem('auth_token_v180'); setShowLogin(true); }}
-                      className="text-xs px-3 py-1 rounded border bg-gray-100 hover:bg-gray-200 border-gray-300
-                                 dark:bg-gray-800 dark:hover:bg-gray-700 dark:border-gray-700 dark:text-gray-100">
-                      Re-login
-                    </button>
-                  ) : (
-                    <button
-                      onClick={() => setShowLogin(true)}
-                      className="text-xs px-3 py-1 rounded border bg-gray-100 hover:bg-gray-200 border-gray-300
-                                 dark:bg-gray-800 dark:hover:bg-gray-700 dark:border-gray-700 dark:text-gray-100">
-                      Login
-                    </button>
-                  )
-                ) : null}
+                {/* Scheduled report results and alerts */}
+                <NotificationInbox enabled={Boolean(authToken) && allowed('query')} onOpenSchedule={openNotificationSchedule}
+                                   onRequireLogin={() => requireLogin()} />
+
+                {/* Account: login, or profile / roles / logout */}
+                <UserMenu user={user} loggedIn={Boolean(authToken)} session={session}
+                          onLogin={() => requireLogin()} onLogout={logout} />
+
+                {allowed('edit_dictionary') && <button
+                  type="button"
+                  onClick={() => setShowColumnDict(true)}
+                  className="text-xs px-3 py-1 rounded border bg-gray-100 hover:bg-gray-200 border-gray-300
+                             dark:bg-gray-800 dark:hover:bg-gray-700 dark:border-gray-700 dark:text-gray-100"
+                  title="Column labels, units and formats for this database"
+                >
+                  Columns
+                </button>}
+
+                {allowed('manage_tenants') && <button
+                  type="button"
+                  onClick={() => setShowTenants(true)}
+                  className="text-xs px-3 py-1 rounded border bg-gray-100 hover:bg-gray-200 border-gray-300
+                             dark:bg-gray-800 dark:hover:bg-gray-700 dark:border-gray-700 dark:text-gray-100"
+                  title="Tenants: tables, size, upload history, download, rename and delete"
+                >
+                  Databases
+                </button>}
+
+                {allowed('query') && <button
+                  type="button"
+                  onClick={() => openSavedLibrary()}
+                  className="text-xs px-3 py-1 rounded border bg-gray-100 hover:bg-gray-200 border-gray-300
+                             dark:bg-gray-800 dark:hover:bg-gray-700 dark:border-gray-700 dark:text-gray-100"
+                  title="Saved questions and SQL for this database (Ctrl/⌘ + K to search)"
+                >
+                  Saved
+                </button>}
+
+                {allowed('query') && <button
+                  type="button"
+                  onClick={() => setShowDashboards(true)}
+                  className="text-xs px-3 py-1 rounded border bg-gray-100 hover:bg-gray-200 border-gray-300
+                             dark:bg-gray-800 dark:hover:bg-gray-700 dark:border-gray-700 dark:text-gray-100"
+                  title="Pinned results as live, refreshable tiles"
+                >
+                  Dashboards
+                </button>}
+
+                {allowed('schedule_reports') && <button
+                  type="button"
+                  onClick={() => openSchedules()}
+                  className="text-xs px-3 py-1 rounded border bg-gray-100 hover:bg-gray-200 border-gray-300
+                             dark:bg-gray-800 dark:hover:bg-gray-700 dark:border-gray-700 dark:text-gray-100"
+                  title="Saved SQL run daily, weekly or on a cron schedule, with threshold alerts"
+                >
+                  Schedules
+                </button>}
+
+                {allowed('review_feedback') && <button
+                  type="button"
+                  onClick={() => setShowFeedbackReview(true)}
+                  className="text-xs px-3 py-1 rounded border bg-gray-100 hover:bg-gray-200 border-gray-300
+                             dark:bg-gray-800 dark:hover:bg-gray-700 dark:border-gray-700 dark:text-gray-100"
+                  title="Negative feedback: corrections to review and promote into examples"
+                >
+                  Feedback
+                </button>}
 
                 {/* CSV Upload (NEW) */}
-                <UploadCSV onUploaded={handleUploadedTenant} onRequireLogin={() => setShowLogin(true)} />
+                {allowed('upload') && <UploadData databases={visibleDbs} onUploaded={handleUploadedTenant} onRequireLogin={() => requireLogin()} />}
 
                 <span className={`text-xs px-2 py-1 rounded ${speech.isRecording ? 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-300' : 'bg-gray-100 text-gray-600 dark:bg-gray-800 dark:text-gray-300'}`}>
                   {speech.supported ? (speech.isRecording ? 'Listening…' : 'Voice ready') : 'Voice N/A'}
@@ -887,174 +1230,269 @@ export default function App() {
                 >
                   {theme === 'dark' ? 'Light' : 'Dark'}
                 </button>
-                <button
+                {allowed('metrics') && <button
                   type="button"
-                  onClick={toggleMetrics}
+                  onClick={() => setShowMetrics(v => !v)}
                   className="text-xs px-3 py-1 rounded border bg-gray-100 hover:bg-gray-200 border-gray-300
                              dark:bg-gray-800 dark:hover:bg-gray-700 dark:border-gray-700 dark:text-gray-100"
                 >
                   {showMetrics ? 'Hide Metrics' : 'Show Metrics'}
-                </button>
+                </button>}
               </div>
             </div>
 
-            {/* Metrics widget */}
-            {showMetrics && (
-              <div className="rounded-xl border border-gray-200 p-4 bg-gray-50 dark:bg-gray-800 dark:border-gray-700">
-                <div className="flex items-center justify-between mb-3">
-                  <h2 className="text-lg font-semibold dark:text-gray-100">Metrics</h2>
-                  {metricsLoading && <span className="text-xs text-gray-500 dark:text-gray-400">Loading…</span>}
-                </div>
-                {metricsError ? (
-                  <div className="text-sm text-red-600">{metricsError}</div>
-                ) : !metrics ? (
-                  <div className="text-sm text-gray-600 dark:text-gray-300">No data yet. Click “Show Metrics”.</div>
-                ) : (
-                  <>
-                    <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
-                      <Stat title="Total events" value={metrics.total_events} />
-                      <Stat title="SQL attempts" value={metrics.sql_attempts} />
-                      <Stat title="SQL success" value={metrics.sql_success} />
-                      <Stat title="Success rate" value={`${metrics.sql_success_rate_pct}%`} />
-                    </div>
-                    <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mt-3">
-                      <Stat title="Avg exec time (success)" value={metrics.avg_exec_ms_success == null ? '—' : `${Math.round(metrics.avg_exec_ms_success)} ms`} />
-                      <div className="rounded-lg p-3 bg-white border border-gray-200 dark:bg-gray-900 dark:border-gray-700">
-                        <div className="text-xs text-gray-500 dark:text-gray-400 mb-1">Type breakdown</div>
-                        {metrics.type_breakdown && Object.keys(metrics.type_breakdown).length ? (
-                          <ul className="text-sm dark:text-gray-100">
-                            {Object.entries(metrics.type_breakdown).map(([k, v]) => (
-                              <li key={k} className="flex justify-between">
-                                <span className="capitalize">{k}</span>
-                                <span className="font-medium">{v}</span>
-                              </li>
-                            ))}
-                          </ul>
-                        ) : (<div className="text-sm text-gray-500 dark:text-gray-400">No data</div>)}
-                      </div>
-                    </div>
-                    {metrics.per_db && Object.keys(metrics.per_db).length > 0 && (
-                      <div className="rounded-lg p-3 bg-white border border-gray-200 mt-3 dark:bg-gray-900 dark:border-gray-700">
-                        <div className="text-xs text-gray-500 dark:text-gray-400 mb-1">Per DB</div>
-                        <ul className="text-sm dark:text-gray-100">
-                          {Object.entries(metrics.per_db).map(([db, d]) => (
-                            <li key={db} className="flex justify-between">
-                              <span>{db}</span>
-                              <span>{d.sql_success}/{d.sql_attempts} success</span>
-                            </li>
-                          ))}
-                        </ul>
-                      </div>
-                    )}
-                  </>
-                )}
-              </div>
+            {/* Session about to lapse and no refresh token to extend it */}
+            {!expiryDismissed && !getRefreshToken() && (
+              <SessionExpiryBanner session={session} onLogin={() => requireLogin('Log in again to extend your session.')}
+                                   onDismiss={() => setExpiryDismissed(true)} />
+            )}
+
+            {/* Metrics dashboard */}
+            {showMetrics && allowed('metrics') && (
+              <MetricsDashboard databases={visibleDbs} refreshKey={metricsTick} onRequireLogin={() => requireLogin()} />
             )}
 
             {/* Conversation */}
             <div className="max-h-[60vh] overflow-y-auto space-y-4">
-              {conversation.map((msg, i) => (
-                <div key={msg.id || i} className={`flex ${msg.type === 'user' ? 'justify-end' : 'justify-start'}`}>
-                  <div className={`${msg.type === 'user' ? 'max-w-[80%]' : 'w-full'} p-4 rounded-2xl shadow ${
+              {conversation.map((msg, i) => (msg.type === 'thread' ? (
+                <div key={msg.id || i} className="flex items-center gap-3 text-xs text-gray-500 dark:text-gray-400">
+                  <div className="flex-1 border-t border-gray-300 dark:border-gray-700" />
+                  New thread — earlier messages are not sent as context
+                  <div className="flex-1 border-t border-gray-300 dark:border-gray-700" />
+                </div>
+              ) : (
+                <div key={msg.id || i} id={msg.id ? `msg-${msg.id}` : undefined}
+                     className={`flex ${msg.type === 'user' ? 'justify-end' : 'justify-start'}`}>
+                  <div className={`${msg.type === 'user' ? 'max-w-[80%]' : 'w-full'} p-4 rounded-2xl shadow transition-shadow ${
                     msg.type === 'user'
                       ? 'bg-blue-600 text-white rounded-br-none'
                       : 'bg-gray-100 text-gray-900 rounded-bl-none dark:bg-gray-800 dark:text-gray-100'
-                  }`}>
+                  } ${highlightId === msg.id ? 'ring-4 ring-amber-400' : pinnedId === msg.id ? 'ring-2 ring-blue-400' : ''}`}>
+
+                    {msg.parentId && (
+                      <button type="button" onClick={() => scrollToMessage(msg.parentId)}
+                              className="mb-2 text-xs text-blue-600 hover:underline dark:text-blue-400">
+                        {msg.meta?.savedQueryId ? '↳ Saved query' : '↳ Follow-up: edited SQL from an earlier result'}
+                      </button>
+                    )}
 
                     {msg.type === 'user' ? (
-                      <div><strong>You:</strong> {msg.content}</div>
+                      <div>
+                        {msg.refersTo && (
+                          <button type="button" onClick={() => scrollToMessage(msg.refersTo)}
+                                  className="mb-1 block text-xs text-blue-100 hover:underline text-left">
+                            ↪ About: “{conversation.find(m => m.id === msg.refersTo)?.originalQuery || 'an earlier result'}”
+                          </button>
+                        )}
+                        <strong>You:</strong> {msg.content}
+                        {msg.pending && (
+                          <div className="mt-1 flex items-center gap-2 text-xs text-blue-100">
+                            ⏳ Queued
+                            <button type="button" onClick={() => removeQueued(msg.id)} title="Remove from queue"
+                                    className="underline hover:text-white">Remove</button>
+                          </div>
+                        )}
+                        {msg.cancelled && <div className="mt-1 text-xs text-blue-100">⛔ Cancelled</div>}
+                        {msg.authBlocked && (
+                          <div className="mt-1 flex items-center gap-2 text-xs text-blue-100">
+                            🔒 Waiting for login — runs automatically once you’re logged in
+                            <button type="button" onClick={() => requireLogin()} className="underline hover:text-white">Log in</button>
+                            <button type="button" onClick={() => removeQueued(msg.id)} className="underline hover:text-white">Remove</button>
+                          </div>
+                        )}
+                      </div>
                     ) : msg.error ? (
                       <>
                         <div className="text-red-500"><strong>⚠️ Error:</strong> {msg.error}</div>
                         {msg.sql && (
-                          <>
-                            <div className="text-xs text-gray-500 mt-2 dark:text-gray-400">SQL (attempted):</div>
-                            <pre className="bg-white p-2 rounded text-xs overflow-x-auto dark:bg-gray-900 dark:border dark:border-gray-800">
-                              {msg.sql}
-                            </pre>
-                          </>
+                          <SqlPanel
+                            key={`sql-${msg.id}`}
+                            label="SQL (attempted):"
+                            sql={msg.sql}
+                            completions={[...sqlTables(msg.sql), ...schemaWords]}
+                            running={loading}
+                            onRun={allowed('run_sql') ? (sql) => runEditedSql(msg, sql) : null}
+                          />
                         )}
                       </>
                     ) : msg.reply ? (
                       <>
                         <div><strong>🤖:</strong> {msg.reply}</div>
-                        <FeedbackRow msg={msg} onUp={() => sendFeedback(msg.id, 1)} onDown={() => sendFeedback(msg.id, -1)} />
+                        <FeedbackRow msg={msg} onSubmit={(rating, details) => sendFeedback(msg.id, rating, details)} />
                       </>
                     ) : (
                       <div>
-                        <div className="text-xs text-gray-500 mb-1 dark:text-gray-400">🤖 SQL:</div>
-                        <pre className="bg-white p-2 rounded text-xs overflow-x-auto dark:bg-gray-900 dark:border dark:border-gray-800">
-                          {msg.sql}
-                        </pre>
+                        <SqlPanel
+                          key={`sql-${msg.id}`}
+                          label="🤖 SQL:"
+                          sql={msg.sql || ''}
+                          completions={[...sqlTables(msg.sql), ...Object.keys(msg.results?.[0] || {}), ...schemaWords]}
+                          running={loading}
+                          onRun={allowed('run_sql') ? (sql) => runEditedSql(msg, sql) : null}
+                        />
 
                         {(!msg.results || msg.results.length === 0) ? (
                           <p className="text-sm italic text-gray-500 dark:text-gray-400">No results found.</p>
                         ) : (
                           <>
-                            <div className="w-full overflow-x-auto">
-                              <table className="min-w-full text-sm mt-2 border border-black dark:border-gray-700 dark:text-gray-100">
-                                <thead className="sticky top-0 z-10">
-                                  <tr>
-                                    {Object.keys(msg.results[0]).map((col, idx) => (
-                                      <th
-                                        key={idx}
-                                        className="border border-black px-2 py-1 bg-gray-100 dark:bg-gray-800 dark:border-gray-700"
-                                      >
-                                        {col === 'name' ? 'Product' :
-                                        col === 'revenue' ? 'Revenue (RM)' :
-                                        col === 'total_sales' ? 'Quantity Sold' :
-                                        col === 'branch_name' ? 'Branch' :
-                                        col === 'region' ? 'Region' :
-                                        col}
-                                      </th>
-                                    ))}
-                                  </tr>
-                                </thead>
-                                <tbody>
-                                  {msg.results.map((row, rowIdx) => (
-                                    <tr key={rowIdx}>
-                                      {Object.entries(row).map(([key, val], colIdx) => (
-                                        <td
-                                          key={colIdx}
-                                          className="border border-black px-2 py-1 dark:border-gray-700"
-                                        >
-                                          {Number.isFinite(toNumber(val)) ? formatNumber(val) : String(val)}
-                                        </td>
-                                      ))}
-                                    </tr>
-                                  ))}
-                                </tbody>
-                              </table>
-                            </div>
-
-                            {msg.chartTitle && (
-                              <div className="mt-4 text-center font-semibold dark:text-gray-100">{msg.chartTitle}</div>
-                            )}
-
-                            <div className="mt-2" key={`chart-${msg.id || i}`}>
-                              {renderChart(
-                                msg.results,
-                                Object.keys(msg.results[0])[0],
-                                Object.keys(msg.results[0])[1],
-                                msg.chartType || 'bar',
-                                msg.chartColor || '#3b82f6',
-                                msg.xLabel || '',
-                                msg.yLabel || ''
-                              )}
-                            </div>
-
-                            <FeedbackRow msg={msg} onUp={() => sendFeedback(msg.id, 1)} onDown={() => sendFeedback(msg.id, -1)} />
+                            {(() => {
+                              const view = cachedTableView(msg.results, msg.tableState);
+                              const streamingNote = msg.streaming ? (
+                                <p className="text-xs text-gray-500 dark:text-gray-400">⏳ Receiving rows… {msg.results.length} so far</p>
+                              ) : msg.cancelled ? (
+                                <p className="text-xs text-gray-500 dark:text-gray-400">⛔ Cancelled — partial results ({msg.results.length} rows)</p>
+                              ) : null;
+                              const chartRows = msg.tableState?.followChart ? view.rows : msg.results;
+                              const spec = resolveChartSpec(msg.results, msg);
+                              return (
+                                <>
+                                  {streamingNote}
+                                  <div className="flex justify-end gap-2">
+                                    <button type="button" onClick={() => pinForFollowUp(msg.id)}
+                                            title="Ask a follow-up about this result"
+                                            className="text-xs px-2 py-1 rounded border border-gray-300 bg-white hover:bg-gray-50
+                                                       dark:bg-gray-900 dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100">
+                                      ↪ Follow up
+                                    </button>
+                                    <button type="button"
+                                            onClick={() => updateMessage(msg.id, {
+                                              pivotOpen: !msg.pivotOpen,
+                                              pivotConfig: msg.pivotConfig || pivotConfigFromSpec(spec)
+                                            })}
+                                            className="text-xs px-2 py-1 rounded border border-gray-300 bg-white hover:bg-gray-50
+                                                       dark:bg-gray-900 dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100">
+                                      {msg.pivotOpen ? 'Hide pivot' : 'Pivot'}
+                                    </button>
+                                    {allowed('save_queries') && msg.sql && (
+                                      <button type="button"
+                                              onClick={() => openSavedLibrary({ kind: 'sql', title: msg.chartTitle && msg.chartTitle !== 'Chart' ? msg.chartTitle : msg.originalQuery || '', question: msg.originalQuery || '', sql: msg.sql })}
+                                              title="Save this SQL to the library"
+                                              className="text-xs px-2 py-1 rounded border border-gray-300 bg-white hover:bg-gray-50
+                                                         dark:bg-gray-900 dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100">
+                                        ☆ Save
+                                      </button>
+                                    )}
+                                    {allowed('run_sql') && msg.sql && (
+                                      <PinMenu dashboards={dashboards} onPin={(target) => pinResult(msg, target)} />
+                                    )}
+                                    <ExportMenu rows={view.rows} columns={visibleColumns(view, msg.tableState)}
+                                                title={msg.chartTitle || msg.originalQuery || 'results'}
+                                                labelFor={labelFor}
+                                                formatCell={(v, c) => formatCell(v, c, view.kinds[c])}
+                                                numFormatFor={(c) => excelNumberFormat(columnDict, c)} />
+                                  </div>
+                                  <ResultTable
+                                    key={`table-${msg.id}`}
+                                    rows={msg.results}
+                                    state={msg.tableState}
+                                    onStateChange={(tableState) => updateMessage(msg.id, { tableState })}
+                                    labelFor={labelFor}
+                                    formatCell={formatCell}
+                                  />
+
+                                  {msg.pivotOpen && (() => {
+                                    // Pivot works on the table's filtered rows
+                                    const flat = pivotToRows(buildPivot(view.rows, msg.pivotConfig || {}), labelFor);
+                                    const valueOf = (c) => flat.valueOf[c];
+                                    return (
+                                      <div className="mt-4">
+                                        <div className="flex items-center justify-between">
+                                          <div className="text-sm font-semibold dark:text-gray-100">Pivot</div>
+                                          <ExportMenu rows={flat.rows} columns={flat.columns}
+                                                      title={`${msg.chartTitle || msg.originalQuery || 'results'} pivot`}
+                                                      labelFor={(c) => flat.labels[c]}
+                                                      formatCell={(v, c) => (valueOf(c) && v !== null && v !== undefined
+                                                        ? (valueOf(c).agg === 'count' ? String(v) : formatCell(v, valueOf(c).field, 'number'))
+                                                        : (v ?? ''))}
+                                                      numFormatFor={(c) => (valueOf(c) && valueOf(c).agg !== 'count'
+                                                        ? excelNumberFormat(columnDict, valueOf(c).field) : null)} />
+                                        </div>
+                                        <PivotTable
+                                          rows={view.rows}
+                                          config={msg.pivotConfig}
+                                          onConfigChange={(pivotConfig) => updateMessage(msg.id, { pivotConfig })}
+                                          labelFor={labelFor}
+                                          formatCell={formatCell}
+                                        />
+                                      </div>
+                                    );
+                                  })()}
+
+                                  <div className="mt-4 flex items-center justify-between gap-2">
+                                    <div className="flex-1 text-center font-semibold dark:text-gray-100">{msg.chartTitle}</div>
+                                    <button type="button"
+                                            onClick={() => setChartBuilderOpen(prev => ({ ...prev, [msg.id]: !prev[msg.id] }))}
+                                            className="text-xs px-2 py-1 rounded border border-gray-300 bg-white hover:bg-gray-50
+                                                       dark:bg-gray-900 dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100">
+                                      {chartBuilderOpen[msg.id] ? 'Hide chart options' : 'Chart options'}{msg.chartConfig ? ' •' : ''}
+                                    </button>
+                                    <ChartExportMenu
+                                      containerId={`chart-${msg.id || i}`}
+                                      theme={theme}
+                                      title={msg.chartTitle || ''}
+                                      xLabel={msg.xLabel || ''}
+                                      yLabel={msg.yLabel || ''}
+                                      legend={() => chartLegend(chartRows, spec, labelFor)}
+                                    />
+                                  </div>
+
+                                  {chartBuilderOpen[msg.id] && (
+                                    <ChartBuilder
+                                      rows={msg.results}
+                                      spec={spec}
+                                      hasConfig={Boolean(msg.chartConfig)}
+                                      labelFor={labelFor}
+                                      onChange={(chartConfig) => updateMessage(msg.id, { chartConfig })}
+                                      onReset={() => updateMessage(msg.id, { chartConfig: null })}
+                                    />
+                                  )}
+
+                                  <div className="mt-2" key={`chart-${msg.id || i}`} id={`chart-${msg.id || i}`}>
+                                    {chartRows.length === 0 ? (
+                                      <p className="text-sm italic text-gray-500 dark:text-gray-400">No rows match the current table filters.</p>
+                                    ) : (
+                                      <ChartView rows={chartRows} spec={spec} dict={columnDict}
+                                                 xLabel={msg.xLabel || ''} yLabel={msg.yLabel || ''} />
+                                    )}
+                                  </div>
+                                </>
+                              );
+                            })()}
+
+                            <FeedbackRow msg={msg} onSubmit={(rating, details) => sendFeedback(msg.id, rating, details)} />
                           </>
                         )}
                       </div>
                     )}
                   </div>
                 </div>
-              ))}
-              {loading && <div className="text-center text-gray-600 italic dark:text-gray-300">🤖 GPT is thinking...</div>}
+              )))}
+              {loading && (progress
+                ? <StreamProgress progress={progress} />
+                : <div className="text-center text-gray-600 italic dark:text-gray-300">🤖 GPT is thinking...</div>)}
               <div ref={messagesEndRef} />
             </div>
 
+            {/* Follow-up context */}
+            <div className="flex items-center gap-2 pt-2 text-xs text-gray-600 dark:text-gray-300">
+              {pinned ? (
+                <span className="inline-flex items-center gap-2 rounded-full bg-blue-50 px-3 py-1 text-blue-800 dark:bg-blue-900/40 dark:text-blue-200">
+                  <button type="button" onClick={() => scrollToMessage(pinnedId)} className="hover:underline truncate max-w-[28rem]">
+                    ↪ Follow-up on: “{pinned.originalQuery || 'earlier result'}”
+                  </button>
+                  <button type="button" onClick={() => setPinnedId(null)} title="Unpin">✕</button>
+                </span>
+              ) : (
+                <span>{threadTurns ? `Follow-ups use the last ${Math.min(threadTurns, MAX_CONTEXT_TURNS)} answer(s) of this thread` : 'New thread'}</span>
+              )}
+              <span className="flex-1" />
+              <button type="button" onClick={newThread} disabled={!conversation.length}
+                      className="px-2 py-1 rounded border border-gray-300 hover:bg-gray-50 disabled:opacity-50
+                                 dark:border-gray-700 dark:hover:bg-gray-800">
+                New thread
+              </button>
+            </div>
+
             {/* Input */}
             <form onSubmit={handleSubmit} className="flex gap-2 pt-2 items-center">
               <div className="relative flex-1">
@@ -1062,9 +1500,14 @@ export default function App() {
                   id="nl-input"
                   type="text"
                   value={query}
-                  onChange={(e) => setQuery(e.target.value)}
-                  disabled={loading}
-                  placeholder={speech.isRecording && speech.interim ? `🎤 ${speech.interim}` : "Ask: 'revenue per month by branch', 'sales by category', 'switch to dark mode'"}
+                  onChange={onQueryChange}
+                  onKeyDown={onQueryKeyDown}
+                  onBlur={() => setTimeout(() => setNlCompletion(null), 150)}
+                  autoComplete="off"
+                  disabled={!allowed('query')}
+                  placeholder={!allowed('query')
+                    ? 'Your role does not allow asking questions'
+                    : speech.isRecording && speech.interim ? `🎤 ${speech.interim}` : "Ask: 'revenue per month by branch', 'sales by category', 'switch to dark mode'"}
                   className="w-full border border-gray-300 rounded-lg px-4 py-2 pr-10
                              bg-white text-gray-900 dark:bg-gray-800 dark:border-gray-700 dark:text-gray-100 disabled:opacity-60"
                 />
@@ -1083,44 +1526,356 @@ export default function App() {
                 >
                   {speech.isRecording ? '■' : '🎤'}
                 </button>
+                {nlCompletion && (
+                  <ul role="listbox"
+                      className="absolute left-0 bottom-full mb-1 z-20 min-w-[14rem] rounded border border-gray-200 bg-white shadow text-sm
+                                 dark:bg-gray-900 dark:border-gray-700">
+                    {nlCompletion.items.map((item, idx) => (
+                      <li key={item} role="option" aria-selected={idx === nlCompletion.active}
+                          onMouseDown={(e) => { e.preventDefault(); acceptNlCompletion(item); }}
+                          className={`px-3 py-1 cursor-pointer ${idx === nlCompletion.active
+                            ? 'bg-blue-600 text-white'
+                            : 'text-gray-800 hover:bg-gray-100 dark:text-gray-100 dark:hover:bg-gray-800'}`}>
+                        {item}
+                      </li>
+                    ))}
+                  </ul>
+                )}
               </div>
 
               <button
                 type="submit"
-                disabled={loading}
+                disabled={!allowed('query')}
+                title={loading ? 'Runs after the current question' : undefined}
                 className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700
-                           dark:bg-blue-500 dark:hover:bg-blue-600"
+                           dark:bg-blue-500 dark:hover:bg-blue-600 disabled:opacity-50"
               >
-                {loading ? 'Thinking...' : 'Ask GPT'}
+                {loading ? 'Queue' : 'Ask GPT'}
               </button>
+              {loading && (
+                <button type="button" onClick={stopQuery}
+                        className="px-4 py-2 rounded border border-red-300 text-red-700 hover:bg-red-50
+                                   dark:border-red-700 dark:text-red-300 dark:hover:bg-red-900/30">
+                  ■ Stop
+                </button>
+              )}
+              <label className="flex items-center gap-1 text-xs text-gray-600 dark:text-gray-300"
+                     title="Show progress and rows as the answer streams in">
+                <input type="checkbox" checked={streamMode} onChange={(e) => setStreamMode(e.target.checked)} />
+                Stream
+              </label>
             </form>
           </div>
         </main>
 
+        <ColumnDictionaryEditor
+          open={showColumnDict}
+          db={selectedDb}
+          columns={Array.from(new Set([
+            ...schema.flatMap(t => t.columns.map(c => c.name)),
+            ...conversation.flatMap(m => Object.keys(m.results?.[0] || {}))
+          ]))}
+          dict={columnDict}
+          onSave={saveDictionary}
+          onLoadServer={() => fetchServerDictionary(selectedDb)}
+          onClose={() => setShowColumnDict(false)}
+        />
+
+        <TenantManager
+          open={showTenants && allowed('manage_tenants')}
+          user={user}
+          databases={visibleDbs}
+          selectedDb={selectedDb}
+          onClose={() => setShowTenants(false)}
+          onRenamed={handleTenantRenamed}
+          onDeleted={handleTenantDeleted}
+          onRequireLogin={() => requireLogin()}
+        />
+
+        <FeedbackReview
+          open={showFeedbackReview && allowed('review_feedback')}
+          databases={visibleDbs}
+          selectedDb={selectedDb}
+          onClose={() => setShowFeedbackReview(false)}
+          onRequireLogin={() => requireLogin()}
+        />
+
+        <SavedQueryLibrary
+          open={showSaved}
+          db={selectedDb}
+          user={user}
+          items={savedQueries}
+          loading={savedLoading}
+          loadError={savedError}
+          draft={savedDraft}
+          running={loading}
+          onReload={() => loadSavedQueries()}
+          onItemsChange={setSavedQueries}
+          onRun={runSavedQuery}
+          onSchedule={(item) => { setShowSaved(false); openSchedules({ draft: { savedQueryId: item.id } }); }}
+          onClose={() => setShowSaved(false)}
+          onRequireLogin={() => requireLogin()}
+        />
+
+        <DashboardView
+          open={showDashboards}
+          db={selectedDb}
+          dashboards={dashboards}
+          dict={columnDict}
+          canRun={allowed('run_sql')}
+          onChange={changeDashboards}
+          onClose={() => setShowDashboards(false)}
+        />
+
+        <ScheduleEditor
+          open={showSchedules && allowed('schedule_reports')}
+          db={selectedDb}
+          user={user}
+          savedQueries={savedQueries}
+          draft={scheduleDraft}
+          focusId={scheduleFocus}
+          onClose={() => setShowSchedules(false)}
+          onRequireLogin={() => requireLogin()}
+        />
+
+        <CommandPalette
+          open={showPalette}
+          items={savedQueries.filter(q => (q.kind === 'question' ? allowed('query') : allowed('run_sql')))}
+          actions={[
+            { id: 'new', label: 'New session', run: newSession },
+            { id: 'saved', label: 'Open saved queries', hint: selectedDb, run: () => openSavedLibrary() },
+            { id: 'dashboards', label: 'Open dashboards', hint: selectedDb, run: () => setShowDashboards(true) },
+            { id: 'schema', label: showSchema ? 'Hide schema' : 'Show schema', run: () => setShowSchema(v => !v) },
+            ...(allowed('metrics') ? [{ id: 'metrics', label: showMetrics ? 'Hide metrics' : 'Show metrics', run: () => setShowMetrics(v => !v) }] : []),
+            ...(allowed('schedule_reports') ? [{ id: 'schedules', label: 'Open scheduled reports', hint: selectedDb, run: () => openSchedules() }] : []),
+            ...(allowed('manage_tenants') ? [{ id: 'tenants', label: 'Manage databases', run: () => setShowTenants(true) }] : []),
+            ...(allowed('review_feedback') ? [{ id: 'feedback', label: 'Review feedback', run: () => setShowFeedbackReview(true) }] : [])
+          ]}
+          running={loading}
+          onRunSaved={runSavedQuery}
+          onClose={() => setShowPalette(false)}
+        />
+
         {/* Login Modal (NEW) */}
-        <LoginModal open={showLogin} onClose={() => setShowLogin(false)} onSuccess={() => setShowLogin(false)} />
+        <LoginModal open={showLogin} reason={loginReason} onClose={() => setShowLogin(false)} onSuccess={handleLoggedIn} />
       </div>
     </ErrorBoundary>
   );
 }
 
 /* ───────── Small presentational helpers ───────── */
-function Stat({ title, value }) {
+function ExportMenu({ rows, columns, title, labelFor, formatCell, numFormatFor }) {
+  const [open, setOpen] = useState(false);
+  const [status, setStatus] = useState('');
+  const labels = columns.map(labelFor);
+
+  const flash = (text) => { setStatus(text); setTimeout(() => setStatus(''), 2000); };
+  const run = async (fn, done) => {
+    setOpen(false);
+    try { await fn(); if (done) flash(done); } catch (e) { flash(`⚠️ ${e.message || 'Export failed'}`); }
+  };
+
+  const itemCls = 'block w-full text-left px-3 py-1 hover:bg-gray-100 dark:hover:bg-gray-800 dark:text-gray-100';
   return (
-    <div className="rounded-lg p-3 bg-white border border-gray-200 dark:bg-gray-900 dark:border-gray-700">
-      <div className="text-xs text-gray-500 dark:text-gray-400">{title}</div>
-      <div className="text-xl font-semibold dark:text-gray-100">{value}</div>
+    <div className="relative inline-flex items-center gap-2">
+      {status && <span className="text-xs text-gray-500 dark:text-gray-400">{status}</span>}
+      <button type="button" onClick={() => setOpen(o => !o)} aria-haspopup="menu" aria-expanded={open}
+              className="text-xs px-2 py-1 rounded border border-gray-300 bg-white hover:bg-gray-50
+                         dark:bg-gray-900 dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100">
+        Export ▾
+      </button>
+      {open && (
+        <div role="menu"
+             className="absolute right-0 top-full mt-1 z-20 w-48 rounded border border-gray-200 bg-white shadow text-xs py-1
+                        dark:bg-gray-900 dark:border-gray-700">
+          {EXPORT_FORMATS.map(f => (
+            <button key={f.id} type="button" role="menuitem" className={itemCls}
+                    onClick={() => run(() => exportRows(f.id, rows, columns, labels, title, { numFormats: columns.map(numFormatFor) }))}>
+              Download {f.label}
+            </button>
+          ))}
+          <div className="my-1 border-t border-gray-200 dark:border-gray-700" />
+          <button type="button" role="menuitem" className={itemCls}
+                  onClick={() => run(() => copyText(toMarkdown(rows, columns, labels, formatCell)), 'Copied Markdown table')}>
+            Copy as Markdown table
+          </button>
+          <button type="button" role="menuitem" className={itemCls}
+                  onClick={() => run(() => copyText(toTSV(rows, columns, labels)), 'Copied (paste into a spreadsheet)')}>
+            Copy as TSV
+          </button>
+        </div>
+      )}
     </div>
   );
 }
 
-function FeedbackRow({ msg, onUp, onDown }) {
+function ChartExportMenu({ containerId, theme, title, xLabel, yLabel, legend }) {
+  const [open, setOpen] = useState(false);
+  const [forceLight, setForceLight] = useState(() => localStorage.getItem('chart_export_light') === '1');
+  const [status, setStatus] = useState('');
+
+  useEffect(() => { localStorage.setItem('chart_export_light', forceLight ? '1' : '0'); }, [forceLight]);
+
+  const run = async (kind) => {
+    setOpen(false);
+    try {
+      const svgEl = document.getElementById(containerId)?.querySelector('svg.recharts-surface');
+      const opts = { title, xLabel, yLabel, legend: legend(), theme: forceLight ? 'light' : theme };
+      if (kind === 'png') await downloadChartPng(svgEl, opts);
+      else downloadChartSvg(svgEl, opts);
+    } catch (e) {
+      setStatus(`⚠️ ${e.message || 'Chart export failed'}`);
+      setTimeout(() => setStatus(''), 3000);
+    }
+  };
+
+  const itemCls = 'block w-full text-left px-3 py-1 hover:bg-gray-100 dark:hover:bg-gray-800 dark:text-gray-100';
+  return (
+    <div className="relative inline-flex items-center gap-2">
+      {status && <span className="text-xs text-red-600">{status}</span>}
+      <button type="button" onClick={() => setOpen(o => !o)} aria-haspopup="menu" aria-expanded={open}
+              className="text-xs px-2 py-1 rounded border border-gray-300 bg-white hover:bg-gray-50
+                         dark:bg-gray-900 dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100">
+        Chart ▾
+      </button>
+      {open && (
+        <div role="menu"
+             className="absolute right-0 top-full mt-1 z-20 w-52 rounded border border-gray-200 bg-white shadow text-xs py-1
+                        dark:bg-gray-900 dark:border-gray-700">
+          <button type="button" role="menuitem" className={itemCls} onClick={() => run('png')}>Download PNG (high-DPI)</button>
+          <button type="button" role="menuitem" className={itemCls} onClick={() => run('svg')}>Download SVG (vector)</button>
+          <div className="my-1 border-t border-gray-200 dark:border-gray-700" />
+          <label className="flex items-center gap-2 px-3 py-1 dark:text-gray-100">
+            <input type="checkbox" checked={forceLight} onChange={(e) => setForceLight(e.target.checked)} />
+            Force light background
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function StreamProgress({ progress }) {
+  const stages = STREAM_STAGES.filter(s => s.id !== 'done');
+  const current = stages.findIndex(s => s.id === progress.stage);
+  return (
+    <div className="mx-auto max-w-xl rounded-lg border border-gray-200 bg-white p-3 text-sm dark:bg-gray-900 dark:border-gray-700 dark:text-gray-100">
+      {stages.map((s, i) => {
+        const state = current === -1 ? 'todo' : i < current ? 'done' : i === current ? 'active' : 'todo';
+        return (
+          <div key={s.id} className={state === 'todo' ? 'text-gray-400 dark:text-gray-500' : ''}>
+            <span className="inline-block w-5">{state === 'done' ? '✅' : state === 'active' ? '⏳' : '○'}</span>
+            {s.label}
+            {s.id === 'understanding' && progress.message && <span className="text-gray-500 dark:text-gray-400"> — {progress.message}</span>}
+            {s.id === 'rows' && progress.rowCount !== null && <span className="text-gray-500 dark:text-gray-400"> — {progress.rowCount} rows</span>}
+            {s.id === 'sql' && progress.sql && (
+              <pre className="ml-5 mt-1 max-h-24 overflow-auto whitespace-pre-wrap rounded bg-gray-100 p-2 text-xs dark:bg-gray-800">{progress.sql}</pre>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// `onRun` null → read-only (role can't run SQL)
+function SqlPanel({ label, sql, completions, running, onRun }) {
+  const [draft, setDraft] = useState(sql);
+  const dirty = draft !== sql;
+
+  if (!onRun) {
+    return (
+      <div className="mt-2 mb-2">
+        <div className="text-xs text-gray-500 dark:text-gray-400 mb-1">{label}</div>
+        <SqlEditor value={sql} onChange={() => {}} completions={completions} readOnly />
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-2 mb-2">
+      <div className="flex items-center justify-between mb-1">
+        <span className="text-xs text-gray-500 dark:text-gray-400">{label}{dirty ? ' (edited)' : ''}</span>
+        <span className="flex gap-2">
+          {dirty && (
+            <button type="button" onClick={() => setDraft(sql)}
+                    className="text-xs px-2 py-0.5 rounded border border-gray-300 hover:bg-gray-50
+                               dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100">
+              Reset
+            </button>
+          )}
+          <button type="button" disabled={!dirty || running} onClick={() => onRun(draft)}
+                  title="Run edited SQL (Ctrl/⌘+Enter)"
+                  className="text-xs px-2 py-0.5 rounded bg-blue-600 text-white hover:bg-blue-700
+                             dark:bg-blue-500 dark:hover:bg-blue-600 disabled:opacity-50">
+            Run edited SQL
+          </button>
+        </span>
+      </div>
+      <SqlEditor value={draft} onChange={setDraft} completions={completions}
+                 onRun={() => { if (dirty && !running) onRun(draft); }} />
+    </div>
+  );
+}
+
+function SessionList({ sessions, activeId, onNew, onOpen, onRename, onDuplicate, onDelete }) {
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState('');
+
+  const startRename = (s) => { setEditingId(s.id); setDraft(s.name); };
+  const commitRename = () => { if (editingId) onRename(editingId, draft); setEditingId(null); };
+
   return (
-    <div className="flex items-center justify-between mt-3">
-      <span className="text-xs text-gray-500 dark:text-gray-400">
-        {msg.feedback ? (msg.feedback === 'up' ? 'Thanks for the feedback! 👍' : 'Thanks for the feedback! 👎') : 'Was this helpful?'}
-      </span>
-      <FeedbackButtons disabled={!!msg.feedback} onUp={onUp} onDown={onDown} />
+    <div className="flex flex-col gap-2">
+      <div className="flex items-center justify-between">
+        <div className="text-lg font-semibold dark:text-gray-100">Sessions</div>
+        <button onClick={onNew}
+                className="text-xs px-2 py-1 rounded border bg-gray-100 hover:bg-gray-200 border-gray-300
+                           dark:bg-gray-800 dark:hover:bg-gray-700 dark:border-gray-700 dark:text-gray-100">
+          + New
+        </button>
+      </div>
+      <div className="max-h-60 overflow-y-auto pr-1">
+        {sessions.length === 0 ? (
+          <div className="text-xs text-gray-500 dark:text-gray-400">No saved sessions yet.</div>
+        ) : sessions.map(s => (
+          <div key={s.id}
+               className={`group border rounded-md p-2 mb-2 ${s.id === activeId
+                 ? 'border-blue-400 bg-blue-50 dark:border-blue-500 dark:bg-blue-900/20'
+                 : 'border-gray-200 hover:bg-gray-50 dark:border-gray-800 dark:hover:bg-gray-800'}`}>
+            {editingId === s.id ? (
+              <input
+                autoFocus
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onBlur={commitRename}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') commitRename();
+                  if (e.key === 'Escape') setEditingId(null);
+                }}
+                className="w-full border border-gray-300 rounded px-2 py-1 text-sm
+                           dark:bg-gray-800 dark:border-gray-700 dark:text-gray-100"
+              />
+            ) : (
+              <button className="text-left text-sm font-medium text-gray-800 w-full truncate dark:text-gray-100"
+                      title={s.name} onClick={() => onOpen(s.id)}>
+                {s.name}
+              </button>
+            )}
+            <div className="flex items-center justify-between mt-1">
+              <span className="text-[11px] text-gray-400">
+                {s.messageCount} msgs · {new Date(s.updatedAt).toLocaleString()}
+              </span>
+              <span className="flex gap-2 opacity-0 group-hover:opacity-100">
+                <button className="text-[11px] text-blue-600 dark:text-blue-400" onClick={() => startRename(s)}>rename</button>
+                <button className="text-[11px] text-blue-600 dark:text-blue-400" onClick={() => onDuplicate(s.id)}>duplicate</button>
+                <button className="text-[11px] text-red-600" onClick={() => onDelete(s.id)}>delete</button>
+              </span>
+            </div>
+          </div>
+        ))}
+      </div>
     </div>
   );
 }
+
@@ -0,0 +1,141 @@
+// src/ChartBuilder.js
+// Per-message chart configuration: overrides resolveAxes' guesses. Changes
+// are written to `msg.chartConfig` so they persist with the session.
+
+import React from 'react';
+import { CHART_TYPES, CHART_TYPE_LABELS, STACKABLE_TYPES, AGGREGATIONS, chartLegend } from './charts';
+import { columnKind } from './ResultTable';
+
+export default function ChartBuilder({ rows, spec, hasConfig, labelFor, onChange, onReset }) {
+  const cols = Object.keys(rows?.[0] || {});
+  const numericCols = cols.filter(c => columnKind(rows, c) === 'number');
+  const metricCols = numericCols.length ? numericCols : cols;
+  const legend = chartLegend(rows, spec, labelFor);
+
+  // Always write a full config so later auto-resolution changes don't shift it
+  const commit = (patch) => onChange({
+    type: spec.type,
+    xKey: spec.xKey,
+    seriesKey: spec.seriesKey,
+    yKeys: spec.yKeys,
+    sizeKey: spec.sizeKey,
+    agg: spec.agg,
+    stacked: spec.stacked,
+    percent: spec.percent,
+    color: spec.color,
+    colors: spec.colors,
+    ...patch
+  });
+
+  const toggleY = (c) => {
+    const next = spec.yKeys.includes(c) ? spec.yKeys.filter(y => y !== c) : [...spec.yKeys, c];
+    if (next.length) commit({ yKeys: next });
+  };
+  const setColor = (name, color) => {
+    // Single plain series keeps using chartColor so backend colour actions still apply
+    if (legend.length === 1 && spec.type !== 'pie') commit({ color, colors: { ...spec.colors, [name]: color } });
+    else commit({ colors: { ...spec.colors, [name]: color } });
+  };
+
+  const stackMode = spec.stacked ? (spec.percent ? 'percent' : 'stacked') : 'grouped';
+  const hint = {
+    combo: 'First Y metric is drawn as bars; the others as lines on the right axis.',
+    scatter: 'Uses the first Y metric; pick a size column for a bubble chart.',
+    heatmap: 'Rows are X values, columns are series values (or Y metrics without a series).'
+  }[spec.type];
+
+  const sel = 'border border-gray-300 rounded px-2 py-1 text-xs bg-white text-gray-900 dark:bg-gray-900 dark:border-gray-700 dark:text-gray-100';
+  const lbl = 'flex flex-col gap-1 text-[11px] text-gray-500 dark:text-gray-400';
+
+  return (
+    <div className="mt-2 rounded-lg border border-gray-200 bg-white p-3 text-xs dark:bg-gray-900 dark:border-gray-700">
+      <div className="flex flex-wrap items-end gap-3">
+        <label className={lbl}>
+          Chart type
+          <select className={sel} value={spec.type} onChange={(e) => commit({ type: e.target.value })}>
+            {CHART_TYPES.map(t => <option key={t} value={t}>{CHART_TYPE_LABELS[t]}</option>)}
+          </select>
+        </label>
+        <label className={lbl}>
+          X axis
+          <select className={sel} value={spec.xKey || ''} onChange={(e) => commit({
+            xKey: e.target.value,
+            seriesKey: spec.seriesKey === e.target.value ? null : spec.seriesKey
+          })}>
+            {cols.map(c => <option key={c} value={c}>{labelFor(c)}</option>)}
+          </select>
+        </label>
+        <label className={lbl}>
+          Series
+          <select className={sel} value={spec.seriesKey || ''} disabled={spec.type === 'combo'} onChange={(e) => commit({ seriesKey: e.target.value || null })}>
+            <option value="">(none)</option>
+            {cols.filter(c => c !== spec.xKey).map(c => <option key={c} value={c}>{labelFor(c)}</option>)}
+          </select>
+        </label>
+        <label className={lbl}>
+          Aggregation
+          <select className={sel} value={spec.agg} onChange={(e) => commit({ agg: e.target.value })}>
+            {AGGREGATIONS.map(a => <option key={a} value={a}>{a}</option>)}
+          </select>
+        </label>
+        {STACKABLE_TYPES.includes(spec.type) && (
+          <label className={lbl}>
+            Stacking
+            <select className={sel} value={stackMode} onChange={(e) => commit({
+              stacked: e.target.value !== 'grouped',
+              percent: e.target.value === 'percent'
+            })}>
+              <option value="grouped">{spec.type === 'area' ? 'Overlapping' : 'Grouped'}</option>
+              <option value="stacked">Stacked</option>
+              <option value="percent">100% stacked</option>
+            </select>
+          </label>
+        )}
+        {spec.type === 'scatter' && (
+          <label className={lbl}>
+            Size
+            <select className={sel} value={spec.sizeKey || ''} onChange={(e) => commit({ sizeKey: e.target.value || null })}>
+              <option value="">(none)</option>
+              {numericCols.filter(c => c !== spec.xKey).map(c => <option key={c} value={c}>{labelFor(c)}</option>)}
+            </select>
+          </label>
+        )}
+        <span className="flex-1" />
+        <button type="button" disabled={!hasConfig} onClick={onReset}
+                className="px-2 py-1 rounded border border-gray-300 hover:bg-gray-50 disabled:opacity-50
+                           dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100">
+          Reset to auto
+        </button>
+      </div>
+
+      {hint && <div className="mt-2 text-[11px] text-gray-500 dark:text-gray-400">{hint}</div>}
+
+      <div className="mt-3">
+        <div className="text-[11px] text-gray-500 dark:text-gray-400 mb-1">Y metrics</div>
+        <div className="flex flex-wrap gap-3">
+          {metricCols.filter(c => c !== spec.xKey).map(c => (
+            <label key={c} className="flex items-center gap-1 text-gray-700 dark:text-gray-200">
+              <input type="checkbox" checked={spec.yKeys.includes(c)} onChange={() => toggleY(c)} />
+              {labelFor(c)}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      {legend.length > 0 && (
+        <div className="mt-3">
+          <div className="text-[11px] text-gray-500 dark:text-gray-400 mb-1">Colours</div>
+          <div className="flex flex-wrap gap-3 max-h-24 overflow-y-auto">
+            {legend.slice(0, 40).map(it => (
+              <label key={it.name} className="flex items-center gap-1 text-gray-700 dark:text-gray-200">
+                <input type="color" value={it.color} onChange={(e) => setColor(it.name, e.target.value)}
+                       className="h-5 w-6 p-0 border-0 bg-transparent" />
+                <span className="truncate max-w-[10rem]">{it.name}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
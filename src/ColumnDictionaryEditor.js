@@ -0,0 +1,135 @@
+// src/ColumnDictionaryEditor.js
+// Modal for editing the selected DB's column dictionary (labels, units, formats).
+
+import React, { useEffect, useState } from 'react';
+import { COLUMN_FORMATS, DATE_STYLES, cleanEntry, formatColumnValue, columnLabel } from './columnDictionary';
+
+const SAMPLE = { number: 1234.5, currency: 1234.5, percent: 12.345, date: '2024-03-15', auto: 1234.5, text: 'abc' };
+
+export default function ColumnDictionaryEditor({ open, db, columns, dict, onSave, onLoadServer, onClose }) {
+  const [draft, setDraft] = useState(dict || {});
+  const [extra, setExtra] = useState('');
+  const [status, setStatus] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => { if (open) { setDraft(dict || {}); setStatus(''); } }, [open, dict]);
+  if (!open) return null;
+
+  const cols = Array.from(new Set([...(columns || []), ...Object.keys(draft)])).sort();
+  const setField = (col, key, value) => setDraft(prev => ({ ...prev, [col]: { ...(prev[col] || {}), [key]: value } }));
+  const removeCol = (col) => setDraft(prev => { const next = { ...prev }; delete next[col]; return next; });
+
+  const save = async () => {
+    const cleaned = {};
+    Object.entries(draft).forEach(([c, e]) => {
+      const ce = cleanEntry(e);
+      if (Object.keys(ce).length) cleaned[c] = ce;
+    });
+    setBusy(true);
+    try {
+      const msg = await onSave(cleaned);
+      setStatus(msg || '✅ Saved');
+    } catch (e) {
+      setStatus(`⚠️ ${e.message || 'Save failed'}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const loadServer = async () => {
+    setBusy(true);
+    try {
+      const fromServer = await onLoadServer();
+      setDraft(fromServer || {});
+      setStatus('Loaded from server (not saved yet)');
+    } catch (e) {
+      setStatus(`⚠️ ${e.message || 'Load failed'}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const input = 'w-full border border-gray-300 rounded px-2 py-1 text-xs bg-white text-gray-900 dark:bg-gray-800 dark:border-gray-700 dark:text-gray-100';
+  const btn = 'text-xs px-3 py-1 rounded border border-gray-300 hover:bg-gray-50 dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100 disabled:opacity-50';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[999]">
+      <div className="w-full max-w-5xl max-h-[85vh] flex flex-col rounded-xl bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 p-4 gap-3">
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-semibold dark:text-gray-100">Column dictionary ({db})</div>
+          <button type="button" onClick={onClose} className="text-sm text-gray-500 dark:text-gray-400">✕</button>
+        </div>
+        <div className="overflow-auto flex-1">
+          <table className="min-w-full text-xs dark:text-gray-100">
+            <thead>
+              <tr className="text-left text-gray-500 dark:text-gray-400">
+                <th className="p-1">Column</th>
+                <th className="p-1">Label</th>
+                <th className="p-1">Format</th>
+                <th className="p-1">Currency / date style</th>
+                <th className="p-1">Decimals</th>
+                <th className="p-1">Unit</th>
+                <th className="p-1">Preview</th>
+                <th className="p-1" />
+              </tr>
+            </thead>
+            <tbody>
+              {cols.map(col => {
+                const e = draft[col] || {};
+                const fmt = e.format || 'auto';
+                return (
+                  <tr key={col} className="border-t border-gray-100 dark:border-gray-800">
+                    <td className="p-1 font-mono">{col}</td>
+                    <td className="p-1"><input className={input} value={e.label || ''} placeholder={col}
+                                               onChange={(ev) => setField(col, 'label', ev.target.value)} /></td>
+                    <td className="p-1">
+                      <select className={input} value={fmt} onChange={(ev) => setField(col, 'format', ev.target.value)}>
+                        {COLUMN_FORMATS.map(f => <option key={f} value={f}>{f}</option>)}
+                      </select>
+                    </td>
+                    <td className="p-1">
+                      {fmt === 'currency' ? (
+                        <input className={input} value={e.currency || ''} placeholder="MYR" maxLength={3}
+                               onChange={(ev) => setField(col, 'currency', ev.target.value.toUpperCase())} />
+                      ) : fmt === 'date' ? (
+                        <select className={input} value={e.dateStyle || 'medium'} onChange={(ev) => setField(col, 'dateStyle', ev.target.value)}>
+                          {DATE_STYLES.map(d => <option key={d} value={d}>{d}</option>)}
+                        </select>
+                      ) : <span className="text-gray-400">—</span>}
+                    </td>
+                    <td className="p-1 w-20">
+                      <input className={input} type="number" min={0} max={10} value={e.decimals ?? ''}
+                             onChange={(ev) => setField(col, 'decimals', ev.target.value === '' ? '' : Number(ev.target.value))} />
+                    </td>
+                    <td className="p-1 w-24"><input className={input} value={e.unit || ''} placeholder="e.g. kg"
+                                                    onChange={(ev) => setField(col, 'unit', ev.target.value)} /></td>
+                    <td className="p-1 whitespace-nowrap text-gray-600 dark:text-gray-300">
+                      <div className="font-semibold">{columnLabel({ [col]: cleanEntry(e) }, col)}</div>
+                      <div>{formatColumnValue({ [col]: cleanEntry(e) }, col, SAMPLE[fmt], 'number')}</div>
+                    </td>
+                    <td className="p-1">
+                      <button type="button" className="text-red-600" title="Remove entry" onClick={() => removeCol(col)}>✕</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <input className={`${input} w-48`} value={extra} placeholder="Add column name…"
+                 onChange={(e) => setExtra(e.target.value)} />
+          <button type="button" className={btn} disabled={!extra.trim()}
+                  onClick={() => { setField(extra.trim(), 'label', ''); setExtra(''); }}>Add</button>
+          <span className="flex-1 text-xs text-gray-600 dark:text-gray-300">{status}</span>
+          <button type="button" className={btn} disabled={busy} onClick={loadServer}>Load from server</button>
+          <button type="button" className={btn} onClick={onClose}>Close</button>
+          <button type="button" disabled={busy} onClick={save}
+                  className="text-xs px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700 dark:bg-blue-500 disabled:opacity-50">
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+// src/CommandPalette.js
+// Ctrl/⌘ + K palette: type to filter app actions and the saved queries of the
+// selected database; Enter runs an action or opens a saved query, asking for
+// its parameters first when it has any.
+
+import React, { useEffect, useRef, useState } from 'react';
+import ParameterForm from './ParameterForm';
+import { searchSaved, savedText } from './savedQueries';
+
+const MAX_ITEMS = 12;
+
+export default function CommandPalette({ open, items = [], actions = [], running = false, onRunSaved, onClose }) {
+  const [text, setText] = useState('');
+  const [active, setActive] = useState(0);
+  const [picked, setPicked] = useState(null);      // saved query waiting for its parameters
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    setText(''); setActive(0); setPicked(null);
+    setTimeout(() => inputRef.current?.focus(), 0);
+  }, [open]);
+
+  if (!open) return null;
+
+  const q = text.trim().toLowerCase();
+  const entries = [
+    ...actions.filter(a => !q || a.label.toLowerCase().includes(q)).map(a => ({ key: `a:${a.id}`, label: a.label, hint: a.hint || '', action: a })),
+    ...searchSaved(items, text).map(s => ({
+      key: `s:${s.id}`, label: s.title, hint: [s.kind === 'sql' ? 'SQL' : 'Question', ...s.tags.map(t => `#${t}`)].join(' · '), saved: s
+    }))
+  ].slice(0, MAX_ITEMS);
+  const current = Math.min(active, Math.max(entries.length - 1, 0));
+
+  const choose = (entry) => {
+    if (!entry) return;
+    if (entry.action) { onClose(); entry.action.run(); return; }
+    if (entry.saved.params.length) { setPicked(entry.saved); return; }
+    onClose();
+    onRunSaved(entry.saved, savedText(entry.saved));
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'ArrowDown') { e.preventDefault(); setActive((current + 1) % Math.max(entries.length, 1)); }
+    else if (e.key === 'ArrowUp') { e.preventDefault(); setActive((current - 1 + entries.length) % Math.max(entries.length, 1)); }
+    else if (e.key === 'Enter') { e.preventDefault(); choose(entries[current]); }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-start justify-center pt-[15vh] z-[1000]" onClick={onClose}
+         onKeyDown={(e) => { if (e.key === 'Escape') { e.stopPropagation(); if (picked) setPicked(null); else onClose(); } }}>
+      <div role="dialog" aria-label="Command palette" onClick={(e) => e.stopPropagation()}
+           className="w-full max-w-xl rounded-xl bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 shadow-xl overflow-hidden">
+        {picked ? (
+          <div className="p-4 space-y-2">
+            <div className="text-sm font-semibold dark:text-gray-100">{picked.title}</div>
+            <ParameterForm item={picked} running={running}
+                           onRun={(filled) => { onClose(); onRunSaved(picked, filled); }}
+                           onCancel={() => setPicked(null)} />
+          </div>
+        ) : (
+          <>
+            <input ref={inputRef} value={text} onChange={(e) => { setText(e.target.value); setActive(0); }} onKeyDown={onKeyDown}
+                   placeholder="Search saved queries and actions…" aria-label="Command"
+                   className="w-full px-4 py-3 text-sm border-b border-gray-200 outline-none bg-white text-gray-900
+                              dark:bg-gray-900 dark:border-gray-700 dark:text-gray-100" />
+            <ul className="max-h-80 overflow-auto py-1" role="listbox" aria-label="Results">
+              {entries.map((entry, i) => (
+                <li key={entry.key} role="option" aria-selected={i === current}>
+                  <button type="button" onMouseEnter={() => setActive(i)} onClick={() => choose(entry)}
+                          className={`w-full text-left px-4 py-2 flex items-center justify-between gap-3 text-sm ${i === current
+                            ? 'bg-blue-50 dark:bg-blue-900/30' : ''} dark:text-gray-100`}>
+                    <span className="truncate">{entry.action ? '⚡ ' : '📄 '}{entry.label}</span>
+                    <span className="shrink-0 text-[11px] text-gray-500 dark:text-gray-400">{entry.hint}</span>
+                  </button>
+                </li>
+              ))}
+              {!entries.length && <li className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">No matches</li>}
+            </ul>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import CommandPalette from './CommandPalette';
+import { normalizeSavedQuery } from './savedQueries';
+
+const items = [
+  normalizeSavedQuery({ id: 'q1', title: 'Weekly revenue', sql: 'SELECT 1' }),
+  normalizeSavedQuery({ id: 'q2', title: 'Branch report', question: 'revenue for {{branch}}', params: [{ name: 'branch' }] })
+];
+
+test('filters actions and saved queries; Enter runs, parameters are asked for first', () => {
+  const onRunSaved = jest.fn();
+  const onClose = jest.fn();
+  const newSession = jest.fn();
+  render(<CommandPalette open items={items} actions={[{ id: 'new', label: 'New session', run: newSession }]}
+                         onRunSaved={onRunSaved} onClose={onClose} />);
+
+  const box = screen.getByLabelText('Command');
+  expect(screen.getAllByRole('option')).toHaveLength(3);
+  fireEvent.change(box, { target: { value: 'weekly' } });
+  fireEvent.keyDown(box, { key: 'Enter' });
+  expect(onRunSaved).toHaveBeenCalledWith(items[0], 'SELECT 1');
+
+  fireEvent.change(box, { target: { value: 'report' } });
+  fireEvent.keyDown(box, { key: 'Enter' });
+  expect(screen.getByLabelText(/^Branch/)).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText(/^Branch/), { target: { value: 'Leeds' } });
+  fireEvent.click(screen.getByText('Ask'));
+  expect(onRunSaved).toHaveBeenLastCalledWith(items[1], 'revenue for Leeds');
+
+  // Escape goes back from the form to the list
+  fireEvent.keyDown(screen.getByLabelText(/^Branch/), { key: 'Escape' });
+  expect(screen.getByLabelText('Command')).toBeInTheDocument();
+  expect(newSession).not.toHaveBeenCalled();
+});
+
+test('arrow keys move the selection onto an action', () => {
+  const run = jest.fn();
+  render(<CommandPalette open items={items} actions={[{ id: 'schema', label: 'Show schema', run }]} onRunSaved={() => {}} onClose={() => {}} />);
+  const box = screen.getByLabelText('Command');
+  fireEvent.keyDown(box, { key: 'ArrowDown' });
+  fireEvent.keyDown(box, { key: 'ArrowUp' });
+  expect(screen.getAllByRole('option')[0]).toHaveAttribute('aria-selected', 'true');
+  fireEvent.keyDown(box, { key: 'Enter' });
+  expect(run).toHaveBeenCalled();
+});
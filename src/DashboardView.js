@@ -0,0 +1,397 @@
+// src/DashboardView.js
+// Dashboard screen for the selected database: pick / create / rename / delete
+// dashboards, import and export them as JSON, set the global filters and
+// arrange tiles in a grid (drag a tile by its title bar, resize it from the
+// corner). Each tile re-runs its SQL on load, on its own schedule and when the
+// filters change. PinMenu is the "📌 Pin" menu shown under results.
+
+import React, { useEffect, useRef, useState } from 'react';
+import { normalizeError } from './api';
+import { ChartView, resolveChartSpec } from './charts';
+import { columnLabel, formatColumnValue } from './columnDictionary';
+import { downloadBlob, exportFilename } from './exporters';
+import { ParamInput } from './ParameterForm';
+import { defaultValues } from './savedQueries';
+import {
+  GRID_COLUMNS, MAX_TILE_ROWS, TILE_ROW_PX, TILE_REFRESH, createDashboard, dashboardParams, tileQuery, runTileQuery,
+  moveTile, resizeTile, exportDashboard, parseDashboard
+} from './dashboards';
+
+const input = 'border border-gray-300 rounded px-2 py-1 text-xs bg-white text-gray-900 dark:bg-gray-800 dark:border-gray-700 dark:text-gray-100';
+const btn = 'text-xs px-3 py-1 rounded border border-gray-300 hover:bg-gray-50 dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100 disabled:opacity-50';
+const primary = 'text-xs px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 disabled:opacity-50';
+const danger = 'text-xs px-3 py-1 rounded bg-red-600 text-white hover:bg-red-700 dark:bg-red-500 dark:hover:bg-red-600 disabled:opacity-50';
+
+const TABLE_ROWS = 100;
+const readText = (file) => (file.text ? file.text() : new Promise((resolve, reject) => {
+  const r = new FileReader();
+  r.onload = () => resolve(r.result);
+  r.onerror = () => reject(r.error);
+  r.readAsText(file);
+}));
+
+/* ───────── Pin menu ───────── */
+export function PinMenu({ dashboards, onPin }) {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [status, setStatus] = useState('');
+
+  const pin = (target) => {
+    const d = onPin(target);
+    setOpen(false);
+    setName('');
+    setStatus(d ? `📌 Pinned to ${d.name}` : '');
+    setTimeout(() => setStatus(''), 2000);
+  };
+
+  const itemCls = 'block w-full text-left px-3 py-1 hover:bg-gray-100 dark:hover:bg-gray-800 dark:text-gray-100';
+  return (
+    <div className="relative inline-flex items-center gap-2">
+      {status && <span className="text-xs text-gray-500 dark:text-gray-400">{status}</span>}
+      <button type="button" onClick={() => setOpen(o => !o)} aria-haspopup="menu" aria-expanded={open} title="Pin this result to a dashboard"
+              className="text-xs px-2 py-1 rounded border border-gray-300 bg-white hover:bg-gray-50
+                         dark:bg-gray-900 dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100">
+        📌 Pin ▾
+      </button>
+      {open && (
+        <div role="menu"
+             className="absolute right-0 top-full mt-1 z-20 w-56 rounded border border-gray-200 bg-white shadow text-xs py-1
+                        dark:bg-gray-900 dark:border-gray-700">
+          {dashboards.map(d => (
+            <button key={d.id} type="button" role="menuitem" className={itemCls} onClick={() => pin({ id: d.id })}>
+              Pin to {d.name}
+            </button>
+          ))}
+          {dashboards.length > 0 && <div className="my-1 border-t border-gray-200 dark:border-gray-700" />}
+          <form className="flex gap-1 px-2 py-1" onSubmit={(e) => { e.preventDefault(); pin({ name: name.trim() || 'Dashboard' }); }}>
+            <input className={`${input} flex-1 min-w-0`} value={name} onChange={(e) => setName(e.target.value)}
+                   placeholder="New dashboard" aria-label="New dashboard name" />
+            <button type="submit" className={btn}>Pin</button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ───────── Tile ───────── */
+function TileBody({ tile, rows, dict, height }) {
+  if (!rows.length) return <p className="text-xs italic text-gray-500 dark:text-gray-400">No rows.</p>;
+  if (tile.view === 'chart') {
+    return <ChartView rows={rows} spec={resolveChartSpec(rows, tile.chart)} dict={dict}
+                      xLabel={tile.chart.xLabel || ''} yLabel={tile.chart.yLabel || ''} height={height} />;
+  }
+  const cols = Object.keys(rows[0]);
+  return (
+    <table className="min-w-full text-xs dark:text-gray-100">
+      <thead className="text-left text-gray-500 dark:text-gray-400">
+        <tr>{cols.map(c => <th key={c} className="p-1">{columnLabel(dict, c)}</th>)}</tr>
+      </thead>
+      <tbody>
+        {rows.slice(0, TABLE_ROWS).map((r, i) => (
+          <tr key={i} className="border-t border-gray-100 dark:border-gray-800">
+            {cols.map(c => <td key={c} className="p-1">{r[c] == null ? '' : String(formatColumnValue(dict, c, r[c]))}</td>)}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function Tile({ tile, db, params, values, runKey, dict, canRun, onChange, onRemove, onDragStart, onDrop, onResizeStart }) {
+  const [rows, setRows] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [ranAt, setRanAt] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [sqlDraft, setSqlDraft] = useState(tile.sql);
+  const ctrlRef = useRef(null);
+  const { sql, error: paramError } = tileQuery(tile, params, values);
+
+  const run = async () => {
+    if (!canRun) { setError('🔒 Your role can’t run SQL'); return; }
+    if (paramError) { setError(`Set the filters — ${paramError}`); setRows(null); return; }
+    ctrlRef.current?.abort();
+    const controller = new AbortController();
+    ctrlRef.current = controller;
+    setLoading(true);
+    try {
+      setRows(await runTileQuery(sql, db, controller.signal));
+      setError('');
+      setRanAt(Date.now());
+    } catch (e) {
+      const er = normalizeError(e);
+      if (!er.isCancelled) setError(er.isAuth ? '🔒 Login required' : `⚠️ ${er.message}`);
+    } finally {
+      if (ctrlRef.current === controller) { ctrlRef.current = null; setLoading(false); }
+    }
+  };
+
+  useEffect(() => {
+    run();
+  }, [runKey, sql, paramError]); // eslint-disable-line
+
+  useEffect(() => {
+    if (!tile.refreshMs) return undefined;
+    const t = setInterval(() => { if (!document.hidden) run(); }, tile.refreshMs);
+    return () => clearInterval(t);
+  }, [tile.refreshMs, sql, paramError]); // eslint-disable-line
+
+  useEffect(() => () => ctrlRef.current?.abort(), []);
+
+  const bodyHeight = tile.h * TILE_ROW_PX - 56;
+
+  return (
+    <div className="relative flex flex-col rounded-lg border border-gray-200 bg-white dark:bg-gray-900 dark:border-gray-700 min-w-0"
+         style={{ gridColumn: `span ${tile.w}`, gridRow: `span ${tile.h}` }}
+         onDragOver={(e) => e.preventDefault()} onDrop={(e) => { e.preventDefault(); onDrop(); }}
+         aria-label={`Tile ${tile.title}`} role="group">
+      <div className="flex items-center gap-2 px-2 py-1 border-b border-gray-100 dark:border-gray-800 cursor-move"
+           draggable onDragStart={(e) => {
+             if (e.dataTransfer) { e.dataTransfer.effectAllowed = 'move'; e.dataTransfer.setData('text/plain', tile.id); }
+             onDragStart();
+           }}>
+        <div className="flex-1 min-w-0 truncate text-sm font-semibold dark:text-gray-100" title={tile.question || tile.title}>{tile.title}</div>
+        <span className="text-[11px] text-gray-500 dark:text-gray-400">
+          {loading ? 'Running…' : ranAt ? new Date(ranAt).toLocaleTimeString() : ''}
+        </span>
+        <button type="button" className="text-xs dark:text-gray-100" onClick={run} disabled={loading} title="Refresh tile" aria-label={`Refresh ${tile.title}`}>↻</button>
+        <button type="button" className="text-xs dark:text-gray-100" onClick={() => { setEditing(v => !v); setSqlDraft(tile.sql); }}
+                title="Tile settings" aria-label={`Edit ${tile.title}`} aria-expanded={editing}>⋯</button>
+      </div>
+
+      {editing ? (
+        <div className="flex-1 overflow-auto p-2 space-y-2 text-xs dark:text-gray-300">
+          <label className="block">
+            Title
+            <input className={`${input} mt-1 w-full`} value={tile.title} onChange={(e) => onChange({ title: e.target.value })} />
+          </label>
+          <label className="block">
+            SQL — use {'{{name}}'} or {'{{period.start}}'} / {'{{period.end}}'} for dashboard filters
+            <textarea className={`${input} mt-1 w-full font-mono`} rows={5} value={sqlDraft} spellCheck={false}
+                      onChange={(e) => setSqlDraft(e.target.value)} />
+          </label>
+          <div className="flex flex-wrap items-center gap-2">
+            <select className={input} value={tile.view} onChange={(e) => onChange({ view: e.target.value })} aria-label="Show as">
+              <option value="chart">Chart</option>
+              <option value="table">Table</option>
+            </select>
+            <select className={input} value={tile.refreshMs} onChange={(e) => onChange({ refreshMs: Number(e.target.value) })} aria-label="Refresh">
+              {TILE_REFRESH.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+            </select>
+            <select className={input} value={tile.w} onChange={(e) => onChange({ w: Number(e.target.value) })} aria-label="Width">
+              {Array.from({ length: GRID_COLUMNS }, (_, i) => <option key={i} value={i + 1}>{i + 1} col</option>)}
+            </select>
+            <select className={input} value={tile.h} onChange={(e) => onChange({ h: Number(e.target.value) })} aria-label="Height">
+              {Array.from({ length: MAX_TILE_ROWS }, (_, i) => <option key={i} value={i + 1}>{i + 1} row</option>)}
+            </select>
+          </div>
+          <div className="flex gap-2">
+            <button type="button" className={primary} disabled={!sqlDraft.trim()}
+                    onClick={() => { onChange({ sql: sqlDraft }); setEditing(false); }}>Done</button>
+            <button type="button" className={danger} onClick={onRemove}>Remove tile</button>
+          </div>
+        </div>
+      ) : (
+        <div className="flex-1 overflow-auto p-2">
+          {error ? <div className="text-xs text-gray-600 dark:text-gray-300">{error}</div>
+            : rows ? <TileBody tile={tile} rows={rows} dict={dict} height={Math.max(120, bodyHeight)} />
+            : <div className="text-xs text-gray-500 dark:text-gray-400">Loading…</div>}
+        </div>
+      )}
+
+      <div className="absolute right-0 bottom-0 w-3 h-3 cursor-se-resize border-r-2 border-b-2 border-gray-400 dark:border-gray-500"
+           onPointerDown={onResizeStart} title="Drag to resize" aria-hidden="true" />
+    </div>
+  );
+}
+
+/* ───────── Dashboard screen ───────── */
+export default function DashboardView({ open, db, dashboards = [], dict = {}, canRun = true, onChange, onClose }) {
+  const [activeId, setActiveId] = useState(null);
+  const [draftValues, setDraftValues] = useState({});
+  const [runKey, setRunKey] = useState(0);
+  const [renaming, setRenaming] = useState(null);    // draft name while renaming
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [status, setStatus] = useState('');
+  const dragRef = useRef(null);
+  const gridRef = useRef(null);
+  const fileRef = useRef(null);
+
+  const dash = dashboards.find(d => d.id === activeId) || dashboards[0] || null;
+  const params = dash ? dashboardParams(dash) : [];
+
+  useEffect(() => {
+    if (!open || !dash) return;
+    setDraftValues({ ...defaultValues(params), ...dash.values });
+    setRenaming(null); setConfirmDelete(false);
+  }, [open, dash?.id]); // eslint-disable-line
+
+  if (!open) return null;
+
+  const update = (changes) => onChange(dashboards.map(d => (d.id === dash.id ? { ...d, ...changes, updatedAt: Date.now() } : d)));
+  const updateTile = (id, changes) => update({ tiles: dash.tiles.map(t => (t.id === id ? { ...t, ...changes } : t)) });
+
+  const addDashboard = () => {
+    const d = createDashboard(`Dashboard ${dashboards.length + 1}`);
+    onChange([...dashboards, d]);
+    setActiveId(d.id);
+  };
+
+  const doDelete = () => {
+    onChange(dashboards.filter(d => d.id !== dash.id));
+    setActiveId(null);
+    setConfirmDelete(false);
+    setStatus(`✅ Deleted ${dash.name}`);
+  };
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    update({ values: draftValues });
+    setRunKey(k => k + 1);
+  };
+
+  const doExport = () => {
+    downloadBlob(new Blob([exportDashboard(dash, db)], { type: 'application/json' }), exportFilename(dash.name, 'json'));
+  };
+
+  const doImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { dashboard, db: from } = parseDashboard(await readText(file));
+      const name = dashboards.some(d => d.name === dashboard.name) ? `${dashboard.name} (imported)` : dashboard.name;
+      onChange([...dashboards, { ...dashboard, name }]);
+      setActiveId(dashboard.id);
+      setStatus(from && from !== db ? `⚠️ Imported “${name}” — it was exported from ${from}; check its SQL fits ${db}` : `✅ Imported “${name}” — review its SQL before running it`);
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    }
+  };
+
+  const runImported = () => {
+    update({ paused: false });
+    setStatus('');
+  };
+
+  const discardImported = () => {
+    onChange(dashboards.filter(d => d.id !== dash.id));
+    setActiveId(null);
+    setStatus(`✅ Discarded ${dash.name}`);
+  };
+
+  // Corner drag: grid cells are (grid width / GRID_COLUMNS) × TILE_ROW_PX
+  const startResize = (tile) => (e) => {
+    e.preventDefault();
+    const cellW = (gridRef.current?.clientWidth || GRID_COLUMNS * 300) / GRID_COLUMNS;
+    const start = { x: e.clientX, y: e.clientY, w: tile.w, h: tile.h };
+    let last = `${tile.w}x${tile.h}`;
+    const onMove = (ev) => {
+      const w = Math.min(GRID_COLUMNS, Math.max(1, start.w + Math.round((ev.clientX - start.x) / cellW)));
+      const h = Math.min(MAX_TILE_ROWS, Math.max(1, start.h + Math.round((ev.clientY - start.y) / TILE_ROW_PX)));
+      if (`${w}x${h}` === last) return;
+      last = `${w}x${h}`;
+      update({ tiles: resizeTile(dash.tiles, tile.id, w, h) });
+    };
+    const onUp = () => { window.removeEventListener('pointermove', onMove); window.removeEventListener('pointerup', onUp); };
+    window.addEventListener('pointermove', onMove);
+    window.addEventListener('pointerup', onUp);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[999]">
+      <div className="w-full max-w-7xl h-[92vh] flex flex-col rounded-xl bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-700 p-4 gap-3">
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="text-lg font-semibold dark:text-gray-100">Dashboards ({db})</div>
+          {dash && (renaming !== null ? (
+            <form className="flex gap-1" onSubmit={(e) => { e.preventDefault(); if (renaming.trim()) update({ name: renaming.trim() }); setRenaming(null); }}>
+              <input className={input} value={renaming} onChange={(e) => setRenaming(e.target.value)} aria-label="Dashboard name" autoFocus />
+              <button type="submit" className={btn}>Save</button>
+            </form>
+          ) : (
+            <select className={input} value={dash.id} onChange={(e) => setActiveId(e.target.value)} aria-label="Dashboard">
+              {dashboards.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
+            </select>
+          ))}
+          <div className="mr-auto" />
+          <button type="button" className={btn} onClick={addDashboard}>New</button>
+          {dash && (
+            <>
+              <button type="button" className={btn} onClick={() => setRenaming(dash.name)}>Rename</button>
+              <button type="button" className={btn} onClick={doExport}>Export JSON</button>
+            </>
+          )}
+          <button type="button" className={btn} onClick={() => fileRef.current?.click()}>Import JSON</button>
+          <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={doImport} aria-label="Import dashboard file" />
+          {dash && (confirmDelete ? (
+            <>
+              <button type="button" className={danger} onClick={doDelete}>Delete {dash.name}</button>
+              <button type="button" className={btn} onClick={() => setConfirmDelete(false)}>Cancel</button>
+            </>
+          ) : <button type="button" className={btn} onClick={() => setConfirmDelete(true)}>Delete…</button>)}
+          {dash && !dash.paused && <button type="button" className={btn} onClick={() => setRunKey(k => k + 1)}>Refresh all</button>}
+          <button type="button" onClick={onClose} className="text-sm text-gray-500 dark:text-gray-400">✕</button>
+        </div>
+
+        {dash && !dash.paused && params.length > 0 && (
+          <form onSubmit={applyFilters} aria-label="Dashboard filters"
+                className="flex flex-wrap items-center gap-3 rounded border border-gray-200 bg-white p-2 text-xs dark:bg-gray-800 dark:border-gray-700 dark:text-gray-300">
+            {params.map(p => (
+              <span key={p.name} className="flex items-center gap-1">
+                <label htmlFor={`param-${p.name}`}>{p.label}</label>
+                <ParamInput param={p} value={draftValues[p.name]} onChange={(v) => setDraftValues(s => ({ ...s, [p.name]: v }))} />
+              </span>
+            ))}
+            <button type="submit" className={primary}>Apply</button>
+          </form>
+        )}
+
+        {status && <div className="text-xs text-gray-600 dark:text-gray-300">{status}</div>}
+
+        <div className="flex-1 min-h-0 overflow-auto">
+          {!dash ? (
+            <div className="text-sm text-gray-500 dark:text-gray-400">No dashboards for {db} yet. Pin a result with “📌 Pin”, or create or import one.</div>
+          ) : dash.paused ? (
+            <div className="space-y-2 text-sm dark:text-gray-300" aria-label="Review imported dashboard" role="region">
+              <div>This dashboard was imported from a file. Its tiles will run the SQL below against {db} — check it before running them.</div>
+              {dash.tiles.map(t => (
+                <div key={t.id} className="rounded border border-gray-200 bg-white p-2 dark:bg-gray-800 dark:border-gray-700">
+                  <div className="font-semibold dark:text-gray-100">{t.title}</div>
+                  <pre className="mt-1 whitespace-pre-wrap font-mono text-xs">{t.sql}</pre>
+                </div>
+              ))}
+              <div className="flex gap-2">
+                <button type="button" className={primary} onClick={runImported} disabled={!canRun}
+                        title={canRun ? undefined : 'Your role can’t run SQL'}>Run tiles</button>
+                <button type="button" className={danger} onClick={discardImported}>Discard</button>
+              </div>
+            </div>
+          ) : !dash.tiles.length ? (
+            <div className="text-sm text-gray-500 dark:text-gray-400">This dashboard is empty. Pin results to it from the chat.</div>
+          ) : (
+            <div ref={gridRef} className="grid gap-3" style={{ gridTemplateColumns: `repeat(${GRID_COLUMNS}, minmax(0, 1fr))`, gridAutoRows: `${TILE_ROW_PX}px` }}>
+              {dash.tiles.map(t => (
+                <Tile
+                  key={t.id}
+                  tile={t}
+                  db={db}
+                  params={params}
+                  values={dash.values}
+                  runKey={runKey}
+                  dict={dict}
+                  canRun={canRun}
+                  onChange={(changes) => updateTile(t.id, changes)}
+                  onRemove={() => update({ tiles: dash.tiles.filter(x => x.id !== t.id) })}
+                  onDragStart={() => { dragRef.current = t.id; }}
+                  onDrop={() => { if (dragRef.current) update({ tiles: moveTile(dash.tiles, dragRef.current, t.id) }); dragRef.current = null; }}
+                  onResizeStart={startResize(t)}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import { useState } from 'react';
+import { api } from './api';
+import DashboardView, { PinMenu } from './DashboardView';
+import { createDashboard, normalizeTile } from './dashboards';
+
+// recharts' ResponsiveContainer needs ResizeObserver, which jsdom lacks
+beforeAll(() => {
+  global.ResizeObserver = class { observe() {} unobserve() {} disconnect() {} };
+});
+afterEach(() => jest.restoreAllMocks());
+
+const dash = {
+  ...createDashboard('Sales'),
+  tiles: [
+    normalizeTile({ id: 't1', title: 'By region', view: 'table', sql: 'SELECT region, total FROM s WHERE day >= {{period.start}} AND day <= {{period.end}}' }),
+    normalizeTile({ id: 't2', title: 'Count', view: 'table', sql: 'SELECT COUNT(*) AS n FROM s' })
+  ]
+};
+
+function Harness({ initial = [dash], onList = () => {} }) {
+  const [list, setList] = useState(initial);
+  return <DashboardView open db="cars" dashboards={list} onChange={(next) => { setList(next); onList(next); }} onClose={() => {}} />;
+}
+
+test('tiles run on load, wait for the global filters and re-run when they are applied', async () => {
+  const post = jest.spyOn(api, 'post').mockImplementation(async (url, body) => ({
+    data: { results: body.sql.includes('COUNT') ? [{ n: 7 }] : [{ region: 'North', total: 10 }] }
+  }));
+  render(<Harness />);
+
+  const count = screen.getByRole('group', { name: 'Tile Count' });
+  expect(await within(count).findByText('7')).toBeInTheDocument();
+  const region = screen.getByRole('group', { name: 'Tile By region' });
+  expect(within(region).getByText(/Set the filters — Period: Start and end dates are required/)).toBeInTheDocument();
+  expect(post).toHaveBeenCalledTimes(1);
+
+  fireEvent.change(screen.getByLabelText('Period start'), { target: { value: '2024-01-01' } });
+  fireEvent.change(screen.getByLabelText('Period end'), { target: { value: '2024-01-31' } });
+  fireEvent.click(screen.getByText('Apply'));
+  expect(await within(region).findByText('North')).toBeInTheDocument();
+  expect(post).toHaveBeenCalledWith('/query/sql', {
+    sql: "SELECT region, total FROM s WHERE day >= '2024-01-01' AND day <= '2024-01-31'", db: 'cars'
+  }, expect.anything());
+  // Apply re-runs every tile
+  await waitFor(() => expect(post.mock.calls.filter(([, b]) => b.sql.includes('COUNT'))).toHaveLength(2));
+});
+
+test('tiles reorder by drag and drop and can be resized and removed', async () => {
+  jest.spyOn(api, 'post').mockResolvedValue({ data: { results: [{ n: 1 }] } });
+  const onList = jest.fn();
+  render(<Harness initial={[{ ...dash, tiles: [dash.tiles[1], normalizeTile({ id: 't3', title: 'Other', view: 'table', sql: 'SELECT 2 AS n' })] }]} onList={onList} />);
+  await waitFor(() => expect(screen.getAllByText('1')).toHaveLength(2));
+
+  const other = screen.getByRole('group', { name: 'Tile Other' });
+  fireEvent.dragStart(within(other).getByText('Other'));
+  fireEvent.drop(screen.getByRole('group', { name: 'Tile Count' }));
+  expect(onList.mock.calls.at(-1)[0][0].tiles.map(t => t.id)).toEqual(['t3', 't2']);
+
+  fireEvent.click(screen.getByLabelText('Edit Other'));
+  fireEvent.change(screen.getByLabelText('Width'), { target: { value: '4' } });
+  expect(screen.getByRole('group', { name: 'Tile Other' })).toHaveStyle('grid-column: span 4');
+  fireEvent.click(screen.getByText('Remove tile'));
+  expect(screen.queryByRole('group', { name: 'Tile Other' })).toBeNull();
+  await waitFor(() => expect(screen.getAllByText('1')).toHaveLength(1));
+});
+
+test('imports an exported dashboard file', async () => {
+  jest.spyOn(api, 'post').mockResolvedValue({ data: { results: [] } });
+  render(<Harness initial={[]} />);
+  expect(screen.getByText(/No dashboards for cars yet/)).toBeInTheDocument();
+  const file = new File([JSON.stringify({ format: 'nl-sql-dashboard', version: 1, db: 'shop', dashboard: { name: 'Ops', tiles: [{ title: 'X', sql: 'SELECT 1' }] } })],
+    'ops.json', { type: 'application/json' });
+  fireEvent.change(screen.getByLabelText('Import dashboard file'), { target: { files: [file] } });
+  expect(await screen.findByText('⚠️ Imported “Ops” — it was exported from shop; check its SQL fits cars')).toBeInTheDocument();
+  expect(screen.getByLabelText('Dashboard')).toHaveDisplayValue('Ops');
+  // Nothing runs until the imported SQL has been reviewed
+  const review = screen.getByRole('region', { name: 'Review imported dashboard' });
+  expect(within(review).getByText('SELECT 1')).toBeInTheDocument();
+  expect(screen.queryByRole('group', { name: 'Tile X' })).toBeNull();
+  expect(api.post).not.toHaveBeenCalled();
+
+  fireEvent.click(screen.getByText('Run tiles'));
+  expect(await screen.findByText('No rows.')).toBeInTheDocument();
+  expect(api.post).toHaveBeenCalledWith('/query/sql', { sql: 'SELECT 1', db: 'cars' }, expect.anything());
+});
+
+test('an imported dashboard can be discarded without running it', async () => {
+  const post = jest.spyOn(api, 'post');
+  const onList = jest.fn();
+  render(<Harness initial={[]} onList={onList} />);
+  const file = new File([JSON.stringify({ name: 'Ops', tiles: [{ title: 'X', sql: 'DELETE FROM orders' }] })], 'ops.json', { type: 'application/json' });
+  fireEvent.change(screen.getByLabelText('Import dashboard file'), { target: { files: [file] } });
+  expect(await screen.findByText('✅ Imported “Ops” — review its SQL before running it')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Discard'));
+  expect(screen.getByText('✅ Discarded Ops')).toBeInTheDocument();
+  expect(onList).toHaveBeenLastCalledWith([]);
+  expect(post).not.toHaveBeenCalled();
+});
+
+test('the pin menu pins to an existing or a new dashboard', () => {
+  const onPin = jest.fn(({ id, name }) => ({ name: name || 'Sales' }));
+  render(<PinMenu dashboards={[dash]} onPin={onPin} />);
+  fireEvent.click(screen.getByText('📌 Pin ▾'));
+  fireEvent.click(screen.getByText('Pin to Sales'));
+  expect(onPin).toHaveBeenCalledWith({ id: dash.id });
+  expect(screen.getByText('📌 Pinned to Sales')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('📌 Pin ▾'));
+  fireEvent.change(screen.getByLabelText('New dashboard name'), { target: { value: 'Weekly' } });
+  fireEvent.click(screen.getByText('Pin'));
+  expect(onPin).toHaveBeenLastCalledWith({ name: 'Weekly' });
+});
@@ -0,0 +1,211 @@
+// src/FeedbackReview.js
+// Admin review queue of thumbs-down feedback: the question, generated SQL,
+// reason / comment and the user's correction. A good correction (edited if
+// needed) is promoted into the database's saved examples; the rest dismissed.
+
+import React, { useEffect, useState } from 'react';
+import { normalizeError } from './api';
+import {
+  REVIEW_STATUSES, REVIEW_PAGE, reasonLabel, fetchFeedbackQueue, setFeedbackStatus, promoteCorrection
+} from './feedback';
+
+const input = 'border border-gray-300 rounded px-2 py-1 text-xs bg-white text-gray-900 dark:bg-gray-800 dark:border-gray-700 dark:text-gray-100';
+const btn = 'text-xs px-3 py-1 rounded border border-gray-300 hover:bg-gray-50 dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100 disabled:opacity-50';
+const primary = 'text-xs px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 disabled:opacity-50';
+
+const fmtDate = (ms) => (ms ? new Date(ms).toLocaleString() : '—');
+
+function Field({ label, children }) {
+  return (
+    <div>
+      <div className="text-[11px] text-gray-500 dark:text-gray-400">{label}</div>
+      <div className="text-sm dark:text-gray-100">{children}</div>
+    </div>
+  );
+}
+
+export default function FeedbackReview({ open, databases = [], selectedDb, onClose, onRequireLogin }) {
+  const [status, setStatus] = useState('open');
+  const [db, setDb] = useState('');
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [drafts, setDrafts] = useState({});       // id → { question, sql } edited before promoting
+  const [busy, setBusy] = useState(false);
+  const [note, setNote] = useState('');
+
+  const fail = (e, what) => {
+    const er = normalizeError(e);
+    if (er.isAuth) { setNote('🔒 Login required'); onRequireLogin?.(); return; }
+    setNote(er.code === 'forbidden' ? `🔒 You don’t have permission to ${what}` : `⚠️ ${er.message || `Could not ${what}`}`);
+  };
+
+  const load = async (more = false, filters = { status, db }) => {
+    setLoading(true);
+    try {
+      const page = await fetchFeedbackQueue({ ...filters, offset: more ? items.length : 0, limit: REVIEW_PAGE });
+      const next = more ? [...items, ...page.items] : page.items;
+      setItems(next);
+      setTotal(page.total);
+      if (!more) setSelected(s => (next.some(f => f.id === s) ? s : next[0]?.id ?? null));
+    } catch (e) {
+      if (!more) setItems([]);
+      fail(e, 'load feedback');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const filter = (changes) => {
+    const next = { status, db, ...changes };
+    setStatus(next.status);
+    setDb(next.db);
+    setNote('');
+    load(false, next);
+  };
+
+  useEffect(() => {
+    if (!open) return;
+    filter({ db: db || selectedDb || '' });
+  }, [open]); // eslint-disable-line
+
+  const item = items.find(f => f.id === selected) || null;
+
+  const question = drafts[item?.id]?.question ?? item?.question ?? '';
+  const sql = drafts[item?.id]?.sql ?? item?.correctedSql ?? '';
+  const edit = (changes) => setDrafts(d => ({ ...d, [item.id]: { question, sql, ...changes } }));
+
+  if (!open) return null;
+
+  const settle = (id, next) => {
+    // Leave the filtered view consistent: drop items that no longer match it
+    const keep = status === 'all' || status === next;
+    setItems(list => (keep ? list.map(f => (f.id === id ? { ...f, status: next } : f)) : list.filter(f => f.id !== id)));
+    if (!keep) {
+      const i = items.findIndex(f => f.id === id);
+      const rest = items.filter(f => f.id !== id);
+      setSelected(rest[Math.min(i, rest.length - 1)]?.id ?? null);
+      setTotal(t => (t == null ? t : t - 1));
+    }
+  };
+
+  const doPromote = async () => {
+    if (!item?.db || !question.trim() || !sql.trim() || busy) return;
+    setBusy(true);
+    try {
+      await promoteCorrection(item, { question, sql });
+      setNote(`✅ Saved as an example for ${item.db}`);
+      settle(item.id, 'promoted');
+    } catch (e) {
+      fail(e, 'save the example');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const doStatus = async (next) => {
+    if (!item || busy) return;
+    setBusy(true);
+    try {
+      await setFeedbackStatus(item.id, next);
+      setNote(next === 'dismissed' ? '✅ Dismissed' : '✅ Reopened');
+      settle(item.id, next);
+    } catch (e) {
+      fail(e, 'update this feedback');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[999]">
+      <div className="w-full max-w-5xl max-h-[85vh] flex flex-col rounded-xl bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 p-4 gap-3">
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="text-lg font-semibold dark:text-gray-100 mr-auto">Feedback review</div>
+          <select className={input} value={status} onChange={(e) => filter({ status: e.target.value })} aria-label="Status">
+            {REVIEW_STATUSES.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+          </select>
+          <select className={input} value={db} onChange={(e) => filter({ db: e.target.value })} aria-label="Database">
+            <option value="">All databases</option>
+            {databases.map(d => <option key={d} value={d}>{d}</option>)}
+          </select>
+          {loading && <span className="text-xs text-gray-500 dark:text-gray-400">Loading…</span>}
+          <button type="button" className={btn} onClick={() => load()} disabled={loading}>Refresh</button>
+          <button type="button" onClick={onClose} className="text-sm text-gray-500 dark:text-gray-400">✕</button>
+        </div>
+
+        <div className="flex-1 min-h-0 flex gap-3">
+          <div className="w-72 shrink-0 overflow-auto border border-gray-200 rounded dark:border-gray-700 text-xs">
+            <ul aria-label="Feedback">
+              {items.map(f => (
+                <li key={f.id}>
+                  <button type="button" onClick={() => setSelected(f.id)} aria-current={f.id === selected}
+                          className={`w-full text-left px-2 py-1.5 border-b border-gray-100 dark:border-gray-800 ${f.id === selected
+                            ? 'bg-blue-50 dark:bg-blue-900/30' : 'hover:bg-gray-50 dark:hover:bg-gray-800'} dark:text-gray-100`}>
+                    <div className="truncate">{f.question || '(no question)'}</div>
+                    <div className="text-[11px] text-gray-500 dark:text-gray-400">
+                      {f.db || '—'} · {reasonLabel(f.reason)}{f.correctedSql && ' · ✏️ correction'}
+                    </div>
+                  </button>
+                </li>
+              ))}
+              {!items.length && !loading && <li className="p-2 text-gray-500 dark:text-gray-400">Nothing to review</li>}
+            </ul>
+            {total != null && items.length < total && (
+              <button type="button" className={`${btn} m-2`} onClick={() => load(true)} disabled={loading}>
+                Load more ({items.length}/{total})
+              </button>
+            )}
+          </div>
+
+          {item && (
+            <div className="flex-1 min-w-0 overflow-auto space-y-3">
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                <Field label="Database">{item.db || '—'}</Field>
+                <Field label="From">{item.user || '—'}</Field>
+                <Field label="When">{fmtDate(item.at)}</Field>
+                <Field label="Status">{item.status}</Field>
+              </div>
+              <Field label="Reason">{reasonLabel(item.reason)}</Field>
+              {item.comment && <Field label="Comment"><span className="whitespace-pre-wrap">{item.comment}</span></Field>}
+
+              <div>
+                <div className="text-[11px] text-gray-500 dark:text-gray-400">Generated SQL</div>
+                <pre className="text-xs font-mono whitespace-pre-wrap rounded bg-gray-50 border border-gray-200 p-2 dark:bg-gray-800 dark:border-gray-700 dark:text-gray-100">
+                  {item.sql || '—'}
+                </pre>
+              </div>
+
+              <div className="rounded border border-gray-200 p-2 space-y-2 text-xs dark:border-gray-700 dark:text-gray-300">
+                <div className="font-semibold dark:text-gray-100">Saved example</div>
+                <label className="block">
+                  Question
+                  <input className={`${input} mt-1 w-full`} value={question} onChange={(e) => edit({ question: e.target.value })} />
+                </label>
+                <label className="block">
+                  Corrected SQL
+                  <textarea className={`${input} mt-1 w-full font-mono`} rows={6} value={sql} spellCheck={false}
+                            onChange={(e) => edit({ sql: e.target.value })}
+                            placeholder={item.correctedSql ? '' : 'No correction was sent; write one to promote this question'} />
+                </label>
+                <div className="flex flex-wrap gap-2">
+                  <button type="button" className={primary} onClick={doPromote}
+                          disabled={busy || !item.db || !question.trim() || !sql.trim() || item.status === 'promoted'}>
+                    Promote to example
+                  </button>
+                  {item.status === 'open'
+                    ? <button type="button" className={btn} onClick={() => doStatus('dismissed')} disabled={busy}>Dismiss</button>
+                    : <button type="button" className={btn} onClick={() => doStatus('open')} disabled={busy}>Reopen</button>}
+                  {!item.db && <span className="text-gray-500 dark:text-gray-400">No database recorded for this feedback</span>}
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {note && <div className="text-xs text-gray-600 dark:text-gray-300">{note}</div>}
+      </div>
+    </div>
+  );
+}
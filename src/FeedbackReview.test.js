@@ -0,0 +1,42 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { api } from './api';
+import FeedbackReview from './FeedbackReview';
+
+afterEach(() => jest.restoreAllMocks());
+
+const queue = [
+  { id: 'f1', ts: 1717200000, user: 'ana', meta: { db: 'cars' }, rating: -1, query: 'top models', sql: 'SELECT model FROM sale',
+    reason: 'wrong_sql', comment: 'table is sales', corrected_sql: 'SELECT model FROM sales' },
+  { id: 'f2', ts: 1717100000, user: 'bob', meta: { db: 'cars' }, rating: -1, query: 'revenue by month', sql: 'SELECT 1', reason: 'other' }
+];
+
+test('lists negative feedback and promotes a correction into the examples', async () => {
+  const get = jest.spyOn(api, 'get').mockResolvedValue({ data: { items: queue, total: 2 } });
+  const post = jest.spyOn(api, 'post').mockResolvedValue({ data: {} });
+  const patch = jest.spyOn(api, 'patch').mockResolvedValue({ data: {} });
+  render(<FeedbackReview open databases={['demo', 'cars']} selectedDb="cars" onClose={() => {}} />);
+
+  expect(await screen.findByText('table is sales')).toBeInTheDocument();
+  expect(get).toHaveBeenCalledWith('/feedback', expect.objectContaining({ params: expect.objectContaining({ rating: -1, status: 'open', db: 'cars' }) }));
+  expect(screen.getByText('SELECT model FROM sale')).toBeInTheDocument();
+  expect(screen.getByLabelText('Corrected SQL')).toHaveValue('SELECT model FROM sales');
+
+  fireEvent.change(screen.getByLabelText('Question'), { target: { value: 'Top car models' } });
+  fireEvent.click(screen.getByText('Promote to example'));
+  expect(await screen.findByText('✅ Saved as an example for cars')).toBeInTheDocument();
+  expect(post).toHaveBeenCalledWith('/examples', expect.objectContaining({ db: 'cars', question: 'Top car models', sql: 'SELECT model FROM sales' }), expect.anything());
+  expect(patch).toHaveBeenCalledWith('/feedback/f1', { status: 'promoted' }, expect.anything());
+
+  // Promoted items leave the open queue; the next one is selected and has no correction yet
+  await waitFor(() => expect(screen.getByLabelText('Question')).toHaveValue('revenue by month'));
+  expect(screen.getByText('Promote to example')).toBeDisabled();
+  fireEvent.click(screen.getByText('Dismiss'));
+  expect(await screen.findByText('Nothing to review')).toBeInTheDocument();
+  expect(patch).toHaveBeenLastCalledWith('/feedback/f2', { status: 'dismissed' }, expect.anything());
+});
+
+test('a 403 shows a permission message', async () => {
+  jest.spyOn(api, 'get').mockRejectedValue(Object.assign(new Error('Forbidden'), { response: { status: 403, data: {} } }));
+  render(<FeedbackReview open databases={['cars']} onClose={() => {}} />);
+  expect(await screen.findByText('🔒 You don’t have permission to load feedback')).toBeInTheDocument();
+});
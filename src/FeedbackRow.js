@@ -0,0 +1,106 @@
+// src/FeedbackRow.js
+// 👍 / 👎 under an answer. Thumbs-down opens a short form (reason, comment,
+// optional corrected SQL); the vote can be changed or the details edited
+// afterwards, each change re-posting the feedback for the same message.
+
+import React, { useState } from 'react';
+import { FEEDBACK_REASONS } from './feedback';
+
+const input = 'border border-gray-300 rounded px-2 py-1 text-xs bg-white text-gray-900 dark:bg-gray-800 dark:border-gray-700 dark:text-gray-100';
+const btn = 'text-xs px-3 py-1 rounded border border-gray-300 hover:bg-gray-50 dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100 disabled:opacity-50';
+
+function FeedbackButtons({ value, disabled, onUp, onDown }) {
+  const cls = (active) => `px-2 py-1 rounded border hover:bg-gray-50 dark:hover:bg-gray-800 dark:text-gray-100 disabled:opacity-50 ${active
+    ? 'border-blue-500 bg-blue-50 dark:border-blue-400 dark:bg-blue-900/30'
+    : 'border-gray-300 dark:border-gray-700'}`;
+  return (
+    <div className="mt-2 flex items-center gap-2 text-sm">
+      <button type="button" disabled={disabled} onClick={onUp} className={cls(value === 'up')} title="Helpful" aria-pressed={value === 'up'}>
+        👍
+      </button>
+      <button type="button" disabled={disabled} onClick={onDown} className={cls(value === 'down')} title="Not helpful" aria-pressed={value === 'down'}>
+        👎
+      </button>
+    </div>
+  );
+}
+
+export default function FeedbackRow({ msg, onSubmit }) {
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState('');
+  const [comment, setComment] = useState('');
+  const [correctedSql, setCorrectedSql] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const send = async (rating, details) => {
+    setBusy(true);
+    try {
+      const ok = await onSubmit(rating, details);
+      if (ok !== false) setOpen(false);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const openForm = () => {
+    const d = msg.feedbackDetail || {};
+    setReason(d.reason || '');
+    setComment(d.comment || '');
+    setCorrectedSql(d.correctedSql || msg.sql || '');
+    setOpen(o => !o);
+  };
+
+  const submitDown = (e) => {
+    e.preventDefault();
+    send(-1, { reason: reason || null, comment, correctedSql });
+  };
+
+  const label = msg.feedback === 'up'
+    ? 'Thanks for the feedback! 👍'
+    : msg.feedback === 'down' ? 'Thanks for the feedback! 👎' : 'Was this helpful?';
+
+  return (
+    <div className="mt-3">
+      <div className="flex items-center justify-between">
+        <span className="text-xs text-gray-500 dark:text-gray-400">
+          {label}
+          {msg.feedback === 'down' && !open && (
+            <button type="button" className="ml-2 text-blue-600 dark:text-blue-400" onClick={openForm}>Edit details</button>
+          )}
+        </span>
+        <FeedbackButtons value={msg.feedback} disabled={busy}
+                         onUp={() => { if (msg.feedback !== 'up') send(1); }}
+                         onDown={openForm} />
+      </div>
+
+      {open && (
+        <form onSubmit={submitDown} aria-label="Feedback details"
+              className="mt-2 rounded border border-gray-200 bg-gray-50 p-2 space-y-2 text-xs dark:border-gray-700 dark:bg-gray-800 dark:text-gray-300">
+          <label className="flex items-center gap-2">
+            What went wrong?
+            <select className={input} value={reason} onChange={(e) => setReason(e.target.value)}>
+              <option value="">Choose…</option>
+              {FEEDBACK_REASONS.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+            </select>
+          </label>
+          <label className="block">
+            Comment
+            <textarea className={`${input} mt-1 w-full`} rows={2} value={comment} onChange={(e) => setComment(e.target.value)}
+                      placeholder="Optional: what did you expect?" />
+          </label>
+          {msg.sql && (
+            <label className="block">
+              Corrected SQL (optional)
+              <textarea className={`${input} mt-1 w-full font-mono`} rows={4} value={correctedSql} spellCheck={false}
+                        onChange={(e) => setCorrectedSql(e.target.value)} />
+            </label>
+          )}
+          <div className="flex gap-2">
+            <button type="submit" className={btn} disabled={busy}>Send feedback</button>
+            <button type="button" className={btn} onClick={() => setOpen(false)}>Cancel</button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { useState } from 'react';
+import FeedbackRow from './FeedbackRow';
+
+// Mirrors App: the message carries the vote, onSubmit stores it
+function Harness({ onSubmit }) {
+  const [msg, setMsg] = useState({ id: 'm1', sql: 'SELECT model FROM sales', feedback: null });
+  return (
+    <FeedbackRow msg={msg} onSubmit={async (rating, details) => {
+      await onSubmit(rating, details);
+      setMsg(m => ({ ...m, feedback: rating === 1 ? 'up' : 'down', feedbackDetail: details || null }));
+      return true;
+    }} />
+  );
+}
+
+test('thumbs-down opens a form with reason, comment and corrected SQL; the vote can change', async () => {
+  const onSubmit = jest.fn().mockResolvedValue(true);
+  render(<Harness onSubmit={onSubmit} />);
+
+  fireEvent.click(screen.getByTitle('Not helpful'));
+  expect(onSubmit).not.toHaveBeenCalled();
+  fireEvent.change(screen.getByLabelText('What went wrong?'), { target: { value: 'wrong_result' } });
+  fireEvent.change(screen.getByLabelText('Comment'), { target: { value: 'Only 2024' } });
+  const sql = screen.getByLabelText('Corrected SQL (optional)');
+  expect(sql).toHaveValue('SELECT model FROM sales');
+  fireEvent.change(sql, { target: { value: 'SELECT model FROM sales WHERE yr = 2024' } });
+  fireEvent.click(screen.getByText('Send feedback'));
+
+  await screen.findByText('Thanks for the feedback! 👎');
+  expect(onSubmit).toHaveBeenCalledWith(-1, { reason: 'wrong_result', comment: 'Only 2024', correctedSql: 'SELECT model FROM sales WHERE yr = 2024' });
+  expect(screen.queryByLabelText('Feedback details')).toBeNull();
+
+  // Details can be edited later, prefilled with what was sent
+  fireEvent.click(screen.getByText('Edit details'));
+  expect(screen.getByLabelText('Comment')).toHaveValue('Only 2024');
+  fireEvent.click(screen.getByText('Cancel'));
+
+  // Changing the vote re-posts it
+  fireEvent.click(screen.getByTitle('Helpful'));
+  await screen.findByText('Thanks for the feedback! 👍');
+  expect(onSubmit).toHaveBeenLastCalledWith(1, undefined);
+  expect(screen.getByTitle('Helpful')).toHaveAttribute('aria-pressed', 'true');
+  await waitFor(() => expect(screen.getByTitle('Helpful')).not.toBeDisabled());
+});
@@ -0,0 +1,314 @@
+// src/MetricsDashboard.js
+// Ops dashboard for /metrics: totals, success rate and p50/p95 latency over
+// time, errors by type, per-DB breakdown and a drill-down into failed queries
+// (question, SQL, error). Filters by date range and database; refreshes on an
+// interval while the tab is visible and whenever `refreshKey` changes.
+
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  LineChart, Line, BarChart, Bar, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer, Legend
+} from 'recharts';
+import { normalizeError } from './api';
+import { COLORS } from './charts';
+import {
+  METRIC_RANGES, REFRESH_INTERVALS, EVENTS_PAGE, rangeBounds, fetchMetricsSummary, fetchFailedEvents,
+  formatMs, formatPct, formatBucket
+} from './metrics';
+
+const input = 'border border-gray-300 rounded px-2 py-1 text-xs bg-white text-gray-900 dark:bg-gray-800 dark:border-gray-700 dark:text-gray-100';
+const btn = 'text-xs px-3 py-1 rounded border border-gray-300 hover:bg-gray-50 dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100 disabled:opacity-50';
+const card = 'rounded-lg p-3 bg-white border border-gray-200 dark:bg-gray-900 dark:border-gray-700';
+const tooltipStyle = { fontSize: 12 };
+
+function Stat({ title, value }) {
+  return (
+    <div className={card}>
+      <div className="text-xs text-gray-500 dark:text-gray-400">{title}</div>
+      <div className="text-xl font-semibold dark:text-gray-100">{value ?? '—'}</div>
+    </div>
+  );
+}
+
+function ChartCard({ title, empty, children }) {
+  return (
+    <div className={card}>
+      <div className="text-xs text-gray-500 dark:text-gray-400 mb-1">{title}</div>
+      {empty ? <div className="text-sm text-gray-500 dark:text-gray-400 py-8 text-center">No data for this range</div> : children}
+    </div>
+  );
+}
+
+export default function MetricsDashboard({ databases = [], refreshKey = 0, onRequireLogin }) {
+  const [range, setRange] = useState('7d');
+  const [custom, setCustom] = useState({ start: '', end: '' });
+  const [db, setDb] = useState('');
+  const [interval, setIntervalMs] = useState(60000);
+  const [summary, setSummary] = useState(null);
+  const [bucket, setBucket] = useState('day');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const [errorType, setErrorType] = useState(null); // drill-down filter
+  const [events, setEvents] = useState(null);
+  const [eventsTotal, setEventsTotal] = useState(null);
+  const [eventsLoading, setEventsLoading] = useState(false);
+  const [eventsError, setEventsError] = useState('');
+  const [expanded, setExpanded] = useState(null);
+  const summaryAbort = useRef(null);
+  const eventsAbort = useRef(null);
+  const shownEvents = useRef(0);          // for interval ticks, which see the state of an older render
+  const firstRun = useRef(true);
+
+  const failed = (e, set) => {
+    const er = normalizeError(e);
+    if (er.isCancelled) return;
+    if (er.isAuth) { set('🔒 Login to view metrics'); onRequireLogin?.(); return; }
+    set(er.code === 'forbidden' ? '🔒 You don’t have access to these metrics' : `⚠️ ${er.message || 'Failed to load metrics'}`);
+  };
+
+  const loadSummary = async ({ quiet = false } = {}) => {
+    summaryAbort.current?.abort();
+    const controller = new AbortController();
+    summaryAbort.current = controller;
+    const bounds = rangeBounds(range, Date.now(), custom);
+    if (!quiet) setLoading(true);
+    try {
+      const s = await fetchMetricsSummary(bounds, db, controller.signal);
+      setSummary(s);
+      setBucket(bounds.bucket);
+      setError('');
+      setUpdatedAt(Date.now());
+    } catch (e) {
+      failed(e, setError);
+    } finally {
+      if (summaryAbort.current === controller) { summaryAbort.current = null; setLoading(false); }
+    }
+  };
+
+  // Failed queries: a fresh page (reset), the next one (more), or on quiet
+  // refreshes as many rows as are shown — left alone while a load is running
+  const loadEvents = async ({ more = false, quiet = false } = {}) => {
+    if (quiet && eventsAbort.current) return;
+    eventsAbort.current?.abort();
+    const controller = new AbortController();
+    eventsAbort.current = controller;
+    const offset = more ? events?.length || 0 : 0;
+    const limit = quiet ? Math.max(EVENTS_PAGE, shownEvents.current) : EVENTS_PAGE;
+    setEventsLoading(true);
+    try {
+      const page = await fetchFailedEvents(rangeBounds(range, Date.now(), custom), db, { errorType, offset, limit, signal: controller.signal });
+      setEvents(prev => (more ? [...(prev || []), ...page.events] : page.events));
+      setEventsTotal(page.total);
+      setEventsError('');
+    } catch (e) {
+      failed(e, setEventsError);
+    } finally {
+      if (eventsAbort.current === controller) { eventsAbort.current = null; setEventsLoading(false); }
+    }
+  };
+
+  const refresh = (opts) => { loadSummary(opts); loadEvents(opts); };
+
+  useEffect(() => { shownEvents.current = events?.length || 0; }, [events]);
+
+  useEffect(() => {
+    if (range === 'custom' && (!custom.start || !custom.end)) return;
+    refresh();
+  }, [range, custom.start, custom.end, db, refreshKey]); // eslint-disable-line
+
+  useEffect(() => {
+    if (firstRun.current) { firstRun.current = false; return; }
+    setExpanded(null);
+    loadEvents();
+  }, [errorType]); // eslint-disable-line
+
+  // Auto-refresh, skipped while the tab is hidden
+  useEffect(() => {
+    if (!interval) return undefined;
+    const id = setInterval(() => {
+      if (document.visibilityState !== 'hidden') refresh({ quiet: true });
+    }, interval);
+    return () => clearInterval(id);
+  }, [interval, range, custom.start, custom.end, db, errorType]); // eslint-disable-line
+
+  useEffect(() => () => { summaryAbort.current?.abort(); eventsAbort.current?.abort(); }, []);
+
+  const t = summary?.totals;
+  const series = summary?.series || [];
+  const tick = (v) => formatBucket(v, bucket);
+  const when = (v) => new Date(v).toLocaleString();
+  const moreEvents = events && (eventsTotal != null ? events.length < eventsTotal : events.length > 0 && events.length % EVENTS_PAGE === 0);
+
+  return (
+    <div className="rounded-xl border border-gray-200 p-4 bg-gray-50 dark:bg-gray-800 dark:border-gray-700 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <h2 className="text-lg font-semibold dark:text-gray-100 mr-auto">Metrics</h2>
+        <select className={input} value={range} onChange={(e) => setRange(e.target.value)} aria-label="Date range">
+          {METRIC_RANGES.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+        </select>
+        {range === 'custom' && (
+          <>
+            <input type="date" className={input} value={custom.start} aria-label="From date"
+                   onChange={(e) => setCustom(c => ({ ...c, start: e.target.value }))} />
+            <input type="date" className={input} value={custom.end} aria-label="To date"
+                   onChange={(e) => setCustom(c => ({ ...c, end: e.target.value }))} />
+          </>
+        )}
+        <select className={input} value={db} onChange={(e) => setDb(e.target.value)} aria-label="Database">
+          <option value="">All databases</option>
+          {databases.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <label className="flex items-center gap-1 text-xs dark:text-gray-300">
+          Auto-refresh
+          <select className={input} value={interval} onChange={(e) => setIntervalMs(Number(e.target.value))}>
+            {REFRESH_INTERVALS.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+          </select>
+        </label>
+        <button type="button" className={btn} onClick={() => refresh()} disabled={loading}>{loading ? 'Loading…' : 'Refresh'}</button>
+        {updatedAt && <span className="text-[11px] text-gray-500 dark:text-gray-400">Updated {new Date(updatedAt).toLocaleTimeString()}</span>}
+      </div>
+
+      {error && <div className="text-sm text-red-600 dark:text-red-400">{error}</div>}
+      {range === 'custom' && (!custom.start || !custom.end) && (
+        <div className="text-sm text-gray-600 dark:text-gray-300">Pick a start and end date.</div>
+      )}
+
+      {summary && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+            <Stat title="Total events" value={t.events?.toLocaleString()} />
+            <Stat title="SQL attempts" value={t.attempts?.toLocaleString()} />
+            <Stat title="SQL success" value={t.success?.toLocaleString()} />
+            <Stat title="Success rate" value={formatPct(t.successRate)} />
+            <Stat title={t.p50Ms == null && t.avgMs != null ? 'Avg latency' : 'Latency p50'} value={formatMs(t.p50Ms ?? t.avgMs)} />
+            <Stat title="Latency p95" value={formatMs(t.p95Ms)} />
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-3">
+            <ChartCard title="Success rate over time" empty={!series.length}>
+              <ResponsiveContainer width="100%" height={220}>
+                <LineChart data={series}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="t" type="number" scale="time" domain={['dataMin', 'dataMax']} tickFormatter={tick} fontSize={11} />
+                  <YAxis domain={[0, 100]} unit="%" fontSize={11} width={44} />
+                  <Tooltip contentStyle={tooltipStyle} labelFormatter={when}
+                           formatter={(v, _n, p) => [`${formatPct(v)} (${p.payload.success}/${p.payload.attempts})`, 'Success rate']} />
+                  <Line type="monotone" dataKey="successRate" stroke={COLORS[2]} dot={false} connectNulls isAnimationActive={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </ChartCard>
+            <ChartCard title="Latency over time" empty={!series.some(p => p.p50Ms != null || p.p95Ms != null)}>
+              <ResponsiveContainer width="100%" height={220}>
+                <LineChart data={series}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="t" type="number" scale="time" domain={['dataMin', 'dataMax']} tickFormatter={tick} fontSize={11} />
+                  <YAxis tickFormatter={formatMs} fontSize={11} width={56} />
+                  <Tooltip contentStyle={tooltipStyle} labelFormatter={when} formatter={(v, n) => [formatMs(v), n]} />
+                  <Legend wrapperStyle={{ fontSize: 11 }} />
+                  <Line type="monotone" dataKey="p50Ms" name="p50" stroke={COLORS[0]} dot={false} connectNulls isAnimationActive={false} />
+                  <Line type="monotone" dataKey="p95Ms" name="p95" stroke={COLORS[1]} dot={false} connectNulls isAnimationActive={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </ChartCard>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-3">
+            <ChartCard title="Errors by type — click to drill in" empty={!summary.errorTypes.length}>
+              <ResponsiveContainer width="100%" height={Math.max(120, summary.errorTypes.length * 28 + 20)}>
+                <BarChart data={summary.errorTypes} layout="vertical" margin={{ left: 8 }}>
+                  <XAxis type="number" allowDecimals={false} fontSize={11} />
+                  <YAxis type="category" dataKey="type" width={110} fontSize={11} />
+                  <Tooltip contentStyle={tooltipStyle} />
+                  <Bar dataKey="count" name="Failures" fill={COLORS[3]} cursor="pointer" isAnimationActive={false}
+                       onClick={(d) => setErrorType(cur => (cur === d.type ? null : d.type))} />
+                </BarChart>
+              </ResponsiveContainer>
+              <div className="flex flex-wrap gap-1 mt-1">
+                {summary.errorTypes.map(e => (
+                  <button key={e.type} type="button" aria-pressed={errorType === e.type}
+                          onClick={() => setErrorType(cur => (cur === e.type ? null : e.type))}
+                          className={`text-[11px] px-2 py-0.5 rounded-full border ${errorType === e.type
+                            ? 'bg-red-600 text-white border-red-600' : 'border-gray-300 dark:border-gray-700 dark:text-gray-200'}`}>
+                    {e.type} · {e.count}
+                  </button>
+                ))}
+              </div>
+            </ChartCard>
+
+            <div className={card}>
+              <div className="text-xs text-gray-500 dark:text-gray-400 mb-1">Type breakdown</div>
+              {summary.typeBreakdown.length ? (
+                <ul className="text-sm dark:text-gray-100">
+                  {summary.typeBreakdown.map(({ type, count }) => (
+                    <li key={type} className="flex justify-between">
+                      <span className="capitalize">{type}</span>
+                      <span className="font-medium">{count.toLocaleString()}</span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (<div className="text-sm text-gray-500 dark:text-gray-400">No data</div>)}
+            </div>
+
+            <div className={card}>
+              <div className="text-xs text-gray-500 dark:text-gray-400 mb-1">Per DB — click to filter</div>
+              {summary.perDb.length ? (
+                <table className="w-full text-sm dark:text-gray-100">
+                  <tbody>
+                    {summary.perDb.map(p => (
+                      <tr key={p.db} className="cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-800" onClick={() => setDb(cur => (cur === p.db ? '' : p.db))}>
+                        <td className={`py-0.5 ${db === p.db ? 'font-semibold' : ''}`}>{p.db}</td>
+                        <td className="py-0.5 text-right">{p.success}/{p.attempts}</td>
+                        <td className="py-0.5 text-right text-gray-600 dark:text-gray-300">{formatPct(p.successRate)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (<div className="text-sm text-gray-500 dark:text-gray-400">No data</div>)}
+            </div>
+          </div>
+        </>
+      )}
+
+      <div className={card}>
+        <div className="flex items-center gap-2 mb-1">
+          <div className="text-xs text-gray-500 dark:text-gray-400">
+            Failed queries{errorType ? ` · ${errorType}` : ''}{db ? ` · ${db}` : ''}{eventsTotal != null ? ` (${eventsTotal.toLocaleString()})` : ''}
+          </div>
+          {errorType && <button type="button" className="text-xs underline dark:text-gray-300" onClick={() => setErrorType(null)}>All error types</button>}
+          {eventsLoading && <span className="text-xs text-gray-500 dark:text-gray-400">Loading…</span>}
+        </div>
+        {eventsError ? (
+          <div className="text-sm text-gray-500 dark:text-gray-400">{eventsError}</div>
+        ) : events && !events.length ? (
+          <div className="text-sm text-gray-500 dark:text-gray-400">No failed queries in this range</div>
+        ) : (
+          <ul className="divide-y divide-gray-100 dark:divide-gray-800 text-sm dark:text-gray-100">
+            {(events || []).map(ev => (
+              <li key={ev.id} className="py-1">
+                <button type="button" className="w-full text-left flex items-center gap-2" aria-expanded={expanded === ev.id}
+                        onClick={() => setExpanded(cur => (cur === ev.id ? null : ev.id))}>
+                  <span className="text-[11px] text-gray-500 dark:text-gray-400 whitespace-nowrap">{ev.at ? when(ev.at) : '—'}</span>
+                  {ev.db && <span className="text-[11px] px-1.5 rounded bg-gray-100 dark:bg-gray-800">{ev.db}</span>}
+                  {ev.errorType && <span className="text-[11px] px-1.5 rounded bg-red-50 text-red-700 dark:bg-red-900/30 dark:text-red-300">{ev.errorType}</span>}
+                  <span className="truncate flex-1">{ev.question || ev.sql || '(no question)'}</span>
+                </button>
+                {expanded === ev.id && (
+                  <div className="mt-1 space-y-1 text-xs">
+                    <div className="text-red-700 dark:text-red-300 whitespace-pre-wrap">{ev.error || 'No error message'}</div>
+                    {ev.sql && <pre className="p-2 rounded bg-gray-100 dark:bg-gray-800 overflow-auto whitespace-pre-wrap">{ev.sql}</pre>}
+                    <div className="text-gray-500 dark:text-gray-400">
+                      {[ev.user && `by ${ev.user}`, ev.execMs != null && `ran ${formatMs(ev.execMs)}`].filter(Boolean).join(' · ')}
+                    </div>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        {moreEvents && (
+          <button type="button" className={`${btn} mt-2`} onClick={() => loadEvents({ more: true })} disabled={eventsLoading}>Load more</button>
+        )}
+      </div>
+    </div>
+  );
+}
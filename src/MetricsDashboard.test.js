@@ -0,0 +1,98 @@
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import { api } from './api';
+import MetricsDashboard from './MetricsDashboard';
+
+// recharts' ResponsiveContainer needs ResizeObserver, which jsdom lacks
+beforeAll(() => {
+  global.ResizeObserver = class { observe() {} unobserve() {} disconnect() {} };
+});
+afterEach(() => jest.restoreAllMocks());
+
+const summary = {
+  total_events: 12, sql_attempts: 10, sql_success: 8, p50_exec_ms: 40, p95_exec_ms: 1200,
+  timeseries: [{ bucket: '2024-06-01', sql_attempts: 10, sql_success: 8 }],
+  error_types: { syntax: 2 },
+  per_db: { cars: { sql_attempts: 10, sql_success: 8 } }
+};
+const failures = [
+  { id: 'e1', ts: '2024-06-01T10:00:00Z', db: 'cars', query: 'top models by sales', sql: 'SELEC model FROM sales', error: 'near "SELEC": syntax error', error_type: 'syntax' }
+];
+
+test('shows totals, filters by database and drills into failed queries', async () => {
+  const get = jest.spyOn(api, 'get').mockImplementation(async (url) => (
+    url === '/metrics/summary' ? { data: summary } : { data: { events: failures, total: 1 } }
+  ));
+  render(<MetricsDashboard databases={['demo', 'cars']} />);
+
+  expect((await screen.findAllByText('80%')).length).toBeGreaterThan(0);
+  expect(screen.getByText('1200 ms')).toBeInTheDocument();
+  expect(await screen.findByText('top models by sales')).toBeInTheDocument();
+  const [, cfg] = get.mock.calls.find(([url]) => url === '/metrics/summary');
+  expect(cfg.params).toMatchObject({ bucket: 'day' });
+  expect(cfg.params.db).toBeUndefined();
+
+  // Drill down: expand the failure, then filter by its error type
+  fireEvent.click(screen.getByText('top models by sales'));
+  expect(screen.getByText('SELEC model FROM sales')).toBeInTheDocument();
+  expect(screen.getByText('near "SELEC": syntax error')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('syntax · 2'));
+  await waitFor(() => expect(get).toHaveBeenCalledWith('/metrics/events', expect.objectContaining({
+    params: expect.objectContaining({ status: 'failed', error_type: 'syntax', offset: 0 })
+  })));
+
+  // Clicking a DB row filters everything to that DB
+  get.mockClear();
+  fireEvent.click(screen.getByText('8/10'));
+  await waitFor(() => expect(get).toHaveBeenCalledWith('/metrics/summary', expect.objectContaining({ params: expect.objectContaining({ db: 'cars' }) })));
+  expect(screen.getByLabelText('Database')).toHaveValue('cars');
+  await screen.findByText('top models by sales');
+});
+
+test('auto-refreshes on the chosen interval', async () => {
+  jest.useFakeTimers();
+  try {
+    const get = jest.spyOn(api, 'get').mockImplementation(async (url) => (
+      url === '/metrics/summary' ? { data: summary } : { data: { events: [], total: 0 } }
+    ));
+    render(<MetricsDashboard />);
+    await screen.findByText('No failed queries in this range');
+    const count = () => get.mock.calls.filter(([url]) => url === '/metrics/summary').length;
+    expect(count()).toBe(1);
+    fireEvent.change(screen.getByLabelText('Auto-refresh'), { target: { value: '30000' } });
+    // The tick refetches the summary and the failures; let both land before asserting
+    await act(async () => { jest.advanceTimersByTime(30000); });
+    await waitFor(() => expect(count()).toBe(2));
+    expect(await screen.findByText('No failed queries in this range')).toBeInTheDocument();
+  } finally {
+    jest.useRealTimers();
+  }
+});
+
+test('auto-refresh keeps the failed queries already loaded', async () => {
+  jest.useFakeTimers();
+  try {
+    const page = (offset, limit) => Array.from({ length: Math.min(limit, 30 - offset) }, (_, i) => ({
+      id: `e${offset + i}`, ts: '2024-06-01T10:00:00Z', db: 'cars', query: `failed question ${offset + i}`, error: 'boom', error_type: 'syntax'
+    }));
+    const get = jest.spyOn(api, 'get').mockImplementation(async (url, { params }) => (
+      url === '/metrics/summary'
+        ? { data: { total_events: 3, sql_attempts: 2, sql_success: 1, avg_exec_ms: 90 } }
+        : { data: { events: page(params.offset, params.limit), total: 30 } }
+    ));
+    render(<MetricsDashboard />);
+    // Without percentiles the average is labelled as such
+    expect(await screen.findByText('Avg latency')).toBeInTheDocument();
+    expect(screen.queryByText('Latency p50')).toBeNull();
+
+    await screen.findByText('failed question 24');
+    fireEvent.click(screen.getByText('Load more'));
+    expect(await screen.findByText('failed question 29')).toBeInTheDocument();
+
+    await act(async () => { jest.advanceTimersByTime(60000); });
+    await waitFor(() => expect(get.mock.calls.filter(([url]) => url === '/metrics/summary')).toHaveLength(2));
+    expect(get).toHaveBeenLastCalledWith('/metrics/events', expect.objectContaining({ params: expect.objectContaining({ offset: 0, limit: 30 }) }));
+    expect(await screen.findByText('failed question 29')).toBeInTheDocument();
+  } finally {
+    jest.useRealTimers();
+  }
+});
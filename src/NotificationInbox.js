@@ -0,0 +1,177 @@
+// src/NotificationInbox.js
+// Header inbox for scheduled-report results and alerts: a bell with the
+// unread count (polled while the tab is visible) and a panel with the
+// history. Opening an entry marks it read and shows its value and a preview
+// of the rows; "Open schedule" jumps to the schedule that produced it.
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { normalizeError } from './api';
+import { INBOX_POLL_MS, NOTIFICATIONS_PAGE, fetchNotifications, markNotificationsRead } from './schedules';
+
+const btnCls = 'text-xs px-3 py-1 rounded border bg-gray-100 hover:bg-gray-200 border-gray-300 '
+  + 'dark:bg-gray-800 dark:hover:bg-gray-700 dark:border-gray-700 dark:text-gray-100';
+const btn = 'text-xs px-2 py-0.5 rounded border border-gray-300 hover:bg-gray-50 dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100 disabled:opacity-50';
+
+const ICONS = { alert: '🚨', report: '📊', error: '⚠️' };
+const PREVIEW_ROWS = 5;
+const fmt = (v) => (v == null ? '—' : Number(v).toLocaleString(undefined, { maximumFractionDigits: 2 }));
+
+function RowsPreview({ rows }) {
+  const cols = Object.keys(rows[0] || {});
+  if (!cols.length) return null;
+  return (
+    <div className="overflow-auto max-h-40">
+      <table className="min-w-full text-[11px]">
+        <thead className="text-left text-gray-500 dark:text-gray-400">
+          <tr>{cols.map(c => <th key={c} className="px-1">{c}</th>)}</tr>
+        </thead>
+        <tbody>
+          {rows.slice(0, PREVIEW_ROWS).map((r, i) => (
+            <tr key={i} className="border-t border-gray-100 dark:border-gray-800">
+              {cols.map(c => <td key={c} className="px-1 whitespace-nowrap">{String(r[c] ?? '')}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {rows.length > PREVIEW_ROWS && <div className="text-gray-500 dark:text-gray-400">…{rows.length - PREVIEW_ROWS} more</div>}
+    </div>
+  );
+}
+
+export default function NotificationInbox({ enabled = true, onOpenSchedule, onRequireLogin }) {
+  const [open, setOpen] = useState(false);
+  const [items, setItems] = useState([]);
+  const [unread, setUnread] = useState(0);
+  const [total, setTotal] = useState(null);
+  const [filter, setFilter] = useState('all');     // all | unread | alert
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [note, setNote] = useState('');
+  const shown = useRef(0);                         // read by the poll, which keeps the first render's `load`
+  const loadingMore = useRef(false);
+
+  useEffect(() => { shown.current = items.length; }, [items]);
+
+  // The next page, or a reload of the newest items as many as are shown, so polls keep "Load more" pages
+  const load = useCallback(async (more = false, current = []) => {
+    setLoading(true);
+    loadingMore.current = more;
+    try {
+      const page = await fetchNotifications(more
+        ? { offset: current.length, limit: NOTIFICATIONS_PAGE }
+        : { offset: 0, limit: Math.max(NOTIFICATIONS_PAGE, shown.current) });
+      setItems(more ? [...current, ...page.items] : page.items);
+      setUnread(page.unread);
+      setTotal(page.total);
+      setNote('');
+    } catch (e) {
+      const er = normalizeError(e);
+      if (er.isAuth) { setNote('🔒 Login required'); return; }
+      setNote(`⚠️ ${er.message || 'Could not load notifications'}`);
+    } finally {
+      loadingMore.current = false;
+      setLoading(false);
+    }
+  }, []);
+
+  // Poll for new results while the tab is visible
+  useEffect(() => {
+    if (!enabled) { setItems([]); setUnread(0); return undefined; }
+    load();
+    const timer = setInterval(() => { if (!document.hidden && !loadingMore.current) load(); }, INBOX_POLL_MS);
+    return () => clearInterval(timer);
+  }, [enabled, load]);
+
+  if (!enabled) return null;
+
+  const markRead = async (ids) => {
+    const targets = ids ? items.filter(n => ids.includes(n.id) && !n.read) : items.filter(n => !n.read);
+    if (ids && !targets.length) return;
+    setItems(list => list.map(n => (!ids || ids.includes(n.id) ? { ...n, read: true } : n)));
+    setUnread(u => (ids ? Math.max(0, u - targets.length) : 0));
+    try {
+      await markNotificationsRead(ids);
+    } catch (e) {
+      const er = normalizeError(e);
+      if (er.isAuth) onRequireLogin?.();
+      load();
+    }
+  };
+
+  const toggle = (n) => {
+    setExpanded(x => (x === n.id ? null : n.id));
+    if (!n.read) markRead([n.id]);
+  };
+
+  const visible = items.filter(n => (filter === 'unread' ? !n.read : filter === 'alert' ? n.kind === 'alert' : true));
+
+  return (
+    <div className="relative">
+      <button type="button" onClick={() => { setOpen(o => !o); if (!open) load(); }} aria-haspopup="dialog" aria-expanded={open}
+              className={`${btnCls} relative`} title="Scheduled report results and alerts"
+              aria-label={unread ? `Notifications, ${unread} unread` : 'Notifications'}>
+        🔔
+        {unread > 0 && (
+          <span className="absolute -top-1.5 -right-1.5 min-w-[1rem] h-4 px-1 rounded-full bg-red-600 text-white text-[10px] leading-4 text-center">
+            {unread > 99 ? '99+' : unread}
+          </span>
+        )}
+      </button>
+      {open && (
+        <div role="dialog" aria-label="Notifications"
+             className="absolute right-0 top-full mt-1 z-20 w-96 max-h-[70vh] flex flex-col rounded border border-gray-200 bg-white shadow text-xs
+                        dark:bg-gray-900 dark:border-gray-700 dark:text-gray-100">
+          <div className="flex items-center gap-1 px-3 py-2 border-b border-gray-200 dark:border-gray-700">
+            <span className="font-semibold mr-auto">Inbox</span>
+            {[['all', 'All'], ['unread', 'Unread'], ['alert', 'Alerts']].map(([id, label]) => (
+              <button key={id} type="button" aria-pressed={filter === id} onClick={() => setFilter(id)}
+                      className={`px-2 py-0.5 rounded-full border ${filter === id
+                        ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/30' : 'border-gray-300 dark:border-gray-700'}`}>
+                {label}
+              </button>
+            ))}
+            <button type="button" className={btn} onClick={() => markRead()} disabled={!unread}>Mark all read</button>
+          </div>
+          <ul className="flex-1 overflow-auto" aria-label="Notification history">
+            {visible.map(n => (
+              <li key={n.id} className="border-b border-gray-100 dark:border-gray-800">
+                <button type="button" onClick={() => toggle(n)} aria-expanded={expanded === n.id}
+                        className={`w-full text-left px-3 py-2 hover:bg-gray-50 dark:hover:bg-gray-800 ${n.read ? '' : 'bg-blue-50/60 dark:bg-blue-900/20'}`}>
+                  <div className="flex items-center gap-2">
+                    <span>{ICONS[n.kind]}</span>
+                    <span className={`flex-1 truncate ${n.read ? '' : 'font-semibold'}`}>{n.title}</span>
+                    <span className="shrink-0 text-[11px] text-gray-500 dark:text-gray-400">{n.at ? new Date(n.at).toLocaleString() : ''}</span>
+                  </div>
+                  {n.body && <div className={`text-gray-600 dark:text-gray-300 ${expanded === n.id ? 'whitespace-pre-wrap' : 'truncate'}`}>{n.body}</div>}
+                </button>
+                {expanded === n.id && (
+                  <div className="px-3 pb-2 space-y-1">
+                    {n.value != null && (
+                      <div>Value {fmt(n.value)}{n.previous != null && ` (previous run ${fmt(n.previous)})`}</div>
+                    )}
+                    {n.rows.length > 0 && <RowsPreview rows={n.rows} />}
+                    {n.scheduleId && onOpenSchedule && (
+                      <button type="button" className={btn} onClick={() => { setOpen(false); onOpenSchedule(n); }}>
+                        Open schedule{n.db ? ` (${n.db})` : ''}
+                      </button>
+                    )}
+                  </div>
+                )}
+              </li>
+            ))}
+            {!visible.length && !loading && (
+              <li className="px-3 py-2 text-gray-500 dark:text-gray-400">
+                {note || (filter === 'all' ? 'No notifications yet. Schedule a saved query to get reports here.' : 'Nothing here')}
+              </li>
+            )}
+          </ul>
+          {total != null && items.length < total && (
+            <button type="button" className={`${btn} m-2 self-start`} onClick={() => load(true, items)} disabled={loading}>
+              Load more ({items.length}/{total})
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import { api } from './api';
+import NotificationInbox from './NotificationInbox';
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+// In-memory stand-in for the /notifications API
+function mockBackend(items) {
+  const db = { items: items.map(n => ({ ...n })) };
+  jest.spyOn(api, 'get').mockImplementation(async () => ({
+    data: { items: db.items, unread: db.items.filter(n => !n.read).length, total: db.items.length }
+  }));
+  jest.spyOn(api, 'post').mockImplementation(async (url, body) => {
+    db.items.forEach(n => { if (body.all || body.ids.includes(String(n.id))) n.read = true; });
+    return { data: {} };
+  });
+  return db;
+}
+
+const alert = {
+  id: 1, kind: 'alert', title: 'Weekly revenue dropped', body: 'sum(revenue_rm) dropped 25% vs previous run',
+  created_at: '2024-01-08T08:00:00Z', db: 'sales', schedule_id: 7, value: 750, previous: 1000,
+  rows: [{ week: 'W2', revenue_rm: 750 }]
+};
+const report = { id: 2, kind: 'report', title: 'Daily orders', created_at: '2024-01-07T08:00:00Z', db: 'sales', schedule_id: 8, read: true };
+
+test('shows the unread count, expands an alert and marks it read', async () => {
+  const backend = mockBackend([alert, report]);
+  const onOpenSchedule = jest.fn();
+  render(<NotificationInbox onOpenSchedule={onOpenSchedule} />);
+
+  // Opening the panel refreshes the list
+  backend.items.push({ ...report, id: 5, title: 'Monthly churn' });
+  fireEvent.click(await screen.findByRole('button', { name: 'Notifications, 1 unread' }));
+  expect(await screen.findByText('Monthly churn')).toBeInTheDocument();
+  expect(screen.getByText('Daily orders')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Alerts'));
+  expect(screen.queryByText('Daily orders')).toBeNull();
+
+  fireEvent.click(screen.getByText('Weekly revenue dropped'));
+  expect(screen.getByText('Value 750 (previous run 1,000)')).toBeInTheDocument();
+  expect(screen.getByRole('cell', { name: 'W2' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Notifications' })).toBeInTheDocument();
+  expect(backend.items[0].read).toBe(true);
+
+  fireEvent.click(screen.getByText('Open schedule (sales)'));
+  expect(onOpenSchedule).toHaveBeenCalledWith(expect.objectContaining({ scheduleId: '7', db: 'sales' }));
+});
+
+test('polls for new results and marks everything read', async () => {
+  jest.useFakeTimers();
+  const backend = mockBackend([report]);
+  render(<NotificationInbox />);
+  expect(await screen.findByRole('button', { name: 'Notifications' })).toBeInTheDocument();
+
+  backend.items.unshift({ ...alert, id: 3 }, { ...alert, id: 4, title: 'Another alert' });
+  await act(async () => { jest.advanceTimersByTime(60000); });
+  const bell = await screen.findByRole('button', { name: 'Notifications, 2 unread' });
+  backend.items.push({ ...report, id: 6, title: 'Weekly signups' });
+  fireEvent.click(bell);
+  expect(await screen.findByText('Weekly signups')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Mark all read'));
+  expect(screen.getByRole('button', { name: 'Notifications' })).toBeInTheDocument();
+  expect(api.post).toHaveBeenCalledWith('/notifications/read', { all: true }, expect.anything());
+  expect(backend.items.every(n => n.read)).toBe(true);
+});
+
+test('polls keep the history pages already loaded', async () => {
+  jest.useFakeTimers();
+  const history = Array.from({ length: 40 }, (_, i) => ({ ...report, id: 100 + i, title: `Report ${i}`, created_at: new Date(Date.UTC(2024, 0, 40 - i)).toISOString() }));
+  jest.spyOn(api, 'get').mockImplementation(async (url, { params }) => ({
+    data: { items: history.slice(params.offset, params.offset + params.limit), unread: 0, total: history.length }
+  }));
+  render(<NotificationInbox />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Notifications' }));
+  const more = await screen.findByText('Load more (30/40)');
+  await waitFor(() => expect(more).toBeEnabled());
+  fireEvent.click(more);
+  expect(await screen.findByText('Report 39')).toBeInTheDocument();
+
+  await act(async () => { jest.advanceTimersByTime(60000); });
+  expect(api.get).toHaveBeenLastCalledWith('/notifications', expect.objectContaining({ params: { offset: 0, limit: 40 } }));
+  expect(screen.getByText('Report 39')).toBeInTheDocument();
+  expect(screen.queryByText(/Load more/)).toBeNull();
+});
+
+test('renders nothing when signed out', () => {
+  const get = jest.spyOn(api, 'get');
+  const { container } = render(<NotificationInbox enabled={false} />);
+  expect(container).toBeEmptyDOMElement();
+  expect(get).not.toHaveBeenCalled();
+});
@@ -0,0 +1,44 @@
+// src/OidcCallback.js
+// Page shown on the SSO redirect URI while the authorization code is redeemed;
+// then it puts the app URL back and hands over to <App />.
+
+import React, { useEffect, useState } from 'react';
+import { completeOidcLogin } from './oidc';
+
+export default function OidcCallback({ onDone }) {
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let active = true;
+    completeOidcLogin(window.location.search)
+      .then(({ returnTo }) => {
+        if (!active) return;
+        window.history.replaceState(null, '', returnTo);
+        onDone?.();
+      })
+      .catch((e) => { if (active) setError(e.message || 'Sign-in failed'); });
+    return () => { active = false; };
+  }, []); // eslint-disable-line
+
+  const backToApp = () => {
+    window.history.replaceState(null, '', '/');
+    onDone?.();
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100 dark:bg-gray-900">
+      <div className="w-full max-w-sm rounded-xl bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 p-4 space-y-3">
+        {error ? (
+          <>
+            <div className="text-lg font-semibold dark:text-gray-100">Sign-in failed</div>
+            <div className="text-sm text-red-600 dark:text-red-400">⚠️ {error}</div>
+            <button type="button" onClick={backToApp}
+                    className="px-3 py-1 rounded bg-blue-600 text-white dark:bg-blue-500">Back to the app</button>
+          </>
+        ) : (
+          <div className="text-sm text-gray-600 dark:text-gray-300">Signing you in…</div>
+        )}
+      </div>
+    </div>
+  );
+}
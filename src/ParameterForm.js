@@ -0,0 +1,79 @@
+// src/ParameterForm.js
+// Generated form for a saved query's {{parameters}}: one typed input per
+// parameter, validation on run and a preview of the filled-in text. Used by
+// the saved-query library and the command palette.
+
+import React, { useState } from 'react';
+import { defaultValues, validateParams, fillParams, savedText } from './savedQueries';
+
+const input = 'border border-gray-300 rounded px-2 py-1 text-xs bg-white text-gray-900 dark:bg-gray-800 dark:border-gray-700 dark:text-gray-100';
+const btn = 'text-xs px-3 py-1 rounded border border-gray-300 hover:bg-gray-50 dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100 disabled:opacity-50';
+const primary = 'text-xs px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 disabled:opacity-50';
+
+export function ParamInput({ param, value, onChange }) {
+  const id = `param-${param.name}`;
+  if (param.type === 'daterange') {
+    const v = value || { start: '', end: '' };
+    return (
+      <span className="flex items-center gap-1">
+        <input id={id} type="date" className={input} value={v.start} aria-label={`${param.label} start`}
+               onChange={(e) => onChange({ ...v, start: e.target.value })} />
+        –
+        <input type="date" className={input} value={v.end} aria-label={`${param.label} end`}
+               onChange={(e) => onChange({ ...v, end: e.target.value })} />
+      </span>
+    );
+  }
+  if (param.type === 'select' && param.options.length) {
+    return (
+      <select id={id} className={input} value={value ?? ''} onChange={(e) => onChange(e.target.value)}>
+        <option value="">Choose…</option>
+        {param.options.map(o => <option key={o} value={o}>{o}</option>)}
+      </select>
+    );
+  }
+  return (
+    <input id={id} className={input} value={value ?? ''} onChange={(e) => onChange(e.target.value)}
+           type={param.type === 'number' ? 'number' : param.type === 'date' ? 'date' : 'text'} />
+  );
+}
+
+/**
+ * `onRun(text)` receives the saved SQL / question with the parameters filled
+ * in; nothing is run while a value is missing or invalid.
+ */
+export default function ParameterForm({ item, running = false, onRun, onCancel }) {
+  const [values, setValues] = useState(() => defaultValues(item.params));
+  const [touched, setTouched] = useState(false);
+  const errors = validateParams(item.params, values);
+  const sql = item.kind === 'sql';
+  const filled = fillParams(savedText(item), item.params, values, { sql });
+
+  const submit = (e) => {
+    e.preventDefault();
+    setTouched(true);
+    if (Object.keys(errors).length || running) return;
+    onRun(filled);
+  };
+
+  return (
+    <form onSubmit={submit} aria-label={`Run ${item.title}`} className="space-y-2 text-xs dark:text-gray-300">
+      {item.params.map(p => (
+        <div key={p.name} className="flex flex-wrap items-center gap-2">
+          <label htmlFor={`param-${p.name}`} className="w-32 shrink-0">
+            {p.label}{p.required && <span className="text-red-600"> *</span>}
+          </label>
+          <ParamInput param={p} value={values[p.name]} onChange={(v) => setValues(s => ({ ...s, [p.name]: v }))} />
+          {touched && errors[p.name] && <span className="text-red-600 dark:text-red-400">{errors[p.name]}</span>}
+        </div>
+      ))}
+      <pre className="max-h-40 overflow-auto whitespace-pre-wrap rounded bg-gray-50 border border-gray-200 p-2 font-mono dark:bg-gray-800 dark:border-gray-700 dark:text-gray-100">
+        {filled}
+      </pre>
+      <div className="flex gap-2">
+        <button type="submit" className={primary} disabled={running}>{sql ? 'Run SQL' : 'Ask'}</button>
+        {onCancel && <button type="button" className={btn} onClick={onCancel}>Cancel</button>}
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,311 @@
+// src/PivotTable.js
+// Pivot view for a result message: drag fields into rows / columns / values,
+// pick an aggregation per value and get subtotals plus grand totals.
+// Config lives on the message (`msg.pivotConfig`); missing combinations are
+// blank, never 0. pivotToRows() flattens the grid for the export menu.
+
+import React, { useMemo, useState } from 'react';
+import { newAggregate, addToAggregate, aggregateValue } from './dataHelpers';
+import { columnKind, compareValues } from './ResultTable';
+
+export const PIVOT_AGGREGATIONS = ['sum', 'avg', 'count', 'min', 'max'];
+export const DEFAULT_PIVOT_CONFIG = { rows: [], columns: [], values: [], subtotals: true };
+
+// Initial layout from a chart spec: x down, series across, first metric summed
+export function pivotConfigFromSpec(spec = {}) {
+  return {
+    rows: spec.xKey ? [spec.xKey] : [],
+    columns: spec.seriesKey ? [spec.seriesKey] : [],
+    values: (spec.yKeys || []).slice(0, 1).map(field => ({ field, agg: 'sum' })),
+    subtotals: true
+  };
+}
+
+const isBlank = (v) => v === null || v === undefined || v === '';
+const keyStr = (parts) => JSON.stringify(parts);
+
+// Sorted distinct key tuples, with a subtotal entry after each group when asked
+function orderKeys(tuples, kinds, withSubtotals) {
+  const sorted = [...tuples].sort((a, b) => {
+    for (let i = 0; i < a.length; i++) {
+      const c = compareValues(a[i], b[i], kinds[i]);
+      if (c !== 0) return c;
+    }
+    return 0;
+  });
+  if (!withSubtotals || !sorted.length || sorted[0].length < 2) return sorted.map(key => ({ key, subtotal: false }));
+
+  const out = [];
+  sorted.forEach((key, i) => {
+    out.push({ key, subtotal: false });
+    const next = sorted[i + 1];
+    // Close every group whose prefix ends here, innermost first
+    for (let len = key.length - 1; len >= 1; len--) {
+      if (!next || keyStr(next.slice(0, len)) !== keyStr(key.slice(0, len))) out.push({ key: key.slice(0, len), subtotal: true });
+    }
+  });
+  return out;
+}
+
+/**
+ * Build the pivot grid.
+ * config: { rows: [field], columns: [field], values: [{ field, agg }], subtotals }
+ * Returns { rowKeys, colKeys, values, cell(rowKey, colKey, vi), ... } where row
+ * and column entries are { key: [...], subtotal } and the grand total is key [].
+ */
+export function buildPivot(rows, config = DEFAULT_PIVOT_CONFIG) {
+  const list = Array.isArray(rows) ? rows : [];
+  const rowFields = config.rows || [];
+  const colFields = config.columns || [];
+  const values = (config.values || []).filter(v => v?.field);
+  const withSubtotals = config.subtotals !== false;
+
+  const rowKinds = rowFields.map(f => columnKind(list, f));
+  const colKinds = colFields.map(f => columnKind(list, f));
+  const rowTuples = new Map();
+  const colTuples = new Map();
+  const accs = new Map(); // "rowPrefix|colPrefix" → [acc per value]
+
+  const bump = (rk, ck, r) => {
+    const k = `${rk}|${ck}`;
+    if (!accs.has(k)) accs.set(k, values.map(newAggregate));
+    const arr = accs.get(k);
+    values.forEach((v, i) => addToAggregate(arr[i], r?.[v.field]));
+  };
+
+  list.forEach(r => {
+    const rt = rowFields.map(f => (isBlank(r?.[f]) ? '' : r[f]));
+    const ct = colFields.map(f => (isBlank(r?.[f]) ? '' : r[f]));
+    rowTuples.set(keyStr(rt), rt);
+    colTuples.set(keyStr(ct), ct);
+    // Every row prefix × every column prefix, so subtotals and totals come for free
+    for (let i = 0; i <= rt.length; i++) {
+      const rk = keyStr(rt.slice(0, i));
+      for (let j = 0; j <= ct.length; j++) bump(rk, keyStr(ct.slice(0, j)), r);
+    }
+  });
+
+  const rowKeys = rowFields.length ? orderKeys(Array.from(rowTuples.values()), rowKinds, withSubtotals) : [];
+  const colKeys = colFields.length ? orderKeys(Array.from(colTuples.values()), colKinds, withSubtotals) : [];
+
+  const cell = (rowKey, colKey, vi) => {
+    const arr = accs.get(`${keyStr(rowKey)}|${keyStr(colKey)}`);
+    return arr ? aggregateValue(arr[vi], values[vi].agg) : null;
+  };
+
+  return { rowFields, colFields, values, rowKeys, colKeys, cell };
+}
+
+const aggLabel = (v, labelFor) => `${labelFor(v.field)} (${v.agg})`;
+
+/**
+ * Flatten a pivot to plain rows for exporters: row field columns, then one
+ * column per (column key × value), then grand totals. Returns { rows, columns, labels }.
+ */
+export function pivotToRows(pivot, labelFor = (c) => c) {
+  const { rowFields, colFields, values, rowKeys, colKeys, cell } = pivot;
+  const dataCols = [];
+  const cols = colFields.length ? [...colKeys, { key: [], subtotal: true, grand: true }] : [{ key: [], subtotal: false }];
+  cols.forEach(ck => values.forEach((v, vi) => {
+    const path = ck.grand ? ['Total'] : ck.subtotal ? [...ck.key.map(String), 'Total'] : ck.key.map(String);
+    const name = values.length > 1 || !path.length ? [...path, aggLabel(v, labelFor)] : path;
+    dataCols.push({ id: `v${dataCols.length}`, label: name.join(' / '), colKey: ck.key, vi });
+  }));
+
+  const rowCols = rowFields.map((f, i) => ({ id: `r${i}`, label: labelFor(f) }));
+  const line = (rk, subtotal) => {
+    const out = {};
+    rowFields.forEach((_f, i) => {
+      if (i < rk.length) out[`r${i}`] = rk[i];
+      else if (subtotal && i === rk.length) out[`r${i}`] = rk.length ? 'Total' : 'Grand total';
+      else out[`r${i}`] = '';
+    });
+    dataCols.forEach(c => { out[c.id] = cell(rk, c.colKey, c.vi); });
+    return out;
+  };
+
+  const out = rowKeys.map(r => line(r.key, r.subtotal));
+  out.push(line([], true));
+
+  const columns = [...rowCols, ...dataCols].map(c => c.id);
+  const labels = Object.fromEntries([...rowCols, ...dataCols].map(c => [c.id, c.label]));
+  const valueOf = Object.fromEntries(dataCols.map(c => [c.id, values[c.vi]]));
+  return { rows: out, columns, labels, valueOf };
+}
+
+/* ───────── Field zones ───────── */
+function FieldChip({ field, label, onDragStart, onRemove, children }) {
+  return (
+    <span draggable onDragStart={(e) => { e.dataTransfer.setData('text/plain', field); onDragStart?.(e); }}
+          className="inline-flex items-center gap-1 rounded border border-gray-300 bg-white px-2 py-0.5 text-xs cursor-grab
+                     dark:bg-gray-800 dark:border-gray-600 dark:text-gray-100">
+      {label}
+      {children}
+      {onRemove && (
+        <button type="button" className="text-gray-400 hover:text-red-600" title="Remove" onClick={onRemove}>✕</button>
+      )}
+    </span>
+  );
+}
+
+function DropZone({ title, fields, onDropField, onAdd, children }) {
+  const [over, setOver] = useState(false);
+  return (
+    <div onDragOver={(e) => { e.preventDefault(); setOver(true); }}
+         onDragLeave={() => setOver(false)}
+         onDrop={(e) => { e.preventDefault(); setOver(false); const f = e.dataTransfer.getData('text/plain'); if (f) onDropField(f); }}
+         className={`flex-1 min-w-[10rem] rounded border border-dashed p-2 ${over ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20' : 'border-gray-300 dark:border-gray-700'}`}>
+      <div className="flex items-center justify-between mb-1 text-[11px] text-gray-500 dark:text-gray-400">
+        <span>{title}</span>
+        <select value="" onChange={(e) => e.target.value && onAdd(e.target.value)} aria-label={`Add field to ${title}`}
+                className="text-[11px] rounded border border-gray-300 bg-white dark:bg-gray-900 dark:border-gray-700 dark:text-gray-100">
+          <option value="">+ add</option>
+          {fields.map(f => <option key={f.field} value={f.field}>{f.label}</option>)}
+        </select>
+      </div>
+      <div className="flex flex-wrap gap-1 min-h-[1.5rem]">{children}</div>
+    </div>
+  );
+}
+
+/* ───────── Pivot view ───────── */
+export default function PivotTable({ rows, config, onConfigChange, labelFor = (c) => c, formatCell = (v) => String(v) }) {
+  const cfg = { ...DEFAULT_PIVOT_CONFIG, ...(config || {}) };
+  const cols = Object.keys(rows?.[0] || {});
+  const fields = cols.map(c => ({ field: c, label: labelFor(c) }));
+  const pivot = useMemo(() => buildPivot(rows, cfg), [rows, config]); // eslint-disable-line
+
+  const set = (patch) => onConfigChange({ ...cfg, ...patch });
+  const moveTo = (zone, field) => {
+    const numeric = columnKind(rows || [], field) === 'number';
+    if (zone === 'values') {
+      set({ values: [...cfg.values, { field, agg: numeric ? 'sum' : 'count' }] });
+      return;
+    }
+    // A field sits in rows or columns, not both
+    const next = { rows: cfg.rows.filter(f => f !== field), columns: cfg.columns.filter(f => f !== field) };
+    next[zone] = [...next[zone], field];
+    set(next);
+  };
+  const removeFrom = (zone, idx) => set({ [zone]: cfg[zone].filter((_f, i) => i !== idx) });
+  const setAgg = (idx, agg) => set({ values: cfg.values.map((v, i) => (i === idx ? { ...v, agg } : v)) });
+
+  const fmt = (v, value) => {
+    if (v === null || v === undefined) return '';
+    return value.agg === 'count' ? Number(v).toLocaleString() : formatCell(v, value.field, 'number');
+  };
+
+  const { rowFields, colFields, values, rowKeys, colKeys, cell } = pivot;
+  const colEntries = colFields.length ? [...colKeys, { key: [], subtotal: true, grand: true }] : [{ key: [], subtotal: false }];
+  const showValueRow = values.length > 1 || !colFields.length;
+  const headerLevels = colFields.length + (showValueRow ? 1 : 0);
+  const rowEntries = rowFields.length ? [...rowKeys, { key: [], subtotal: true, grand: true }] : [{ key: [], subtotal: true, grand: true }];
+
+  // Column header cells with colSpan merging of equal consecutive prefixes
+  const headerRows = [];
+  for (let level = 0; level < colFields.length; level++) {
+    const cells = [];
+    colEntries.forEach((ce, idx) => {
+      if (ce.key.length < level) return; // covered by a rowSpan above
+      if (ce.key.length === level && (ce.subtotal || ce.grand)) {
+        const label = ce.grand ? 'Total' : `${ce.key[level - 1]} Total`;
+        cells.push({ label, span: values.length, rowSpan: colFields.length - level, total: true, idx });
+        return;
+      }
+      const prefix = keyStr(ce.key.slice(0, level + 1));
+      const prev = cells[cells.length - 1];
+      if (prev && !prev.total && prev.prefix === prefix) prev.span += values.length;
+      else cells.push({ label: String(ce.key[level]), span: values.length, rowSpan: 1, prefix, idx });
+    });
+    headerRows.push(cells);
+  }
+
+  const th = 'px-2 py-1 border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 text-left font-semibold whitespace-nowrap';
+  const td = 'px-2 py-1 border border-gray-200 dark:border-gray-700 whitespace-nowrap';
+
+  return (
+    <div className="mt-2 text-xs dark:text-gray-100">
+      <div className="flex flex-wrap gap-2 mb-2">
+        <div className="w-full flex flex-wrap gap-1 items-center">
+          <span className="text-[11px] text-gray-500 dark:text-gray-400 mr-1">Fields (drag):</span>
+          {fields.map(f => <FieldChip key={f.field} field={f.field} label={f.label} />)}
+        </div>
+        <DropZone title="Rows" fields={fields} onDropField={(f) => moveTo('rows', f)} onAdd={(f) => moveTo('rows', f)}>
+          {cfg.rows.map((f, i) => <FieldChip key={f} field={f} label={labelFor(f)} onRemove={() => removeFrom('rows', i)} />)}
+        </DropZone>
+        <DropZone title="Columns" fields={fields} onDropField={(f) => moveTo('columns', f)} onAdd={(f) => moveTo('columns', f)}>
+          {cfg.columns.map((f, i) => <FieldChip key={f} field={f} label={labelFor(f)} onRemove={() => removeFrom('columns', i)} />)}
+        </DropZone>
+        <DropZone title="Values" fields={fields} onDropField={(f) => moveTo('values', f)} onAdd={(f) => moveTo('values', f)}>
+          {cfg.values.map((v, i) => (
+            <FieldChip key={`${v.field}-${i}`} field={v.field} label={labelFor(v.field)} onRemove={() => removeFrom('values', i)}>
+              <select value={v.agg} onChange={(e) => setAgg(i, e.target.value)} aria-label="Aggregation"
+                      className="text-[11px] rounded border border-gray-300 bg-white dark:bg-gray-900 dark:border-gray-700">
+                {PIVOT_AGGREGATIONS.map(a => <option key={a} value={a}>{a}</option>)}
+              </select>
+            </FieldChip>
+          ))}
+        </DropZone>
+        <label className="flex items-center gap-1 text-gray-700 dark:text-gray-200">
+          <input type="checkbox" checked={cfg.subtotals !== false} onChange={(e) => set({ subtotals: e.target.checked })} />
+          Subtotals
+        </label>
+      </div>
+
+      {!values.length ? (
+        <p className="italic text-gray-500 dark:text-gray-400">Drop at least one field into Values.</p>
+      ) : (
+        <div className="overflow-auto max-h-[480px] rounded border border-gray-200 dark:border-gray-700">
+          <table className="min-w-full border-collapse">
+            <thead>
+              {headerRows.map((cells, level) => (
+                <tr key={`h-${level}`}>
+                  {level === 0 && rowFields.map(f => <th key={f} className={th} rowSpan={headerLevels}>{labelFor(f)}</th>)}
+                  {level === 0 && !rowFields.length && <th className={th} rowSpan={headerLevels} />}
+                  {cells.map(c => (
+                    <th key={`${level}-${c.idx}`} className={`${th} ${c.total ? 'italic' : ''}`} colSpan={c.span} rowSpan={c.rowSpan}>{c.label}</th>
+                  ))}
+                </tr>
+              ))}
+              {showValueRow && (
+                <tr>
+                  {!colFields.length && rowFields.map(f => <th key={f} className={th}>{labelFor(f)}</th>)}
+                  {!colFields.length && !rowFields.length && <th className={th} />}
+                  {colEntries.map((ce, ci) => values.map((v, vi) => (
+                    <th key={`v-${ci}-${vi}`} className={`${th} text-right`}>{`${labelFor(v.field)} (${v.agg})`}</th>
+                  )))}
+                </tr>
+              )}
+            </thead>
+            <tbody>
+              {rowEntries.map((re, ri) => {
+                const prev = rowEntries[ri - 1];
+                const total = re.subtotal;
+                return (
+                  <tr key={`r-${ri}`} className={total ? 'font-semibold bg-gray-50 dark:bg-gray-800/60' : ''}>
+                    {rowFields.map((f, li) => {
+                      let text = '';
+                      if (re.grand) text = li === 0 ? 'Grand total' : '';
+                      else if (li < re.key.length) {
+                        // Repeat a group label only where the group starts
+                        const same = prev && !prev.subtotal && keyStr(prev.key.slice(0, li + 1)) === keyStr(re.key.slice(0, li + 1));
+                        text = same && !total ? '' : String(re.key[li]);
+                      } else if (total && li === re.key.length) text = 'Total';
+                      return <td key={f} className={td}>{text}</td>;
+                    })}
+                    {!rowFields.length && <td className={td}>Grand total</td>}
+                    {colEntries.map((ce, ci) => values.map((v, vi) => (
+                      <td key={`${ci}-${vi}`} className={`${td} text-right tabular-nums ${ce.subtotal ? 'font-semibold' : ''}`}>
+                        {fmt(cell(re.key, ce.key, vi), v)}
+                      </td>
+                    )))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
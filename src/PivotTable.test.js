@@ -0,0 +1,50 @@
+import { render, screen } from '@testing-library/react';
+import PivotTable, { buildPivot, pivotToRows, pivotConfigFromSpec } from './PivotTable';
+
+const rows = [
+  { region: 'North', branch: 'KL', month: 'Jan 2024', revenue: 100 },
+  { region: 'North', branch: 'KL', month: 'Feb 2024', revenue: 200 },
+  { region: 'North', branch: 'Ipoh', month: 'Jan 2024', revenue: 50 },
+  { region: 'South', branch: 'JB', month: 'Feb 2024', revenue: 30 },
+  { region: 'South', branch: 'JB', month: 'Feb 2024', revenue: 10 }
+];
+
+test('missing combinations are blank, not zero', () => {
+  const p = buildPivot(rows, { rows: ['branch'], columns: ['month'], values: [{ field: 'revenue', agg: 'sum' }] });
+  expect(p.colKeys.map(c => c.key)).toEqual([['Jan 2024'], ['Feb 2024']]);
+  expect(p.cell(['Ipoh'], ['Feb 2024'], 0)).toBeNull();
+  expect(p.cell(['JB'], ['Feb 2024'], 0)).toBe(40);
+  expect(p.cell([], [], 0)).toBe(390);
+});
+
+test('subtotals aggregate raw values and follow their group', () => {
+  const p = buildPivot(rows, { rows: ['region', 'branch'], columns: [], values: [{ field: 'revenue', agg: 'avg' }], subtotals: true });
+  expect(p.rowKeys.map(r => [r.key.join('/'), r.subtotal])).toEqual([
+    ['North/Ipoh', false], ['North/KL', false], ['North', true],
+    ['South/JB', false], ['South', true]
+  ]);
+  // avg over the three North rows, not the avg of branch averages
+  expect(p.cell(['North'], [], 0)).toBeCloseTo(350 / 3);
+
+  const counts = buildPivot(rows, { rows: ['region'], values: [{ field: 'branch', agg: 'count' }, { field: 'revenue', agg: 'max' }] });
+  expect(counts.cell(['South'], [], 0)).toBe(2);
+  expect(counts.cell(['South'], [], 1)).toBe(30);
+});
+
+test('pivotToRows flattens headers and appends totals for export', () => {
+  const p = buildPivot(rows, { rows: ['region'], columns: ['month'], values: [{ field: 'revenue', agg: 'sum' }] });
+  const flat = pivotToRows(p, (c) => c.toUpperCase());
+  expect(flat.columns.map(c => flat.labels[c])).toEqual(['REGION', 'Jan 2024', 'Feb 2024', 'Total']);
+  expect(flat.rows).toEqual([
+    { r0: 'North', v0: 150, v1: 200, v2: 350 },
+    { r0: 'South', v0: null, v1: 40, v2: 40 },
+    { r0: 'Grand total', v0: 150, v1: 240, v2: 390 }
+  ]);
+});
+
+test('renders grand totals and blanks from a spec-derived config', () => {
+  const config = pivotConfigFromSpec({ xKey: 'branch', seriesKey: 'month', yKeys: ['revenue'] });
+  render(<PivotTable rows={rows} config={config} onConfigChange={() => {}} />);
+  expect(screen.getByText('Grand total')).toBeInTheDocument();
+  expect(screen.getByText('390')).toBeInTheDocument();
+});
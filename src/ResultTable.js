@@ -0,0 +1,299 @@
+// src/ResultTable.js
+// Results table with numeric/month-aware sorting, per-column text & range
+// filters, pagination, column show/hide and resizable sticky headers.
+// View state lives on the message (`msg.tableState`) so it survives reloads
+// and the chart can optionally follow the filtered view.
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { toNumber, formatNumber, monthIndex } from './dataHelpers';
+
+export const DEFAULT_TABLE_STATE = { sort: null, filters: {}, hidden: [], widths: {}, pageSize: 50, followChart: false };
+const PAGE_SIZES = [25, 50, 100, 500];
+
+// "1,234.5", "RM 1,200", "-3", "12.5%" — but not "KL-01" or "Jan 2024"
+const NUMERIC_STRING = /^\s*[^\d\s.,-]{0,3}\s*-?(\d{1,3}(,\d{3})+|\d*)(\.\d+)?\s*%?\s*$/;
+const looksNumeric = (v) => (typeof v === 'number' ? Number.isFinite(v) : typeof v === 'string' && /\d/.test(v) && NUMERIC_STRING.test(v));
+const isBlank = (v) => v === null || v === undefined || v === '';
+
+// Column kind from a sample of non-empty values
+export function columnKind(rows, col) {
+  const sample = [];
+  for (let i = 0; i < rows.length && sample.length < 50; i++) if (!isBlank(rows[i]?.[col])) sample.push(rows[i][col]);
+  if (sample.length === 0) return 'text';
+  if (sample.every(v => typeof v === 'number')) return 'number';
+  if (sample.every(v => typeof v === 'string' && Number.isFinite(monthIndex(v)))) return 'month';
+  if (sample.every(looksNumeric)) return 'number';
+  return 'text';
+}
+
+const keyOf = (v, kind) => {
+  if (isBlank(v)) return null;
+  if (kind === 'number') { const n = toNumber(v); return Number.isFinite(n) ? n : null; }
+  if (kind === 'month') { const m = monthIndex(String(v)); return Number.isFinite(m) ? m : null; }
+  return String(v);
+};
+
+// Blanks always sort last regardless of direction
+export function compareValues(a, b, kind, dir = 'asc') {
+  const ka = keyOf(a, kind);
+  const kb = keyOf(b, kind);
+  if (ka === null && kb === null) return 0;
+  if (ka === null) return 1;
+  if (kb === null) return -1;
+  const c = (typeof ka === 'number' && typeof kb === 'number')
+    ? ka - kb
+    : String(ka).localeCompare(String(kb), undefined, { numeric: true, sensitivity: 'base' });
+  return dir === 'desc' ? -c : c;
+}
+
+// Range bound typed by the user, parsed the same way as the column
+const boundOf = (s, kind) => {
+  if (isBlank(s) || kind === 'text') return null;
+  return keyOf(String(s).trim(), kind);
+};
+
+export function applyTableView(rows, state = DEFAULT_TABLE_STATE, kinds = null) {
+  const list = Array.isArray(rows) ? rows : [];
+  const columns = Object.keys(list[0] || {});
+  const k = kinds || Object.fromEntries(columns.map(c => [c, columnKind(list, c)]));
+  const active = Object.entries(state.filters || {}).filter(([c, f]) => k[c] && f && (f.text || !isBlank(f.min) || !isBlank(f.max)));
+
+  let out = list;
+  if (active.length) {
+    const prepared = active.map(([c, f]) => ({
+      c,
+      text: f.text ? String(f.text).toLowerCase() : '',
+      min: boundOf(f.min, k[c]),
+      max: boundOf(f.max, k[c])
+    }));
+    out = list.filter(r => prepared.every(({ c, text, min, max }) => {
+      const v = r?.[c];
+      if (text && !String(v ?? '').toLowerCase().includes(text)) return false;
+      if (min !== null || max !== null) {
+        const key = keyOf(v, k[c]);
+        if (key === null) return false;
+        if (min !== null && key < min) return false;
+        if (max !== null && key > max) return false;
+      }
+      return true;
+    }));
+  }
+
+  const sort = state.sort;
+  if (sort?.col && k[sort.col]) {
+    out = out
+      .map((r, i) => [r, i])
+      .sort((a, b) => compareValues(a[0]?.[sort.col], b[0]?.[sort.col], k[sort.col], sort.dir) || a[1] - b[1])
+      .map(([r]) => r);
+  }
+  return { rows: out, kinds: k, columns };
+}
+
+const cellText = (v, kind) => {
+  if (isBlank(v)) return '';
+  if (kind === 'number' && Number.isFinite(toNumber(v))) return formatNumber(v);
+  return typeof v === 'object' ? JSON.stringify(v) : String(v);
+};
+
+// Memoized per result set: App re-renders every message on each keystroke
+const viewCache = new WeakMap();
+export function cachedTableView(rows, state) {
+  const s = state || DEFAULT_TABLE_STATE;
+  if (!rows || typeof rows !== 'object') return applyTableView(rows, s);
+  const hit = viewCache.get(rows);
+  if (hit && hit.state === s) return hit.view;
+  const view = applyTableView(rows, s);
+  viewCache.set(rows, { state: s, view });
+  return view;
+}
+
+// Columns shown on screen, in order
+export const visibleColumns = (view, state) => view.columns.filter(c => !(state?.hidden || []).includes(c));
+
+export default function ResultTable({ rows, state, onStateChange, labelFor = (c) => c, formatCell }) {
+  const [local, setLocal] = useState(() => ({ ...DEFAULT_TABLE_STATE, ...(state || {}) }));
+  const [page, setPage] = useState(0);
+  const [showFilters, setShowFilters] = useState(() => Object.keys(state?.filters || {}).length > 0);
+  const [showColumns, setShowColumns] = useState(false);
+  const firstRun = useRef(true);
+
+  // Debounced write-back so typing in filters doesn't save the session per keystroke
+  useEffect(() => {
+    if (firstRun.current) { firstRun.current = false; return; }
+    const t = setTimeout(() => onStateChange?.(local), 300);
+    return () => clearTimeout(t);
+  }, [local]); // eslint-disable-line
+
+  const kinds = useMemo(() => {
+    const cols = Object.keys(rows?.[0] || {});
+    return Object.fromEntries(cols.map(c => [c, columnKind(rows || [], c)]));
+  }, [rows]);
+  const view = useMemo(() => applyTableView(rows, local, kinds), [rows, local, kinds]);
+  const visibleCols = visibleColumns(view, local);
+
+  const pageSize = local.pageSize || 50;
+  const pageCount = Math.max(1, Math.ceil(view.rows.length / pageSize));
+  const current = Math.min(page, pageCount - 1);
+  const pageRows = view.rows.slice(current * pageSize, (current + 1) * pageSize);
+
+  const patch = (p) => setLocal(prev => ({ ...prev, ...p }));
+  const setFilter = (col, key, value) => {
+    setPage(0);
+    setLocal(prev => {
+      const f = { ...(prev.filters[col] || {}), [key]: value };
+      const filters = { ...prev.filters, [col]: f };
+      if (!f.text && isBlank(f.min) && isBlank(f.max)) delete filters[col];
+      return { ...prev, filters };
+    });
+  };
+  const cycleSort = (col) => {
+    setLocal(prev => {
+      const s = prev.sort;
+      if (!s || s.col !== col) return { ...prev, sort: { col, dir: 'asc' } };
+      if (s.dir === 'asc') return { ...prev, sort: { col, dir: 'desc' } };
+      return { ...prev, sort: null };
+    });
+  };
+  const toggleHidden = (col) => {
+    setLocal(prev => {
+      const hidden = prev.hidden.includes(col) ? prev.hidden.filter(c => c !== col) : [...prev.hidden, col];
+      // Keep at least one column on screen
+      return hidden.length >= view.columns.length ? prev : { ...prev, hidden };
+    });
+  };
+
+  // Column resize: drag the handle on a header's right edge
+  const startResize = (col, e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const th = e.currentTarget.parentElement;
+    const startX = e.clientX;
+    const startW = th.getBoundingClientRect().width;
+    const onMove = (ev) => {
+      const w = Math.max(60, Math.round(startW + ev.clientX - startX));
+      setLocal(prev => ({ ...prev, widths: { ...prev.widths, [col]: w } }));
+    };
+    const onUp = () => {
+      window.removeEventListener('mousemove', onMove);
+      window.removeEventListener('mouseup', onUp);
+    };
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onUp);
+  };
+
+  const filterCount = Object.keys(local.filters).length;
+  const btn = 'text-xs px-2 py-1 rounded border border-gray-300 bg-white hover:bg-gray-50 dark:bg-gray-900 dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100';
+  const input = 'w-full border border-gray-300 rounded px-1 py-0.5 text-xs font-normal bg-white text-gray-900 dark:bg-gray-900 dark:border-gray-700 dark:text-gray-100';
+
+  return (
+    <div className="mt-2">
+      <div className="flex flex-wrap items-center gap-2 mb-2 text-xs text-gray-600 dark:text-gray-300">
+        <span>
+          {view.rows.length === (rows || []).length
+            ? `${view.rows.length} rows`
+            : `${view.rows.length} of ${(rows || []).length} rows`}
+        </span>
+        <button type="button" className={btn} onClick={() => setShowFilters(v => !v)}>
+          Filters{filterCount ? ` (${filterCount})` : ''}
+        </button>
+        {filterCount > 0 && (
+          <button type="button" className={btn} onClick={() => { setPage(0); patch({ filters: {} }); }}>Clear filters</button>
+        )}
+        <div className="relative">
+          <button type="button" className={btn} onClick={() => setShowColumns(v => !v)} aria-expanded={showColumns}>
+            Columns{local.hidden.length ? ` (${visibleCols.length}/${view.columns.length})` : ''} ▾
+          </button>
+          {showColumns && (
+            <div className="absolute left-0 top-full mt-1 z-20 w-48 max-h-64 overflow-y-auto rounded border border-gray-200 bg-white shadow py-1
+                            dark:bg-gray-900 dark:border-gray-700">
+              {view.columns.map(c => (
+                <label key={c} className="flex items-center gap-2 px-3 py-1 dark:text-gray-100">
+                  <input type="checkbox" checked={!local.hidden.includes(c)} onChange={() => toggleHidden(c)} />
+                  <span className="truncate">{labelFor(c)}</span>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={!!local.followChart} onChange={(e) => patch({ followChart: e.target.checked })} />
+          Chart follows table view
+        </label>
+      </div>
+
+      <div className="w-full max-h-[28rem] overflow-auto border border-black dark:border-gray-700">
+        <table className="min-w-full text-sm dark:text-gray-100">
+          <thead>
+            <tr>
+              {visibleCols.map(col => {
+                const w = local.widths[col];
+                const sorted = local.sort?.col === col ? local.sort.dir : null;
+                return (
+                  <th key={col}
+                      style={w ? { width: w, minWidth: w, maxWidth: w } : undefined}
+                      aria-sort={sorted === 'asc' ? 'ascending' : sorted === 'desc' ? 'descending' : 'none'}
+                      className="sticky top-0 z-10 border border-black px-2 py-1 bg-gray-100 text-left align-top
+                                 dark:bg-gray-800 dark:border-gray-700">
+                    <button type="button" onClick={() => cycleSort(col)} title="Sort"
+                            className="w-full text-left font-semibold truncate">
+                      {labelFor(col)}{sorted === 'asc' ? ' ▲' : sorted === 'desc' ? ' ▼' : ''}
+                    </button>
+                    {showFilters && (
+                      <div className="mt-1 space-y-1">
+                        <input className={input} placeholder="contains…" aria-label={`Filter ${labelFor(col)}`}
+                               value={local.filters[col]?.text || ''} onChange={(e) => setFilter(col, 'text', e.target.value)} />
+                        {kinds[col] !== 'text' && (
+                          <div className="flex gap-1">
+                            <input className={input} placeholder="min" aria-label={`Minimum ${labelFor(col)}`}
+                                   value={local.filters[col]?.min ?? ''} onChange={(e) => setFilter(col, 'min', e.target.value)} />
+                            <input className={input} placeholder="max" aria-label={`Maximum ${labelFor(col)}`}
+                                   value={local.filters[col]?.max ?? ''} onChange={(e) => setFilter(col, 'max', e.target.value)} />
+                          </div>
+                        )}
+                      </div>
+                    )}
+                    <span role="separator" aria-orientation="vertical" onMouseDown={(e) => startResize(col, e)}
+                          onDoubleClick={() => setLocal(prev => { const widths = { ...prev.widths }; delete widths[col]; return { ...prev, widths }; })}
+                          className="absolute top-0 right-0 h-full w-1.5 cursor-col-resize hover:bg-blue-400/60" />
+                  </th>
+                );
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {pageRows.map((row, rowIdx) => (
+              <tr key={current * pageSize + rowIdx}>
+                {visibleCols.map(col => (
+                  <td key={col}
+                      className={`border border-black px-2 py-1 dark:border-gray-700 truncate ${kinds[col] === 'number' ? 'text-right tabular-nums' : ''}`}
+                      style={local.widths[col] ? { maxWidth: local.widths[col] } : undefined}>
+                    {formatCell ? formatCell(row[col], col, kinds[col]) : cellText(row[col], kinds[col])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {view.rows.length > PAGE_SIZES[0] && (
+        <div className="flex items-center justify-between mt-2 text-xs text-gray-600 dark:text-gray-300">
+          <label className="flex items-center gap-1">
+            Rows per page
+            <select value={pageSize} onChange={(e) => { setPage(0); patch({ pageSize: Number(e.target.value) }); }}
+                    className="border border-gray-300 rounded px-1 py-0.5 bg-white dark:bg-gray-900 dark:border-gray-700">
+              {PAGE_SIZES.map(n => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </label>
+          <span className="flex items-center gap-2">
+            <button type="button" className={btn} disabled={current === 0} onClick={() => setPage(0)}>«</button>
+            <button type="button" className={btn} disabled={current === 0} onClick={() => setPage(current - 1)}>‹</button>
+            <span>Page {current + 1} / {pageCount}</span>
+            <button type="button" className={btn} disabled={current >= pageCount - 1} onClick={() => setPage(current + 1)}>›</button>
+            <button type="button" className={btn} disabled={current >= pageCount - 1} onClick={() => setPage(pageCount - 1)}>»</button>
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
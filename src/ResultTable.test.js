@@ -0,0 +1,38 @@
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import ResultTable, { applyTableView, columnKind, compareValues } from './ResultTable';
+
+const rows = [
+  { month: 'Mar 2024', branch_name: 'KL-02', revenue_rm: '1,200' },
+  { month: 'Jan 2024', branch_name: 'KL-10', revenue_rm: '900.5' },
+  { month: 'Feb 2024', branch_name: 'Penang', revenue_rm: null },
+  { month: 'Dec 2023', branch_name: 'Ipoh', revenue_rm: '15,000' }
+];
+
+test('columnKind tells numbers, months and text apart', () => {
+  expect(columnKind(rows, 'month')).toBe('month');
+  expect(columnKind(rows, 'revenue_rm')).toBe('number');
+  expect(columnKind(rows, 'branch_name')).toBe('text');
+});
+
+test('sorting is month- and number-aware with blanks last', () => {
+  const byMonth = applyTableView(rows, { sort: { col: 'month', dir: 'asc' } }).rows.map(r => r.month);
+  expect(byMonth).toEqual(['Dec 2023', 'Jan 2024', 'Feb 2024', 'Mar 2024']);
+  const byRevenue = applyTableView(rows, { sort: { col: 'revenue_rm', dir: 'desc' } }).rows.map(r => r.revenue_rm);
+  expect(byRevenue).toEqual(['15,000', '1,200', '900.5', null]);
+  expect(compareValues('KL-2', 'KL-10', 'text')).toBeLessThan(0);
+});
+
+test('text and range filters combine', () => {
+  const view = applyTableView(rows, { filters: { branch_name: { text: 'kl' }, revenue_rm: { min: '1000' } } });
+  expect(view.rows.map(r => r.branch_name)).toEqual(['KL-02']);
+  const months = applyTableView(rows, { filters: { month: { min: 'Jan 2024', max: '2024-02' } } });
+  expect(months.rows.map(r => r.month)).toEqual(['Jan 2024', 'Feb 2024']);
+});
+
+test('clicking a header sorts and hidden columns are not rendered', () => {
+  render(<ResultTable rows={rows} state={{ hidden: ['branch_name'] }} labelFor={(c) => c.toUpperCase()} />);
+  expect(screen.queryByText('BRANCH_NAME')).not.toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'REVENUE_RM' }));
+  const firstRow = screen.getAllByRole('row')[1];
+  expect(within(firstRow).getByText('900.5')).toBeInTheDocument();
+});
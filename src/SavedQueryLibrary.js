@@ -0,0 +1,278 @@
+// src/SavedQueryLibrary.js
+// Saved-query library for the selected database: search and tag filter,
+// details with a generated parameter form to run an item, and an editor for
+// title / description / tags / sharing / text and parameter types. Owners
+// (and library managers) may edit or delete; running follows the query / run_sql roles.
+// Saved SQL can also be handed to the schedule editor (`onSchedule`).
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { normalizeError } from './api';
+import { can, canEditSavedQuery } from './auth';
+import ParameterForm from './ParameterForm';
+import {
+  PARAM_TYPES, SAVED_KINDS, syncParams, searchSaved, savedText, savedQueryPayload, saveSavedQuery, deleteSavedQuery
+} from './savedQueries';
+
+const input = 'border border-gray-300 rounded px-2 py-1 text-xs bg-white text-gray-900 dark:bg-gray-800 dark:border-gray-700 dark:text-gray-100';
+const btn = 'text-xs px-3 py-1 rounded border border-gray-300 hover:bg-gray-50 dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100 disabled:opacity-50';
+const primary = 'text-xs px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 disabled:opacity-50';
+const danger = 'text-xs px-3 py-1 rounded bg-red-600 text-white hover:bg-red-700 dark:bg-red-500 dark:hover:bg-red-600 disabled:opacity-50';
+
+const emptyDraft = { id: null, kind: 'sql', title: '', description: '', tags: '', shared: true, question: '', sql: '', params: [] };
+const toDraft = (item) => ({ ...emptyDraft, ...item, tags: item.tags?.join(', ') ?? item.tags ?? '' });
+
+function ParamEditor({ params, onChange }) {
+  const set = (i, changes) => onChange(params.map((p, j) => (j === i ? { ...p, ...changes } : p)));
+  if (!params.length) {
+    return <div className="text-gray-500 dark:text-gray-400">Use {'{{name}}'} in the text to add a parameter; {'{{period.start}}'} / {'{{period.end}}'} for a date range.</div>;
+  }
+  return (
+    <table className="min-w-full">
+      <thead className="text-left text-gray-500 dark:text-gray-400">
+        <tr><th className="p-1">Parameter</th><th className="p-1">Label</th><th className="p-1">Type</th><th className="p-1">Options / default</th><th className="p-1">Required</th></tr>
+      </thead>
+      <tbody>
+        {params.map((p, i) => (
+          <tr key={p.name} className="border-t border-gray-100 dark:border-gray-800">
+            <td className="p-1 font-mono">{p.name}</td>
+            <td className="p-1"><input className={`${input} w-32`} value={p.label} aria-label={`${p.name} label`} onChange={(e) => set(i, { label: e.target.value })} /></td>
+            <td className="p-1">
+              <select className={input} value={p.type} aria-label={`${p.name} type`} onChange={(e) => set(i, { type: e.target.value, default: '' })}>
+                {PARAM_TYPES.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+              </select>
+            </td>
+            <td className="p-1">
+              {p.type === 'select' && (
+                <input className={`${input} w-40 mr-1`} value={p.options.join(', ')} placeholder="North, South, …" aria-label={`${p.name} options`}
+                       onChange={(e) => set(i, { options: e.target.value.split(',').map(s => s.trim()).filter(Boolean) })} />
+              )}
+              {p.type !== 'daterange' && (
+                <input className={`${input} w-28`} value={p.default ?? ''} placeholder="default" aria-label={`${p.name} default`}
+                       onChange={(e) => set(i, { default: e.target.value })} />
+              )}
+            </td>
+            <td className="p-1"><input type="checkbox" checked={p.required} aria-label={`${p.name} required`} onChange={(e) => set(i, { required: e.target.checked })} /></td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export default function SavedQueryLibrary({
+  open, db, user, items = [], loading = false, loadError = '', draft: initialDraft = null, running = false,
+  onReload, onItemsChange, onRun, onSchedule, onClose, onRequireLogin
+}) {
+  const [search, setSearch] = useState('');
+  const [tag, setTag] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [draft, setDraft] = useState(null);        // editor state; null = viewing
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState('');
+
+  useEffect(() => {
+    if (!open) return;
+    setStatus(''); setConfirmDelete(false);
+    setDraft(initialDraft ? toDraft(initialDraft) : null);
+  }, [open, initialDraft]);
+
+  const tags = useMemo(() => Array.from(new Set(items.flatMap(q => q.tags))).sort(), [items]);
+  const visible = searchSaved(tag ? items.filter(q => q.tags.includes(tag)) : items, search);
+  const item = items.find(q => q.id === selected) || visible[0] || null;
+
+  if (!open) return null;
+
+  const mayCreate = can(user, 'save_queries');
+  const mayEdit = item && canEditSavedQuery(user, item);
+  const mayRun = item && (item.kind === 'question' ? can(user, 'query') : can(user, 'run_sql'));
+  const maySchedule = item?.kind === 'sql' && onSchedule && can(user, 'schedule_reports');
+
+  const fail = (e, what) => {
+    const er = normalizeError(e);
+    if (er.isAuth) { setStatus('🔒 Login required'); onRequireLogin?.(); return; }
+    setStatus(er.code === 'forbidden' ? `🔒 You don’t have permission to ${what}` : `⚠️ ${er.message || `Could not ${what}`}`);
+  };
+
+  const text = draft ? (draft.kind === 'question' ? draft.question : draft.sql) : '';
+  const setText = (value) => setDraft(d => ({
+    ...d,
+    [d.kind === 'question' ? 'question' : 'sql']: value,
+    params: syncParams(value, d.params)
+  }));
+  const draftError = !draft ? '' : !draft.title.trim() ? 'Give it a title' : !text.trim() ? `The ${draft.kind === 'question' ? 'question' : 'SQL'} is empty` : '';
+
+  const doSave = async (e) => {
+    e.preventDefault();
+    if (draftError || busy) return;
+    setBusy(true);
+    try {
+      const saved = await saveSavedQuery(draft.id, savedQueryPayload(draft, db));
+      onItemsChange?.([...items.filter(q => q.id !== saved.id), saved].sort((a, b) => a.title.localeCompare(b.title)));
+      setSelected(saved.id);
+      setDraft(null);
+      setStatus(`✅ Saved “${saved.title}”`);
+    } catch (err) {
+      fail(err, 'save this query');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const doDelete = async () => {
+    if (!item || busy) return;
+    setBusy(true);
+    try {
+      await deleteSavedQuery(item.id);
+      onItemsChange?.(items.filter(q => q.id !== item.id));
+      setSelected(null);
+      setConfirmDelete(false);
+      setStatus(`✅ Deleted “${item.title}”`);
+    } catch (err) {
+      fail(err, 'delete this query');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[999]">
+      <div className="w-full max-w-5xl max-h-[85vh] flex flex-col rounded-xl bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 p-4 gap-3">
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="text-lg font-semibold dark:text-gray-100 mr-auto">Saved queries ({db})</div>
+          {loading && <span className="text-xs text-gray-500 dark:text-gray-400">Loading…</span>}
+          {mayCreate && <button type="button" className={btn} onClick={() => { setDraft({ ...emptyDraft }); setStatus(''); }}>New</button>}
+          <button type="button" className={btn} onClick={onReload} disabled={loading}>Refresh</button>
+          <button type="button" onClick={onClose} className="text-sm text-gray-500 dark:text-gray-400">✕</button>
+        </div>
+
+        <div className="flex-1 min-h-0 flex gap-3">
+          <div className="w-64 shrink-0 flex flex-col gap-2 text-xs">
+            <input className={input} value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Search saved queries…" aria-label="Search saved queries" />
+            {tags.length > 0 && (
+              <div className="flex flex-wrap gap-1">
+                {tags.map(t => (
+                  <button key={t} type="button" aria-pressed={tag === t} onClick={() => setTag(x => (x === t ? '' : t))}
+                          className={`px-2 py-0.5 rounded-full border ${tag === t
+                            ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/30' : 'border-gray-300 dark:border-gray-700'} dark:text-gray-100`}>
+                    #{t}
+                  </button>
+                ))}
+              </div>
+            )}
+            <ul className="flex-1 overflow-auto border border-gray-200 rounded dark:border-gray-700" aria-label="Saved queries">
+              {visible.map(q => (
+                <li key={q.id}>
+                  <button type="button" onClick={() => { setSelected(q.id); setDraft(null); setConfirmDelete(false); }} aria-current={item?.id === q.id}
+                          className={`w-full text-left px-2 py-1.5 border-b border-gray-100 dark:border-gray-800 ${item?.id === q.id
+                            ? 'bg-blue-50 dark:bg-blue-900/30' : 'hover:bg-gray-50 dark:hover:bg-gray-800'} dark:text-gray-100`}>
+                    <div className="font-semibold truncate">{q.title}</div>
+                    <div className="text-[11px] text-gray-500 dark:text-gray-400">
+                      {q.kind === 'sql' ? 'SQL' : 'Question'}{q.params.length > 0 && ` · ${q.params.length} param${q.params.length === 1 ? '' : 's'}`}
+                      {q.owner && ` · ${q.owner}`}{!q.shared && ' · private'}
+                    </div>
+                  </button>
+                </li>
+              ))}
+              {!visible.length && !loading && (
+                <li className="p-2 text-gray-500 dark:text-gray-400">{loadError || (items.length ? 'No matches' : 'Nothing saved for this database yet')}</li>
+              )}
+            </ul>
+          </div>
+
+          <div className="flex-1 min-w-0 overflow-auto space-y-3">
+            {draft ? (
+              <form onSubmit={doSave} aria-label="Edit saved query" className="space-y-2 text-xs dark:text-gray-300">
+                <div className="flex flex-wrap gap-2">
+                  <label className="flex-1 min-w-[12rem]">
+                    Title
+                    <input className={`${input} mt-1 w-full`} value={draft.title} onChange={(e) => setDraft(d => ({ ...d, title: e.target.value }))} />
+                  </label>
+                  <label>
+                    Kind
+                    <select className={`${input} mt-1 block`} value={draft.kind}
+                            onChange={(e) => setDraft(d => ({ ...d, kind: e.target.value, params: syncParams(e.target.value === 'question' ? d.question : d.sql, d.params) }))}>
+                      {SAVED_KINDS.map(k => <option key={k.id} value={k.id}>{k.label}</option>)}
+                    </select>
+                  </label>
+                </div>
+                <label className="block">
+                  Description
+                  <textarea className={`${input} mt-1 w-full`} rows={2} value={draft.description}
+                            onChange={(e) => setDraft(d => ({ ...d, description: e.target.value }))} />
+                </label>
+                <label className="block">
+                  Tags
+                  <input className={`${input} mt-1 w-full`} value={draft.tags} placeholder="finance, weekly"
+                         onChange={(e) => setDraft(d => ({ ...d, tags: e.target.value }))} />
+                </label>
+                {draft.kind === 'sql' && (
+                  <label className="block">
+                    Question (optional)
+                    <input className={`${input} mt-1 w-full`} value={draft.question} onChange={(e) => setDraft(d => ({ ...d, question: e.target.value }))} />
+                  </label>
+                )}
+                <label className="block">
+                  {draft.kind === 'sql' ? 'SQL' : 'Question'}
+                  <textarea className={`${input} mt-1 w-full ${draft.kind === 'sql' ? 'font-mono' : ''}`} rows={draft.kind === 'sql' ? 8 : 3}
+                            value={text} spellCheck={draft.kind !== 'sql'} onChange={(e) => setText(e.target.value)} />
+                </label>
+                <ParamEditor params={syncParams(text, draft.params)} onChange={(params) => setDraft(d => ({ ...d, params }))} />
+                <label className="flex items-center gap-2">
+                  <input type="checkbox" checked={draft.shared} onChange={(e) => setDraft(d => ({ ...d, shared: e.target.checked }))} />
+                  Shared with everyone who can use {db}
+                </label>
+                <div className="flex items-center gap-2">
+                  <button type="submit" className={primary} disabled={busy || Boolean(draftError)}>Save</button>
+                  <button type="button" className={btn} onClick={() => setDraft(null)}>Cancel</button>
+                  {draftError && <span className="text-gray-500 dark:text-gray-400">{draftError}</span>}
+                </div>
+              </form>
+            ) : item ? (
+              <>
+                <div>
+                  <div className="text-base font-semibold dark:text-gray-100">{item.title}</div>
+                  <div className="text-[11px] text-gray-500 dark:text-gray-400">
+                    {item.owner ? `by ${item.owner}` : 'Owner unknown'}
+                    {item.updatedAt && ` · updated ${new Date(item.updatedAt).toLocaleString()}`}
+                    {item.shared ? ' · shared' : ' · private'}
+                    {item.tags.map(t => ` · #${t}`).join('')}
+                  </div>
+                  {item.description && <p className="mt-1 text-sm whitespace-pre-wrap dark:text-gray-200">{item.description}</p>}
+                </div>
+
+                {mayRun ? (
+                  <ParameterForm key={item.id} item={item} running={running} onRun={(filled) => onRun(item, filled)} />
+                ) : (
+                  <>
+                    <pre className="text-xs font-mono whitespace-pre-wrap rounded bg-gray-50 border border-gray-200 p-2 dark:bg-gray-800 dark:border-gray-700 dark:text-gray-100">{savedText(item)}</pre>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">🔒 Your role can’t run saved {item.kind === 'sql' ? 'SQL' : 'questions'}</div>
+                  </>
+                )}
+
+                {(mayEdit || mayCreate || maySchedule) && (
+                  <div className="flex flex-wrap items-center gap-2">
+                    {maySchedule && <button type="button" className={btn} onClick={() => onSchedule(item)}>Schedule…</button>}
+                    {mayEdit && <button type="button" className={btn} onClick={() => { setDraft(toDraft(item)); setStatus(''); }}>Edit…</button>}
+                    {mayCreate && (
+                      <button type="button" className={btn}
+                              onClick={() => { setDraft(toDraft({ ...item, id: null, title: `${item.title} (copy)` })); setStatus(''); }}>Duplicate</button>
+                    )}
+                    {mayEdit && (confirmDelete ? (
+                      <>
+                        <button type="button" className={danger} onClick={doDelete} disabled={busy}>Delete “{item.title}”</button>
+                        <button type="button" className={btn} onClick={() => setConfirmDelete(false)}>Cancel</button>
+                      </>
+                    ) : <button type="button" className={btn} onClick={() => setConfirmDelete(true)}>Delete…</button>)}
+                  </div>
+                )}
+              </>
+            ) : null}
+          </div>
+        </div>
+
+        {status && <div className="text-xs text-gray-600 dark:text-gray-300">{status}</div>}
+      </div>
+    </div>
+  );
+}
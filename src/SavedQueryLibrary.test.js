@@ -0,0 +1,72 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import { useState } from 'react';
+import { api } from './api';
+import SavedQueryLibrary from './SavedQueryLibrary';
+import { normalizeSavedQuery } from './savedQueries';
+
+afterEach(() => jest.restoreAllMocks());
+
+const items = [
+  normalizeSavedQuery({
+    id: 'q1', title: 'Revenue by region', tags: ['finance'], owner: 'ana', shared: true,
+    sql: 'SELECT SUM(amount) FROM sales WHERE region = {{region}} AND day >= {{since}}',
+    params: [{ name: 'region', type: 'select', options: ['North', 'South'] }, { name: 'since', type: 'date', default: '2024-01-01' }]
+  }),
+  normalizeSavedQuery({ id: 'q2', title: 'Top branches', question: 'top 5 branches by revenue', tags: ['ops'], owner: 'bob' })
+];
+
+function Harness(props) {
+  const [list, setList] = useState(items);
+  return <SavedQueryLibrary open db="cars" items={list} onItemsChange={setList} onClose={() => {}} {...props} />;
+}
+
+test('filters by tag and runs SQL with the parameters filled in', () => {
+  const onRun = jest.fn();
+  render(<Harness user={{ username: 'vic', roles: ['analyst'] }} onRun={onRun} />);
+
+  fireEvent.click(screen.getByText('#ops'));
+  expect(screen.queryByText('Revenue by region')).toBeNull();
+  fireEvent.click(screen.getByText('#ops'));
+
+  fireEvent.click(screen.getAllByText('Revenue by region')[0]);
+  fireEvent.click(screen.getByText('Run SQL'));
+  expect(screen.getByText('Required')).toBeInTheDocument();
+  expect(onRun).not.toHaveBeenCalled();
+
+  fireEvent.change(screen.getByLabelText(/^Region/), { target: { value: 'North' } });
+  fireEvent.click(screen.getByText('Run SQL'));
+  expect(onRun).toHaveBeenCalledWith(items[0], "SELECT SUM(amount) FROM sales WHERE region = 'North' AND day >= '2024-01-01'");
+  // Someone else's query: no edit / delete, but it can be duplicated
+  expect(screen.queryByText('Edit…')).toBeNull();
+  expect(screen.getByText('Duplicate')).toBeInTheDocument();
+});
+
+test('creates a saved query from a draft with detected parameters', async () => {
+  const post = jest.spyOn(api, 'post').mockImplementation(async (url, body) => ({ data: { ...body, id: 'q3', owner: 'ana' } }));
+  const draft = { kind: 'sql', title: '', question: 'sales since', sql: 'SELECT * FROM sales WHERE day >= {{start_date}}' };
+  render(<Harness user={{ username: 'ana', roles: ['analyst'] }} draft={draft} onRun={() => {}} />);
+
+  expect(screen.getByLabelText('start_date type')).toHaveValue('date');
+  fireEvent.change(screen.getByLabelText('Title'), { target: { value: 'Sales since' } });
+  fireEvent.change(screen.getByLabelText('Tags'), { target: { value: 'Finance, daily' } });
+  fireEvent.click(screen.getByText('Save'));
+
+  expect(await screen.findByText('✅ Saved “Sales since”')).toBeInTheDocument();
+  expect(post).toHaveBeenCalledWith('/saved_queries', expect.objectContaining({
+    db: 'cars', title: 'Sales since', tags: ['finance', 'daily'], shared: true,
+    params: [expect.objectContaining({ name: 'start_date', type: 'date' })]
+  }), expect.anything());
+  // Owner of the new item may edit it
+  expect(screen.getByText('Edit…')).toBeInTheDocument();
+});
+
+test('hands saved SQL to the schedule editor', () => {
+  const onSchedule = jest.fn();
+  render(<Harness user={{ username: 'vic', roles: ['analyst'] }} onRun={() => {}} onSchedule={onSchedule} />);
+  fireEvent.click(screen.getAllByText('Revenue by region')[0]);
+  fireEvent.click(screen.getByText('Schedule…'));
+  expect(onSchedule).toHaveBeenCalledWith(items[0]);
+  // Questions go through the model each time, so they aren't scheduled
+  fireEvent.click(screen.getAllByText('Top branches')[0]);
+  expect(screen.queryByText('Schedule…')).toBeNull();
+});
@@ -0,0 +1,389 @@
+// src/ScheduleEditor.js
+// Scheduled reports for the selected database: a saved SQL query with its
+// parameter values, run by the backend daily, weekly or on a cron
+// expression, plus alert rules checked on every run. Shows the next run
+// times, lets a rule be tried against a test run, and lists past runs.
+
+import React, { useEffect, useState } from 'react';
+import { normalizeError } from './api';
+import { can, canEditSchedule } from './auth';
+import AlertRuleBuilder from './AlertRuleBuilder';
+import { ParamInput } from './ParameterForm';
+import { defaultValues, validateParams, fillParams } from './savedQueries';
+import {
+  FREQUENCIES, WEEKDAYS, normalizeSchedule, scheduleCron, validateCron, validateTimeZone, nextRuns, describeSchedule, describeRule,
+  validateRule, schedulePayload, fetchSchedules, saveSchedule, deleteSchedule, runScheduleNow, runSample, fetchScheduleRuns
+} from './schedules';
+
+const input = 'border border-gray-300 rounded px-2 py-1 text-xs bg-white text-gray-900 dark:bg-gray-800 dark:border-gray-700 dark:text-gray-100';
+const btn = 'text-xs px-3 py-1 rounded border border-gray-300 hover:bg-gray-50 dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100 disabled:opacity-50';
+const primary = 'text-xs px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 disabled:opacity-50';
+const danger = 'text-xs px-3 py-1 rounded bg-red-600 text-white hover:bg-red-700 dark:bg-red-500 dark:hover:bg-red-600 disabled:opacity-50';
+
+const fmtDate = (ms) => (ms ? new Date(ms).toLocaleString() : '—');
+
+// A new schedule for a saved query, with the query's parameter defaults
+const newDraft = (saved) => normalizeSchedule({
+  name: saved?.title || '', savedQueryId: saved?.id ?? '', paramValues: saved ? defaultValues(saved.params) : {}
+});
+
+function Field({ label, children }) {
+  return (
+    <div>
+      <div className="text-[11px] text-gray-500 dark:text-gray-400">{label}</div>
+      <div className="text-sm dark:text-gray-100">{children}</div>
+    </div>
+  );
+}
+
+function RunHistory({ runs, loading }) {
+  if (loading) return <div className="text-xs text-gray-500 dark:text-gray-400">Loading runs…</div>;
+  if (!runs.length) return <div className="text-xs text-gray-500 dark:text-gray-400">No runs yet</div>;
+  return (
+    <table className="min-w-full text-xs dark:text-gray-200" aria-label="Run history">
+      <thead className="text-left text-gray-500 dark:text-gray-400">
+        <tr><th className="p-1">When</th><th className="p-1">Status</th><th className="p-1">Rows</th><th className="p-1">Alerts</th></tr>
+      </thead>
+      <tbody>
+        {runs.map(r => (
+          <tr key={r.id} className="border-t border-gray-100 dark:border-gray-800">
+            <td className="p-1 whitespace-nowrap">{fmtDate(r.at)}</td>
+            <td className="p-1">{r.status === 'ok' ? '✅ ok' : `⚠️ ${r.status}`}{r.error && ` – ${r.error}`}</td>
+            <td className="p-1">{r.rowCount ?? '—'}</td>
+            <td className="p-1">{r.alerts.length ? r.alerts.join('; ') : '—'}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * `savedQueries` are the database's saved queries (only SQL ones can be
+ * scheduled); `draft` ({ savedQueryId }) opens the editor for a new schedule
+ * and `focusId` selects an existing one, e.g. from a notification.
+ */
+export default function ScheduleEditor({
+  open, db, user, savedQueries = [], draft: initialDraft = null, focusId = null, onClose, onRequireLogin
+}) {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [draft, setDraft] = useState(null);        // editor state; null = viewing
+  const [sample, setSample] = useState(null);      // rows of a test run, for the rule builder
+  const [runs, setRuns] = useState([]);
+  const [runsLoading, setRunsLoading] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState('');
+
+  const sqlQueries = savedQueries.filter(q => q.kind === 'sql');
+
+  const fail = (e, what) => {
+    const er = normalizeError(e);
+    if (er.isAuth) { setStatus('🔒 Login required'); onRequireLogin?.(); return; }
+    setStatus(er.code === 'forbidden' ? `🔒 You don’t have permission to ${what}` : `⚠️ ${er.message || `Could not ${what}`}`);
+  };
+
+  const loadRuns = async (id) => {
+    setRuns([]);
+    if (!id) return;
+    setRunsLoading(true);
+    try {
+      setRuns(await fetchScheduleRuns(id));
+    } catch {
+      setRuns([]);
+    } finally {
+      setRunsLoading(false);
+    }
+  };
+
+  const select = (id) => {
+    setSelected(id); setDraft(null); setConfirmDelete(false);
+    loadRuns(id);
+  };
+
+  const load = async (focus = selected) => {
+    setLoading(true);
+    try {
+      const list = await fetchSchedules(db);
+      setItems(list);
+      const id = list.some(s => s.id === focus) ? focus : list[0]?.id ?? null;
+      setSelected(id);
+      loadRuns(id);
+    } catch (e) {
+      setItems([]);
+      fail(e, 'load schedules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!open) return;
+    setStatus(''); setConfirmDelete(false); setSample(null);
+    setDraft(initialDraft ? newDraft(sqlQueries.find(q => q.id === String(initialDraft.savedQueryId))) : null);
+    load(focusId);
+  }, [open, db, initialDraft, focusId]); // eslint-disable-line
+
+  if (!open) return null;
+
+  const item = items.find(s => s.id === selected) || null;
+  const mayCreate = can(user, 'schedule_reports');
+  const mayEdit = item && canEditSchedule(user, item);
+  const savedFor = (s) => sqlQueries.find(q => q.id === s?.savedQueryId) || null;
+
+  /* ───────── Editor ───────── */
+  const saved = savedFor(draft);
+  const params = saved?.params ?? [];
+  const paramErrors = draft ? validateParams(params, draft.paramValues) : {};
+  const cronError = draft?.frequency === 'cron' ? validateCron(draft.cron) : '';
+  const zoneError = draft ? validateTimeZone(draft.timezone) : '';
+  const upcoming = draft && !cronError && !zoneError ? nextRuns(scheduleCron(draft), Date.now(), 3, draft.timezone) : [];
+  const badParam = params.find(p => paramErrors[p.name]);
+  const draftError = !draft ? ''
+    : !draft.name.trim() ? 'Give it a name'
+    : !saved ? 'Pick a saved SQL query'
+    : badParam ? `${badParam.label}: ${paramErrors[badParam.name]}`
+    : cronError || zoneError || (draft.rules.some(validateRule) ? 'Fix the alert rules' : '');
+
+  const edit = (changes) => setDraft(d => ({ ...d, ...changes }));
+  const pickQuery = (id) => {
+    const q = sqlQueries.find(x => x.id === id);
+    setSample(null);
+    setDraft(d => ({ ...d, savedQueryId: id, name: d.name && d.name !== savedFor(d)?.title ? d.name : q?.title ?? '', paramValues: q ? defaultValues(q.params) : {} }));
+  };
+
+  const doTest = async () => {
+    if (!saved || badParam || busy) return;
+    setBusy(true);
+    try {
+      const rows = await runSample(fillParams(saved.sql, params, draft.paramValues), db);
+      setSample(rows);
+      setStatus(`✅ Test run returned ${rows.length} row${rows.length === 1 ? '' : 's'}`);
+    } catch (e) {
+      fail(e, 'run this query');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const doSave = async (e) => {
+    e.preventDefault();
+    if (draftError || busy) return;
+    setBusy(true);
+    try {
+      const res = await saveSchedule(draft.id, schedulePayload(draft, db));
+      const s = { ...res, owner: res.owner ?? draft.owner ?? user?.username ?? null };
+      setItems(list => [...list.filter(x => x.id !== s.id), s].sort((a, b) => a.name.localeCompare(b.name)));
+      select(s.id);
+      setStatus(`✅ Saved “${s.name}”: ${describeSchedule(s)}`);
+    } catch (err) {
+      fail(err, 'save this schedule');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /* ───────── Actions ───────── */
+  const doRunNow = async () => {
+    if (!item || busy) return;
+    setBusy(true);
+    try {
+      await runScheduleNow(item.id);
+      setStatus(`✅ “${item.name}” queued; the result will arrive in your inbox`);
+      loadRuns(item.id);
+    } catch (e) {
+      fail(e, 'run this schedule');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const doToggle = async () => {
+    if (!item || busy) return;
+    setBusy(true);
+    try {
+      const s = await saveSchedule(item.id, schedulePayload({ ...item, enabled: !item.enabled }, db));
+      const next = { ...s, owner: s.owner ?? item.owner };
+      setItems(list => list.map(x => (x.id === item.id ? next : x)));
+      setStatus(next.enabled ? `✅ Resumed “${item.name}”` : `✅ Paused “${item.name}”`);
+    } catch (e) {
+      fail(e, 'update this schedule');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const doDelete = async () => {
+    if (!item || busy) return;
+    setBusy(true);
+    try {
+      await deleteSchedule(item.id);
+      const rest = items.filter(x => x.id !== item.id);
+      setItems(rest);
+      select(rest[0]?.id ?? null);
+      setStatus(`✅ Deleted “${item.name}”`);
+    } catch (e) {
+      fail(e, 'delete this schedule');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startDraft = (d) => { setDraft(d); setSample(null); setStatus(''); setConfirmDelete(false); };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[999]">
+      <div className="w-full max-w-5xl max-h-[85vh] flex flex-col rounded-xl bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 p-4 gap-3">
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="text-lg font-semibold dark:text-gray-100 mr-auto">Scheduled reports ({db})</div>
+          {loading && <span className="text-xs text-gray-500 dark:text-gray-400">Loading…</span>}
+          {mayCreate && <button type="button" className={btn} onClick={() => startDraft(newDraft(sqlQueries[0]))}>New</button>}
+          <button type="button" className={btn} onClick={() => load()} disabled={loading}>Refresh</button>
+          <button type="button" onClick={onClose} className="text-sm text-gray-500 dark:text-gray-400">✕</button>
+        </div>
+
+        <div className="flex-1 min-h-0 flex gap-3">
+          <ul className="w-64 shrink-0 overflow-auto border border-gray-200 rounded dark:border-gray-700 text-xs" aria-label="Schedules">
+            {items.map(s => (
+              <li key={s.id}>
+                <button type="button" onClick={() => select(s.id)} aria-current={item?.id === s.id && !draft}
+                        className={`w-full text-left px-2 py-1.5 border-b border-gray-100 dark:border-gray-800 ${item?.id === s.id && !draft
+                          ? 'bg-blue-50 dark:bg-blue-900/30' : 'hover:bg-gray-50 dark:hover:bg-gray-800'} dark:text-gray-100`}>
+                  <div className="font-semibold truncate">{s.enabled ? '' : '⏸ '}{s.name}</div>
+                  <div className="text-[11px] text-gray-500 dark:text-gray-400">
+                    {describeSchedule(s)}{s.rules.length > 0 && ` · ${s.rules.length} alert${s.rules.length === 1 ? '' : 's'}`}
+                  </div>
+                </button>
+              </li>
+            ))}
+            {!items.length && !loading && <li className="p-2 text-gray-500 dark:text-gray-400">No scheduled reports for this database yet</li>}
+          </ul>
+
+          <div className="flex-1 min-w-0 overflow-auto space-y-3">
+            {draft ? (
+              <form onSubmit={doSave} aria-label="Edit schedule" className="space-y-3 text-xs dark:text-gray-300">
+                <div className="flex flex-wrap gap-2">
+                  <label className="flex-1 min-w-[12rem]">
+                    Name
+                    <input className={`${input} mt-1 w-full`} value={draft.name} onChange={(e) => edit({ name: e.target.value })} />
+                  </label>
+                  <label className="flex-1 min-w-[12rem]">
+                    Saved query
+                    <select className={`${input} mt-1 block w-full`} value={draft.savedQueryId} onChange={(e) => pickQuery(e.target.value)}>
+                      <option value="">Choose…</option>
+                      {sqlQueries.map(q => <option key={q.id} value={q.id}>{q.title}</option>)}
+                    </select>
+                  </label>
+                </div>
+                {!sqlQueries.length && <div className="text-gray-500 dark:text-gray-400">Save a SQL query to the library first; only saved SQL can be scheduled.</div>}
+
+                {params.length > 0 && (
+                  <fieldset className="space-y-1">
+                    <legend className="font-semibold dark:text-gray-100">Parameters</legend>
+                    {params.map(p => (
+                      <div key={p.name} className="flex flex-wrap items-center gap-2">
+                        <label htmlFor={`param-${p.name}`} className="w-32 shrink-0">{p.label}</label>
+                        <ParamInput param={p} value={draft.paramValues[p.name]}
+                                    onChange={(v) => edit({ paramValues: { ...draft.paramValues, [p.name]: v } })} />
+                        {paramErrors[p.name] && <span className="text-red-600 dark:text-red-400">{paramErrors[p.name]}</span>}
+                      </div>
+                    ))}
+                  </fieldset>
+                )}
+
+                <fieldset className="space-y-1">
+                  <legend className="font-semibold dark:text-gray-100">When</legend>
+                  <div className="flex flex-wrap items-center gap-2">
+                    <select className={input} value={draft.frequency} aria-label="Frequency" onChange={(e) => edit({ frequency: e.target.value })}>
+                      {FREQUENCIES.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+                    </select>
+                    {draft.frequency === 'weekly' && (
+                      <select className={input} value={draft.weekday} aria-label="Day of week" onChange={(e) => edit({ weekday: Number(e.target.value) })}>
+                        {WEEKDAYS.map((d, i) => <option key={d} value={i}>{d}</option>)}
+                      </select>
+                    )}
+                    {draft.frequency === 'cron' ? (
+                      <input className={`${input} w-40 font-mono`} value={draft.cron} aria-label="Cron expression" placeholder="0 8 * * 1"
+                             onChange={(e) => edit({ cron: e.target.value })} />
+                    ) : (
+                      <input type="time" className={input} value={draft.time} aria-label="Time" onChange={(e) => edit({ time: e.target.value || '08:00' })} />
+                    )}
+                    <input className={`${input} w-40`} value={draft.timezone} aria-label="Time zone" onChange={(e) => edit({ timezone: e.target.value })} />
+                  </div>
+                  {cronError || zoneError ? (
+                    <div className="text-red-600 dark:text-red-400">{cronError || zoneError}</div>
+                  ) : (
+                    <div className="text-gray-500 dark:text-gray-400">
+                      Next runs ({draft.timezone}): {upcoming.map(t => new Date(t).toLocaleString(undefined, { timeZone: draft.timezone })).join(' · ') || 'none within five years'}
+                    </div>
+                  )}
+                </fieldset>
+
+                <fieldset className="space-y-1">
+                  <legend className="font-semibold dark:text-gray-100">Alerts</legend>
+                  <AlertRuleBuilder rules={draft.rules} rows={sample} columns={sample?.length ? Object.keys(sample[0]) : []}
+                                    onChange={(rules) => edit({ rules })} />
+                </fieldset>
+
+                <label className="flex items-center gap-2">
+                  <input type="checkbox" checked={draft.enabled} onChange={(e) => edit({ enabled: e.target.checked })} />
+                  Enabled
+                </label>
+                <div className="flex flex-wrap items-center gap-2">
+                  <button type="submit" className={primary} disabled={busy || Boolean(draftError)}>Save</button>
+                  <button type="button" className={btn} onClick={doTest} disabled={busy || !saved || Boolean(badParam)}>Test run</button>
+                  <button type="button" className={btn} onClick={() => setDraft(null)}>Cancel</button>
+                  {draftError && <span className="text-gray-500 dark:text-gray-400">{draftError}</span>}
+                </div>
+              </form>
+            ) : item ? (
+              <>
+                <div>
+                  <div className="text-base font-semibold dark:text-gray-100">{item.name}</div>
+                  <div className="text-[11px] text-gray-500 dark:text-gray-400">
+                    {item.owner ? `by ${item.owner}` : 'Owner unknown'} · {item.enabled ? 'active' : 'paused'}
+                  </div>
+                </div>
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                  <Field label="Query">{savedFor(item)?.title ?? `#${item.savedQueryId}`}</Field>
+                  <Field label="Schedule">{describeSchedule(item)} ({item.timezone})</Field>
+                  <Field label="Next run">{item.enabled ? fmtDate(item.nextRunAt) : '—'}</Field>
+                  <Field label="Last run">{fmtDate(item.lastRunAt)}{item.lastStatus && ` · ${item.lastStatus}`}</Field>
+                </div>
+                {Object.keys(item.paramValues).length > 0 && (
+                  <Field label="Parameters">
+                    {Object.entries(item.paramValues).map(([k, v]) => `${k} = ${typeof v === 'object' ? `${v?.start ?? ''} – ${v?.end ?? ''}` : v}`).join(' · ')}
+                  </Field>
+                )}
+                <Field label="Alerts">
+                  {item.rules.length ? item.rules.map(r => <div key={r.id}>{describeRule(r)}</div>) : 'None (report only)'}
+                </Field>
+
+                <div className="flex flex-wrap items-center gap-2">
+                  {mayEdit && <button type="button" className={btn} onClick={() => startDraft(item)}>Edit…</button>}
+                  {mayEdit && <button type="button" className={btn} onClick={doRunNow} disabled={busy}>Run now</button>}
+                  {mayEdit && <button type="button" className={btn} onClick={doToggle} disabled={busy}>{item.enabled ? 'Pause' : 'Resume'}</button>}
+                  {mayEdit && (confirmDelete ? (
+                    <>
+                      <button type="button" className={danger} onClick={doDelete} disabled={busy}>Delete “{item.name}”</button>
+                      <button type="button" className={btn} onClick={() => setConfirmDelete(false)}>Cancel</button>
+                    </>
+                  ) : <button type="button" className={btn} onClick={() => setConfirmDelete(true)}>Delete…</button>)}
+                </div>
+
+                <div>
+                  <div className="text-xs font-semibold mb-1 dark:text-gray-100">Run history</div>
+                  <RunHistory runs={runs} loading={runsLoading} />
+                </div>
+              </>
+            ) : null}
+          </div>
+        </div>
+
+        {status && <div className="text-xs text-gray-600 dark:text-gray-300">{status}</div>}
+      </div>
+    </div>
+  );
+}
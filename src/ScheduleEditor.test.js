@@ -0,0 +1,137 @@
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import { api } from './api';
+import ScheduleEditor from './ScheduleEditor';
+import { normalizeSavedQuery } from './savedQueries';
+
+afterEach(() => jest.restoreAllMocks());
+
+const saved = [
+  normalizeSavedQuery({
+    id: 'q1', title: 'Weekly revenue', owner: 'ana',
+    sql: 'SELECT week, SUM(amount) AS revenue_rm FROM sales WHERE region = {{region}} GROUP BY week',
+    params: [{ name: 'region', type: 'select', options: ['North', 'South'], default: 'North' }]
+  }),
+  normalizeSavedQuery({ id: 'q2', title: 'Top branches', question: 'top 5 branches', owner: 'ana' })
+];
+
+// In-memory stand-in for the /schedules API
+function mockBackend(initial = []) {
+  const db = { schedules: initial.map(s => ({ ...s })), runs: {}, nextId: 100 };
+  jest.spyOn(api, 'get').mockImplementation(async (url) => {
+    if (url === '/schedules') return { data: { items: db.schedules } };
+    const m = url.match(/^\/schedules\/(\w+)\/runs$/);
+    if (m) return { data: db.runs[m[1]] || [] };
+    throw new Error(`unexpected GET ${url}`);
+  });
+  jest.spyOn(api, 'post').mockImplementation(async (url, body) => {
+    if (url === '/schedules') {
+      const s = { ...body, id: String(db.nextId++), owner: 'ana' };
+      db.schedules.push(s);
+      return { data: s };
+    }
+    if (url === '/query/sql') return { data: { results: [{ week: 'W1', revenue_rm: 1200 }, { week: 'W2', revenue_rm: 900 }] } };
+    const m = url.match(/^\/schedules\/(\w+)\/run$/);
+    if (m) {
+      db.runs[m[1]] = [{ id: 'r1', at: '2024-01-08T08:00:00Z', status: 'ok', row_count: 2, alerts: ['sum(revenue_rm) drops 20% vs previous run'] }];
+      return { data: { queued: true } };
+    }
+    throw new Error(`unexpected POST ${url}`);
+  });
+  jest.spyOn(api, 'patch').mockImplementation(async (url, body) => {
+    const s = db.schedules.find(x => `/schedules/${x.id}` === url);
+    Object.assign(s, body);
+    return { data: s };
+  });
+  jest.spyOn(api, 'delete').mockImplementation(async (url) => {
+    db.schedules = db.schedules.filter(x => `/schedules/${x.id}` !== url);
+    return { data: {} };
+  });
+  return db;
+}
+
+const analyst = { username: 'ana', roles: ['analyst'] };
+
+test('schedules a saved query weekly with a drop alert tried on a test run', async () => {
+  const backend = mockBackend();
+  render(<ScheduleEditor open db="sales" user={analyst} savedQueries={saved} draft={{ savedQueryId: 'q1' }} onClose={() => {}} />);
+
+  expect(await screen.findByText('No scheduled reports for this database yet')).toBeInTheDocument();
+  // Only saved SQL can be scheduled; the draft starts from the query and its defaults
+  expect(screen.getByLabelText('Saved query')).toHaveValue('q1');
+  expect(screen.queryByRole('option', { name: 'Top branches' })).toBeNull();
+  expect(screen.getByLabelText('Name')).toHaveValue('Weekly revenue');
+  expect(screen.getByLabelText('Region')).toHaveValue('North');
+
+  fireEvent.change(screen.getByLabelText('Frequency'), { target: { value: 'weekly' } });
+  fireEvent.change(screen.getByLabelText('Day of week'), { target: { value: '1' } });
+  fireEvent.change(screen.getByLabelText('Time'), { target: { value: '07:30' } });
+  fireEvent.change(screen.getByLabelText('Time zone'), { target: { value: 'Asia/Kuala_Lumpur' } });
+  expect(screen.getByText(/^Next runs \(Asia\/Kuala_Lumpur\):/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Test run'));
+  expect(await screen.findByText('✅ Test run returned 2 rows')).toBeInTheDocument();
+  expect(api.post).toHaveBeenCalledWith('/query/sql', {
+    sql: "SELECT week, SUM(amount) AS revenue_rm FROM sales WHERE region = 'North' GROUP BY week", db: 'sales'
+  }, expect.anything());
+
+  fireEvent.click(screen.getByText('+ Add alert'));
+  fireEvent.change(screen.getByLabelText('Rule 1 column'), { target: { value: 'revenue_rm' } });
+  fireEvent.change(screen.getByLabelText('Rule 1 condition'), { target: { value: 'below' } });
+  fireEvent.change(screen.getByLabelText('Rule 1 threshold'), { target: { value: '2500' } });
+  expect(screen.getByText('⚠️ Now 2,100: would alert')).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Rule 1 condition'), { target: { value: 'drops_pct' } });
+  fireEvent.change(screen.getByLabelText('Rule 1 percent'), { target: { value: '20' } });
+
+  fireEvent.click(screen.getByText('Save'));
+  expect(await screen.findByText('✅ Saved “Weekly revenue”: Weekly on Monday at 07:30')).toBeInTheDocument();
+  expect(backend.schedules[0]).toMatchObject({
+    db: 'sales', saved_query_id: 'q1', frequency: 'weekly', cron: '30 7 * * 1', param_values: { region: 'North' },
+    rules: [{ column: 'revenue_rm', aggregate: 'sum', operator: 'drops_pct', value: 20 }]
+  });
+  expect(screen.getByText('sum(revenue_rm) drops 20% vs previous run')).toBeInTheDocument();
+});
+
+test('runs, pauses and deletes a schedule and shows its run history', async () => {
+  const backend = mockBackend([
+    { id: '1', name: 'Daily revenue', saved_query_id: 'q1', frequency: 'daily', time: '08:00', owner: 'ana', param_values: { region: 'South' } },
+    { id: '2', name: 'Bob’s report', saved_query_id: 'q1', frequency: 'cron', cron: '0 6 1 * *', owner: 'bob' }
+  ]);
+  render(<ScheduleEditor open db="sales" user={analyst} savedQueries={saved} focusId="1" onClose={() => {}} />);
+
+  expect(await screen.findByText('No runs yet')).toBeInTheDocument();
+  expect(screen.getByText('region = South')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Run now'));
+  expect(await screen.findByText('✅ “Daily revenue” queued; the result will arrive in your inbox')).toBeInTheDocument();
+  const history = await screen.findByRole('table', { name: 'Run history' });
+  expect(within(history).getByText('sum(revenue_rm) drops 20% vs previous run')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Pause'));
+  expect(await screen.findByText('✅ Paused “Daily revenue”')).toBeInTheDocument();
+  expect(backend.schedules[0].enabled).toBe(false);
+  expect(screen.getByText('Resume')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Delete…'));
+  fireEvent.click(screen.getByText('Delete “Daily revenue”'));
+  expect(await screen.findByText('✅ Deleted “Daily revenue”')).toBeInTheDocument();
+  expect(backend.schedules.map(s => s.id)).toEqual(['2']);
+  // Someone else's schedule is read-only
+  expect(screen.getByText('Cron 0 6 1 * * (' + Intl.DateTimeFormat().resolvedOptions().timeZone + ')')).toBeInTheDocument();
+  expect(screen.queryByText('Edit…')).toBeNull();
+});
+
+test('rejects an invalid cron expression or time zone', async () => {
+  mockBackend();
+  render(<ScheduleEditor open db="sales" user={analyst} savedQueries={saved} draft={{ savedQueryId: 'q1' }} onClose={() => {}} />);
+  await screen.findByText('No scheduled reports for this database yet');
+
+  fireEvent.change(screen.getByLabelText('Frequency'), { target: { value: 'cron' } });
+  fireEvent.change(screen.getByLabelText('Cron expression'), { target: { value: '0 25 * * *' } });
+  expect(screen.getAllByText('hour must be 0-23').length).toBeGreaterThan(0);
+  expect(screen.getByText('Save')).toBeDisabled();
+
+  fireEvent.change(screen.getByLabelText('Cron expression'), { target: { value: '0 8 * * *' } });
+  fireEvent.change(screen.getByLabelText('Time zone'), { target: { value: 'Asia/Kuala_Lumpr' } });
+  expect(screen.getAllByText('Unknown time zone “Asia/Kuala_Lumpr”').length).toBeGreaterThan(0);
+  expect(screen.getByText('Save')).toBeDisabled();
+});
@@ -0,0 +1,170 @@
+// src/SchemaExplorer.js
+// Collapsible tables → columns browser for the selected DB, plus the helpers
+// that turn the same schema into completion candidates for the inputs.
+
+import React, { useState } from 'react';
+
+/* ───────── Normalization ───────── */
+// /schema_suggestions has answered in a few shapes over time; accept all of them:
+//   { tables: [{ name, columns: [{ name, type, samples }] }] }
+//   { tables: { sales: { columns: {...} } } } / { sales: ['col', ...] } / { sales: { col: 'TEXT' } }
+//   ['sales.branch_name', ...]
+const normColumn = (c) => {
+  if (typeof c === 'string') return { name: c, type: '', samples: [] };
+  if (!c || typeof c !== 'object') return null;
+  const name = c.name ?? c.column ?? c.column_name;
+  if (!name) return null;
+  const samples = c.samples ?? c.sample_values ?? c.examples ?? [];
+  return { name: String(name), type: String(c.type ?? c.data_type ?? ''), samples: Array.isArray(samples) ? samples : [samples] };
+};
+
+const normColumns = (cols) => {
+  if (Array.isArray(cols)) return cols.map(normColumn).filter(Boolean);
+  if (cols && typeof cols === 'object') {
+    return Object.entries(cols).map(([name, v]) => (
+      typeof v === 'string' ? { name, type: v, samples: [] } : normColumn({ name, ...v })
+    )).filter(Boolean);
+  }
+  return [];
+};
+
+const normTable = (name, t) => {
+  if (Array.isArray(t)) return { name, rowCount: null, columns: normColumns(t) };
+  const cols = t?.columns ?? t?.fields;
+  // { sales: { col: 'TEXT' } } — the table object *is* the column map
+  if (cols === undefined && t && typeof t === 'object') return { name, rowCount: null, columns: normColumns(t) };
+  return { name, rowCount: t?.row_count ?? t?.rowCount ?? null, columns: normColumns(cols) };
+};
+
+export function normalizeSchema(raw) {
+  if (!raw) return [];
+  if (Array.isArray(raw)) {
+    if (raw.every(x => typeof x === 'string')) {
+      const byTable = new Map();
+      raw.forEach(s => {
+        const [t, c] = s.includes('.') ? s.split('.', 2) : ['', s];
+        if (!byTable.has(t)) byTable.set(t, []);
+        byTable.get(t).push(c);
+      });
+      return Array.from(byTable, ([t, cols]) => normTable(t || 'columns', cols));
+    }
+    return raw.map(t => normTable(String(t?.name ?? t?.table ?? ''), t)).filter(t => t.name);
+  }
+  if (typeof raw === 'object') {
+    const tables = raw.tables ?? raw.schema ?? raw;
+    if (Array.isArray(tables)) return normalizeSchema(tables);
+    return Object.entries(tables).map(([name, t]) => normTable(name, t));
+  }
+  return [];
+}
+
+// Table names and column names (bare and qualified), deduped
+export function schemaIdentifiers(tables) {
+  const set = new Set();
+  (tables || []).forEach(t => {
+    set.add(t.name);
+    t.columns.forEach(c => { set.add(c.name); set.add(`${t.name}.${c.name}`); });
+  });
+  return Array.from(set);
+}
+
+// Word-at-caret completion: { start, prefix, items } or null
+export function completeWord(text, caret, candidates, { minPrefix = 2, limit = 8 } = {}) {
+  const before = String(text || '').slice(0, caret);
+  const m = before.match(/[A-Za-z_][A-Za-z0-9_.]*$/);
+  if (!m || m[0].length < minPrefix) return null;
+  const prefix = m[0].toLowerCase();
+  const items = (candidates || [])
+    .filter(c => c.toLowerCase().startsWith(prefix) && c.toLowerCase() !== prefix)
+    .slice(0, limit);
+  return items.length ? { start: caret - m[0].length, prefix: m[0], items } : null;
+}
+
+/* ───────── Explorer panel ───────── */
+export default function SchemaExplorer({ db, tables, loading, error, open, onToggle, onRefresh, onPickColumn }) {
+  const [expanded, setExpanded] = useState({});
+  const [filter, setFilter] = useState('');
+
+  if (!open) {
+    return (
+      <aside className="hidden md:flex flex-col items-center w-8 bg-white border-r border-gray-200 py-4
+                        dark:bg-gray-900 dark:border-gray-800">
+        <button type="button" onClick={onToggle} title="Show schema"
+                className="text-xs text-gray-600 dark:text-gray-300 [writing-mode:vertical-rl]">
+          ▸ Schema
+        </button>
+      </aside>
+    );
+  }
+
+  const f = filter.trim().toLowerCase();
+  const visible = tables
+    .map(t => ({
+      ...t,
+      columns: !f || t.name.toLowerCase().includes(f) ? t.columns : t.columns.filter(c => c.name.toLowerCase().includes(f))
+    }))
+    .filter(t => !f || t.name.toLowerCase().includes(f) || t.columns.length > 0);
+
+  return (
+    <aside className="w-64 max-w-64 bg-white border-r border-gray-200 p-4 hidden md:flex md:flex-col gap-3
+                      dark:bg-gray-900 dark:border-gray-800">
+      <div className="flex items-center justify-between">
+        <div className="text-lg font-semibold dark:text-gray-100">Schema ({db})</div>
+        <span className="flex gap-2 text-xs">
+          <button type="button" onClick={onRefresh} title="Reload schema" className="text-blue-600 dark:text-blue-400">↻</button>
+          <button type="button" onClick={onToggle} title="Hide schema" className="text-gray-500 dark:text-gray-400">◂</button>
+        </span>
+      </div>
+      <input
+        type="text"
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+        placeholder="Filter tables/columns…"
+        className="border border-gray-300 rounded px-3 py-2 text-sm bg-white text-gray-900
+                   dark:bg-gray-800 dark:border-gray-700 dark:text-gray-100"
+      />
+      <div className="overflow-y-auto flex-1 pr-1 text-sm">
+        {loading ? (
+          <div className="text-xs text-gray-500 dark:text-gray-400">Loading schema…</div>
+        ) : error ? (
+          <div className="text-xs text-red-600">{error}</div>
+        ) : visible.length === 0 ? (
+          <div className="text-xs text-gray-500 dark:text-gray-400">No tables found.</div>
+        ) : visible.map(t => {
+          const isOpen = f ? true : !!expanded[t.name];
+          return (
+            <div key={t.name} className="mb-2">
+              <button type="button"
+                      onClick={() => setExpanded(prev => ({ ...prev, [t.name]: !prev[t.name] }))}
+                      className="w-full flex items-center justify-between text-left font-medium text-gray-800 dark:text-gray-100">
+                <span className="truncate">{isOpen ? '▾' : '▸'} {t.name}</span>
+                <span className="text-[11px] text-gray-400">
+                  {t.rowCount != null ? `${t.rowCount} rows` : `${t.columns.length} cols`}
+                </span>
+              </button>
+              {isOpen && (
+                <ul className="ml-4 mt-1 space-y-1">
+                  {t.columns.map(c => (
+                    <li key={c.name}>
+                      <button type="button" onClick={() => onPickColumn(c.name, t.name)}
+                              title={c.samples.length ? `e.g. ${c.samples.slice(0, 5).join(', ')}` : 'Insert into question'}
+                              className="w-full text-left rounded px-1 hover:bg-gray-100 dark:hover:bg-gray-800">
+                        <span className="text-gray-800 dark:text-gray-100">{c.name}</span>
+                        {c.type && <span className="ml-1 text-[11px] uppercase text-gray-400">{c.type}</span>}
+                        {c.samples.length > 0 && (
+                          <div className="text-[11px] text-gray-500 truncate dark:text-gray-400">
+                            {c.samples.slice(0, 3).map(String).join(' · ')}
+                          </div>
+                        )}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,24 @@
+import { normalizeSchema, schemaIdentifiers, completeWord } from './SchemaExplorer';
+
+test('normalizeSchema accepts the known /schema_suggestions shapes', () => {
+  const full = normalizeSchema({
+    tables: [{ name: 'sales', row_count: 3, columns: [{ name: 'branch_name', type: 'TEXT', samples: ['KL', 'Penang'] }] }]
+  });
+  expect(full).toEqual([{ name: 'sales', rowCount: 3, columns: [{ name: 'branch_name', type: 'TEXT', samples: ['KL', 'Penang'] }] }]);
+
+  expect(normalizeSchema({ sales: ['month', 'revenue_rm'] })[0].columns.map(c => c.name)).toEqual(['month', 'revenue_rm']);
+  expect(normalizeSchema({ sales: { revenue_rm: 'REAL' } })[0].columns).toEqual([{ name: 'revenue_rm', type: 'REAL', samples: [] }]);
+  expect(normalizeSchema(['sales.month', 'sales.region'])).toEqual([
+    { name: 'sales', rowCount: null, columns: [{ name: 'month', type: '', samples: [] }, { name: 'region', type: '', samples: [] }] }
+  ]);
+  expect(normalizeSchema(null)).toEqual([]);
+});
+
+test('completeWord completes the word at the caret from schema identifiers', () => {
+  const words = schemaIdentifiers(normalizeSchema({ sales: ['revenue_rm', 'region'] }));
+  expect(words).toEqual(expect.arrayContaining(['sales', 'revenue_rm', 'sales.region']));
+  const c = completeWord('total re', 8, words);
+  expect(c.start).toBe(6);
+  expect(c.items).toEqual(['revenue_rm', 'region']);
+  expect(completeWord('total r', 7, words)).toBeNull();
+});
@@ -0,0 +1,163 @@
+// src/SqlEditor.js
+// Lightweight SQL editor: transparent <textarea> layered over a highlighted
+// <pre>, a line-number gutter and a keyword/identifier completion popup.
+// No editor dependency on purpose — queries here are a few lines long.
+
+import React, { useMemo, useRef, useState } from 'react';
+
+export const SQL_KEYWORDS = [
+  'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'IN', 'IS', 'NULL', 'LIKE', 'BETWEEN', 'EXISTS',
+  'GROUP BY', 'ORDER BY', 'HAVING', 'LIMIT', 'OFFSET', 'AS', 'ON', 'JOIN', 'LEFT JOIN', 'RIGHT JOIN',
+  'INNER JOIN', 'OUTER JOIN', 'CROSS JOIN', 'UNION', 'ALL', 'DISTINCT', 'CASE', 'WHEN', 'THEN', 'ELSE',
+  'END', 'ASC', 'DESC', 'WITH', 'COUNT', 'SUM', 'AVG', 'MIN', 'MAX', 'ROUND', 'COALESCE', 'CAST',
+  'STRFTIME', 'DATE', 'SUBSTR', 'LOWER', 'UPPER'
+];
+
+const KW_SINGLE = new Set(SQL_KEYWORDS.flatMap(k => k.split(' ')));
+
+// Token stream for highlighting; unknown text passes through as 'plain'
+export function tokenizeSql(sql) {
+  const re = /(--[^\n]*|\/\*[\s\S]*?\*\/)|('(?:[^']|'')*'?)|("(?:[^"]|"")*"?)|(\b\d+(?:\.\d+)?\b)|([A-Za-z_][A-Za-z0-9_]*)|(\s+|[^\sA-Za-z0-9_'"-]+|[\s\S])/g;
+  const out = [];
+  let m;
+  while ((m = re.exec(sql)) !== null) {
+    if (m[1]) out.push({ type: 'comment', text: m[1] });
+    else if (m[2]) out.push({ type: 'string', text: m[2] });
+    else if (m[3]) out.push({ type: 'ident', text: m[3] });
+    else if (m[4]) out.push({ type: 'number', text: m[4] });
+    else if (m[5]) out.push({ type: KW_SINGLE.has(m[5].toUpperCase()) ? 'keyword' : 'ident', text: m[5] });
+    else out.push({ type: 'plain', text: m[0] });
+  }
+  return out;
+}
+
+// Table names referenced after FROM / JOIN, for completion
+export function sqlTables(sql) {
+  const found = new Set();
+  const re = /\b(?:from|join)\s+["`]?([A-Za-z_][A-Za-z0-9_]*)/gi;
+  let m;
+  while ((m = re.exec(String(sql || ''))) !== null) found.add(m[1]);
+  return Array.from(found);
+}
+
+const TOKEN_CLASS = {
+  keyword: 'text-blue-700 font-semibold dark:text-blue-300',
+  string: 'text-green-700 dark:text-green-300',
+  number: 'text-orange-600 dark:text-orange-300',
+  comment: 'text-gray-400 italic',
+  ident: 'text-gray-900 dark:text-gray-100',
+  plain: 'text-gray-900 dark:text-gray-100'
+};
+
+// Shared box metrics so the textarea caret sits exactly over the highlight
+const BOX = 'm-0 p-2 font-mono text-xs leading-5 whitespace-pre';
+
+export default function SqlEditor({ value, onChange, completions = [], onRun, readOnly = false, minLines = 3 }) {
+  const taRef = useRef(null);
+  const preRef = useRef(null);
+  const gutterRef = useRef(null);
+  const [popup, setPopup] = useState(null); // { items, active, start }
+
+  const lines = Math.max(minLines, String(value || '').split('\n').length);
+  const tokens = useMemo(() => tokenizeSql(String(value || '')), [value]);
+
+  const candidates = useMemo(() => {
+    const set = new Set([...completions.filter(Boolean).map(String), ...SQL_KEYWORDS]);
+    return Array.from(set);
+  }, [completions]);
+
+  const syncScroll = () => {
+    const ta = taRef.current;
+    if (!ta) return;
+    if (preRef.current) { preRef.current.scrollTop = ta.scrollTop; preRef.current.scrollLeft = ta.scrollLeft; }
+    if (gutterRef.current) gutterRef.current.scrollTop = ta.scrollTop;
+  };
+
+  const updatePopup = (text, caret) => {
+    const before = text.slice(0, caret);
+    const m = before.match(/[A-Za-z_][A-Za-z0-9_.]*$/);
+    if (!m) { setPopup(null); return; }
+    const prefix = m[0].toLowerCase();
+    const items = candidates
+      .filter(c => c.toLowerCase().startsWith(prefix) && c.toLowerCase() !== prefix)
+      .slice(0, 8);
+    setPopup(items.length ? { items, active: 0, start: caret - m[0].length } : null);
+  };
+
+  const accept = (item) => {
+    const ta = taRef.current;
+    if (!ta || !popup) return;
+    const caret = ta.selectionStart;
+    const next = value.slice(0, popup.start) + item + value.slice(caret);
+    onChange(next);
+    setPopup(null);
+    const pos = popup.start + item.length;
+    requestAnimationFrame(() => { ta.focus(); ta.setSelectionRange(pos, pos); });
+  };
+
+  const onKeyDown = (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') { e.preventDefault(); onRun?.(); return; }
+    if (popup) {
+      if (e.key === 'ArrowDown') { e.preventDefault(); setPopup(p => ({ ...p, active: (p.active + 1) % p.items.length })); return; }
+      if (e.key === 'ArrowUp') { e.preventDefault(); setPopup(p => ({ ...p, active: (p.active - 1 + p.items.length) % p.items.length })); return; }
+      if (e.key === 'Enter' || e.key === 'Tab') { e.preventDefault(); accept(popup.items[popup.active]); return; }
+      if (e.key === 'Escape') { e.preventDefault(); setPopup(null); return; }
+    }
+    if (e.key === 'Tab') {
+      e.preventDefault();
+      const ta = e.currentTarget;
+      const { selectionStart: a, selectionEnd: b } = ta;
+      onChange(value.slice(0, a) + '  ' + value.slice(b));
+      requestAnimationFrame(() => ta.setSelectionRange(a + 2, a + 2));
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="flex rounded border border-gray-200 bg-white dark:bg-gray-900 dark:border-gray-800 overflow-hidden">
+        <div ref={gutterRef} aria-hidden="true"
+             className="select-none text-right text-gray-400 bg-gray-50 border-r border-gray-200 overflow-hidden
+                        dark:bg-gray-800 dark:border-gray-700"
+             style={{ height: `${lines * 1.25 + 1}rem` }}>
+          <pre className={`${BOX} px-2`}>
+            {Array.from({ length: lines }, (_, i) => i + 1).join('\n')}
+          </pre>
+        </div>
+        <div className="relative flex-1" style={{ height: `${lines * 1.25 + 1}rem` }}>
+          <pre ref={preRef} aria-hidden="true" className={`${BOX} absolute inset-0 overflow-hidden pointer-events-none`}>
+            {tokens.map((t, i) => <span key={i} className={TOKEN_CLASS[t.type]}>{t.text}</span>)}
+            {'\n'}
+          </pre>
+          <textarea
+            ref={taRef}
+            value={value}
+            readOnly={readOnly}
+            spellCheck={false}
+            aria-label="SQL editor"
+            onChange={(e) => { onChange(e.target.value); updatePopup(e.target.value, e.target.selectionStart); }}
+            onKeyDown={onKeyDown}
+            onScroll={syncScroll}
+            onBlur={() => setTimeout(() => setPopup(null), 150)}
+            className={`${BOX} absolute inset-0 w-full h-full resize-none bg-transparent text-transparent
+                        caret-gray-900 dark:caret-gray-100 outline-none overflow-auto`}
+          />
+        </div>
+      </div>
+      {popup && (
+        <ul role="listbox"
+            className="absolute left-10 z-20 mt-1 min-w-[12rem] rounded border border-gray-200 bg-white shadow text-xs
+                       dark:bg-gray-900 dark:border-gray-700">
+          {popup.items.map((item, i) => (
+            <li key={item} role="option" aria-selected={i === popup.active}
+                onMouseDown={(e) => { e.preventDefault(); accept(item); }}
+                className={`px-2 py-1 font-mono cursor-pointer ${i === popup.active
+                  ? 'bg-blue-600 text-white'
+                  : 'text-gray-800 hover:bg-gray-100 dark:text-gray-100 dark:hover:bg-gray-800'}`}>
+              {item}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
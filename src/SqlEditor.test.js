@@ -0,0 +1,16 @@
+import { tokenizeSql, sqlTables } from './SqlEditor';
+
+test('tokenizeSql keeps every character and classifies tokens', () => {
+  const sql = "SELECT branch_name, SUM(revenue_rm) FROM sales -- note\nWHERE month = 'Jan 2024' LIMIT 10";
+  const tokens = tokenizeSql(sql);
+  expect(tokens.map(t => t.text).join('')).toBe(sql);
+  expect(tokens.filter(t => t.type === 'keyword').map(t => t.text)).toEqual(['SELECT', 'SUM', 'FROM', 'WHERE', 'LIMIT']);
+  expect(tokens.find(t => t.type === 'string').text).toBe("'Jan 2024'");
+  expect(tokens.find(t => t.type === 'comment').text).toBe('-- note');
+  expect(tokens.find(t => t.type === 'number').text).toBe('10');
+});
+
+test('sqlTables collects FROM and JOIN targets', () => {
+  expect(sqlTables('select * from sales s join branches b on s.branch_id = b.id')).toEqual(['sales', 'branches']);
+  expect(sqlTables(null)).toEqual([]);
+});
@@ -0,0 +1,282 @@
+// src/TenantManager.js
+// Modal for managing tenant databases: list with owner / created / size /
+// tables, upload history per tenant, download of the data, and rename /
+// delete (with typed confirmation) for admins and tenant owners.
+
+import React, { useEffect, useState } from 'react';
+import { normalizeError } from './api';
+import { can, canUseDb, canModifyTenant } from './auth';
+import { formatBytes } from './csvIngest';
+import {
+  TENANT_EXPORT_FORMATS, validateTenantKey, fetchTenants, fetchUploadHistory, renameTenant, deleteTenant, downloadTenant
+} from './tenants';
+
+const input = 'border border-gray-300 rounded px-2 py-1 text-xs bg-white text-gray-900 dark:bg-gray-800 dark:border-gray-700 dark:text-gray-100';
+const btn = 'text-xs px-3 py-1 rounded border border-gray-300 hover:bg-gray-50 dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100 disabled:opacity-50';
+const danger = 'text-xs px-3 py-1 rounded bg-red-600 text-white hover:bg-red-700 dark:bg-red-500 dark:hover:bg-red-600 disabled:opacity-50';
+
+const fmtDate = (ms) => (ms ? new Date(ms).toLocaleString() : '—');
+const fmtCount = (n) => (n == null ? '—' : n.toLocaleString());
+// The built-in sample DB is shared; it can be downloaded but not renamed or deleted
+const isBuiltIn = (name) => name.toLowerCase() === 'demo';
+
+function Meta({ label, value }) {
+  return (
+    <div>
+      <div className="text-[11px] text-gray-500 dark:text-gray-400">{label}</div>
+      <div className="text-sm dark:text-gray-100">{value}</div>
+    </div>
+  );
+}
+
+export default function TenantManager({ open, user, databases = [], selectedDb, onClose, onRenamed, onDeleted, onRequireLogin }) {
+  const [tenants, setTenants] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [uploads, setUploads] = useState(null);     // null = loading/unavailable
+  const [uploadsError, setUploadsError] = useState('');
+  const [action, setAction] = useState(null);       // 'rename' | 'delete'
+  const [newName, setNewName] = useState('');
+  const [confirmName, setConfirmName] = useState('');
+  const [format, setFormat] = useState(TENANT_EXPORT_FORMATS[0].id);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState('');
+
+  const fail = (e, what) => {
+    const er = normalizeError(e);
+    if (er.isAuth) { setStatus('🔒 Login required'); onRequireLogin?.(); return; }
+    setStatus(er.code === 'forbidden' ? `🔒 You don’t have permission to ${what}` : `⚠️ ${er.message || `Could not ${what}`}`);
+  };
+
+  const load = async (keep) => {
+    setLoading(true);
+    try {
+      const list = (await fetchTenants(databases)).filter(t => canUseDb(user, t.name));
+      setTenants(list);
+      setSelected(s => list.find(t => t.name === (keep ?? s))?.name ?? list.find(t => t.name === selectedDb)?.name ?? list[0]?.name ?? null);
+    } catch (e) {
+      // No /tenants (older backend): still list what /databases knows
+      setTenants(databases.filter(db => canUseDb(user, db)).map(name => ({ name, owner: null, createdAt: null, updatedAt: null, sizeBytes: null, rowCount: null, tables: [] })));
+      setSelected(s => s ?? selectedDb ?? null);
+      if (normalizeError(e).code !== 'not_found') fail(e, 'load the tenants');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!open) return;
+    setStatus(''); setAction(null);
+    load(selectedDb);
+  }, [open]); // eslint-disable-line
+
+  useEffect(() => {
+    setUploads(null); setUploadsError(''); setAction(null); setConfirmName('');
+    if (!open || !selected) return undefined;
+    let cancelled = false;
+    fetchUploadHistory(selected)
+      .then(list => { if (!cancelled) setUploads(list); })
+      .catch(e => { if (!cancelled) setUploadsError(normalizeError(e).message || 'Upload history unavailable'); });
+    return () => { cancelled = true; };
+  }, [open, selected]);
+
+  if (!open) return null;
+
+  const tenant = tenants.find(t => t.name === selected) || null;
+  const mayRename = tenant && !isBuiltIn(tenant.name) && canModifyTenant(user, tenant, 'rename_tenant');
+  const mayDelete = tenant && !isBuiltIn(tenant.name) && canModifyTenant(user, tenant, 'delete_tenant');
+  const mayExport = tenant && can(user, 'export_tenant');
+
+  const nameError = action === 'rename'
+    ? validateTenantKey(newName) || (tenants.some(t => t.name !== tenant.name && t.name.toLowerCase() === newName.toLowerCase())
+      ? `“${newName}” already exists` : '')
+    : '';
+
+  const doRename = async (e) => {
+    e.preventDefault();
+    if (nameError || busy) return;
+    setBusy(true);
+    try {
+      await renameTenant(tenant.name, newName);
+      setStatus(`✅ Renamed ${tenant.name} to ${newName}`);
+      setAction(null);
+      await onRenamed?.(tenant.name, newName);
+      await load(newName);
+    } catch (err) {
+      fail(err, 'rename this tenant');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const doDelete = async (e) => {
+    e.preventDefault();
+    if (confirmName !== tenant.name || busy) return;
+    setBusy(true);
+    try {
+      await deleteTenant(tenant.name);
+      setStatus(`✅ Deleted ${tenant.name}`);
+      setAction(null);
+      setSelected(null);
+      await onDeleted?.(tenant.name);
+      await load();
+    } catch (err) {
+      fail(err, 'delete this tenant');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const doDownload = async () => {
+    setBusy(true);
+    setStatus('Preparing download…');
+    try {
+      await downloadTenant(tenant.name, format);
+      setStatus('');
+    } catch (e) {
+      fail(e, 'download this tenant');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[999]">
+      <div className="w-full max-w-5xl max-h-[85vh] flex flex-col rounded-xl bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 p-4 gap-3">
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-semibold dark:text-gray-100">Databases</div>
+          <div className="flex items-center gap-2">
+            {loading && <span className="text-xs text-gray-500 dark:text-gray-400">Loading…</span>}
+            <button type="button" className={btn} onClick={() => load()} disabled={loading}>Refresh</button>
+            <button type="button" onClick={onClose} className="text-sm text-gray-500 dark:text-gray-400">✕</button>
+          </div>
+        </div>
+
+        <div className="flex-1 min-h-0 flex gap-3">
+          <ul className="w-56 shrink-0 overflow-auto border border-gray-200 rounded dark:border-gray-700 text-xs" aria-label="Tenants">
+            {tenants.map(t => (
+              <li key={t.name}>
+                <button type="button" onClick={() => setSelected(t.name)} aria-current={t.name === selected}
+                        className={`w-full text-left px-2 py-1.5 border-b border-gray-100 dark:border-gray-800 ${t.name === selected
+                          ? 'bg-blue-50 dark:bg-blue-900/30' : 'hover:bg-gray-50 dark:hover:bg-gray-800'} dark:text-gray-100`}>
+                  <div className="font-semibold">{t.name}{t.name === selectedDb && <span className="ml-1 text-gray-500 dark:text-gray-400">(current)</span>}</div>
+                  <div className="text-[11px] text-gray-500 dark:text-gray-400">
+                    {t.tables.length} table{t.tables.length === 1 ? '' : 's'}{t.sizeBytes != null && ` · ${formatBytes(t.sizeBytes)}`}
+                  </div>
+                </button>
+              </li>
+            ))}
+            {!tenants.length && !loading && <li className="p-2 text-gray-500 dark:text-gray-400">No databases</li>}
+          </ul>
+
+          {tenant && (
+            <div className="flex-1 min-w-0 overflow-auto space-y-3">
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                <Meta label="Owner" value={tenant.owner || '—'} />
+                <Meta label="Created" value={fmtDate(tenant.createdAt)} />
+                <Meta label="Size" value={tenant.sizeBytes == null ? '—' : formatBytes(tenant.sizeBytes)} />
+                <Meta label="Rows" value={fmtCount(tenant.rowCount)} />
+              </div>
+
+              <div className="flex flex-wrap items-center gap-2">
+                {mayExport && (
+                  <>
+                    <select className={input} value={format} onChange={(e) => setFormat(e.target.value)} aria-label="Download format">
+                      {TENANT_EXPORT_FORMATS.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+                    </select>
+                    <button type="button" className={btn} onClick={doDownload} disabled={busy}>Download</button>
+                  </>
+                )}
+                {mayRename && (
+                  <button type="button" className={btn} disabled={busy}
+                          onClick={() => { setAction(a => (a === 'rename' ? null : 'rename')); setNewName(tenant.name); }}>Rename…</button>
+                )}
+                {mayDelete && (
+                  <button type="button" className={btn} disabled={busy}
+                          onClick={() => { setAction(a => (a === 'delete' ? null : 'delete')); setConfirmName(''); }}>Delete…</button>
+                )}
+              </div>
+
+              {action === 'rename' && mayRename && (
+                <form onSubmit={doRename} className="flex flex-wrap items-center gap-2 text-xs dark:text-gray-300">
+                  <label className="flex items-center gap-1">
+                    New name
+                    <input className={`${input} w-40`} value={newName} onChange={(e) => setNewName(e.target.value)} autoFocus />
+                  </label>
+                  <button type="submit" className={btn} disabled={busy || Boolean(nameError) || newName === tenant.name}>Save</button>
+                  <button type="button" className={btn} onClick={() => setAction(null)}>Cancel</button>
+                  {newName !== tenant.name && nameError && <span className="text-red-600 dark:text-red-400">{nameError}</span>}
+                </form>
+              )}
+
+              {action === 'delete' && mayDelete && (
+                <form onSubmit={doDelete}
+                      className="rounded border border-red-200 bg-red-50 p-2 text-xs space-y-2 dark:border-red-900 dark:bg-red-900/20 dark:text-gray-100">
+                  <div>
+                    This permanently deletes <b>{tenant.name}</b>, its {tenant.tables.length} table{tenant.tables.length === 1 ? '' : 's'} and
+                    upload history. Type the tenant name to confirm.
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <input className={`${input} w-40`} value={confirmName} onChange={(e) => setConfirmName(e.target.value)}
+                           aria-label="Type the tenant name to confirm" />
+                    <button type="submit" className={danger} disabled={busy || confirmName !== tenant.name}>Delete tenant</button>
+                    <button type="button" className={btn} onClick={() => setAction(null)}>Cancel</button>
+                  </div>
+                </form>
+              )}
+
+              <div>
+                <div className="text-sm font-semibold mb-1 dark:text-gray-100">Tables</div>
+                {tenant.tables.length ? (
+                  <table className="min-w-full text-xs dark:text-gray-100">
+                    <tbody>
+                      {tenant.tables.map(t => (
+                        <tr key={t.name} className="border-t border-gray-100 dark:border-gray-800">
+                          <td className="p-1 font-mono">{t.name}</td>
+                          <td className="p-1 text-right text-gray-600 dark:text-gray-300">{fmtCount(t.rowCount)} rows</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                ) : <div className="text-xs text-gray-500 dark:text-gray-400">No table information</div>}
+              </div>
+
+              <div>
+                <div className="text-sm font-semibold mb-1 dark:text-gray-100">Upload history</div>
+                {uploadsError ? (
+                  <div className="text-xs text-gray-500 dark:text-gray-400">{uploadsError}</div>
+                ) : !uploads ? (
+                  <div className="text-xs text-gray-500 dark:text-gray-400">Loading…</div>
+                ) : !uploads.length ? (
+                  <div className="text-xs text-gray-500 dark:text-gray-400">No uploads recorded</div>
+                ) : (
+                  <table className="min-w-full text-xs dark:text-gray-100">
+                    <thead className="text-left text-gray-500 dark:text-gray-400">
+                      <tr><th className="p-1">When</th><th className="p-1">By</th><th className="p-1">Files</th><th className="p-1">Tables</th><th className="p-1">Mode</th><th className="p-1 text-right">Imported</th><th className="p-1 text-right">Rejected</th><th className="p-1">Status</th></tr>
+                    </thead>
+                    <tbody>
+                      {uploads.map(u => (
+                        <tr key={u.id} className="border-t border-gray-100 dark:border-gray-800">
+                          <td className="p-1 whitespace-nowrap">{fmtDate(u.at)}</td>
+                          <td className="p-1">{u.user || '—'}</td>
+                          <td className="p-1">{u.files.join(', ') || '—'}</td>
+                          <td className="p-1">{u.tables.join(', ') || '—'}</td>
+                          <td className="p-1">{u.mode || '—'}</td>
+                          <td className="p-1 text-right">{fmtCount(u.imported)}</td>
+                          <td className="p-1 text-right">{fmtCount(u.rejected)}</td>
+                          <td className="p-1" title={u.error || undefined}>{u.status === 'ok' ? '✅' : `⚠️ ${u.status}`}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {status && <div className="text-xs text-gray-600 dark:text-gray-300">{status}</div>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { api } from './api';
+import { normalizeUser } from './auth';
+import TenantManager from './TenantManager';
+
+afterEach(() => jest.restoreAllMocks());
+
+const mockServer = () => jest.spyOn(api, 'get').mockImplementation(async (url) => {
+  if (url === '/tenants') {
+    return {
+      data: {
+        tenants: [
+          { name: 'cars', owner: 'ana', size_bytes: 4096, tables: [{ name: 'sales', row_count: 12 }] },
+          { name: 'shop', owner: 'bob', tables: [] }
+        ]
+      }
+    };
+  }
+  if (url === '/tenants/cars/uploads') return { data: [{ id: 'u1', at: '2024-06-01T00:00:00Z', user: 'ana', file: 'jun.csv', table: 'sales', rows_imported: 12 }] };
+  return { data: [] };
+});
+
+test('owners can delete their tenant after typing its name; others only download', async () => {
+  mockServer();
+  const del = jest.spyOn(api, 'delete').mockResolvedValue({ data: {} });
+  const onDeleted = jest.fn();
+  const analyst = normalizeUser({ username: 'ana', roles: ['analyst'] });
+  render(<TenantManager open user={analyst} databases={['demo', 'cars', 'shop']} selectedDb="cars" onDeleted={onDeleted} />);
+
+  expect(await screen.findByText('jun.csv')).toBeInTheDocument();
+  expect(screen.getByText('4.0 KB')).toBeInTheDocument();
+  expect(screen.getByText('12 rows')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Delete…'));
+  const confirm = screen.getByText('Delete tenant');
+  expect(confirm).toBeDisabled();
+  fireEvent.change(screen.getByLabelText('Type the tenant name to confirm'), { target: { value: 'car' } });
+  expect(confirm).toBeDisabled();
+  fireEvent.change(screen.getByLabelText('Type the tenant name to confirm'), { target: { value: 'cars' } });
+  fireEvent.click(confirm);
+  await waitFor(() => expect(onDeleted).toHaveBeenCalledWith('cars'));
+  expect(del).toHaveBeenCalledWith('/tenants/cars', expect.anything());
+
+  // Someone else's tenant: view and download only
+  fireEvent.click(await screen.findByText('shop'));
+  expect(await screen.findByText('No uploads recorded')).toBeInTheDocument();
+  expect(screen.getByText('Download')).toBeInTheDocument();
+  expect(screen.queryByText('Delete…')).not.toBeInTheDocument();
+  expect(screen.queryByText('Rename…')).not.toBeInTheDocument();
+});
+
+test('rename checks the new key before calling the server', async () => {
+  mockServer();
+  const patch = jest.spyOn(api, 'patch').mockResolvedValue({ data: {} });
+  const onRenamed = jest.fn();
+  const admin = normalizeUser({ username: 'root', roles: ['admin'] });
+  render(<TenantManager open user={admin} databases={['cars', 'shop']} selectedDb="cars" onRenamed={onRenamed} />);
+
+  fireEvent.click(await screen.findByText('Rename…'));
+  fireEvent.change(screen.getByLabelText('New name'), { target: { value: 'shop' } });
+  expect(screen.getByText('“shop” already exists')).toBeInTheDocument();
+  expect(screen.getByText('Save')).toBeDisabled();
+  fireEvent.change(screen.getByLabelText('New name'), { target: { value: 'SHOP' } });
+  expect(screen.getByText('“SHOP” already exists')).toBeInTheDocument();
+  // A case-only rename of the tenant itself is not a duplicate
+  fireEvent.change(screen.getByLabelText('New name'), { target: { value: 'Cars' } });
+  expect(screen.queryByText(/already exists/)).toBeNull();
+  expect(screen.getByText('Save')).toBeEnabled();
+  fireEvent.change(screen.getByLabelText('New name'), { target: { value: 'autos' } });
+  fireEvent.click(screen.getByText('Save'));
+  await waitFor(() => expect(onRenamed).toHaveBeenCalledWith('cars', 'autos'));
+  expect(patch).toHaveBeenCalledWith('/tenants/cars', { name: 'autos' }, expect.anything());
+  expect(await screen.findByText('✅ Renamed cars to autos')).toBeInTheDocument();
+});
+
+test('a signed-out session sees only the demo database and cannot change it', async () => {
+  mockServer();
+  render(<TenantManager open user={null} databases={['demo', 'cars', 'shop']} selectedDb="demo" />);
+  expect(await screen.findByText('demo')).toBeInTheDocument();
+  expect(screen.queryByText('cars')).not.toBeInTheDocument();
+  expect(screen.queryByText('Rename…')).not.toBeInTheDocument();
+  expect(screen.queryByText('Delete…')).not.toBeInTheDocument();
+});
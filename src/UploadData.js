@@ -0,0 +1,593 @@
+// src/UploadData.js
+// Create a tenant DB from one or more files (CSV, Excel, JSON/NDJSON, Parquet),
+// or add them to an existing tenant: pick the sheets / arrays to import, map
+// each to a table, check the client-side preview (encoding, delimiter, header,
+// column names/types) and, for existing tables, the schema differences and
+// append / replace / upsert strategy. Updates go through a server dry run
+// first; then every table is uploaded in one request with byte progress and
+// the server's imported/rejected counts are shown per table.
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { api, normalizeError } from './api';
+import {
+  CSV_DELIMITERS, CSV_ENCODINGS, COLUMN_TYPES, IMPORT_STRATEGIES, valueFits, validateIdentifier, sanitizeName,
+  uniqueNames, tableNameFromFile, uploadSummaries, compareColumns, typeFamily, formatBytes
+} from './csvIngest';
+import { SOURCE_KINDS, SOURCE_ACCEPT, sourceKind, loadSource, analyzePart, convertPart } from './fileSources';
+import { normalizeSchema } from './SchemaExplorer';
+import { validateTenantKey } from './tenants';
+
+const MAX_BYTES = 25 * 1024 * 1024;
+const UPLOAD_TIMEOUT = 10 * 60 * 1000; // large files: well past the default request timeout
+
+const input = 'border border-gray-300 rounded px-2 py-1 text-xs bg-white text-gray-900 dark:bg-gray-800 dark:border-gray-700 dark:text-gray-100';
+const btn = 'text-xs px-3 py-1 rounded border border-gray-300 hover:bg-gray-50 dark:border-gray-700 dark:hover:bg-gray-800 dark:text-gray-100 disabled:opacity-50';
+
+const tableKey = (sourceId, partId) => `${sourceId}#${partId}`;
+// One-part files are named after the file; sheets and JSON arrays after themselves
+const defaultTableName = (source, part) => (source.parts.length > 1 ? sanitizeName(part.label) : tableNameFromFile(source.name));
+const sameName = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+/* ───────── Import summaries ───────── */
+function countsLine(s, dry) {
+  const parts = [];
+  if (s.inserted != null) parts.push(`${dry ? 'would insert' : 'inserted'} ${s.inserted.toLocaleString()}`);
+  if (s.updated != null) parts.push(`${dry ? 'would update' : 'updated'} ${s.updated.toLocaleString()}`);
+  if (s.deleted != null) parts.push(`${dry ? 'would delete' : 'deleted'} ${s.deleted.toLocaleString()} existing`);
+  if (!parts.length && s.imported != null) parts.push(`${s.imported.toLocaleString()} rows ${dry ? 'would be imported' : 'imported'}`);
+  const rows = parts.length ? `✅ ${parts.join(' · ')} · ` : '';
+  return `${rows}${s.rejected ? `⚠️ ${s.rejected.toLocaleString()} rows ${dry ? 'would be rejected' : 'rejected'}` : 'no rows rejected'}`;
+}
+
+function SummaryList({ summaries, dry }) {
+  return (
+    <div className="rounded border border-gray-200 p-3 text-xs space-y-2 dark:border-gray-700 dark:text-gray-100 max-h-48 overflow-auto">
+      {dry && <div className="font-semibold">Dry run — nothing has been changed yet</div>}
+      {summaries.map((summary, si) => (
+        <div key={si} className="space-y-1">
+          <div className="font-semibold">
+            {summary.table ? `${summary.tenant} · ${summary.table}` : summary.tenant}
+          </div>
+          <div>{countsLine(summary, dry)}</div>
+          {summary.reasons.length > 0 && (
+            <ul className="list-disc pl-5 text-gray-600 dark:text-gray-300">
+              {summary.reasons.slice(0, 20).map(r => (
+                <li key={r.reason}>
+                  {r.reason} — {r.count} row{r.count === 1 ? '' : 's'}
+                  {r.rows.length > 0 && ` (e.g. row ${r.rows.join(', ')})`}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/* ───────── Existing table: strategy + schema differences ───────── */
+function ExistingTablePanel({ table, target, columns, strategy, keys, onStrategy, onKeys, onUseTableTypes }) {
+  const diff = compareColumns(columns, target.columns);
+  const strict = strategy !== 'replace';
+  return (
+    <div className="rounded border border-amber-200 bg-amber-50 p-2 text-xs space-y-1 dark:border-amber-900 dark:bg-amber-900/20 dark:text-gray-100">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-semibold">“{table}” already exists</span>
+        <select className={input} value={strategy} aria-label="Import strategy" onChange={(e) => onStrategy(e.target.value)}>
+          {IMPORT_STRATEGIES.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+        </select>
+        <span className="text-gray-600 dark:text-gray-300">
+          {diff.matched.length} of {target.columns.length} table columns found in the file
+          {target.rowCount != null && ` · ${Number(target.rowCount).toLocaleString()} rows today`}
+        </span>
+      </div>
+      {strategy === 'replace' && <div>Existing rows are deleted and the table is recreated from the file’s columns.</div>}
+      {diff.added.length > 0 && (
+        <div className={strict ? 'text-red-700 dark:text-red-300' : ''}>
+          Only in the file: {diff.added.join(', ')}{strict ? ' — rename to a table column, remove, or replace the table' : ''}
+        </div>
+      )}
+      {diff.missing.length > 0 && (
+        <div>Only in the table: {diff.missing.join(', ')}{strict ? ' — left empty for imported rows' : ' — dropped'}</div>
+      )}
+      {diff.typeChanges.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span>
+            Type differs: {diff.typeChanges.map(c => `${c.name} (file ${c.type}, table ${c.existing})`).join(', ')}
+          </span>
+          {strict && <button type="button" className="underline" onClick={onUseTableTypes}>Use the table’s types</button>}
+        </div>
+      )}
+      {!diff.added.length && !diff.missing.length && !diff.typeChanges.length && <div>✅ Columns match the table</div>}
+      {strategy === 'upsert' && (
+        <div className="flex flex-wrap items-center gap-2">
+          Key columns:
+          {diff.matched.map(name => (
+            <label key={name} className="flex items-center gap-1">
+              <input type="checkbox" checked={keys.some(k => sameName(k, name))}
+                     onChange={(e) => onKeys(e.target.checked ? [...keys, name] : keys.filter(k => !sameName(k, name)))} />
+              {name}
+            </label>
+          ))}
+          <span className="text-gray-600 dark:text-gray-300">rows with a matching key are updated, the rest inserted</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function UploadData({ databases = [], onUploaded, onRequireLogin }) {
+  const [open, setOpen] = useState(false);
+  const [mode, setMode] = useState('create');    // 'create' a tenant | 'update' an existing one
+  const [tenant, setTenant] = useState('');
+  const [existing, setExisting] = useState(null); // update mode: the tenant's tables (normalizeSchema shape)
+  const [schemaStatus, setSchemaStatus] = useState('');
+  const [sources, setSources] = useState([]);   // loaded files (see fileSources.loadSource)
+  const [tables, setTables] = useState([]);     // [{ key, sourceId, partId, table, opts, columns, strategy, keys }] — one per ticked part
+  const [activeKey, setActiveKey] = useState(null);
+  const [reading, setReading] = useState(false);
+  const [status, setStatus] = useState('');
+  const [uploading, setUploading] = useState(false);
+  const [progress, setProgress] = useState(null); // { loaded, total }
+  const [summaries, setSummaries] = useState([]);
+  const [dryRun, setDryRun] = useState(null);     // { plan, summaries } of the last dry run
+  const [uploaded, setUploaded] = useState(false); // these files are in; don't import them twice
+
+  // Demo is the built-in sample DB; it never takes uploads
+  const tenants = databases.filter(db => db && db.toLowerCase() !== 'demo');
+
+  useEffect(() => {
+    setExisting(null);
+    setSchemaStatus('');
+    if (mode !== 'update' || !tenant) return undefined;
+    let cancelled = false;
+    setSchemaStatus('Loading the tenant’s tables…');
+    api.get('/schema_suggestions', { params: { db: tenant }, authPrompt: false })
+      .then(({ data }) => { if (!cancelled) { setExisting(normalizeSchema(data)); setSchemaStatus(''); } })
+      .catch((e) => {
+        if (cancelled) return;
+        const er = normalizeError(e);
+        setSchemaStatus(er.isAuth ? '🔒 Login to read the tenant’s tables' : `⚠️ ${er.message || 'Could not load the tenant’s tables'}`);
+      });
+    return () => { cancelled = true; };
+  }, [mode, tenant]);
+
+  const sourceOf = (t) => sources.find(s => s.id === t.sourceId);
+
+  // Re-analyse only when files or encoding/delimiter/header choices change, not on every rename
+  const optsKey = JSON.stringify(tables.map(t => [t.key, t.opts]));
+  const analyses = useMemo(() => {
+    const out = {};
+    tables.forEach(t => {
+      try { out[t.key] = analyzePart(sourceOf(t), t.partId, t.opts); } catch { out[t.key] = null; }
+    });
+    return out;
+  }, [sources, optsKey]); // eslint-disable-line
+
+  // Columns are the analysis' until edited; new structure (delimiter, header…) → fresh names/types
+  const columnsOf = (t) => t.columns || analyses[t.key]?.columns || [];
+  const active = tables.find(t => t.key === activeKey) || tables[0] || null;
+  const activeSource = active ? sourceOf(active) : null;
+  const analysis = active ? analyses[active.key] : null;
+  const columns = active ? columnsOf(active) : [];
+
+  // New tables are created; a name that exists in the tenant takes a strategy (append by default)
+  const targetOf = (t) => (mode === 'update' && existing ? existing.find(x => sameName(x.name, t.table)) || null : null);
+  const strategyOf = (t) => (targetOf(t) ? t.strategy || 'append' : 'create');
+  const keysOf = (t) => {
+    const target = targetOf(t);
+    return target ? t.keys.filter(k => columnsOf(t).some(c => sameName(c.name, k)) && target.columns.some(c => sameName(c.name, k))) : [];
+  };
+  // Anything that changes what a dry run would report
+  const plan = JSON.stringify([mode, tenant, sources.map(s => s.id), tables.map(t => [t.key, t.table, t.opts, columnsOf(t), strategyOf(t), keysOf(t)])]);
+  const checked = mode === 'update' && dryRun?.plan === plan;
+
+  const reset = () => {
+    setSources([]); setTables([]); setActiveKey(null);
+    setStatus(''); setProgress(null); setSummaries([]); setDryRun(null); setUploaded(false);
+  };
+  const close = () => { if (!uploading) { setOpen(false); reset(); setTenant(''); setMode('create'); } };
+  const switchMode = (m) => { setMode(m); setTenant(''); setSummaries([]); setDryRun(null); setUploaded(false); setStatus(''); };
+
+  const addFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (!files.length) return;
+    setStatus(''); setProgress(null); setSummaries([]); setDryRun(null); setUploaded(false);
+    setReading(true);
+    const errors = [];
+    const fresh = [];
+    for (const f of files) {
+      if (f.size > MAX_BYTES) { errors.push(`${f.name}: file too large (>25MB)`); continue; }
+      if (!sourceKind(f.name, f.type)) { errors.push(`${f.name}: not a CSV, Excel, JSON or Parquet file`); continue; }
+      try {
+        const src = await loadSource(f);
+        if (!sources.some(s => s.id === src.id) && !fresh.some(s => s.id === src.id)) fresh.push(src);
+      } catch (e) {
+        errors.push(e.message || String(e));
+      }
+    }
+    setReading(false);
+    if (errors.length) setStatus(`⚠️ Could not read ${errors.join(' · ')}`);
+    if (!fresh.length) return;
+
+    const adds = fresh.flatMap(src => src.parts.map(p => ({
+      key: tableKey(src.id, p.id), sourceId: src.id, partId: p.id, table: defaultTableName(src, p), opts: {}, columns: null, strategy: null, keys: []
+    })));
+    setSources(prev => [...prev, ...fresh]);
+    setTables(prev => {
+      const names = uniqueNames([...prev.map(t => t.table), ...adds.map(a => a.table)]).slice(prev.length);
+      return [...prev, ...adds.map((a, i) => ({ ...a, table: names[i] }))];
+    });
+    setActiveKey(k => k || adds[0].key);
+  };
+
+  const removeSource = (id) => {
+    setSources(prev => prev.filter(s => s.id !== id));
+    setTables(prev => prev.filter(t => t.sourceId !== id));
+    setUploaded(false);
+  };
+
+  const togglePart = (src, part, on) => {
+    const key = tableKey(src.id, part.id);
+    setUploaded(false);
+    if (!on) { setTables(prev => prev.filter(t => t.key !== key)); return; }
+    setTables(prev => {
+      const [name] = uniqueNames([...prev.map(t => t.table), defaultTableName(src, part)]).slice(prev.length);
+      return [...prev, { key, sourceId: src.id, partId: part.id, table: name, opts: {}, columns: null, strategy: null, keys: [] }];
+    });
+    setActiveKey(key);
+  };
+
+  const updateTable = (key, patch) => setTables(prev => prev.map(t => (t.key === key ? { ...t, ...patch } : t)));
+  const setOpts = (fn) => active && updateTable(active.key, { opts: fn(active.opts), columns: null });
+  const setColumn = (i, patch) => active && updateTable(active.key, { columns: columns.map((c, j) => (j === i ? { ...c, ...patch } : c)) });
+  const useTableTypes = () => {
+    const target = targetOf(active);
+    updateTable(active.key, {
+      columns: columns.map(c => {
+        const family = typeFamily(target.columns.find(x => sameName(x.name, c.name))?.type);
+        return family ? { ...c, type: family } : c;
+      })
+    });
+  };
+
+  const tenantError = mode === 'update'
+    ? (!existing ? schemaStatus || 'Loading the tenant’s tables…' : '')
+    : (tenant ? validateTenantKey(tenant) : '')
+      || (tenants.some(db => sameName(db, tenant)) ? `Tenant “${tenant}” already exists — choose Update existing to add to it` : '');
+  const tableNames = tables.map(t => t.table);
+  const tableError = tables.map(t => {
+    const err = validateIdentifier(t.table, 'Table name');
+    if (err) return err;
+    if (!analyses[t.key]) return `${t.table}: could not read a preview`;
+    const names = columnsOf(t).map(c => c.name);
+    const target = targetOf(t);
+    const strategy = strategyOf(t);
+    const added = target && strategy !== 'replace' ? compareColumns(columnsOf(t), target.columns).added : [];
+    const colErr = names.map(n => validateIdentifier(n, `Column “${n}”`)).find(Boolean)
+      || (new Set(names).size !== names.length ? 'Column names must be unique' : '')
+      || (added.length ? `column “${added[0]}” is not in the existing table` : '')
+      || (strategy === 'upsert' && !keysOf(t).length ? 'choose the key column(s) to upsert on' : '');
+    return colErr ? `${t.table}: ${colErr}` : '';
+  }).find(Boolean) || (new Set(tableNames).size !== tableNames.length ? 'Table names must be unique' : '');
+  const problem = !tenant ? (mode === 'update' ? 'Choose a tenant' : 'Enter a tenant key') : tenantError
+    || (!sources.length ? 'Choose one or more files' : '')
+    || (!tables.length ? 'Tick at least one sheet or array to import' : '')
+    || tableError;
+
+  // Updates are dry-run first; submitting again with nothing changed applies them
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (problem) { setStatus(problem); return; }
+    const dry = mode === 'update' && !checked;
+
+    let entries;
+    try {
+      entries = tables.map(t => {
+        const cols = columnsOf(t);
+        return { t, src: sourceOf(t), cols, out: convertPart(sourceOf(t), t.partId, analyses[t.key], cols) };
+      });
+    } catch (err) {
+      setStatus(`⚠️ Could not convert the data: ${err.message || err}`);
+      return;
+    }
+    const describe = ({ cols, out }) => cols.map(({ source, name, type }) => ({ source: out.converted ? name : source, name, type }));
+
+    const fd = new FormData();
+    fd.append('tenant', tenant);
+    fd.append('mode', mode);
+    if (dry) fd.append('dry_run', '1');
+    if (entries.length === 1) {
+      // Single-table form, as understood before multi-table uploads
+      const [only] = entries;
+      fd.append('table', only.t.table);
+      fd.append('delimiter', only.out.delimiter);
+      fd.append('encoding', only.out.encoding);
+      fd.append('has_header', only.out.hasHeader ? '1' : '0');
+      fd.append('columns', JSON.stringify(describe(only)));
+      fd.append('strategy', strategyOf(only.t));
+      if (strategyOf(only.t) === 'upsert') fd.append('key_columns', JSON.stringify(keysOf(only.t)));
+    }
+    fd.append('tables', JSON.stringify(entries.map(en => ({
+      table: en.t.table,
+      file: `${en.t.table}.csv`,
+      source: en.t.partId ? `${en.src.name} › ${en.t.partId}` : en.src.name,
+      delimiter: en.out.delimiter,
+      encoding: en.out.encoding,
+      has_header: en.out.hasHeader,
+      columns: describe(en),
+      strategy: strategyOf(en.t),
+      ...(strategyOf(en.t) === 'upsert' ? { key_columns: keysOf(en.t) } : {})
+    }))));
+    entries.forEach(en => fd.append('file', en.out.blob, `${en.t.table}.csv`));
+    const total = entries.reduce((n, en) => n + en.out.blob.size, 0);
+
+    try {
+      setUploading(true);
+      setStatus('');
+      setProgress({ loaded: 0, total });
+      const { data } = await api.post('/tenants/upload-csv', fd, {
+        timeout: UPLOAD_TIMEOUT,
+        authPrompt: false,
+        onUploadProgress: (ev) => setProgress({ loaded: ev.loaded, total: ev.total || total })
+      });
+      const list = uploadSummaries({ tenant, ...(entries.length === 1 ? { table: entries[0].t.table } : {}), ...data });
+      if (dry) {
+        setDryRun({ plan, summaries: list });
+        setStatus('Dry run done — check the changes, then apply them');
+        return;
+      }
+      setSummaries(list);
+      setUploaded(true);
+      setStatus(`✅ Uploaded: ${list[0]?.tenant || tenant}`);
+      if (typeof onUploaded === 'function') onUploaded(list[0]?.tenant || tenant);
+    } catch (err) {
+      const er = normalizeError(err);
+      if (er.isAuth) {
+        setStatus('🔒 Login required');
+        onRequireLogin?.();
+        return;
+      }
+      // A 4xx may still say which rows were the problem
+      const list = er.data && typeof er.data === 'object' ? uploadSummaries(er.data).filter(s => s.reasons.length) : [];
+      setSummaries(list);
+      setDryRun(null);
+      setStatus(`⚠️ ${er.message || 'Upload failed'}`);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const pct = progress?.total ? Math.min(100, Math.round((progress.loaded / progress.total) * 100)) : 0;
+  const partLabel = (t) => {
+    const src = sourceOf(t);
+    return src && src.parts.length > 1 ? `${src.name} › ${src.parts.find(p => p.id === t.partId)?.label}` : src?.name;
+  };
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={() => (open ? close() : setOpen(true))}
+        className="text-xs px-3 py-1 rounded border bg-gray-100 hover:bg-gray-200 border-gray-300
+                   dark:bg-gray-800 dark:hover:bg-gray-700 dark:border-gray-700 dark:text-gray-100"
+        title="Upload CSV, Excel, JSON or Parquet files to create a new tenant DB"
+      >
+        {open ? 'Close Upload' : 'Upload data'}
+      </button>
+
+      {open && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[999]">
+          <form onSubmit={handleUpload}
+                className="w-full max-w-5xl max-h-[85vh] flex flex-col rounded-xl bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 p-4 gap-3">
+            <div className="flex items-center justify-between">
+              <div className="text-lg font-semibold dark:text-gray-100">
+                {mode === 'update' ? 'Add files to an existing tenant' : 'Create tenant from files'}
+              </div>
+              <button type="button" onClick={close} className="text-sm text-gray-500 dark:text-gray-400">✕</button>
+            </div>
+
+            <div className="flex flex-wrap items-end gap-3 text-xs dark:text-gray-300">
+              <div className="flex flex-col gap-1" role="radiogroup" aria-label="Upload mode">
+                Mode
+                <div className="flex gap-1">
+                  {[['create', 'New tenant'], ['update', 'Update existing']].map(([id, label]) => (
+                    <button key={id} type="button" role="radio" aria-checked={mode === id} disabled={uploading}
+                            onClick={() => switchMode(id)}
+                            className={`text-xs px-2 py-1 rounded border ${mode === id
+                              ? 'bg-blue-600 text-white border-blue-600 dark:bg-blue-500 dark:border-blue-500'
+                              : 'border-gray-300 dark:border-gray-700 dark:text-gray-100'}`}>
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              {mode === 'update' ? (
+                <label className="flex flex-col gap-1">
+                  Tenant
+                  <select className={`${input} w-40`} value={tenant} onChange={(e) => setTenant(e.target.value)}>
+                    <option value="">Choose…</option>
+                    {tenants.map(db => <option key={db} value={db}>{db}</option>)}
+                  </select>
+                </label>
+              ) : (
+                <label className="flex flex-col gap-1">
+                  Tenant key
+                  <input type="text" value={tenant} onChange={(e) => setTenant(e.target.value)} placeholder="e.g. cars"
+                         className={`${input} w-40`} />
+                </label>
+              )}
+              <label className="flex flex-col gap-1">
+                Files
+                <input type="file" multiple accept={SOURCE_ACCEPT} disabled={uploading}
+                       onChange={(e) => { addFiles(e.target.files); e.target.value = ''; }}
+                       className="text-xs dark:text-gray-200" />
+              </label>
+              {reading && <span className="text-gray-500 dark:text-gray-400">Reading…</span>}
+            </div>
+
+            {sources.length > 0 && (
+              <ul className="text-xs space-y-1 dark:text-gray-200 max-h-32 overflow-auto">
+                {sources.map(src => (
+                  <li key={src.id} className="flex flex-wrap items-center gap-x-3 gap-y-1">
+                    <span className="font-semibold">{src.name}</span>
+                    <span className="text-gray-500 dark:text-gray-400">{SOURCE_KINDS[src.kind].label} · {formatBytes(src.file.size)}</span>
+                    {src.parts.length > 1 && src.parts.map(p => (
+                      <label key={p.id} className="flex items-center gap-1">
+                        <input type="checkbox" checked={tables.some(t => t.key === tableKey(src.id, p.id))}
+                               onChange={(e) => togglePart(src, p, e.target.checked)} disabled={uploading} />
+                        {p.label}
+                        <span className="text-gray-500 dark:text-gray-400">({p.count.toLocaleString()})</span>
+                      </label>
+                    ))}
+                    <button type="button" className="text-gray-500 hover:text-red-600 dark:text-gray-400" disabled={uploading}
+                            onClick={() => removeSource(src.id)} title={`Remove ${src.name}`}>✕</button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {tables.length > 1 && (
+              <div className="flex flex-wrap gap-1" role="tablist">
+                {tables.map(t => (
+                  <button key={t.key} type="button" role="tab" aria-selected={t.key === active?.key} title={partLabel(t)}
+                          onClick={() => setActiveKey(t.key)}
+                          className={`text-xs px-2 py-1 rounded border ${t.key === active?.key
+                            ? 'bg-blue-600 text-white border-blue-600 dark:bg-blue-500 dark:border-blue-500'
+                            : 'border-gray-300 dark:border-gray-700 dark:text-gray-100'}`}>
+                    {t.table || '(unnamed)'}
+                    {strategyOf(t) !== 'create' && <span className="ml-1 opacity-75">· {strategyOf(t)}</span>}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {active && analysis && (
+              <>
+                <div className="flex flex-wrap items-center gap-3 text-xs dark:text-gray-300">
+                  <label className="flex items-center gap-1">
+                    Target table
+                    <input type="text" value={active.table} onChange={(e) => updateTable(active.key, { table: e.target.value })}
+                           list={existing ? 'upload-existing-tables' : undefined} className={`${input} w-40`} />
+                    {existing && (
+                      <datalist id="upload-existing-tables">
+                        {existing.map(x => <option key={x.name} value={x.name} />)}
+                      </datalist>
+                    )}
+                  </label>
+                  {activeSource.kind === 'csv' && (
+                    <>
+                      <label className="flex items-center gap-1">
+                        Encoding
+                        <select className={input} value={analysis.encoding}
+                                onChange={(e) => setOpts(o => ({ ...o, encoding: e.target.value }))}>
+                          {CSV_ENCODINGS.map(enc => <option key={enc} value={enc}>{enc}</option>)}
+                        </select>
+                      </label>
+                      <label className="flex items-center gap-1">
+                        Delimiter
+                        <select className={input} value={analysis.delimiter}
+                                onChange={(e) => setOpts(o => ({ ...o, delimiter: e.target.value }))}>
+                          {CSV_DELIMITERS.map(d => <option key={d.id} value={d.id}>{d.label}</option>)}
+                        </select>
+                      </label>
+                    </>
+                  )}
+                  <label className="flex items-center gap-1"
+                         title={analysis.fixedHeader ? 'Column names come from the record keys' : undefined}>
+                    <input type="checkbox" checked={analysis.hasHeader} disabled={analysis.fixedHeader}
+                           onChange={(e) => setOpts(o => ({ ...o, hasHeader: e.target.checked }))} />
+                    First row is a header
+                  </label>
+                  {Object.keys(active.opts).length > 0 && (
+                    <button type="button" className="underline" onClick={() => setOpts(() => ({}))}>Auto-detect again</button>
+                  )}
+                  <span className="text-gray-500 dark:text-gray-400">
+                    {activeSource.kind === 'csv'
+                      ? `${formatBytes(activeSource.file.size)}${activeSource.head.truncated ? ` · preview of the first ${analysis.rows.length} rows` : ''}`
+                      : `${partLabel(active)} · showing ${analysis.rows.length} rows`}
+                  </span>
+                </div>
+
+                {targetOf(active) && (
+                  <ExistingTablePanel table={active.table} target={targetOf(active)} columns={columns}
+                                      strategy={strategyOf(active)} keys={keysOf(active)}
+                                      onStrategy={(strategy) => updateTable(active.key, { strategy })}
+                                      onKeys={(keys) => updateTable(active.key, { keys })}
+                                      onUseTableTypes={useTableTypes} />
+                )}
+                {mode === 'update' && existing && !targetOf(active) && (
+                  <div className="text-xs text-gray-600 dark:text-gray-300">New table: “{active.table}” will be created in {tenant}.</div>
+                )}
+
+                <div className="overflow-auto flex-1 border border-gray-200 rounded dark:border-gray-700">
+                  <table className="min-w-full text-xs dark:text-gray-100">
+                    <thead className="bg-gray-50 dark:bg-gray-800">
+                      <tr>
+                        {columns.map((c, i) => (
+                          <th key={i} className="p-1 text-left align-top font-normal">
+                            <input className={`${input} w-32 font-semibold`} value={c.name} aria-label={`Name of column ${i + 1}`}
+                                   onChange={(e) => setColumn(i, { name: e.target.value })} />
+                            <select className={`${input} w-32 mt-1 block`} value={c.type} aria-label={`Type of column ${i + 1}`}
+                                    onChange={(e) => setColumn(i, { type: e.target.value })}>
+                              {COLUMN_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+                            </select>
+                            {analysis.hasHeader && c.source !== c.name && (
+                              <div className="mt-1 text-[10px] text-gray-500 dark:text-gray-400 truncate w-32" title={c.source}>from “{c.source}”</div>
+                            )}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {analysis.rows.map((r, ri) => (
+                        <tr key={ri} className="border-t border-gray-100 dark:border-gray-800">
+                          {columns.map((c, ci) => {
+                            const fits = valueFits(r[ci], c.type);
+                            return (
+                              <td key={ci} title={fits ? undefined : `Not a ${c.type}: this row would be rejected`}
+                                  className={`p-1 max-w-[12rem] truncate ${fits ? '' : 'bg-red-50 text-red-700 dark:bg-red-900/30 dark:text-red-300'}`}>
+                                {r[ci] ?? ''}
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+
+            {progress && uploading && (
+              <div className="space-y-1">
+                <div className="h-2 rounded bg-gray-200 dark:bg-gray-700 overflow-hidden">
+                  <div className="h-2 bg-blue-600 dark:bg-blue-500 transition-all" style={{ width: `${pct}%` }} />
+                </div>
+                <div className="text-xs text-gray-600 dark:text-gray-300">
+                  {pct < 100
+                    ? `Uploading ${formatBytes(progress.loaded)} of ${formatBytes(progress.total)} (${pct}%)`
+                    : 'Uploaded — importing on the server…'}
+                </div>
+              </div>
+            )}
+
+            {checked && !uploaded && <SummaryList summaries={dryRun.summaries} dry />}
+            {summaries.length > 0 && <SummaryList summaries={summaries} />}
+
+            <div className="flex items-center gap-2">
+              <span className="flex-1 text-xs text-gray-600 dark:text-gray-300">{status || (sources.length ? problem : '')}</span>
+              <button type="button" className={btn} onClick={close} disabled={uploading}>{summaries.length && uploaded ? 'Done' : 'Cancel'}</button>
+              <button type="submit" disabled={uploading || reading || uploaded || Boolean(problem)}
+                      className="text-xs px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 disabled:opacity-50">
+                {uploading ? 'Uploading…'
+                  : mode === 'update' ? (checked ? 'Apply changes' : 'Dry run')
+                    : tables.length > 1 ? `Upload ${tables.length} tables` : 'Upload'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </>
+  );
+}
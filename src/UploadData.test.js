@@ -0,0 +1,142 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { TextDecoder } from 'util';
+import { api } from './api';
+import * as XLSX from 'xlsx';
+import UploadData from './UploadData';
+
+// jsdom has no TextDecoder; node's is the same API
+global.TextDecoder = TextDecoder;
+
+afterEach(() => jest.restoreAllMocks());
+
+test('previews a CSV, lets columns be renamed and reports the import', async () => {
+  const post = jest.spyOn(api, 'post').mockImplementation(async (_url, _fd, cfg) => {
+    cfg.onUploadProgress({ loaded: 10, total: 20 });
+    return { data: { tenant: 'cars', rows_imported: 2, rejections: [{ row: 3, column: 'price', reason: 'not a number' }] } };
+  });
+  const onUploaded = jest.fn();
+  render(<UploadData onUploaded={onUploaded} />);
+  fireEvent.click(screen.getByText('Upload data'));
+  fireEvent.change(screen.getByPlaceholderText('e.g. cars'), { target: { value: 'cars' } });
+
+  const file = new File(['Model;Price\nAxia;38000\nMyvi;n/a\n'], 'Car Sales.csv', { type: 'text/csv' });
+  fireEvent.change(screen.getByLabelText('Files'), { target: { files: [file] } });
+
+  expect(await screen.findByLabelText('Name of column 2')).toHaveValue('price');
+  expect(screen.getByDisplayValue('car_sales')).toBeInTheDocument();
+  expect(screen.getByDisplayValue('Semicolon (;)')).toBeInTheDocument();
+  expect(screen.getByLabelText('Type of column 2')).toHaveValue('text');
+
+  // Typing "price" as a number flags the value that would be rejected
+  fireEvent.change(screen.getByLabelText('Type of column 2'), { target: { value: 'number' } });
+  expect(screen.getByText('n/a')).toHaveAttribute('title', 'Not a number: this row would be rejected');
+  fireEvent.change(screen.getByLabelText('Name of column 1'), { target: { value: 'model_name' } });
+
+  fireEvent.click(screen.getByText('Upload'));
+  await waitFor(() => expect(onUploaded).toHaveBeenCalledWith('cars'));
+  const fd = post.mock.calls[0][1];
+  expect([fd.get('table'), fd.get('delimiter'), fd.get('has_header')]).toEqual(['car_sales', ';', '1']);
+  expect(JSON.parse(fd.get('columns'))).toEqual([
+    { source: 'Model', name: 'model_name', type: 'text' },
+    { source: 'Price', name: 'price', type: 'number' }
+  ]);
+  expect(screen.getByText(/2 rows imported/)).toBeInTheDocument();
+  expect(screen.getByText(/price: not a number — 1 row/)).toBeInTheDocument();
+});
+
+const readText = (blob) => new Promise((resolve) => {
+  const r = new FileReader();
+  r.onload = () => resolve(r.result);
+  r.readAsText(blob);
+});
+
+test('loads a workbook and a JSON file as several tables of one tenant', async () => {
+  const post = jest.spyOn(api, 'post').mockResolvedValue({
+    data: { tenant: 'shop', tables: [{ table: 'orders', rows_imported: 2 }, { table: 'items', rows_imported: 2 }] }
+  });
+  render(<UploadData />);
+  fireEvent.click(screen.getByText('Upload data'));
+  fireEvent.change(screen.getByPlaceholderText('e.g. cars'), { target: { value: 'shop' } });
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['Order Id', 'Total'], [1, 9.5], [2, 12]]), 'Orders');
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['note'], ['hello']]), 'Notes');
+  const xlsx = new File([XLSX.write(wb, { type: 'array', bookType: 'xlsx' })], 'shop.xlsx');
+  const json = new File([JSON.stringify({ meta: { v: 1 }, data: { items: [{ sku: 'A', dims: { w: 2 } }, { sku: 'B, C' }] } })], 'items.json');
+  fireEvent.change(screen.getByLabelText('Files'), { target: { files: [xlsx, json] } });
+
+  // Each sheet is a tickable part; the JSON's only array is named after the file
+  expect(await screen.findByRole('tab', { name: 'items' })).toBeInTheDocument();
+  expect(screen.getByRole('tab', { name: 'orders' })).toHaveAttribute('aria-selected', 'true');
+  expect(screen.getByLabelText('Name of column 1')).toHaveValue('order_id');
+  fireEvent.click(screen.getByLabelText(/Notes/));
+  expect(screen.queryByRole('tab', { name: 'notes' })).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('tab', { name: 'items' }));
+  expect(screen.getByLabelText('Name of column 2')).toHaveValue('dims_w');
+  fireEvent.change(screen.getByLabelText('Name of column 2'), { target: { value: 'width' } });
+
+  fireEvent.click(screen.getByText('Upload 2 tables'));
+  expect(await screen.findByText(/Uploaded: shop/)).toBeInTheDocument();
+  const fd = post.mock.calls[0][1];
+  expect(fd.get('table')).toBeNull();
+  const manifest = JSON.parse(fd.get('tables'));
+  expect(manifest.map(t => [t.table, t.file, t.delimiter, t.encoding, t.has_header])).toEqual([
+    ['orders', 'orders.csv', ',', 'utf-8', true],
+    ['items', 'items.csv', ',', 'utf-8', true]
+  ]);
+  expect(manifest[1].columns).toEqual([
+    { source: 'sku', name: 'sku', type: 'text' },
+    { source: 'width', name: 'width', type: 'number' }
+  ]);
+  const files = fd.getAll('file');
+  expect(files.map(f => f.name)).toEqual(['orders.csv', 'items.csv']);
+  expect(await readText(files[0])).toBe('order_id,total\r\n1,9.5\r\n2,12\r\n');
+  expect(await readText(files[1])).toBe('sku,width\r\nA,2\r\n"B, C",\r\n');
+  expect(screen.getByText('shop · items')).toBeInTheDocument();
+});
+
+test('updates an existing tenant: schema check, upsert keys, dry run, then apply', async () => {
+  jest.spyOn(api, 'get').mockResolvedValue({
+    data: { tables: [{ name: 'sales', row_count: 10, columns: [{ name: 'month', type: 'DATE' }, { name: 'amount', type: 'REAL' }, { name: 'region', type: 'TEXT' }] }] }
+  });
+  const post = jest.spyOn(api, 'post')
+    .mockResolvedValueOnce({ data: { tenant: 'cars', tables: [{ table: 'sales', would_insert: 3, would_update: 1 }] } })
+    .mockResolvedValueOnce({ data: { tenant: 'cars', tables: [{ table: 'sales', rows_inserted: 3, rows_updated: 1 }] } });
+  const onUploaded = jest.fn();
+  render(<UploadData databases={['demo', 'cars']} onUploaded={onUploaded} />);
+  fireEvent.click(screen.getByText('Upload data'));
+
+  // Creating a tenant that exists points at the update mode
+  fireEvent.change(screen.getByPlaceholderText('e.g. cars'), { target: { value: 'cars' } });
+  fireEvent.change(screen.getByLabelText('Files'), { target: { files: [new File(['month,amount,note\n2024-05-01,10\n'], 'sales.csv')] } });
+  expect(await screen.findByText(/Tenant “cars” already exists/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('radio', { name: 'Update existing' }));
+  expect(screen.queryByRole('option', { name: 'demo' })).not.toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Tenant'), { target: { value: 'cars' } });
+  expect(await screen.findByText('“sales” already exists')).toBeInTheDocument();
+  expect(api.get).toHaveBeenCalledWith('/schema_suggestions', expect.objectContaining({ params: { db: 'cars' } }));
+  expect(screen.getByText(/Only in the file: note/)).toBeInTheDocument();
+  expect(screen.getByText(/Only in the table: region/)).toBeInTheDocument();
+  expect(screen.getByText(/sales: column “note” is not in the existing table/)).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Name of column 3'), { target: { value: 'region' } });
+  expect(screen.getByText('✅ Columns match the table')).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Import strategy'), { target: { value: 'upsert' } });
+  expect(screen.getByText('sales: choose the key column(s) to upsert on')).toBeInTheDocument();
+  fireEvent.click(screen.getByLabelText('month'));
+
+  fireEvent.click(screen.getByText('Dry run'));
+  expect(await screen.findByText(/would insert 3 · would update 1/)).toBeInTheDocument();
+  let fd = post.mock.calls[0][1];
+  expect([fd.get('mode'), fd.get('dry_run'), fd.get('strategy'), fd.get('key_columns')]).toEqual(['update', '1', 'upsert', '["month"]']);
+  expect(onUploaded).not.toHaveBeenCalled();
+
+  fireEvent.click(screen.getByText('Apply changes'));
+  await waitFor(() => expect(onUploaded).toHaveBeenCalledWith('cars'));
+  fd = post.mock.calls[1][1];
+  expect(fd.get('dry_run')).toBeNull();
+  expect(JSON.parse(fd.get('tables'))[0]).toMatchObject({ table: 'sales', strategy: 'upsert', key_columns: ['month'] });
+  expect(screen.getByText(/inserted 3 · updated 1/)).toBeInTheDocument();
+});
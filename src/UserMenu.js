@@ -0,0 +1,82 @@
+// src/UserMenu.js
+// Header account controls: Login button when signed out, otherwise a menu with
+// the profile, roles and session expiry; plus the banner shown before a
+// session without a refresh token lapses.
+
+import React, { useState } from 'react';
+import { formatRemaining } from './auth';
+
+const btnCls = 'text-xs px-3 py-1 rounded border bg-gray-100 hover:bg-gray-200 border-gray-300 '
+  + 'dark:bg-gray-800 dark:hover:bg-gray-700 dark:border-gray-700 dark:text-gray-100';
+
+export default function UserMenu({ user, loggedIn, session, onLogin, onLogout }) {
+  const [open, setOpen] = useState(false);
+
+  if (!loggedIn) {
+    return <button type="button" onClick={onLogin} className={btnCls}>Login</button>;
+  }
+
+  const name = user?.name || user?.username || 'Signed in';
+  const itemCls = 'block w-full text-left px-3 py-1 hover:bg-gray-100 dark:hover:bg-gray-800 dark:text-gray-100';
+  const pick = (fn) => { setOpen(false); fn?.(); };
+
+  return (
+    <div className="relative">
+      <button type="button" onClick={() => setOpen(o => !o)} aria-haspopup="menu" aria-expanded={open}
+              className={`${btnCls} inline-flex items-center gap-1`} title={user?.email || name}>
+        <span className="inline-flex h-4 w-4 items-center justify-center rounded-full bg-blue-600 text-[10px] text-white">
+          {name.charAt(0).toUpperCase()}
+        </span>
+        <span className="max-w-[8rem] truncate">{name}</span> ▾
+      </button>
+      {open && (
+        <div role="menu"
+             className="absolute right-0 top-full mt-1 z-20 w-60 rounded border border-gray-200 bg-white shadow text-xs py-1
+                        dark:bg-gray-900 dark:border-gray-700">
+          <div className="px-3 py-2 space-y-1">
+            <div className="font-semibold text-gray-900 dark:text-gray-100 truncate">{name}</div>
+            {user?.username && user.username !== name && (
+              <div className="text-gray-500 dark:text-gray-400 truncate">@{user.username}</div>
+            )}
+            {user?.email && <div className="text-gray-500 dark:text-gray-400 truncate">{user.email}</div>}
+            {user?.roles?.length > 0 && (
+              <div className="flex flex-wrap gap-1 pt-1">
+                {user.roles.map(r => (
+                  <span key={r} className="px-1.5 py-0.5 rounded bg-gray-100 text-gray-700 dark:bg-gray-800 dark:text-gray-300">{r}</span>
+                ))}
+              </div>
+            )}
+            <div className="text-gray-500 dark:text-gray-400">
+              {session?.state === 'unknown'
+                ? 'Session expiry unknown'
+                : session?.remainingMs > 0 ? `Session expires in ${formatRemaining(session.remainingMs)}` : 'Session expired'}
+            </div>
+          </div>
+          <div className="my-1 border-t border-gray-200 dark:border-gray-700" />
+          <button type="button" role="menuitem" className={itemCls} onClick={() => pick(onLogin)}>
+            Switch user…
+          </button>
+          <button type="button" role="menuitem" className={`${itemCls} text-red-600 dark:text-red-400`} onClick={() => pick(onLogout)}>
+            Log out
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export function SessionExpiryBanner({ session, onLogin, onDismiss }) {
+  if (session?.state !== 'expiring') return null;
+  return (
+    <div role="alert"
+         className="flex items-center gap-3 rounded-lg border border-amber-300 bg-amber-50 px-3 py-2 text-sm text-amber-800
+                    dark:border-amber-700 dark:bg-amber-900/20 dark:text-amber-200">
+      <span className="flex-1">⚠️ Your session expires in {formatRemaining(session.remainingMs)}. Log in again to keep working without interruption.</span>
+      <button type="button" onClick={onLogin}
+              className="text-xs px-3 py-1 rounded bg-amber-600 text-white hover:bg-amber-700">
+        Log in again
+      </button>
+      <button type="button" onClick={onDismiss} title="Dismiss" className="text-xs underline">Later</button>
+    </div>
+  );
+}
@@ -0,0 +1,239 @@
+// src/api.js
+// The one HTTP client for the backend: base URL resolution, bearer token
+// injection, refresh-token rotation, retry with backoff on transient failures,
+// request timeouts, and a single error shape (ApiError) for every caller.
+//
+// Per-request options on top of axios' own:
+//   retry:      false | number | { retries, baseDelay, maxDelay }
+//               (default: 2 retries for GET/HEAD/OPTIONS/PUT/DELETE, none for POST)
+//   skipAuth:   don't attach the token or try a refresh (login/refresh calls)
+//   authPrompt: false → a 401 is not broadcast as 'unauthorized' (optional endpoints)
+
+import axios from 'axios';
+
+export const API_BASE = String(window.__API_BASE__ || process.env.REACT_APP_API_BASE || 'http://localhost:5000').replace(/\/+$/, '');
+export const DEFAULT_TIMEOUT = 30000;
+export const RETRY_DEFAULTS = { retries: 2, baseDelay: 400, maxDelay: 5000 };
+
+const TOKEN_KEY = 'auth_token_v180';
+const REFRESH_KEY = 'refresh_token_v180';
+const PROVIDER_KEY = 'auth_provider_v180';
+const IDEMPOTENT = ['get', 'head', 'options', 'put', 'delete'];
+const RETRY_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+/* ───────── Tokens & auth events ───────── */
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+export const getRefreshToken = () => localStorage.getItem(REFRESH_KEY);
+// Who issued the tokens: 'password' (backend /auth/login) or an SSO provider id like 'oidc'
+export const getAuthProvider = () => localStorage.getItem(PROVIDER_KEY) || 'password';
+
+// Listeners get (type, detail): 'tokens' after login/refresh/logout, 'unauthorized' on a final 401
+const listeners = new Set();
+export function onAuthEvent(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+const emit = (type, detail) => listeners.forEach(fn => {
+  try { fn(type, detail); } catch { /* a listener must not break the request */ }
+});
+
+export function setTokens({ token, refreshToken, provider } = {}) {
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_KEY, refreshToken);
+  if (provider) localStorage.setItem(PROVIDER_KEY, provider);
+  emit('tokens', { token: getToken() });
+}
+
+export function clearTokens() {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_KEY);
+  localStorage.removeItem(PROVIDER_KEY);
+  emit('tokens', { token: null });
+}
+
+// Providers whose refresh tokens are redeemed elsewhere (e.g. an OIDC token
+// endpoint): fn(refreshToken) → Promise<{ token, refreshToken? }>
+const refreshers = {};
+export function registerRefresher(provider, fn) {
+  refreshers[provider] = fn;
+}
+
+/* ───────── Errors ───────── */
+const CODE_BY_STATUS = {
+  400: 'bad_request', 401: 'unauthorized', 403: 'forbidden', 404: 'not_found', 408: 'timeout',
+  409: 'conflict', 413: 'too_large', 422: 'bad_request', 429: 'rate_limited'
+};
+
+/**
+ * Normalized request failure. `code` is one of: cancelled, timeout, network,
+ * unauthorized, forbidden, not_found, conflict, too_large, bad_request,
+ * rate_limited, server, http, unknown. `data` is the response body (if any)
+ * and `sql` the SQL the backend attempted, when it reports one.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = 'unknown', data = null, cause = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.data = data;
+    this.sql = (data && typeof data === 'object' && data.sql) || null;
+    this.cause = cause;
+  }
+
+  get isCancelled() { return this.code === 'cancelled'; }
+  get isAuth() { return this.status === 401 || this.code === 'unauthorized'; }
+  get retriable() { return this.code === 'network' || this.code === 'timeout' || RETRY_STATUSES.includes(this.status); }
+}
+
+export function normalizeError(err) {
+  if (err instanceof ApiError) return err;
+  if (axios.isCancel(err) || err?.name === 'AbortError' || err?.name === 'CanceledError') {
+    return new ApiError('Cancelled', { code: 'cancelled', cause: err });
+  }
+  if (err?.code === 'ECONNABORTED' || err?.code === 'ETIMEDOUT' || err?.name === 'TimeoutError') {
+    return new ApiError('The server took too long to respond', { code: 'timeout', cause: err });
+  }
+  const res = err?.response;
+  if (res) {
+    const { status, data } = res;
+    const text = (data && typeof data === 'object' && (data.error || data.message))
+      || (typeof data === 'string' && data.trim().length < 300 && !/^\s*</.test(data) ? data.trim() : '')
+      || `Request failed (${status})`;
+    return new ApiError(String(text), { status, code: CODE_BY_STATUS[status] || (status >= 500 ? 'server' : 'http'), data, cause: err });
+  }
+  // No response at all: DNS/CORS/offline (fetch rejects with TypeError)
+  if (err?.request || err?.code === 'ERR_NETWORK' || err instanceof TypeError) {
+    return new ApiError('Cannot reach the server', { code: 'network', cause: err });
+  }
+  return new ApiError(err?.message || 'Something went wrong', { cause: err });
+}
+
+/* ───────── Retry policy ───────── */
+export function retryPolicy(config = {}) {
+  const { retry } = config;
+  if (retry === false) return null;
+  if (typeof retry === 'number') return { ...RETRY_DEFAULTS, retries: retry };
+  if (retry && typeof retry === 'object') return { ...RETRY_DEFAULTS, ...retry };
+  return IDEMPOTENT.includes(String(config.method || 'get').toLowerCase()) ? RETRY_DEFAULTS : null;
+}
+
+// Exponential backoff with jitter; Retry-After (seconds) wins when the server sends it
+export function backoffDelay(attempt, policy = RETRY_DEFAULTS, retryAfter = null) {
+  const ra = retryAfter === null || retryAfter === undefined || retryAfter === '' ? NaN : Number(retryAfter);
+  if (Number.isFinite(ra) && ra >= 0) return Math.min(ra * 1000, policy.maxDelay * 4);
+  const exp = Math.min(policy.maxDelay, policy.baseDelay * 2 ** attempt);
+  return Math.round(exp * (0.5 + Math.random() / 2));
+}
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) { reject(new ApiError('Cancelled', { code: 'cancelled' })); return; }
+  const t = setTimeout(resolve, ms);
+  signal?.addEventListener?.('abort', () => { clearTimeout(t); reject(new ApiError('Cancelled', { code: 'cancelled' })); }, { once: true });
+});
+
+/* ───────── Client ───────── */
+export const api = axios.create({ baseURL: API_BASE, timeout: DEFAULT_TIMEOUT });
+
+api.interceptors.request.use((cfg) => {
+  const t = getToken();
+  if (t && !cfg.skipAuth) cfg.headers.Authorization = `Bearer ${t}`;
+  return cfg;
+});
+
+// Concurrent 401s share one refresh call
+let refreshing = null;
+export function refreshTokens() {
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return Promise.reject(new ApiError('Session expired', { status: 401, code: 'unauthorized' }));
+  if (!refreshing) {
+    const custom = refreshers[getAuthProvider()];
+    const call = custom
+      ? Promise.resolve().then(() => custom(refreshToken))
+      : api.post('/auth/refresh', { refresh_token: refreshToken }, { skipAuth: true, retry: false })
+        .then(({ data }) => ({ token: data.token || data.access_token, refreshToken: data.refresh_token || data.refreshToken }));
+    refreshing = call
+      .then((tokens) => {
+        if (!tokens?.token) throw new ApiError('Session expired', { status: 401, code: 'unauthorized' });
+        // Rotation: the server may hand back a new refresh token; keep the old one otherwise
+        setTokens(tokens);
+        return getToken();
+      })
+      .catch((e) => {
+        clearTokens();
+        throw normalizeError(e);
+      })
+      .finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+api.interceptors.response.use(r => r, async (err) => {
+  const cfg = err?.config;
+  const error = normalizeError(err);
+  if (!cfg) throw error;
+
+  if (error.status === 401 && !cfg.skipAuth && !cfg._refreshed && getRefreshToken()) {
+    let refreshed = false;
+    try { await refreshTokens(); refreshed = true; } catch { /* fall through to the 401 */ }
+    if (refreshed) return api({ ...cfg, _refreshed: true });
+  }
+  if (error.status === 401 && !cfg.skipAuth && cfg.authPrompt !== false) emit('unauthorized', error);
+
+  const policy = retryPolicy(cfg);
+  const attempt = cfg._attempt || 0;
+  if (policy && attempt < policy.retries && error.retriable) {
+    await sleep(backoffDelay(attempt, policy, err.response?.headers?.['retry-after']), cfg.signal);
+    return api({ ...cfg, _attempt: attempt + 1 });
+  }
+  throw error;
+});
+
+/**
+ * fetch() with the same base URL, token and refresh handling, for responses
+ * axios can't consume incrementally (streams). Resolves with the raw
+ * Response whatever its status; rejects only on network failure / abort.
+ * `init.timeout` (ms, default DEFAULT_TIMEOUT) bounds the whole exchange,
+ * body included: it is combined with the caller's `init.signal`, and a
+ * timeout surfaces as a 'timeout' ApiError like axios' own. Call the
+ * response's `done()` once the body has been read to clear both.
+ */
+export async function apiFetch(url, init = {}, fetchImpl = null) {
+  const { timeout = DEFAULT_TIMEOUT, signal, ...rest } = init;
+  const doFetch = fetchImpl || window.fetch.bind(window);
+  const full = /^https?:\/\//i.test(url) ? url : `${API_BASE}${url}`;
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = timeout > 0 ? setTimeout(() => {
+    timedOut = true;
+    controller.abort(new DOMException('The server took too long to respond', 'TimeoutError'));
+  }, timeout) : null;
+  const onAbort = () => { clearTimeout(timer); controller.abort(signal.reason); };
+  const done = () => { clearTimeout(timer); signal?.removeEventListener?.('abort', onAbort); };
+  if (signal?.aborted) onAbort();
+  else signal?.addEventListener?.('abort', onAbort, { once: true });
+
+  const send = () => {
+    const t = getToken();
+    return doFetch(full, {
+      ...rest, signal: controller.signal, headers: { ...(rest.headers || {}), ...(t ? { Authorization: `Bearer ${t}` } : {}) }
+    });
+  };
+  let res;
+  try {
+    res = await send();
+    if (res.status === 401 && getRefreshToken()) {
+      let refreshed = false;
+      try { await refreshTokens(); refreshed = true; } catch { /* keep the 401 */ }
+      if (refreshed) res = await send();
+    }
+  } catch (e) {
+    done();
+    if (timedOut) throw new ApiError('The server took too long to respond', { code: 'timeout', cause: e });
+    throw e;
+  }
+  if (res.status === 401) emit('unauthorized', new ApiError('Login required', { status: 401, code: 'unauthorized' }));
+  res.done = done;
+  return res;
+}
@@ -0,0 +1,113 @@
+import { AxiosError } from 'axios';
+import { api, apiFetch, ApiError, normalizeError, retryPolicy, backoffDelay, setTokens, clearTokens, getToken, onAuthEvent } from './api';
+
+// Scripted adapter: each call shifts the next handler; handlers return [status, data, headers]
+let calls;
+let script;
+const useScript = (...handlers) => {
+  calls = [];
+  script = handlers;
+  api.defaults.adapter = async (config) => {
+    calls.push({ url: config.url, method: config.method, auth: config.headers.Authorization || null });
+    const [status, data, headers = {}] = script.shift()(config);
+    const response = { status, data, headers, config, statusText: String(status) };
+    if (status >= 400) throw new AxiosError(`status ${status}`, 'ERR_BAD_RESPONSE', config, {}, response);
+    return response;
+  };
+};
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('normalizeError maps transport failures and server bodies to one shape', () => {
+  expect(normalizeError(new AxiosError('timeout of 1ms exceeded', 'ECONNABORTED')).code).toBe('timeout');
+  expect(normalizeError(Object.assign(new Error('aborted'), { name: 'AbortError' })).isCancelled).toBe(true);
+  expect(normalizeError(new TypeError('Failed to fetch')).code).toBe('network');
+
+  const e = normalizeError({ response: { status: 400, data: { error: 'no such column: x', sql: 'SELECT x' } } });
+  expect(e).toBeInstanceOf(ApiError);
+  expect([e.message, e.status, e.code, e.sql]).toEqual(['no such column: x', 400, 'bad_request', 'SELECT x']);
+  expect(normalizeError({ response: { status: 503, data: '<html>' } })).toMatchObject({ message: 'Request failed (503)', code: 'server' });
+});
+
+test('retry policy: idempotent methods by default, POST only when asked', () => {
+  expect(retryPolicy({ method: 'get' }).retries).toBe(2);
+  expect(retryPolicy({ method: 'post' })).toBeNull();
+  expect(retryPolicy({ method: 'post', retry: 1 }).retries).toBe(1);
+  expect(retryPolicy({ method: 'get', retry: false })).toBeNull();
+  expect(backoffDelay(0, { baseDelay: 100, maxDelay: 1000 }, '2')).toBe(2000);
+  const d = backoffDelay(3, { baseDelay: 100, maxDelay: 1000 });
+  expect(d).toBeGreaterThanOrEqual(400);
+  expect(d).toBeLessThanOrEqual(800);
+});
+
+test('transient GET failures are retried, then succeed', async () => {
+  useScript(() => [503, {}], () => [502, {}], () => [200, { databases: ['demo'] }]);
+  const { data } = await api.get('/databases', { retry: { baseDelay: 1 } });
+  expect(data.databases).toEqual(['demo']);
+  expect(calls).toHaveLength(3);
+
+  useScript(() => [503, { error: 'busy' }]);
+  await expect(api.post('/query', {})).rejects.toMatchObject({ code: 'server', message: 'busy' });
+  expect(calls).toHaveLength(1);
+});
+
+test('a 401 refreshes once (rotating tokens) and replays concurrent requests', async () => {
+  setTokens({ token: 'old', refreshToken: 'r1' });
+  useScript(
+    () => [401, {}],
+    () => [401, {}],
+    (cfg) => [200, { token: 'new', refresh_token: 'r2', echo: JSON.parse(cfg.data) }],
+    () => [200, { ok: 1 }],
+    () => [200, { ok: 2 }]
+  );
+  const [a, b] = await Promise.all([api.get('/a'), api.get('/b')]);
+  expect([a.data.ok, b.data.ok]).toEqual([1, 2]);
+  expect(calls.filter(c => c.url === '/auth/refresh')).toHaveLength(1);
+  expect(calls.slice(-2).map(c => c.auth)).toEqual(['Bearer new', 'Bearer new']);
+  expect(getToken()).toBe('new');
+  expect(localStorage.getItem('refresh_token_v180')).toBe('r2');
+});
+
+test('a final 401 without a refresh token is broadcast unless authPrompt is off', async () => {
+  clearTokens();
+  const seen = [];
+  const off = onAuthEvent((type) => seen.push(type));
+  useScript(() => [401, { error: 'Login required' }]);
+  await expect(api.get('/metrics/summary')).rejects.toMatchObject({ status: 401, code: 'unauthorized' });
+  useScript(() => [401, {}]);
+  await expect(api.get('/column_dictionary', { authPrompt: false })).rejects.toMatchObject({ status: 401 });
+  off();
+  expect(seen).toEqual(['unauthorized']);
+});
+
+// fetch stand-in that never answers, rejecting only when its signal aborts
+const hangingFetch = (url, init) => new Promise((_, reject) => {
+  init.signal.addEventListener('abort', () => reject(init.signal.reason ?? new DOMException('Aborted', 'AbortError')));
+});
+
+test('apiFetch times out a silent server and honours the caller\'s signal', async () => {
+  await expect(apiFetch('/query/stream', { timeout: 20 }, hangingFetch)).rejects.toMatchObject({ code: 'timeout' });
+
+  const controller = new AbortController();
+  const pending = apiFetch('/query/stream', { signal: controller.signal, timeout: 5000 }, hangingFetch);
+  controller.abort();
+  const err = await pending.catch(e => e);
+  expect(normalizeError(err).code).toBe('cancelled');
+});
+
+test('apiFetch lets go of its timer and the caller\'s signal once the body is read', async () => {
+  jest.useFakeTimers();
+  try {
+    const controller = new AbortController();
+    const remove = jest.spyOn(controller.signal, 'removeEventListener');
+    const res = await apiFetch('/query/stream', { signal: controller.signal, timeout: 5000 }, async () => ({ status: 200 }));
+    expect(jest.getTimerCount()).toBe(1);
+    res.done();
+    expect(jest.getTimerCount()).toBe(0);
+    expect(remove).toHaveBeenCalledWith('abort', expect.any(Function));
+  } finally {
+    jest.useRealTimers();
+  }
+});
@@ -0,0 +1,169 @@
+// src/auth.js
+// Who is logged in and what they may do. Tokens themselves live in api.js;
+// this module reads JWT claims (expiry, identity, roles), keeps the profile
+// returned by the backend, maps roles to UI actions and remembers the action
+// that was interrupted by a login prompt so it can be resumed afterwards.
+
+export const EXPIRY_WARNING_MS = 5 * 60 * 1000;
+
+const USER_KEY = 'auth_user_v180';
+const RETURN_KEY = 'auth_return_to_v180';
+
+/* ───────── JWT ───────── */
+// Claims of a JWT, or null for opaque/malformed tokens (signature is not checked)
+export function decodeJwt(token) {
+  const part = String(token || '').split('.')[1];
+  if (!part) return null;
+  try {
+    const b64 = part.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(part.length / 4) * 4, '=');
+    const bytes = Array.from(atob(b64), c => `%${c.charCodeAt(0).toString(16).padStart(2, '0')}`).join('');
+    const claims = JSON.parse(decodeURIComponent(bytes));
+    return claims && typeof claims === 'object' ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+export function tokenExpiresAt(token) {
+  const exp = Number(decodeJwt(token)?.exp);
+  return Number.isFinite(exp) && exp > 0 ? exp * 1000 : null;
+}
+
+/**
+ * { state, expiresAt, remainingMs } where state is 'none' (no token),
+ * 'unknown' (opaque token / no exp claim), 'valid', 'expiring' (within
+ * EXPIRY_WARNING_MS) or 'expired'.
+ */
+export function sessionStatus(token, now = Date.now(), warnMs = EXPIRY_WARNING_MS) {
+  if (!token) return { state: 'none', expiresAt: null, remainingMs: null };
+  const expiresAt = tokenExpiresAt(token);
+  if (!expiresAt) return { state: 'unknown', expiresAt: null, remainingMs: null };
+  const remainingMs = expiresAt - now;
+  const state = remainingMs <= 0 ? 'expired' : remainingMs <= warnMs ? 'expiring' : 'valid';
+  return { state, expiresAt, remainingMs };
+}
+
+export function formatRemaining(ms) {
+  if (ms == null) return '';
+  const s = Math.max(0, Math.round(ms / 1000));
+  if (s < 60) return `${s} s`;
+  const m = Math.round(s / 60);
+  if (m < 60) return `${m} min`;
+  return `${Math.floor(m / 60)} h${m % 60 ? ` ${m % 60} min` : ''}`;
+}
+
+/* ───────── Profile ───────── */
+const toList = (v) => {
+  if (Array.isArray(v)) return v;
+  if (typeof v === 'string' && v.trim()) return v.split(/[\s,]+/);
+  return [];
+};
+
+/**
+ * Profile from a backend payload (/auth/me, or a login response carrying
+ * `user`) merged over the token's claims. `databases` is null when the
+ * backend doesn't restrict them; `permissions` null when it leaves them to roles.
+ */
+export function normalizeUser(data, token = null) {
+  const claims = decodeJwt(token) || {};
+  const src = (data && typeof data === 'object' && (data.user || data)) || {};
+  const username = src.username || src.preferred_username || claims.preferred_username || claims.username || claims.sub || '';
+  const roles = toList(src.roles ?? src.role ?? claims.roles ?? claims.role ?? claims.realm_access?.roles)
+    .map(r => String(r).trim().toLowerCase()).filter(Boolean);
+  if (!username && !roles.length) return null;
+  const dbs = src.databases ?? claims.databases ?? null;
+  const perms = src.permissions ?? claims.permissions ?? null;
+  return {
+    username: String(username),
+    name: String(src.name || src.display_name || claims.name || username),
+    email: src.email || claims.email || '',
+    roles: Array.from(new Set(roles)),
+    databases: dbs === '*' || dbs == null ? null : toList(dbs).map(String),
+    permissions: perms == null ? null : toList(perms).map(String)
+  };
+}
+
+/**
+ * The signed-in user: null only without a token. A token the backend's
+ * profile and claims say nothing about (opaque tokens, no /auth/me) gives a
+ * token-only user with no name and no roles.
+ */
+export function sessionUser(data, token) {
+  if (!token) return null;
+  return normalizeUser(data, token) || { username: '', name: '', email: '', roles: [], databases: null, permissions: null };
+}
+
+export function loadUser() {
+  try { return JSON.parse(localStorage.getItem(USER_KEY)) || null; } catch { return null; }
+}
+export function saveUser(user) {
+  if (user) localStorage.setItem(USER_KEY, JSON.stringify(user));
+  else localStorage.removeItem(USER_KEY);
+}
+
+/* ───────── Roles ───────── */
+// UI actions each known role unlocks; the backend still enforces its own checks
+export const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  analyst: ['query', 'run_sql', 'upload', 'edit_dictionary', 'metrics', 'manage_tenants', 'export_tenant', 'save_queries', 'schedule_reports'],
+  viewer: ['query']
+};
+
+// Signed out: asking questions of the public demo database only
+const ANONYMOUS_PERMISSIONS = ['query'];
+const PUBLIC_DB = 'demo';
+
+/**
+ * Whether the UI should offer `action`. Signed-out users (null) get
+ * ANONYMOUS_PERMISSIONS. A profile without any roles claim (token-only users,
+ * older backends) is left to the backend's checks; roles that aren't in
+ * ROLE_PERMISSIONS count as viewer.
+ */
+export function can(user, action) {
+  if (!user) return ANONYMOUS_PERMISSIONS.includes(action);
+  if (Array.isArray(user.permissions)) return user.permissions.includes('*') || user.permissions.includes(action);
+  if (!user.roles?.length) return true;
+  const known = user.roles.filter(r => ROLE_PERMISSIONS[r]);
+  return (known.length ? known : ['viewer']).some(r => ROLE_PERMISSIONS[r].includes('*') || ROLE_PERMISSIONS[r].includes(action));
+}
+
+export function canUseDb(user, db) {
+  if (!user) return String(db).toLowerCase() === PUBLIC_DB;
+  if (!Array.isArray(user.databases)) return true;
+  return user.databases.includes('*') || user.databases.includes(db);
+}
+
+// Rename/delete a tenant: the permission itself, or owning the tenant and being allowed to upload
+export function canModifyTenant(user, tenant, action) {
+  if (can(user, action)) return true;
+  return Boolean(user && tenant?.owner && tenant.owner === user.username && can(user, 'upload'));
+}
+
+// Edit/delete a saved query: its owner, or anyone who manages the shared library
+export function canEditSavedQuery(user, item) {
+  if (!user) return false;
+  if (can(user, 'manage_saved_queries')) return true;
+  return Boolean(item?.owner && item.owner === user.username && can(user, 'save_queries'));
+}
+
+// Edit/pause/delete a scheduled report: its owner, or anyone who manages all schedules
+export function canEditSchedule(user, schedule) {
+  if (!user) return false;
+  if (can(user, 'manage_schedules')) return true;
+  return Boolean(schedule?.owner && schedule.owner === user.username && can(user, 'schedule_reports'));
+}
+
+/* ───────── Return-to ───────── */
+// sessionStorage so it survives a redirect-based login but not the tab
+export function rememberReturnTo(action) {
+  try { sessionStorage.setItem(RETURN_KEY, JSON.stringify({ ...action, ts: Date.now() })); } catch { /* storage full/disabled */ }
+}
+
+// Read and forget the remembered action (at most once)
+export function takeReturnTo(maxAgeMs = 30 * 60 * 1000) {
+  let action = null;
+  try { action = JSON.parse(sessionStorage.getItem(RETURN_KEY)); } catch { /* ignore */ }
+  sessionStorage.removeItem(RETURN_KEY);
+  if (!action || (action.ts && Date.now() - action.ts > maxAgeMs)) return null;
+  return action;
+}
@@ -0,0 +1,97 @@
+import {
+  decodeJwt, tokenExpiresAt, sessionStatus, formatRemaining, normalizeUser, can, canUseDb, canModifyTenant, canEditSavedQuery, canEditSchedule, sessionUser,
+  rememberReturnTo, takeReturnTo, EXPIRY_WARNING_MS
+} from './auth';
+
+const b64url = (obj) => btoa(unescape(encodeURIComponent(JSON.stringify(obj)))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const jwt = (claims) => `${b64url({ alg: 'HS256' })}.${b64url(claims)}.sig`;
+
+test('decodeJwt reads claims and ignores opaque tokens', () => {
+  expect(decodeJwt(jwt({ sub: 'ana', name: 'Ana Łukasz' }))).toEqual({ sub: 'ana', name: 'Ana Łukasz' });
+  expect(decodeJwt('opaque-token')).toBeNull();
+  expect(decodeJwt('a.%%%.c')).toBeNull();
+  expect(tokenExpiresAt(jwt({ exp: 1700000000 }))).toBe(1700000000000);
+});
+
+test('sessionStatus warns before expiry', () => {
+  const now = 1700000000000;
+  const token = (inMs) => jwt({ exp: (now + inMs) / 1000 });
+  expect(sessionStatus(null, now).state).toBe('none');
+  expect(sessionStatus('opaque', now).state).toBe('unknown');
+  expect(sessionStatus(token(EXPIRY_WARNING_MS + 60000), now).state).toBe('valid');
+  expect(sessionStatus(token(60000), now)).toEqual({ state: 'expiring', expiresAt: now + 60000, remainingMs: 60000 });
+  expect(sessionStatus(token(-1000), now).state).toBe('expired');
+  expect([formatRemaining(42000), formatRemaining(240000), formatRemaining(7500000)]).toEqual(['42 s', '4 min', '2 h 5 min']);
+});
+
+test('normalizeUser merges the backend profile over token claims', () => {
+  const token = jwt({ sub: 'ana', email: 'ana@example.com', realm_access: { roles: ['Analyst'] } });
+  expect(normalizeUser(null, token)).toEqual({
+    username: 'ana', name: 'ana', email: 'ana@example.com', roles: ['analyst'], databases: null, permissions: null
+  });
+  expect(normalizeUser({ user: { username: 'ana', name: 'Ana', role: 'viewer', databases: ['demo', 'cars'] } }, token))
+    .toMatchObject({ name: 'Ana', roles: ['viewer'], databases: ['demo', 'cars'] });
+  expect(normalizeUser({ token: 'x' }, 'opaque')).toBeNull();
+});
+
+test('roles gate actions and databases', () => {
+  const viewer = normalizeUser({ username: 'v', roles: ['viewer'], databases: ['demo'] });
+  const admin = normalizeUser({ username: 'a', roles: ['admin'], databases: '*' });
+  expect([can(viewer, 'query'), can(viewer, 'upload'), can(admin, 'upload')]).toEqual([true, false, true]);
+  // Signed out: questions on the demo database, nothing gated
+  expect([can(null, 'query'), can(null, 'upload'), can(null, 'manage_tenants')]).toEqual([true, false, false]);
+  expect([canUseDb(null, 'demo'), canUseDb(null, 'cars')]).toEqual([true, false]);
+  // Unknown roles count as viewer; only a profile without roles is left to the backend
+  const guest = normalizeUser({ username: 'x', roles: ['guest'] });
+  expect([can(guest, 'query'), can(guest, 'upload'), can(guest, 'delete_tenant')]).toEqual([true, false, false]);
+  expect(can(normalizeUser({ username: 'x' }), 'upload')).toBe(true);
+  expect(can(normalizeUser({ username: 'x', roles: ['admin'], permissions: ['query'] }), 'upload')).toBe(false);
+  expect([canUseDb(viewer, 'demo'), canUseDb(viewer, 'cars'), canUseDb(admin, 'cars')]).toEqual([true, false, true]);
+  expect([can(admin, 'review_feedback'), can(normalizeUser({ username: 'n', roles: ['analyst'] }), 'review_feedback')]).toEqual([true, false]);
+});
+
+test('a login with an opaque token is a signed-in user, not an anonymous one', () => {
+  expect(normalizeUser({ token: 'x' }, 'opaque')).toBeNull();
+  const user = sessionUser({ token: 'x' }, 'opaque');
+  expect(user).toMatchObject({ username: '', roles: [], databases: null });
+  expect([can(user, 'run_sql'), can(user, 'upload'), can(user, 'export_tenant')]).toEqual([true, true, true]);
+  expect([canUseDb(user, 'cars'), canUseDb(user, 'demo')]).toEqual([true, true]);
+  expect(sessionUser({ username: 'ana', roles: ['viewer'] }, 'opaque')).toMatchObject({ username: 'ana', roles: ['viewer'] });
+  expect(sessionUser({ username: 'ana' }, null)).toBeNull();
+});
+
+test('only admins and owners may rename or delete a tenant', () => {
+  const analyst = normalizeUser({ username: 'ana', roles: ['analyst'] });
+  const admin = normalizeUser({ username: 'a', roles: ['admin'] });
+  const viewer = normalizeUser({ username: 'ana', roles: ['viewer'] });
+  const mine = { name: 'cars', owner: 'ana' };
+  const theirs = { name: 'shop', owner: 'bob' };
+  expect([can(analyst, 'manage_tenants'), can(analyst, 'delete_tenant'), can(viewer, 'manage_tenants')]).toEqual([true, false, false]);
+  expect([canModifyTenant(analyst, mine, 'delete_tenant'), canModifyTenant(analyst, theirs, 'delete_tenant')]).toEqual([true, false]);
+  expect([canModifyTenant(admin, theirs, 'rename_tenant'), canModifyTenant(viewer, mine, 'delete_tenant')]).toEqual([true, false]);
+  expect(canModifyTenant(null, mine, 'rename_tenant')).toBe(false);
+});
+
+test('return-to action is taken once', () => {
+  rememberReturnTo({ type: 'query', db: 'cars', query: 'top models' });
+  expect(takeReturnTo()).toMatchObject({ type: 'query', db: 'cars', query: 'top models' });
+  expect(takeReturnTo()).toBeNull();
+});
+
+test('saved queries are edited by their owner or a library manager', () => {
+  const analyst = normalizeUser({ username: 'ana', roles: ['analyst'] });
+  const viewer = normalizeUser({ username: 'vic', roles: ['viewer'] });
+  const admin = normalizeUser({ username: 'a', roles: ['admin'] });
+  const mine = { id: '1', owner: 'ana' };
+  const theirs = { id: '2', owner: 'bob' };
+  expect([canEditSavedQuery(analyst, mine), canEditSavedQuery(analyst, theirs), canEditSavedQuery(admin, theirs)]).toEqual([true, false, true]);
+  expect([canEditSavedQuery(viewer, { id: '3', owner: 'vic' }), can(viewer, 'save_queries'), can(analyst, 'save_queries')]).toEqual([false, false, true]);
+});
+
+test('schedules are managed by their owner or a schedule manager', () => {
+  const analyst = normalizeUser({ username: 'ana', roles: ['analyst'] });
+  const viewer = normalizeUser({ username: 'vic', roles: ['viewer'] });
+  const admin = normalizeUser({ username: 'a', roles: ['admin'] });
+  expect([canEditSchedule(analyst, { owner: 'ana' }), canEditSchedule(analyst, { owner: 'bob' }), canEditSchedule(admin, { owner: 'bob' })]).toEqual([true, false, true]);
+  expect([canEditSchedule(viewer, { owner: 'vic' }), can(viewer, 'schedule_reports'), can(analyst, 'schedule_reports')]).toEqual([false, false, true]);
+});
@@ -0,0 +1,142 @@
+// src/chartExport.js
+// Export a rendered recharts chart as a standalone SVG or a high-DPI PNG.
+// The recharts <svg> is cloned, recoloured for the chosen theme and framed
+// with a title, axis labels and a legend (the on-screen chart has no legend).
+
+import { downloadBlob, exportFilename } from './exporters';
+
+export const CHART_PALETTES = {
+  light: { bg: '#ffffff', text: '#111827', muted: '#4b5563', grid: '#e5e7eb' },
+  dark:  { bg: '#111827', text: '#f3f4f6', muted: '#9ca3af', grid: '#374151' }
+};
+
+const FONT = 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif';
+const PAD = 16;
+const TITLE_H = 32;
+const XLABEL_H = 24;
+const YLABEL_W = 24;
+const LEGEND_ROW_H = 20;
+
+const xmlEscape = (s) => String(s ?? '').replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+
+const sizeOf = (svgEl) => {
+  const rect = svgEl.getBoundingClientRect?.() || {};
+  const width = Number(svgEl.getAttribute('width')) || rect.width || 600;
+  const height = Number(svgEl.getAttribute('height')) || rect.height || 360;
+  return { width, height };
+};
+
+// Greedy wrap of legend entries into rows that fit `width`
+function layoutLegend(items, width) {
+  const rows = [];
+  let row = [];
+  let x = 0;
+  items.forEach(it => {
+    const w = 14 + 6 + Math.min(String(it.name).length, 40) * 7 + 16;
+    if (row.length && x + w > width) { rows.push(row); row = []; x = 0; }
+    row.push({ ...it, x, w });
+    x += w;
+  });
+  if (row.length) rows.push(row);
+  return rows;
+}
+
+/**
+ * Build a standalone SVG document from a rendered recharts surface.
+ * Returns { svg, width, height } with the outer document size in CSS px.
+ */
+export function buildChartSvg(svgEl, { title = '', xLabel = '', yLabel = '', legend = [], theme = 'light' } = {}) {
+  if (!svgEl) throw new Error('Chart is not rendered yet');
+  const p = CHART_PALETTES[theme] || CHART_PALETTES.light;
+  const { width: cw, height: ch } = sizeOf(svgEl);
+
+  const clone = svgEl.cloneNode(true);
+  // Axis labels are redrawn below so every chart type gets them in the same place
+  clone.querySelectorAll('.recharts-cartesian-axis .recharts-label').forEach(n => n.remove());
+  clone.querySelectorAll('.recharts-cartesian-axis-tick-value, .recharts-pie-label-text, .recharts-label')
+    .forEach(n => n.setAttribute('fill', p.muted));
+  clone.querySelectorAll('.recharts-cartesian-grid line, .recharts-cartesian-axis-line, .recharts-cartesian-axis-tick-line, .recharts-pie-label-line')
+    .forEach(n => n.setAttribute('stroke', p.grid));
+
+  const titleH = title ? TITLE_H : 0;
+  const yLabelW = yLabel ? YLABEL_W : 0;
+  const xLabelH = xLabel ? XLABEL_H : 0;
+  const legendRows = layoutLegend(legend, cw);
+  const legendH = legendRows.length ? legendRows.length * LEGEND_ROW_H + 8 : 0;
+
+  const width = Math.round(PAD * 2 + yLabelW + cw);
+  const height = Math.round(PAD * 2 + titleH + ch + xLabelH + legendH);
+  const chartX = PAD + yLabelW;
+  const chartY = PAD + titleH;
+
+  clone.setAttribute('x', String(chartX));
+  clone.setAttribute('y', String(chartY));
+  clone.setAttribute('width', String(cw));
+  clone.setAttribute('height', String(ch));
+  clone.removeAttribute('style');
+  const inner = new XMLSerializer().serializeToString(clone);
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT}">`,
+    `<rect width="100%" height="100%" fill="${p.bg}"/>`
+  ];
+  if (title) {
+    parts.push(`<text x="${width / 2}" y="${PAD + 20}" text-anchor="middle" font-size="16" font-weight="600" fill="${p.text}">${xmlEscape(title)}</text>`);
+  }
+  if (yLabel) {
+    const cy = chartY + ch / 2;
+    parts.push(`<text x="${PAD + 12}" y="${cy}" transform="rotate(-90 ${PAD + 12} ${cy})" text-anchor="middle" font-size="12" fill="${p.text}">${xmlEscape(yLabel)}</text>`);
+  }
+  parts.push(inner);
+  if (xLabel) {
+    parts.push(`<text x="${chartX + cw / 2}" y="${chartY + ch + 16}" text-anchor="middle" font-size="12" fill="${p.text}">${xmlEscape(xLabel)}</text>`);
+  }
+  legendRows.forEach((row, r) => {
+    const rowW = row.reduce((a, it) => a + it.w, 0);
+    const ox = chartX + Math.max(0, (cw - rowW) / 2);
+    const y = chartY + ch + xLabelH + 8 + r * LEGEND_ROW_H;
+    row.forEach(it => {
+      parts.push(`<rect x="${ox + it.x}" y="${y + 2}" width="14" height="10" rx="2" fill="${xmlEscape(it.color)}"/>`);
+      parts.push(`<text x="${ox + it.x + 20}" y="${y + 11}" font-size="12" fill="${p.text}">${xmlEscape(String(it.name).slice(0, 40))}</text>`);
+    });
+  });
+  parts.push('</svg>');
+  return { svg: parts.join(''), width, height };
+}
+
+export function svgToPngBlob(svg, width, height, scale = 2) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+    const img = new Image();
+    img.onload = () => {
+      try {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        ctx.drawImage(img, 0, 0, width, height);
+        canvas.toBlob(b => (b ? resolve(b) : reject(new Error('PNG encoding failed'))), 'image/png');
+      } catch (e) {
+        reject(e);
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    };
+    img.onerror = () => { URL.revokeObjectURL(url); reject(new Error('Could not rasterize chart')); };
+    img.src = url;
+  });
+}
+
+export function downloadChartSvg(svgEl, opts) {
+  const { svg } = buildChartSvg(svgEl, opts);
+  downloadBlob(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }), exportFilename(opts?.title || 'chart', 'svg'));
+}
+
+export async function downloadChartPng(svgEl, opts) {
+  const { svg, width, height } = buildChartSvg(svgEl, opts);
+  // At least 2× so pasted charts stay sharp in documents
+  const scale = Math.max(2, Math.ceil(window.devicePixelRatio || 1));
+  const blob = await svgToPngBlob(svg, width, height, scale);
+  downloadBlob(blob, exportFilename(opts?.title || 'chart', 'png'));
+}
@@ -0,0 +1,40 @@
+import { buildChartSvg, CHART_PALETTES } from './chartExport';
+
+function fakeChart() {
+  const host = document.createElement('div');
+  host.innerHTML = `
+    <svg class="recharts-surface" width="400" height="200">
+      <g class="recharts-cartesian-grid"><line x1="0" x2="400" stroke="#ccc"/></g>
+      <g class="recharts-cartesian-axis">
+        <text class="recharts-cartesian-axis-tick-value" fill="#666">Jan 2024</text>
+        <text class="recharts-label">old label</text>
+      </g>
+      <rect class="recharts-bar-rectangle" fill="#3b82f6"/>
+    </svg>`;
+  return host.querySelector('svg');
+}
+
+test('buildChartSvg frames the chart with title, axis labels and legend in theme colours', () => {
+  const { svg, width, height } = buildChartSvg(fakeChart(), {
+    title: 'Revenue & Units',
+    xLabel: 'Month',
+    yLabel: 'RM',
+    legend: [{ name: 'KL', color: '#3b82f6' }, { name: 'Penang', color: '#f97316' }],
+    theme: 'dark'
+  });
+  const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+  const root = doc.documentElement;
+  expect(root.getAttribute('width')).toBe(String(width));
+  expect(height).toBeGreaterThan(200);
+  expect(root.querySelector('rect').getAttribute('fill')).toBe(CHART_PALETTES.dark.bg);
+
+  const texts = Array.from(root.querySelectorAll('text')).map(t => t.textContent);
+  expect(texts).toEqual(expect.arrayContaining(['Revenue & Units', 'Month', 'RM', 'KL', 'Penang', 'Jan 2024']));
+  expect(texts).not.toContain('old label');
+  expect(root.querySelector('.recharts-cartesian-axis-tick-value').getAttribute('fill')).toBe(CHART_PALETTES.dark.muted);
+  expect(root.querySelector('.recharts-cartesian-grid line').getAttribute('stroke')).toBe(CHART_PALETTES.dark.grid);
+});
+
+test('buildChartSvg refuses a missing chart', () => {
+  expect(() => buildChartSvg(null)).toThrow('Chart is not rendered yet');
+});
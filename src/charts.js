@@ -0,0 +1,568 @@
+// src/charts.js
+// Chart spec resolution, data shaping and the recharts renderer.
+// A spec is { type, xKey, seriesKey, yKeys, sizeKey, agg, stacked, percent, color, colors }:
+// resolveChartSpec() derives it from name heuristics (resolveAxes) unless the
+// message carries a manual `chartConfig` from the chart builder.
+//
+// Types: bar, hbar (horizontal), line, area, scatter (sizeKey → bubble size),
+// combo (first metric as bars, the rest as lines on a right-hand axis), pie and
+// heatmap (x × series grid). `stacked` applies to bar/hbar/area; `percent`
+// turns a stack into 100% stacked.
+
+import React from 'react';
+import {
+  BarChart, Bar, LineChart, Line, AreaChart, Area, ScatterChart, Scatter, ComposedChart,
+  PieChart, Pie, Cell, Legend, XAxis, YAxis, ZAxis, Tooltip, CartesianGrid, ResponsiveContainer
+} from 'recharts';
+import { toNumber, monthIndex, looksLikeTimeName, isTimeLikeAxis, nameMatches, newAggregate, addToAggregate, aggregateValue } from './dataHelpers';
+import { columnLabel, formatColumnValue, chartValueFormatter } from './columnDictionary';
+
+export const COLORS = ['#3b82f6', '#f97316', '#10b981', '#ef4444', '#6366f1', '#eab308', '#22c55e', '#06b6d4', '#a855f7', '#f59e0b'];
+export const CHART_TYPES = ['bar', 'hbar', 'line', 'area', 'scatter', 'combo', 'pie', 'heatmap'];
+export const CHART_TYPE_LABELS = {
+  bar: 'Bar',
+  hbar: 'Horizontal bar',
+  line: 'Line',
+  area: 'Area',
+  scatter: 'Scatter / bubble',
+  combo: 'Combo (bar + line)',
+  pie: 'Pie',
+  heatmap: 'Heatmap'
+};
+export const STACKABLE_TYPES = ['bar', 'hbar', 'area'];
+export const AGGREGATIONS = ['none', 'sum', 'avg', 'count', 'min', 'max'];
+
+// Names the backend (action.chartType) or older sessions may use
+const CHART_TYPE_ALIASES = {
+  column: { type: 'bar' },
+  grouped_bar: { type: 'bar', stacked: false },
+  stacked: { type: 'bar', stacked: true, percent: false },
+  stacked_bar: { type: 'bar', stacked: true, percent: false },
+  stacked_column: { type: 'bar', stacked: true, percent: false },
+  percent_bar: { type: 'bar', stacked: true, percent: true },
+  percent_stacked: { type: 'bar', stacked: true, percent: true },
+  percent_stacked_bar: { type: 'bar', stacked: true, percent: true },
+  stacked_100: { type: 'bar', stacked: true, percent: true },
+  '100%_stacked': { type: 'bar', stacked: true, percent: true },
+  '100%_stacked_bar': { type: 'bar', stacked: true, percent: true },
+  horizontal: { type: 'hbar' },
+  horizontal_bar: { type: 'hbar' },
+  barh: { type: 'hbar' },
+  stacked_area: { type: 'area', stacked: true, percent: false },
+  percent_area: { type: 'area', stacked: true, percent: true },
+  bubble: { type: 'scatter' },
+  combo_bar_line: { type: 'combo' },
+  bar_line: { type: 'combo' },
+  'bar+line': { type: 'combo' },
+  dual_axis: { type: 'combo' },
+  heat_map: { type: 'heatmap' },
+  donut: { type: 'pie' }
+};
+
+/**
+ * Map a chart type name to { type, stacked?, percent? }, or null when unknown.
+ * Accepts canonical types and aliases like "stacked bar" or "100% stacked".
+ */
+export function normalizeChartType(name) {
+  const k = String(name ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (!k) return null;
+  if (CHART_TYPES.includes(k)) return { type: k };
+  return CHART_TYPE_ALIASES[k] || null;
+}
+
+/* ───────── Axis resolution & pivoting ───────── */
+export function resolveAxes(rows) {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return { xKey: null, seriesKey: null, yKey: null, isMulti: false };
+  }
+  const sample = rows[0];
+  const cols = Object.keys(sample || {});
+  const isNum = (c) => Number.isFinite(toNumber(sample[c]));
+
+  const numericCols    = cols.filter(isNum);
+  const nonNumericCols = cols.filter(c => !isNum(c));
+
+  // Prefer time for x
+  const timeCandidates = ['^month$', 'month', 'date', 'period', 'quarter', '^year$'];
+  let xKey = cols.find(c => nameMatches(c, timeCandidates));
+
+  // Prefer region/branch for series, product category alternate
+  const geoPrefs     = ['^region$', 'region', '^branch$', 'branch_name', 'city', 'country', 'location'];
+  const productPrefs = ['^product_category$', 'product_category', '^category$', 'category', '^product$', 'model', 'product_name', 'product'];
+  const geoCol     = cols.find(c => nameMatches(c, geoPrefs));
+  const productCol = cols.find(c => nameMatches(c, productPrefs));
+
+  if (!xKey) xKey = geoCol || nonNumericCols.find(c => looksLikeTimeName(c)) || nonNumericCols[0] || null;
+
+  let seriesKey = null;
+  if (xKey && productCol && productCol !== xKey) seriesKey = productCol;
+  else if (xKey && geoCol && geoCol !== xKey)   seriesKey = geoCol;
+  else seriesKey = nonNumericCols.find(c => c !== xKey) || null;
+
+  const metricPref = ['revenue_rm', 'revenue', 'total_amount', 'price', 'sales', 'total', 'total_sales', 'quantity', 'qty', 'count'];
+  let yKey = cols.find(c => metricPref.some(p => new RegExp(p, 'i').test(c)) && isNum(c));
+  if (!yKey) yKey = numericCols[0] || null;
+
+  // Only swap if x is NOT time-like AND series is a geo column
+  const xLooksTime = isTimeLikeAxis(xKey, rows.slice(0, 20).map(r => r?.[xKey]));
+  if (!xLooksTime && !nameMatches(xKey || '', geoPrefs) && nameMatches(seriesKey || '', geoPrefs)) {
+    const tmp = xKey; xKey = seriesKey; seriesKey = tmp;
+  }
+
+  const isMulti = Boolean(xKey && seriesKey && yKey && xKey !== seriesKey && Number.isFinite(toNumber(sample[yKey])));
+  return { xKey, seriesKey, yKey, isMulti };
+}
+
+// Month-aware x ordering; non-month values after months, alphabetically
+export const compareX = (a, b) => {
+  const ia = monthIndex(String(a));
+  const ib = monthIndex(String(b));
+  if (Number.isFinite(ia) && Number.isFinite(ib)) return ia - ib;
+  if (Number.isFinite(ia)) return -1;
+  if (Number.isFinite(ib)) return 1;
+  return String(a).localeCompare(String(b));
+};
+
+/* ───────── Spec resolution ───────── */
+export function resolveChartSpec(rows, msg = {}) {
+  const cols = Object.keys(rows?.[0] || {});
+  const { xKey: rx, seriesKey, yKey: ry, isMulti } = resolveAxes(rows);
+  // Auto: resolveAxes' guess, falling back to the first two columns
+  const xKey = rx || cols[0];
+  const alias = normalizeChartType(msg.chartType) || { type: 'bar' };
+  const auto = {
+    type: alias.type,
+    xKey,
+    seriesKey: isMulti && seriesKey !== xKey ? seriesKey : null,
+    yKeys: [ry || cols[1]].filter(Boolean),
+    sizeKey: null,
+    agg: 'none',
+    stacked: Boolean(msg.chartStacked ?? alias.stacked),
+    percent: Boolean(msg.chartPercent ?? alias.percent),
+    color: msg.chartColor || '#3b82f6',
+    colors: {}
+  };
+  const cfg = msg.chartConfig;
+  if (!cfg) return auto;
+
+  const valid = (c) => Boolean(c) && cols.includes(c);
+  const yKeys = (cfg.yKeys || []).filter(valid);
+  const cfgType = normalizeChartType(cfg.type) || {};
+  return {
+    ...auto,
+    type: cfgType.type || auto.type,
+    xKey: valid(cfg.xKey) ? cfg.xKey : auto.xKey,
+    seriesKey: cfg.seriesKey === null ? null : (valid(cfg.seriesKey) ? cfg.seriesKey : auto.seriesKey),
+    yKeys: yKeys.length ? yKeys : auto.yKeys,
+    sizeKey: valid(cfg.sizeKey) ? cfg.sizeKey : null,
+    agg: AGGREGATIONS.includes(cfg.agg) ? cfg.agg : 'none',
+    stacked: Boolean(cfg.stacked ?? cfgType.stacked),
+    percent: Boolean(cfg.percent ?? cfgType.percent),
+    color: cfg.color || auto.color,
+    colors: cfg.colors || {}
+  };
+}
+
+/* ───────── Data shaping ───────── */
+/**
+ * Shape rows for recharts. Returns { data, series } where each series is
+ * { key, name, yKey, color } and `key` is the dataKey in `data`.
+ */
+export function buildChartData(rows, spec, labelFor = (c) => c) {
+  const list = Array.isArray(rows) ? rows : [];
+  const { xKey, yKeys = [], agg = 'none', colors = {} } = spec;
+  // Combo charts plot metrics against each other, so there is no series split
+  const seriesKey = spec.type === 'combo' ? null : spec.seriesKey;
+  const colorFor = (name, i) => colors[name] || COLORS[i % COLORS.length];
+
+  // Raw rows, one bar/point per row
+  if (!seriesKey && agg === 'none') {
+    const series = yKeys.map((y, i) => {
+      const name = labelFor(y);
+      return { key: y, name, yKey: y, color: colors[name] || (i === 0 ? spec.color || COLORS[0] : COLORS[i % COLORS.length]) };
+    });
+    return { data: list, series };
+  }
+
+  // Long → wide: one key per (series value × metric)
+  const multiY = yKeys.length > 1;
+  const keyOf = (s, y) => (seriesKey ? (multiY ? `${s} · ${y}` : String(s)) : y);
+  const map = new Map();
+  const seriesMeta = new Map();
+  list.forEach(r => {
+    const x = r?.[xKey];
+    if (!map.has(x)) map.set(x, { row: { [xKey]: x }, acc: {} });
+    const bucket = map.get(x);
+    const s = seriesKey ? r?.[seriesKey] : null;
+    yKeys.forEach(y => {
+      const key = keyOf(s, y);
+      if (!seriesMeta.has(key)) {
+        const name = seriesKey ? (multiY ? `${s} · ${labelFor(y)}` : String(s)) : labelFor(y);
+        seriesMeta.set(key, { key, name, yKey: y });
+      }
+      addToAggregate(bucket.acc[key] = bucket.acc[key] || newAggregate(), r?.[y]);
+    });
+  });
+
+  const xs = Array.from(map.keys()).sort(compareX);
+  const data = xs.map(x => {
+    const { row, acc } = map.get(x);
+    const out = { ...row };
+    Object.entries(acc).forEach(([k, a]) => { out[k] = aggregateValue(a, agg); });
+    return out;
+  });
+  const series = Array.from(seriesMeta.values()).map((s, i) => (
+    { ...s, color: !seriesKey && i === 0 && !colors[s.name] ? spec.color || COLORS[0] : colorFor(s.name, i) }
+  ));
+  return { data, series };
+}
+
+/**
+ * Scatter points grouped by series value. Returns [{ name, color, points }]
+ * where points are { x, y, z?, label }; rows without a numeric y are dropped.
+ */
+export function scatterGroups(rows, spec, labelFor = (c) => c) {
+  const list = Array.isArray(rows) ? rows : [];
+  const { xKey, seriesKey, sizeKey, colors = {} } = spec;
+  const yKey = spec.yKeys?.[0];
+  const xNumeric = list.length > 0 && list.every(r => Number.isFinite(toNumber(r?.[xKey])));
+  const groups = new Map();
+  list.forEach(r => {
+    const y = toNumber(r?.[yKey]);
+    if (!Number.isFinite(y)) return;
+    const name = seriesKey ? String(r?.[seriesKey]) : labelFor(yKey);
+    if (!groups.has(name)) groups.set(name, []);
+    const pt = { x: xNumeric ? toNumber(r[xKey]) : r?.[xKey], y, label: seriesKey ? name : undefined };
+    if (sizeKey) pt.z = toNumber(r?.[sizeKey]);
+    groups.get(name).push(pt);
+  });
+  return Array.from(groups.entries()).map(([name, points], i) => ({
+    name,
+    points,
+    color: colors[name] || (!seriesKey && i === 0 ? spec.color || COLORS[0] : COLORS[i % COLORS.length])
+  }));
+}
+
+// Blend two #rrggbb colours; t=0 → a, t=1 → b
+const mixHex = (a, b, t) => {
+  const pa = parseInt(String(a).slice(1), 16);
+  const pb = parseInt(String(b).slice(1), 16);
+  if (!Number.isFinite(pa) || !Number.isFinite(pb)) return b;
+  const ch = (sh) => Math.round(((pa >> sh) & 255) + (((pb >> sh) & 255) - ((pa >> sh) & 255)) * t);
+  return `#${((1 << 24) + (ch(16) << 16) + (ch(8) << 8) + ch(0)).toString(16).slice(1)}`;
+};
+
+// Heatmap cell colour: light tint at `min` up to `base` at `max`
+export function heatColor(v, min, max, base = COLORS[0]) {
+  const t = max > min ? (v - min) / (max - min) : 1;
+  return mixHex('#eef2ff', base, 0.12 + 0.88 * Math.min(1, Math.max(0, t)));
+}
+
+/**
+ * Heatmap grid: one row per x value, one column per series (or per metric
+ * without a series). Missing combinations stay null so they render blank.
+ */
+export function heatmapGrid(rows, spec, labelFor = (c) => c) {
+  const { data, series } = buildChartData(rows, spec, labelFor);
+  const values = [];
+  const cells = data.map(r => series.map(s => {
+    const v = r[s.key];
+    if (!Number.isFinite(v)) return null;
+    values.push(v);
+    return v;
+  }));
+  return {
+    xs: data.map(r => r[spec.xKey]),
+    columns: series,
+    cells,
+    min: values.length ? Math.min(...values) : 0,
+    max: values.length ? Math.max(...values) : 0
+  };
+}
+
+// Legend entries matching what ChartView draws (chart export, builder colour pickers)
+export function chartLegend(rows, spec, labelFor = (c) => c) {
+  if (!spec?.xKey || !spec.yKeys?.length) return [];
+  if (spec.type === 'scatter') return scatterGroups(rows, spec, labelFor).map(g => ({ name: g.name, color: g.color }));
+  if (spec.type === 'heatmap') {
+    const name = labelFor(spec.yKeys[0]);
+    return [{ name, color: spec.colors?.[name] || spec.color || COLORS[0] }];
+  }
+  const { data, series } = buildChartData(rows, spec, labelFor);
+  if (spec.type === 'pie') {
+    return data.map((r, i) => {
+      const name = String(r[spec.xKey]);
+      return { name, color: spec.colors?.[name] || COLORS[i % COLORS.length] };
+    });
+  }
+  return series.map(s => ({ name: s.name, color: s.color }));
+}
+
+/* ───────── Heatmap surface ───────── */
+// Plain SVG (not recharts) but tagged `recharts-surface` so chart export finds it.
+// ResponsiveContainer injects width/height.
+function HeatmapSurface({ width = 600, height = 360, grid, base, fmtX, fmtV }) {
+  const { xs, columns, cells, min, max } = grid;
+  const left = 120;
+  const top = 8;
+  const bottom = 72;
+  const right = 8;
+  const cw = Math.max(1, (width - left - right) / Math.max(1, columns.length));
+  const rh = Math.max(1, (height - top - bottom) / Math.max(1, xs.length));
+  const showValues = cw >= 44 && rh >= 16;
+  const clip = (s, n) => (s.length > n ? `${s.slice(0, n - 1)}…` : s);
+
+  return (
+    <svg className="recharts-surface" width={width} height={height} viewBox={`0 0 ${width} ${height}`}>
+      {xs.map((x, i) => (
+        <text key={`x-${i}`} className="recharts-cartesian-axis-tick-value" x={left - 6} y={top + i * rh + rh / 2}
+              textAnchor="end" dominantBaseline="middle" fontSize={11} fill="#6b7280">
+          {clip(String(fmtX ? fmtX(x) : x), 18)}
+        </text>
+      ))}
+      {columns.map((c, j) => {
+        const cx = left + j * cw + cw / 2;
+        const cy = top + xs.length * rh + 10;
+        return (
+          <text key={`c-${c.key}`} className="recharts-cartesian-axis-tick-value" x={cx} y={cy}
+                transform={`rotate(-30 ${cx} ${cy})`} textAnchor="end" fontSize={11} fill="#6b7280">
+            {clip(String(c.name), 18)}
+          </text>
+        );
+      })}
+      {cells.map((row, i) => row.map((v, j) => {
+        if (v === null) return null;
+        const fill = heatColor(v, min, max, base);
+        const t = max > min ? (v - min) / (max - min) : 1;
+        return (
+          <g key={`${i}-${j}`}>
+            <rect x={left + j * cw + 1} y={top + i * rh + 1} width={cw - 2} height={rh - 2} rx={2} fill={fill}>
+              <title>{`${fmtX ? fmtX(xs[i]) : xs[i]} · ${columns[j].name}: ${fmtV(v)}`}</title>
+            </rect>
+            {showValues && (
+              <text x={left + j * cw + cw / 2} y={top + i * rh + rh / 2} textAnchor="middle" dominantBaseline="middle"
+                    fontSize={10} fill={t > 0.55 ? '#ffffff' : '#111827'} pointerEvents="none">
+                {fmtV(v)}
+              </text>
+            )}
+          </g>
+        );
+      }))}
+    </svg>
+  );
+}
+
+/* ───────── Renderer ───────── */
+export function ChartView({ rows, spec, dict = {}, xLabel = '', yLabel = '', height = 360 }) {
+  try {
+    const ex = spec?.xKey;
+    const ey = spec?.yKeys?.[0];
+    // Guard AFTER fallback
+    if (!ex || !ey) {
+      return <div className="text-sm text-red-600">Unable to resolve chart axes from the result.</div>;
+    }
+
+    const labelFor = (c) => columnLabel(dict, c);
+
+    // Column dictionary drives tick/tooltip formatting and fallback axis labels
+    const fmtFor = (c) => chartValueFormatter(dict, c);
+    const fmtY = fmtFor(ey);
+    const fmtX = dict[ex]?.format === 'date' ? (v) => formatColumnValue(dict, ex, v) : undefined;
+    if (!xLabel && dict[ex]?.label) xLabel = columnLabel(dict, ex);
+    if (!yLabel && dict[ey]?.label) yLabel = columnLabel(dict, ey);
+
+    if (spec.type === 'heatmap') {
+      const grid = heatmapGrid(rows, spec, labelFor);
+      if (!grid.xs.length) return <div className="text-sm text-gray-500">No data to plot.</div>;
+      const base = chartLegend(rows, spec, labelFor)[0]?.color;
+      return (
+        <ResponsiveContainer width="100%" height={Math.min(900, Math.max(height, grid.xs.length * 24 + 80))}>
+          <HeatmapSurface grid={grid} base={base} fmtX={fmtX} fmtV={fmtY} />
+        </ResponsiveContainer>
+      );
+    }
+
+    if (spec.type === 'scatter') {
+      const groups = scatterGroups(rows, spec, labelFor);
+      const xNumeric = groups.some(g => g.points.some(p => typeof p.x === 'number'));
+      const colOf = { x: ex, y: ey, z: spec.sizeKey };
+      return (
+        <ResponsiveContainer width="100%" height={height}>
+          <ScatterChart margin={{ bottom: 48, left: 56, right: 16, top: 8 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="x" name={labelFor(ex)} type={xNumeric ? 'number' : 'category'}
+                   allowDuplicatedCategory={false} tickFormatter={xNumeric ? fmtFor(ex) : fmtX}
+                   label={xLabel ? { value: xLabel, position: 'insideBottom', offset: -28 } : undefined} />
+            <YAxis dataKey="y" name={labelFor(ey)} type="number" tickFormatter={fmtY}
+                   label={yLabel ? { value: yLabel, angle: -90, position: 'left', dx: -10 } : undefined} />
+            {spec.sizeKey && <ZAxis dataKey="z" name={labelFor(spec.sizeKey)} range={[40, 400]} />}
+            <Tooltip cursor={{ strokeDasharray: '3 3' }}
+                     formatter={(v, _name, item) => (colOf[item?.dataKey] ? fmtFor(colOf[item.dataKey])(v) : v)} />
+            {groups.length > 1 && <Legend verticalAlign="top" height={28} />}
+            {groups.map(g => <Scatter key={g.name} name={g.name} data={g.points} fill={g.color} />)}
+          </ScatterChart>
+        </ResponsiveContainer>
+      );
+    }
+
+    const { data, series } = buildChartData(rows, spec, labelFor);
+    const yKeyOf = Object.fromEntries(series.map(s => [s.key, s.yKey]));
+    const tooltipFmt = (v, _name, item) => fmtFor(yKeyOf[item?.dataKey] || ey)(v);
+
+    if (spec.type === 'pie') {
+      const s = series[0];
+      return (
+        <ResponsiveContainer width="100%" height={height}>
+          <PieChart>
+            <Pie
+              data={data}
+              dataKey={s.key}
+              nameKey={ex}
+              cx="50%"
+              cy="50%"
+              outerRadius={80}
+              label={(e) => `${fmtX ? fmtX(e.name) : e.name}: ${fmtY(e.value)}`}
+            >
+              {data.map((r, idx) => <Cell key={idx} fill={spec.colors?.[String(r[ex])] || COLORS[idx % COLORS.length]} />)}
+            </Pie>
+            <Tooltip formatter={(v) => fmtY(v)} />
+          </PieChart>
+        </ResponsiveContainer>
+      );
+    }
+
+    const multi = series.length > 1 || Boolean(spec.seriesKey);
+    const timeLike = multi && isTimeLikeAxis(ex, data.map(r => r[ex]));
+    const stackable = STACKABLE_TYPES.includes(spec.type);
+    const stackId = stackable && spec.stacked ? 'stack' : undefined;
+    // 100% stacks use recharts' "expand" offset: the value axis runs 0..1
+    const percent = Boolean(stackId && spec.percent);
+    const stackOffset = percent ? 'expand' : undefined;
+    const fmtValueAxis = percent ? (v) => `${Math.round(v * 100)}%` : fmtY;
+    const legend = series.length > 1 ? <Legend verticalAlign="top" height={28} /> : null;
+
+    if (spec.type === 'hbar') {
+      // Long category names read better down the side
+      return (
+        <ResponsiveContainer width="100%" height={Math.min(900, Math.max(height, data.length * 28 + 80))}>
+          <BarChart data={data} layout="vertical" stackOffset={stackOffset} margin={{ bottom: 32, left: 16, right: 24, top: 8 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis type="number" tickFormatter={fmtValueAxis}
+                   label={yLabel ? { value: yLabel, position: 'insideBottom', offset: -16 } : undefined} />
+            <YAxis type="category" dataKey={ex} width={160} tickFormatter={fmtX} interval={0} tick={{ fontSize: 12 }} />
+            <Tooltip formatter={tooltipFmt} />
+            {legend}
+            {series.map(s => (
+              <Bar key={s.key} dataKey={s.key} name={s.name} fill={s.color} stackId={stackId} />
+            ))}
+          </BarChart>
+        </ResponsiveContainer>
+      );
+    }
+
+    const xAxis = multi ? (
+      <XAxis
+        dataKey={ex}
+        tickFormatter={fmtX}
+        angle={timeLike ? -30 : -20}
+        textAnchor="end"
+        interval={0}
+        height={timeLike ? 70 : undefined}
+        tick={timeLike ? { fontSize: 12 } : undefined}
+        label={xLabel ? { value: xLabel, position: 'insideBottom', offset: timeLike ? -36 : -28 } : undefined}
+      />
+    ) : (
+      <XAxis dataKey={ex} tickFormatter={fmtX} angle={-30} textAnchor="end" interval={0} />
+    );
+    const yAxis = multi ? (
+      <YAxis tickMargin={8} width={timeLike ? 80 : undefined} tickFormatter={fmtValueAxis}
+             label={yLabel ? { value: yLabel, angle: -90, position: 'left', dx: timeLike ? -12 : -10 } : undefined} />
+    ) : (
+      <YAxis tickFormatter={fmtValueAxis} />
+    );
+    const grid = (!multi || !timeLike) ? <CartesianGrid strokeDasharray="3 3" /> : null;
+    const margin = multi && timeLike ? { bottom: 64, left: 64, right: 24, top: 8 } : { bottom: 48, left: 56, right: 16, top: 8 };
+
+    if (spec.type === 'combo') {
+      // First metric as bars on the left axis, remaining metrics as lines on the right
+      const [barSeries, ...lineSeries] = series;
+      const rightKey = lineSeries[0]?.yKey;
+      return (
+        <ResponsiveContainer width="100%" height={height}>
+          <ComposedChart data={data} margin={{ ...margin, right: 56 }}>
+            {grid}
+            {xAxis}
+            <YAxis yAxisId="left" tickMargin={8} tickFormatter={fmtY}
+                   label={yLabel ? { value: yLabel, angle: -90, position: 'left', dx: -10 } : undefined} />
+            {rightKey && (
+              <YAxis yAxisId="right" orientation="right" tickMargin={8} tickFormatter={fmtFor(rightKey)}
+                     label={{ value: labelFor(rightKey), angle: 90, position: 'right', dx: 10 }} />
+            )}
+            <Tooltip formatter={tooltipFmt} />
+            {legend}
+            <Bar yAxisId="left" dataKey={barSeries.key} name={barSeries.name} fill={barSeries.color} />
+            {lineSeries.map(s => (
+              <Line key={s.key} yAxisId="right" type="monotone" dataKey={s.key} name={s.name}
+                    stroke={s.color} strokeWidth={2} />
+            ))}
+          </ComposedChart>
+        </ResponsiveContainer>
+      );
+    }
+
+    if (spec.type === 'area') {
+      return (
+        <ResponsiveContainer width="100%" height={height}>
+          <AreaChart data={data} stackOffset={stackOffset} margin={margin}>
+            {grid}
+            {xAxis}
+            {yAxis}
+            <Tooltip formatter={tooltipFmt} />
+            {legend}
+            {series.map(s => (
+              <Area key={s.key} type="monotone" dataKey={s.key} name={s.name} stackId={stackId}
+                    stroke={s.color} fill={s.color} fillOpacity={0.3} strokeWidth={2} />
+            ))}
+          </AreaChart>
+        </ResponsiveContainer>
+      );
+    }
+
+    if (spec.type === 'line') {
+      return (
+        <ResponsiveContainer width="100%" height={height}>
+          <LineChart data={data} margin={margin}>
+            {grid}
+            {xAxis}
+            {yAxis}
+            <Tooltip formatter={tooltipFmt} />
+            {legend}
+            {series.map(s => (
+              <Line key={s.key} type={multi ? 'monotone' : undefined} dataKey={s.key} name={s.name}
+                    stroke={s.color} strokeWidth={2} dot={multi ? undefined : false} />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      );
+    }
+
+    return (
+      <ResponsiveContainer width="100%" height={height}>
+        <BarChart data={data} stackOffset={stackOffset} margin={{ bottom: 48, left: 56, right: 16, top: 8 }}>
+          {grid}
+          {xAxis}
+          {yAxis}
+          <Tooltip formatter={tooltipFmt} />
+          {legend}
+          {series.map(s => (
+            <Bar key={s.key} dataKey={s.key} name={s.name} fill={s.color} stackId={stackId} />
+          ))}
+        </BarChart>
+      </ResponsiveContainer>
+    );
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.error('Chart render error:', e);
+    return <div className="text-sm text-red-600">Chart failed to render. Check console for details.</div>;
+  }
+}
@@ -0,0 +1,81 @@
+import { resolveChartSpec, buildChartData, chartLegend, normalizeChartType, scatterGroups, heatmapGrid, heatColor } from './charts';
+
+const rows = [
+  { month: 'Feb 2024', branch_name: 'KL', revenue_rm: 200, quantity: 2 },
+  { month: 'Jan 2024', branch_name: 'KL', revenue_rm: 100, quantity: 1 },
+  { month: 'Jan 2024', branch_name: 'Penang', revenue_rm: 50, quantity: 5 },
+  { month: 'Jan 2024', branch_name: 'Penang', revenue_rm: 25, quantity: 1 }
+];
+
+test('auto spec follows resolveAxes instead of the first two columns', () => {
+  const spec = resolveChartSpec(rows, { chartType: 'line', chartColor: '#ff0000' });
+  expect(spec).toMatchObject({ type: 'line', xKey: 'month', seriesKey: 'branch_name', yKeys: ['revenue_rm'], agg: 'none', color: '#ff0000' });
+});
+
+test('chartConfig overrides the guess and ignores unknown columns', () => {
+  const spec = resolveChartSpec(rows, {
+    chartType: 'bar',
+    chartConfig: { xKey: 'branch_name', seriesKey: null, yKeys: ['revenue_rm', 'nope'], agg: 'sum', stacked: true }
+  });
+  expect(spec).toMatchObject({ xKey: 'branch_name', seriesKey: null, yKeys: ['revenue_rm'], agg: 'sum', stacked: true, type: 'bar' });
+});
+
+test('buildChartData aggregates per x and series, sorted by month', () => {
+  const { data, series } = buildChartData(rows, { xKey: 'month', seriesKey: 'branch_name', yKeys: ['revenue_rm'], agg: 'sum', colors: { Penang: '#000000' } });
+  expect(data).toEqual([
+    { month: 'Jan 2024', KL: 100, Penang: 75 },
+    { month: 'Feb 2024', KL: 200 }
+  ]);
+  expect(series.map(s => s.key)).toEqual(['KL', 'Penang']);
+  expect(series[1].color).toBe('#000000');
+
+  const multiY = buildChartData(rows, { xKey: 'month', seriesKey: null, yKeys: ['revenue_rm', 'quantity'], agg: 'avg' }, (c) => c.toUpperCase());
+  expect(multiY.data[0]).toEqual({ month: 'Jan 2024', revenue_rm: 175 / 3, quantity: 7 / 3 });
+  expect(multiY.series.map(s => s.name)).toEqual(['REVENUE_RM', 'QUANTITY']);
+});
+
+test('series without aggregation keep the last value per cell, blank when missing', () => {
+  const { data, series } = buildChartData(rows, { xKey: 'month', seriesKey: 'branch_name', yKeys: ['revenue_rm'], agg: 'none' });
+  expect(series.map(s => s.key)).toEqual(['KL', 'Penang']);
+  expect(data[0]).toEqual({ month: 'Jan 2024', KL: 100, Penang: 25 });
+  const gaps = buildChartData([{ m: 'Jan', s: 'A', v: 5 }, { m: 'Jan', s: 'A', v: null }, { m: 'Feb', s: 'A' }], { xKey: 'm', seriesKey: 's', yKeys: ['v'], agg: 'none' });
+  expect(gaps.data.map(d => d.A)).toEqual([null, null]);
+});
+
+test('chartLegend lists pie slices by x value', () => {
+  const legend = chartLegend(rows, { type: 'pie', xKey: 'branch_name', seriesKey: null, yKeys: ['revenue_rm'], agg: 'sum' });
+  expect(legend.map(l => l.name)).toEqual(['KL', 'Penang']);
+});
+
+test('normalizeChartType maps backend aliases to type + stacking', () => {
+  expect(normalizeChartType('area')).toEqual({ type: 'area' });
+  expect(normalizeChartType('Stacked Bar')).toMatchObject({ type: 'bar', stacked: true, percent: false });
+  expect(normalizeChartType('100% stacked')).toMatchObject({ type: 'bar', stacked: true, percent: true });
+  expect(normalizeChartType('horizontal-bar')).toEqual({ type: 'hbar' });
+  expect(normalizeChartType('bar+line')).toEqual({ type: 'combo' });
+  expect(normalizeChartType('radar')).toBeNull();
+
+  const spec = resolveChartSpec(rows, { chartType: 'percent_stacked' });
+  expect(spec).toMatchObject({ type: 'bar', stacked: true, percent: true });
+  expect(resolveChartSpec(rows, { chartType: 'line', chartConfig: { type: 'stacked_area' } }))
+    .toMatchObject({ type: 'area', stacked: true, percent: false });
+});
+
+test('combo charts ignore the series split', () => {
+  const { series } = buildChartData(rows, { type: 'combo', xKey: 'month', seriesKey: 'branch_name', yKeys: ['revenue_rm', 'quantity'], agg: 'sum' });
+  expect(series.map(s => s.key)).toEqual(['revenue_rm', 'quantity']);
+});
+
+test('scatterGroups splits by series and carries the size dimension', () => {
+  const groups = scatterGroups(rows, { xKey: 'quantity', seriesKey: 'branch_name', yKeys: ['revenue_rm'], sizeKey: 'quantity' });
+  expect(groups.map(g => g.name)).toEqual(['KL', 'Penang']);
+  expect(groups[1].points[0]).toEqual({ x: 5, y: 50, z: 5, label: 'Penang' });
+});
+
+test('heatmapGrid leaves missing cells blank and tracks the value range', () => {
+  const grid = heatmapGrid(rows, { type: 'heatmap', xKey: 'month', seriesKey: 'branch_name', yKeys: ['revenue_rm'], agg: 'sum' });
+  expect(grid.xs).toEqual(['Jan 2024', 'Feb 2024']);
+  expect(grid.cells).toEqual([[100, 75], [200, null]]);
+  expect([grid.min, grid.max]).toEqual([75, 200]);
+  expect(heatColor(200, 75, 200, '#ff0000')).toBe('#ff0000');
+});
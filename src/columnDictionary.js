@@ -0,0 +1,179 @@
+// src/columnDictionary.js
+// Per-database column dictionary: display label, unit and value format for
+// each result column. One source of truth for table headers/cells, chart
+// axes & tooltips and export headers.
+//
+// Entry shape: { label, unit, format, currency, dateStyle, decimals }
+//   format: 'auto' | 'number' | 'currency' | 'percent' | 'date' | 'text'
+//   percent values are taken as already ×100 (12.5 → "12.5%")
+
+import { toNumber, formatNumber, monthIndex, MONTHS3 } from './dataHelpers';
+
+export const COLUMN_FORMATS = ['auto', 'number', 'currency', 'percent', 'date', 'text'];
+export const DATE_STYLES = ['short', 'medium', 'long', 'month'];
+
+// Built-in labels for the demo schema (formerly hardcoded in the table header)
+export const DEFAULT_COLUMN_DICTIONARY = {
+  name: { label: 'Product' },
+  revenue: { label: 'Revenue (RM)' },
+  total_sales: { label: 'Quantity Sold' },
+  branch_name: { label: 'Branch' },
+  region: { label: 'Region' }
+};
+
+const storageKey = (db) => `column_dict_v181_${db}`;
+
+export function loadColumnDictionary(db) {
+  try {
+    const raw = localStorage.getItem(storageKey(db));
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveColumnDictionary(db, dict) {
+  localStorage.setItem(storageKey(db), JSON.stringify(dict || {}));
+}
+
+export function removeColumnDictionary(db) {
+  localStorage.removeItem(storageKey(db));
+}
+
+// Logout: every database's dictionary kept in this browser
+export function clearColumnDictionaries() {
+  Object.keys(localStorage).filter(k => k.startsWith(storageKey(''))).forEach(k => localStorage.removeItem(k));
+}
+
+// Drop empty fields so stored/exported dictionaries stay small
+export function cleanEntry(e = {}) {
+  const out = {};
+  Object.entries(e).forEach(([k, v]) => {
+    if (v === '' || v === null || v === undefined) return;
+    if (k === 'format' && v === 'auto') return;
+    if (k === 'decimals') {
+      const n = Number(v);
+      if (Number.isInteger(n) && n >= 0 && n <= 10) out.decimals = n;
+      return;
+    }
+    out[k] = v;
+  });
+  return out;
+}
+
+// Server payloads: { columns: { col: entry } } or a bare { col: entry } map
+export function normalizeDictionary(raw) {
+  const src = raw?.columns && typeof raw.columns === 'object' ? raw.columns : raw;
+  if (!src || typeof src !== 'object' || Array.isArray(src)) return {};
+  const out = {};
+  Object.entries(src).forEach(([col, e]) => {
+    if (typeof e === 'string') out[col] = { label: e };
+    else if (e && typeof e === 'object') out[col] = cleanEntry({
+      label: e.label ?? e.display_name,
+      unit: e.unit,
+      format: e.format,
+      currency: e.currency,
+      dateStyle: e.dateStyle ?? e.date_style,
+      decimals: e.decimals
+    });
+  });
+  return out;
+}
+
+export function columnLabel(dict, col) {
+  const e = dict?.[col];
+  const base = e?.label || col;
+  return e?.unit && e.format !== 'currency' ? `${base} (${e.unit})` : base;
+}
+
+const numberFormatters = new Map();
+const numberFmt = (opts) => {
+  const key = JSON.stringify(opts);
+  if (!numberFormatters.has(key)) {
+    try { numberFormatters.set(key, new Intl.NumberFormat(undefined, opts)); }
+    catch { numberFormatters.set(key, new Intl.NumberFormat(undefined, { maximumFractionDigits: 2 })); }
+  }
+  return numberFormatters.get(key);
+};
+
+const decimalsOpts = (e, fallbackMax = 2) => (
+  Number.isInteger(e.decimals)
+    ? { minimumFractionDigits: e.decimals, maximumFractionDigits: e.decimals }
+    : { maximumFractionDigits: fallbackMax }
+);
+
+function formatDate(v, style) {
+  const s = String(v);
+  // Month buckets like "Jan 2024" / "2024-01" are not full dates
+  const mi = monthIndex(s);
+  if (Number.isFinite(mi) && !/^\d{4}$/.test(s.trim())) {
+    const y = Math.floor(mi / 12);
+    const m = mi % 12;
+    if (style === 'month' || style === 'short') return `${MONTHS3[m]} ${y}`;
+    return new Date(y, m, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+  }
+  const d = new Date(s);
+  if (Number.isNaN(d.getTime())) return s;
+  if (style === 'month') return `${MONTHS3[d.getMonth()]} ${d.getFullYear()}`;
+  return d.toLocaleDateString(undefined, { dateStyle: style || 'medium' });
+}
+
+/**
+ * Display text for a value. `kind` is the table's column kind ('number' |
+ * 'month' | 'text'); with format 'auto' only number columns get grouping.
+ */
+export function formatColumnValue(dict, col, v, kind) {
+  if (v === null || v === undefined || v === '') return '';
+  const e = dict?.[col] || {};
+  const fmt = e.format || 'auto';
+  const unit = e.unit ? ` ${e.unit}` : '';
+  const n = toNumber(v);
+
+  switch (fmt) {
+    case 'text':
+      return String(v);
+    case 'date':
+      return formatDate(v, e.dateStyle);
+    case 'currency':
+      if (!Number.isFinite(n)) return String(v);
+      return numberFmt({ style: 'currency', currency: (e.currency || 'MYR').toUpperCase(), ...decimalsOpts(e, 2) }).format(n);
+    case 'percent':
+      if (!Number.isFinite(n)) return String(v);
+      return `${numberFmt(decimalsOpts(e, 1)).format(n)}%`;
+    case 'number':
+      if (!Number.isFinite(n)) return String(v);
+      return `${numberFmt(decimalsOpts(e)).format(n)}${unit}`;
+    default:
+      if (kind === 'number' || (kind === undefined && typeof v === 'number')) {
+        if (!Number.isFinite(n)) return String(v);
+        return `${Number.isInteger(e.decimals) ? numberFmt(decimalsOpts(e)).format(n) : formatNumber(n)}${unit}`;
+      }
+      return typeof v === 'object' ? JSON.stringify(v) : String(v);
+  }
+}
+
+// Axis tick/tooltip formatter for a chart measure
+export function chartValueFormatter(dict, col) {
+  return (v) => {
+    const e = dict?.[col];
+    if (!e?.format || e.format === 'auto') return formatColumnValue(dict, col, v, 'number');
+    return formatColumnValue(dict, col, v);
+  };
+}
+
+// Excel number format code for XLSX export cells (null → general)
+export function excelNumberFormat(dict, col) {
+  const e = dict?.[col];
+  if (!e) return null;
+  const d = Number.isInteger(e.decimals) ? e.decimals : null;
+  const frac = (n) => (n > 0 ? `.${'0'.repeat(n)}` : '');
+  switch (e.format) {
+    case 'currency': {
+      const sym = (e.currency || 'MYR').toUpperCase() === 'MYR' ? 'RM' : (e.currency || '').toUpperCase();
+      return `"${sym} "#,##0${frac(d ?? 2)}`;
+    }
+    case 'percent': return `0${frac(d ?? 1)}"%"`;
+    case 'number': return `#,##0${frac(d ?? 2)}${e.unit ? `" ${e.unit}"` : ''}`;
+    default: return d !== null ? `#,##0${frac(d)}` : null;
+  }
+}
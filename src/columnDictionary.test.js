@@ -0,0 +1,43 @@
+import {
+  columnLabel, formatColumnValue, normalizeDictionary, excelNumberFormat, cleanEntry, DEFAULT_COLUMN_DICTIONARY
+} from './columnDictionary';
+
+const dict = {
+  revenue_rm: { label: 'Revenue', format: 'currency', currency: 'MYR', decimals: 2 },
+  weight: { label: 'Weight', format: 'number', unit: 'kg', decimals: 1 },
+  success_rate: { label: 'Success', format: 'percent', decimals: 1 },
+  sold_on: { label: 'Sold', format: 'date', dateStyle: 'month' }
+};
+
+test('labels include the unit except for currency columns', () => {
+  expect(columnLabel(dict, 'weight')).toBe('Weight (kg)');
+  expect(columnLabel(dict, 'revenue_rm')).toBe('Revenue');
+  expect(columnLabel(dict, 'unknown_col')).toBe('unknown_col');
+  expect(columnLabel(DEFAULT_COLUMN_DICTIONARY, 'branch_name')).toBe('Branch');
+});
+
+test('values are formatted per column format', () => {
+  expect(formatColumnValue(dict, 'revenue_rm', '1200')).toMatch(/1,200\.00/);
+  expect(formatColumnValue(dict, 'weight', 3.14159)).toBe('3.1 kg');
+  expect(formatColumnValue(dict, 'success_rate', 87.25)).toBe('87.3%');
+  expect(formatColumnValue(dict, 'sold_on', '2024-03')).toBe('Mar 2024');
+  expect(formatColumnValue(dict, 'sold_on', 'not a date')).toBe('not a date');
+  // auto: only number columns get grouping, month labels stay intact
+  expect(formatColumnValue({}, 'month', 'Jan 2024', 'month')).toBe('Jan 2024');
+  expect(formatColumnValue({}, 'qty', 1234567, 'number')).toBe('1,234,567');
+  expect(formatColumnValue({}, 'qty', null, 'number')).toBe('');
+});
+
+test('server payloads are normalized and cleaned', () => {
+  expect(normalizeDictionary({ columns: { a: 'Alpha', b: { display_name: 'Beta', decimals: '2', format: 'auto', unit: '' } } }))
+    .toEqual({ a: { label: 'Alpha' }, b: { label: 'Beta', decimals: 2 } });
+  expect(normalizeDictionary(null)).toEqual({});
+  expect(cleanEntry({ decimals: 42 })).toEqual({});
+});
+
+test('excel number formats follow the dictionary', () => {
+  expect(excelNumberFormat(dict, 'revenue_rm')).toBe('"RM "#,##0.00');
+  expect(excelNumberFormat(dict, 'weight')).toBe('#,##0.0" kg"');
+  expect(excelNumberFormat(dict, 'success_rate')).toBe('0.0"%"');
+  expect(excelNumberFormat(dict, 'sold_on')).toBeNull();
+});
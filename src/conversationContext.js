@@ -0,0 +1,53 @@
+// src/conversationContext.js
+// Compact multi-turn context sent with each /query so the backend can resolve
+// follow-ups ("now only for the north region"). Only the current thread is
+// used: a { type: 'thread' } divider message starts a fresh one. Rows never
+// leave the client — just questions, SQL, column names and row counts.
+
+export const MAX_CONTEXT_TURNS = 6;
+const MAX_SQL = 2000;
+const MAX_TEXT = 300;
+
+const clip = (s, n) => {
+  const t = String(s ?? '');
+  return t.length > n ? `${t.slice(0, n - 1)}…` : t;
+};
+
+// Messages that can be referred back to
+export const isAnswer = (m) => m?.type === 'bot' && Boolean(m.sql || Array.isArray(m.results) || m.reply);
+
+export function turnOf(m) {
+  const turn = { question: clip(m.originalQuery, MAX_TEXT) };
+  if (m.sql) turn.sql = clip(m.sql, MAX_SQL);
+  if (Array.isArray(m.results)) {
+    turn.columns = Object.keys(m.results[0] || {});
+    turn.rowCount = m.results.length;
+  }
+  if (m.reply) turn.reply = clip(m.reply, MAX_TEXT);
+  if (m.error) turn.error = clip(m.error, MAX_TEXT);
+  return turn;
+}
+
+// Messages of the thread that `beforeId` belongs to, up to (not including) it
+export function currentThread(conversation, beforeId = null) {
+  const list = Array.isArray(conversation) ? conversation : [];
+  const end = beforeId ? list.findIndex(m => m.id === beforeId) : -1;
+  const upTo = end === -1 ? list : list.slice(0, end);
+  let start = 0;
+  upTo.forEach((m, i) => { if (m.type === 'thread') start = i + 1; });
+  return upTo.slice(start);
+}
+
+/**
+ * Build { turns, refersTo } for a question. `beforeId` is the question's own
+ * message (queued questions only see what came before them); `refersTo` is a
+ * pinned answer id, which may sit in an earlier thread.
+ */
+export function buildContext(conversation, { beforeId = null, refersTo = null, maxTurns = MAX_CONTEXT_TURNS } = {}) {
+  const turns = currentThread(conversation, beforeId)
+    .filter(m => isAnswer(m) || (m.type === 'bot' && m.error))
+    .slice(-maxTurns)
+    .map(turnOf);
+  const pinned = refersTo ? (conversation || []).find(m => m.id === refersTo) : null;
+  return { turns, refersTo: pinned ? { id: pinned.id, ...turnOf(pinned) } : null };
+}
@@ -0,0 +1,31 @@
+import { buildContext, currentThread } from './conversationContext';
+
+const conv = [
+  { id: 'u1', type: 'user', content: 'revenue by region' },
+  { id: 'b1', type: 'bot', originalQuery: 'revenue by region', sql: 'SELECT region, SUM(r) FROM s GROUP BY 1', results: [{ region: 'North', revenue: 1 }, { region: 'South', revenue: 2 }] },
+  { id: 't1', type: 'thread' },
+  { id: 'u2', type: 'user', content: 'sales by month' },
+  { id: 'b2', type: 'bot', originalQuery: 'sales by month', sql: 'SELECT month, SUM(q) FROM s GROUP BY 1', results: [{ month: 'Jan', qty: 3 }] },
+  { id: 'b3', type: 'bot', originalQuery: 'sales by monht', error: 'no such column: monht', sql: 'SELECT monht' },
+  { id: 'u3', type: 'user', content: 'now only for the north region', pending: true }
+];
+
+test('context covers only the current thread and never rows', () => {
+  const ctx = buildContext(conv, { beforeId: 'u3' });
+  expect(ctx.turns).toEqual([
+    { question: 'sales by month', sql: 'SELECT month, SUM(q) FROM s GROUP BY 1', columns: ['month', 'qty'], rowCount: 1 },
+    { question: 'sales by monht', sql: 'SELECT monht', error: 'no such column: monht' }
+  ]);
+  expect(ctx.refersTo).toBeNull();
+});
+
+test('a pinned answer from an earlier thread is sent as refersTo', () => {
+  const ctx = buildContext(conv, { beforeId: 'u3', refersTo: 'b1', maxTurns: 1 });
+  expect(ctx.turns.map(t => t.question)).toEqual(['sales by monht']);
+  expect(ctx.refersTo).toMatchObject({ id: 'b1', question: 'revenue by region', columns: ['region', 'revenue'], rowCount: 2 });
+});
+
+test('currentThread stops at the given message', () => {
+  expect(currentThread(conv, 'b2').map(m => m.id)).toEqual(['u2']);
+  expect(currentThread(conv.slice(0, 2)).map(m => m.id)).toEqual(['u1', 'b1']);
+});
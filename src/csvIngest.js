@@ -0,0 +1,331 @@
+// src/csvIngest.js
+// Client-side look at a CSV before it is uploaded: encoding, delimiter and
+// header detection, an RFC 4180 parse of the first rows, per-column type
+// guesses (number/date/text) and SQL-safe column/table names. Also
+// normalizes the server's import summary (rows imported / rejected + why).
+
+export const CSV_DELIMITERS = [
+  { id: ',', label: 'Comma (,)' },
+  { id: ';', label: 'Semicolon (;)' },
+  { id: '\t', label: 'Tab' },
+  { id: '|', label: 'Pipe (|)' }
+];
+export const CSV_ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be', 'windows-1252', 'iso-8859-1'];
+export const COLUMN_TYPES = ['text', 'number', 'date'];
+
+export const PREVIEW_BYTES = 256 * 1024; // read this much of the file for the preview
+export const PREVIEW_ROWS = 20;          // rows shown
+const SAMPLE_ROWS = 500;                 // rows used for delimiter/type detection
+
+/* ───────── Encoding ───────── */
+// Strict UTF-8 check; a multi-byte sequence cut off by the preview slice is fine
+function isUtf8(bytes) {
+  let i = 0;
+  while (i < bytes.length) {
+    const b = bytes[i];
+    const n = b < 0x80 ? 0 : (b & 0xe0) === 0xc0 && b >= 0xc2 ? 1 : (b & 0xf0) === 0xe0 ? 2 : (b & 0xf8) === 0xf0 && b <= 0xf4 ? 3 : -1;
+    if (n < 0) return false;
+    for (let k = 1; k <= n; k++) {
+      if (i + k >= bytes.length) return true;
+      if ((bytes[i + k] & 0xc0) !== 0x80) return false;
+    }
+    i += n + 1;
+  }
+  return true;
+}
+
+export function detectEncoding(bytes) {
+  const b = bytes || new Uint8Array(0);
+  if (b[0] === 0xef && b[1] === 0xbb && b[2] === 0xbf) return 'utf-8';
+  if (b[0] === 0xff && b[1] === 0xfe) return 'utf-16le';
+  if (b[0] === 0xfe && b[1] === 0xff) return 'utf-16be';
+  // BOM-less UTF-16: ASCII text leaves every other byte zero
+  const n = Math.min(b.length, 512);
+  let evenZero = 0;
+  let oddZero = 0;
+  for (let i = 0; i < n; i++) if (b[i] === 0) { if (i % 2) oddZero++; else evenZero++; }
+  if (n >= 4 && oddZero > n / 4 && evenZero === 0) return 'utf-16le';
+  if (n >= 4 && evenZero > n / 4 && oddZero === 0) return 'utf-16be';
+  return isUtf8(b) ? 'utf-8' : 'windows-1252';
+}
+
+// Decodes (and drops a BOM); unknown labels fall back to UTF-8
+export function decodeBytes(bytes, encoding = 'utf-8') {
+  let decoder;
+  try { decoder = new TextDecoder(encoding); } catch { decoder = new TextDecoder('utf-8'); }
+  return decoder.decode(bytes);
+}
+
+/* ───────── Parsing ───────── */
+/**
+ * RFC 4180 parse: quoted fields may hold the delimiter, doubled quotes and
+ * line breaks; CRLF/LF both end a record. Stops after `maxRows` records.
+ * Blank lines are skipped.
+ */
+export function parseCsv(text, delimiter = ',', maxRows = Infinity) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+  while (i < text.length && rows.length < maxRows) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"') {
+        if (text[i + 1] === '"') { field += '"'; i += 2; continue; }
+        quoted = false;
+      } else {
+        field += c;
+      }
+      i += 1;
+      continue;
+    }
+    if (c === '"' && field === '') quoted = true;
+    else if (c === delimiter) { row.push(field); field = ''; }
+    else if (c === '\r' || c === '\n') {
+      endRow();
+      if (c === '\r' && text[i + 1] === '\n') i += 1;
+    } else field += c;
+    i += 1;
+  }
+  if (rows.length < maxRows && (field !== '' || row.length)) endRow();
+  return rows;
+}
+
+// The delimiter that splits most rows into the same number (>1) of fields
+export function detectDelimiter(text) {
+  let best = { id: ',', score: -1 };
+  CSV_DELIMITERS.forEach(({ id }) => {
+    const rows = parseCsv(text, id, 30);
+    if (rows.length > 2) rows.pop(); // may be cut off by the preview slice
+    const counts = {};
+    rows.forEach(r => { counts[r.length] = (counts[r.length] || 0) + 1; });
+    const [width, hits] = Object.entries(counts).map(([w, h]) => [Number(w), h]).sort((a, b) => b[1] - a[1] || b[0] - a[0])[0] || [1, 0];
+    if (width < 2) return;
+    const score = (hits / rows.length) * 1000 + width;
+    if (score > best.score) best = { id, score };
+  });
+  return best.id;
+}
+
+/* ───────── Types & header ───────── */
+const NUMBER_RE = /^[-+]?(\d{1,3}(,\d{3})+|\d+)?(\.\d+)?([eE][-+]?\d+)?$/;
+const DATE_RE = /^(\d{4}[-/.]\d{1,2}[-/.]\d{1,2}([T ]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?|\d{1,2}[-/.]\d{1,2}[-/.]\d{4})$/;
+
+// Whether a raw cell would import cleanly into a column of `type` (blanks become NULL)
+export function valueFits(value, type) {
+  const v = String(value ?? '').trim();
+  if (!v) return true;
+  if (type === 'number') return /\d/.test(v) && NUMBER_RE.test(v);
+  if (type === 'date') return DATE_RE.test(v);
+  return true;
+}
+
+export function inferType(values) {
+  const filled = (values || []).map(v => String(v ?? '').trim()).filter(Boolean);
+  if (!filled.length) return 'text';
+  if (filled.every(v => valueFits(v, 'number'))) return 'number';
+  if (filled.every(v => valueFits(v, 'date'))) return 'date';
+  return 'text';
+}
+
+/**
+ * Is the first row a header? Columns whose body is numeric/date vote "header"
+ * when the first cell doesn't fit that type; all-text files count as having a
+ * header when the first row is non-empty and unique.
+ */
+export function detectHeader(rows) {
+  const [first, ...body] = rows || [];
+  if (!first) return false;
+  if (!body.length) return first.every(v => v.trim() && !valueFits(v, 'number'));
+  let header = 0;
+  let data = 0;
+  first.forEach((v, j) => {
+    const t = inferType(body.map(r => r[j]));
+    if (t === 'text') return;
+    if (v.trim() && valueFits(v, t)) data += 1;
+    else header += 1;
+  });
+  if (header || data) return header >= data;
+  return first.every(v => v.trim()) && new Set(first.map(v => v.trim().toLowerCase())).size === first.length;
+}
+
+/* ───────── Names ───────── */
+export function sanitizeName(name, index = 0) {
+  const s = String(name ?? '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!s) return `column_${index + 1}`;
+  return (/^\d/.test(s) ? `c_${s}` : s).slice(0, 63);
+}
+
+// Suffix repeats: name, name_2, name_3…
+export function uniqueNames(names) {
+  const seen = new Set();
+  return names.map(n => {
+    let out = n;
+    for (let k = 2; seen.has(out); k++) out = `${n}_${k}`;
+    seen.add(out);
+    return out;
+  });
+}
+
+const IDENT_RE = /^[a-z_][a-z0-9_]{0,62}$/;
+
+// '' when valid, else the reason
+export function validateIdentifier(name, what = 'Name') {
+  if (!name) return `${what} is required`;
+  if (!IDENT_RE.test(name)) return `${what} must be lowercase letters, digits or _ (not starting with a digit, max 63)`;
+  return '';
+}
+
+export const tableNameFromFile = (fileName) => sanitizeName(String(fileName || '').replace(/\.[^.]+$/, '') || 'data');
+
+/* ───────── Preview ───────── */
+// Whole Blob as an ArrayBuffer (FileReader where Blob#arrayBuffer is missing)
+export function readBlob(blob) {
+  if (blob.arrayBuffer) return blob.arrayBuffer();
+  return new Promise((resolve, reject) => {
+    const r = new FileReader();
+    r.onload = () => resolve(r.result);
+    r.onerror = () => reject(r.error);
+    r.readAsArrayBuffer(blob);
+  });
+}
+
+// First `bytes` of a File/Blob as a Uint8Array, plus whether the file is longer
+export async function readFileHead(file, bytes = PREVIEW_BYTES) {
+  const buffer = await readBlob(file.slice(0, bytes));
+  return { bytes: new Uint8Array(buffer), truncated: file.size > bytes };
+}
+
+/**
+ * Describe the columns of already-split rows (arrays of strings): header
+ * detection unless `hasHeader` is given, SQL-safe names, type guesses.
+ * Returns { hasHeader, columns: [{ source, name, type }], rows } with `rows`
+ * the first PREVIEW_ROWS data rows.
+ */
+export function analyzeRows(parsed, { hasHeader } = {}) {
+  const sample = parsed.slice(0, SAMPLE_ROWS + 1);
+  const header = hasHeader ?? detectHeader(sample);
+  const body = header ? sample.slice(1) : sample;
+  const width = sample.reduce((w, r) => Math.max(w, r.length), 0);
+  const sources = Array.from({ length: width }, (_, j) => (header ? sample[0][j] : '') || `column_${j + 1}`);
+  const names = uniqueNames(sources.map(sanitizeName));
+  return {
+    hasHeader: header,
+    columns: sources.map((source, j) => ({ source, name: names[j], type: inferType(body.map(r => r[j])) })),
+    rows: body.slice(0, PREVIEW_ROWS)
+  };
+}
+
+/**
+ * Detect (or apply the given) encoding/delimiter/header for the head of a
+ * file and describe its columns. Options left undefined are auto-detected.
+ * Returns { encoding, delimiter, hasHeader, columns: [{ source, name, type }], rows }.
+ */
+export function analyzeCsv(bytes, { encoding, delimiter, hasHeader, truncated = false } = {}) {
+  const enc = encoding || detectEncoding(bytes);
+  const text = decodeBytes(bytes, enc);
+  const delim = delimiter || detectDelimiter(text);
+  const parsed = parseCsv(text, delim, SAMPLE_ROWS + 1);
+  // A record running into the end of the slice may be partial
+  if (truncated && parsed.length > 1 && parsed.length <= SAMPLE_ROWS) parsed.pop();
+  return { encoding: enc, delimiter: delim, ...analyzeRows(parsed, { hasHeader }) };
+}
+
+/* ───────── Import summary ───────── */
+/**
+ * { tenant, table, imported, inserted, updated, deleted, rejected, reasons:
+ * [{ reason, count, rows }] } from the upload (or dry-run) response; accepts
+ * rows_imported/imported, rows_inserted/would_insert, rows_updated/
+ * would_update, rows_deleted/would_delete, rows_rejected/rejected and
+ * rejections/errors as strings or { row, column, reason } objects.
+ */
+export function uploadSummary(data) {
+  const d = data || {};
+  const list = [d.rejections, d.rejected_rows, d.errors, Array.isArray(d.rejected) ? d.rejected : null].find(Array.isArray) || [];
+  const items = list.map(r => (typeof r === 'string'
+    ? { row: null, column: null, reason: r }
+    : { row: r.row ?? r.line ?? null, column: r.column || null, reason: r.reason || r.error || r.message || 'Rejected' }));
+  const byReason = new Map();
+  items.forEach(it => {
+    const key = it.column ? `${it.column}: ${it.reason}` : it.reason;
+    const g = byReason.get(key) || { reason: key, count: 0, rows: [] };
+    g.count += 1;
+    if (it.row != null && g.rows.length < 5) g.rows.push(it.row);
+    byReason.set(key, g);
+  });
+  const num = (...vs) => {
+    const v = vs.find(x => x !== undefined && x !== null && typeof x !== 'object');
+    return v === undefined ? null : Number(v);
+  };
+  return {
+    tenant: d.tenant || null,
+    table: d.table || null,
+    imported: num(d.rows_imported, d.imported, d.row_count, d.rows),
+    inserted: num(d.rows_inserted, d.would_insert, d.inserted),
+    updated: num(d.rows_updated, d.would_update, d.updated),
+    deleted: num(d.rows_deleted, d.would_delete, d.deleted),
+    rejected: num(d.rows_rejected, typeof d.rejected === 'number' ? d.rejected : undefined) ?? items.length,
+    reasons: Array.from(byReason.values()).sort((a, b) => b.count - a.count)
+  };
+}
+
+// One summary per table: multi-table uploads answer { tables: [...] }
+export function uploadSummaries(data) {
+  const d = data || {};
+  if (Array.isArray(d.tables)) return d.tables.map(t => uploadSummary({ tenant: d.tenant, ...t }));
+  return [uploadSummary(d)];
+}
+
+/* ───────── Existing tables ───────── */
+export const IMPORT_STRATEGIES = [
+  { id: 'append', label: 'Append rows' },
+  { id: 'replace', label: 'Replace table' },
+  { id: 'upsert', label: 'Upsert by key' }
+];
+
+// An existing column's SQL type as an upload column type ('' when unknown)
+export function typeFamily(sqlType) {
+  const t = String(sqlType || '').trim().toLowerCase();
+  if (!t) return '';
+  if (/^((tiny|small|medium|big)?int(eger|\d)?|(big|small)?serial|real|numeric|decimal|double|float\d?|money|number)\b/.test(t)) return 'number';
+  if (/^(date|time|timestamp|datetime)/.test(t)) return 'date';
+  return 'text';
+}
+
+/**
+ * Upload columns vs an existing table's columns ({ name, type }), matched by
+ * name case-insensitively: { matched, added, missing, typeChanges: [{ name,
+ * type, existing }] } where `added` are only in the file and `missing` only
+ * in the table.
+ */
+export function compareColumns(columns, existing) {
+  const byName = new Map((existing || []).map(c => [c.name.toLowerCase(), c]));
+  const names = new Set(columns.map(c => c.name.toLowerCase()));
+  const matched = [];
+  const added = [];
+  const typeChanges = [];
+  columns.forEach(c => {
+    const ex = byName.get(c.name.toLowerCase());
+    if (!ex) { added.push(c.name); return; }
+    matched.push(c.name);
+    const family = typeFamily(ex.type);
+    if (family && family !== c.type) typeChanges.push({ name: c.name, type: c.type, existing: ex.type });
+  });
+  const missing = (existing || []).filter(c => !names.has(c.name.toLowerCase())).map(c => c.name);
+  return { matched, added, missing, typeChanges };
+}
+
+export function formatBytes(n) {
+  if (!Number.isFinite(n)) return '';
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
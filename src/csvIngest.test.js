@@ -0,0 +1,122 @@
+/**
+ * @jest-environment node
+ */
+import {
+  detectEncoding, decodeBytes, parseCsv, detectDelimiter, detectHeader, inferType, valueFits,
+  sanitizeName, uniqueNames, validateIdentifier, tableNameFromFile, analyzeCsv, uploadSummary, uploadSummaries,
+  typeFamily, compareColumns
+} from './csvIngest';
+
+const utf8 = (s) => new TextEncoder().encode(s);
+
+test('parseCsv handles quotes, doubled quotes, embedded newlines and CRLF', () => {
+  expect(parseCsv('a,b\r\n"x, y","say ""hi"""\r\n"multi\nline",2\n\n')).toEqual([
+    ['a', 'b'], ['x, y', 'say "hi"'], ['multi\nline', '2']
+  ]);
+  expect(parseCsv('a;b\n1;2\n3;4', ';', 2)).toEqual([['a', 'b'], ['1', '2']]);
+});
+
+test('detectDelimiter picks the consistent splitter', () => {
+  expect(detectDelimiter('name;price;note\nA;1,5;"x, y"\nB;2,5;z\n')).toBe(';');
+  expect(detectDelimiter('a\tb\tc\n1\t2\t3\n')).toBe('\t');
+  expect(detectDelimiter('city,"pop, 2020"\nKL,"1,800,000"\n')).toBe(',');
+  expect(detectDelimiter('just one column\nvalue\n')).toBe(',');
+});
+
+test('detectEncoding uses BOMs, then strict UTF-8, else windows-1252', () => {
+  expect(detectEncoding(new Uint8Array([0xef, 0xbb, 0xbf, 0x61]))).toBe('utf-8');
+  expect(detectEncoding(new Uint8Array([0xff, 0xfe, 0x61, 0]))).toBe('utf-16le');
+  expect(detectEncoding(utf8('café,1'))).toBe('utf-8');
+  expect(detectEncoding(new Uint8Array([0x63, 0x61, 0x66, 0xe9, 0x2c, 0x31]))).toBe('windows-1252');
+  // A multi-byte character cut off by the preview slice is still UTF-8
+  expect(detectEncoding(utf8('naïve').slice(0, 3))).toBe('utf-8');
+  expect(decodeBytes(new Uint8Array([0x63, 0x61, 0x66, 0xe9]), 'windows-1252')).toBe('café');
+});
+
+test('types and header detection', () => {
+  expect(inferType(['1', '2.5', '-3', '1,200', ''])).toBe('number');
+  expect(inferType(['2024-01-31', '31/01/2024', '2024-02-01T10:00'])).toBe('date');
+  expect(inferType(['1', 'n/a'])).toBe('text');
+  expect([valueFits('', 'number'), valueFits('abc', 'date'), valueFits('x', 'text')]).toEqual([true, false, true]);
+  expect(detectHeader([['month', 'revenue'], ['2024-01-01', '10'], ['2024-02-01', '12']])).toBe(true);
+  expect(detectHeader([['2024-01-01', '10'], ['2024-02-01', '12']])).toBe(false);
+  expect(detectHeader([['city', 'country'], ['KL', 'MY']])).toBe(true);
+});
+
+test('names are SQL-safe and unique', () => {
+  expect(['Unit Price (MYR)', 'Café', '2024 Sales', '', 'x'].map(sanitizeName))
+    .toEqual(['unit_price_myr', 'cafe', 'c_2024_sales', 'column_4', 'x']);
+  expect(uniqueNames(['a', 'a', 'b', 'a'])).toEqual(['a', 'a_2', 'b', 'a_3']);
+  expect(validateIdentifier('sales')).toBe('');
+  expect(validateIdentifier('1x', 'Table name')).toMatch(/^Table name must/);
+  expect(tableNameFromFile('Car Sales 2024.csv')).toBe('car_sales_2024');
+});
+
+test('analyzeCsv describes a file and honours overrides', () => {
+  const bytes = new Uint8Array([...utf8('Date;Amount;Branch\n2024-01-05;10,5;North\n2024-01-06;'), 0x31, 0x32, ...utf8(';Sür\n')]);
+  const auto = analyzeCsv(bytes);
+  expect(auto).toMatchObject({ encoding: 'utf-8', delimiter: ';', hasHeader: true });
+  expect(auto.columns).toEqual([
+    { source: 'Date', name: 'date', type: 'date' },
+    { source: 'Amount', name: 'amount', type: 'text' },
+    { source: 'Branch', name: 'branch', type: 'text' }
+  ]);
+  expect(auto.rows).toHaveLength(2);
+
+  const noHeader = analyzeCsv(bytes, { hasHeader: false });
+  expect(noHeader.columns.map(c => c.name)).toEqual(['column_1', 'column_2', 'column_3']);
+  expect(noHeader.rows).toHaveLength(3);
+
+  // The partial last record of a truncated preview is dropped
+  expect(analyzeCsv(utf8('a,b\n1,2\n3,'), { truncated: true }).rows).toEqual([['1', '2']]);
+});
+
+test('uploadSummary groups rejections by reason', () => {
+  expect(uploadSummary({
+    tenant: 'cars',
+    table: 'sales',
+    rows_imported: 98,
+    rejections: [
+      { row: 4, column: 'price', reason: 'not a number' },
+      { row: 9, column: 'price', reason: 'not a number' },
+      'row 12: wrong number of fields'
+    ]
+  })).toEqual({
+    tenant: 'cars',
+    table: 'sales',
+    imported: 98,
+    inserted: null,
+    updated: null,
+    deleted: null,
+    rejected: 3,
+    reasons: [
+      { reason: 'price: not a number', count: 2, rows: [4, 9] },
+      { reason: 'row 12: wrong number of fields', count: 1, rows: [] }
+    ]
+  });
+  expect(uploadSummary({ tenant: 'x' })).toMatchObject({ imported: null, rejected: 0, reasons: [] });
+});
+
+test('dry-run and multi-table responses', () => {
+  expect(uploadSummaries({
+    tenant: 'cars',
+    dry_run: true,
+    tables: [{ table: 'sales', would_insert: 40, would_update: 2 }, { table: 'branches', would_delete: 7, would_insert: 9 }]
+  }).map(s => [s.tenant, s.table, s.inserted, s.updated, s.deleted])).toEqual([
+    ['cars', 'sales', 40, 2, null],
+    ['cars', 'branches', 9, null, 7]
+  ]);
+});
+
+test('compareColumns lines a file up against an existing table', () => {
+  expect(['INTEGER', 'bigint', 'numeric(10,2)', 'double precision', 'interval', 'TIMESTAMP', 'varchar(40)', '']
+    .map(typeFamily)).toEqual(['number', 'number', 'number', 'number', 'text', 'date', 'text', '']);
+  const cols = [{ name: 'Month', type: 'date' }, { name: 'amount', type: 'text' }, { name: 'branch', type: 'text' }];
+  const existing = [{ name: 'month', type: 'DATE' }, { name: 'amount', type: 'REAL' }, { name: 'region', type: 'TEXT' }];
+  expect(compareColumns(cols, existing)).toEqual({
+    matched: ['Month', 'amount'],
+    added: ['branch'],
+    missing: ['region'],
+    typeChanges: [{ name: 'amount', type: 'text', existing: 'REAL' }]
+  });
+});
@@ -0,0 +1,162 @@
+// src/dashboards.js
+// Dashboards: per-DB grids of tiles pinned from results. A tile keeps the
+// result's SQL and chart settings and re-runs through /query/sql; tile SQL
+// may use {{parameters}} (see savedQueries.js) that become the dashboard's
+// global filters, e.g. {{period.start}} / {{period.end}} for a date range.
+// Definitions live in localStorage and travel as JSON export/import files.
+
+import { api } from './api';
+import { syncParams, paramNames, validateParams, fillParams, normalizeParam } from './savedQueries';
+
+export const GRID_COLUMNS = 4;
+export const MAX_TILE_ROWS = 3;
+export const TILE_ROW_PX = 220;
+export const TILE_REFRESH = [
+  { id: 0, label: 'On load' },
+  { id: 60000, label: 'Every minute' },
+  { id: 300000, label: 'Every 5 min' },
+  { id: 900000, label: 'Every 15 min' },
+  { id: 3600000, label: 'Hourly' }
+];
+export const DASHBOARD_FORMAT = 'nl-sql-dashboard';
+const TILE_TIMEOUT = 120000;
+
+const storageKey = (db) => `dashboards_v180_${db}`;
+const uid = () => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+const clamp = (n, lo, hi) => Math.min(hi, Math.max(lo, Math.round(Number(n)) || lo));
+
+/* ───────── Storage ───────── */
+export function loadDashboards(db) {
+  try {
+    const list = JSON.parse(localStorage.getItem(storageKey(db)));
+    return Array.isArray(list) ? list.map(normalizeDashboard) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveDashboards(db, list) {
+  localStorage.setItem(storageKey(db), JSON.stringify(list || []));
+}
+
+// Follow a renamed / deleted tenant
+export function moveDashboards(from, to) {
+  const raw = localStorage.getItem(storageKey(from));
+  if (raw) localStorage.setItem(storageKey(to), raw);
+  localStorage.removeItem(storageKey(from));
+}
+export function removeDashboards(db) {
+  localStorage.removeItem(storageKey(db));
+}
+
+// Logout: every database's dashboards kept in this browser
+export function clearDashboards() {
+  Object.keys(localStorage).filter(k => k.startsWith(storageKey(''))).forEach(k => localStorage.removeItem(k));
+}
+
+/* ───────── Model ───────── */
+const CHART_FIELDS = ['chartType', 'chartStacked', 'chartPercent', 'chartColor', 'chartConfig', 'xLabel', 'yLabel'];
+
+/**
+ * { id, title, question, sql, view: 'chart' | 'table', chart: { chartType,
+ *   chartStacked, chartPercent, chartColor, chartConfig, xLabel, yLabel },
+ *   w (1..GRID_COLUMNS), h (1..MAX_TILE_ROWS), refreshMs }
+ */
+export function normalizeTile(t = {}) {
+  const chart = Object.fromEntries(CHART_FIELDS.filter(k => t.chart?.[k] !== undefined).map(k => [k, t.chart[k]]));
+  return {
+    id: String(t.id || uid()),
+    title: String(t.title || t.question || 'Tile'),
+    question: String(t.question || ''),
+    sql: String(t.sql || ''),
+    view: t.view === 'table' ? 'table' : 'chart',
+    chart,
+    w: clamp(t.w ?? 2, 1, GRID_COLUMNS),
+    h: clamp(t.h ?? 1, 1, MAX_TILE_ROWS),
+    refreshMs: TILE_REFRESH.some(r => r.id === Number(t.refreshMs)) ? Number(t.refreshMs) : 0
+  };
+}
+
+export function normalizeDashboard(d = {}) {
+  const tiles = (Array.isArray(d.tiles) ? d.tiles : []).map(normalizeTile);
+  const params = (Array.isArray(d.params) ? d.params : []).map(normalizeParam).filter(p => p.name);
+  return {
+    id: String(d.id || uid()),
+    name: String(d.name || 'Dashboard'),
+    tiles,
+    params,
+    values: d.values && typeof d.values === 'object' ? d.values : {},
+    paused: d.paused === true,
+    updatedAt: Number(d.updatedAt) || Date.now()
+  };
+}
+
+export const createDashboard = (name) => normalizeDashboard({ name: String(name || '').trim() || 'Dashboard' });
+
+// A tile from a result message: its SQL, chart type, colour, axes and builder config
+export function tileFromMessage(msg) {
+  return normalizeTile({
+    title: msg.chartTitle && msg.chartTitle !== 'Chart' ? msg.chartTitle : msg.originalQuery,
+    question: msg.originalQuery,
+    sql: msg.sql,
+    view: msg.view === 'table' ? 'table' : 'chart',
+    chart: Object.fromEntries(CHART_FIELDS.map(k => [k, msg[k]]).filter(([, v]) => v !== undefined && v !== null && v !== ''))
+  });
+}
+
+/* ───────── Layout ───────── */
+// Move tile `id` to the position of `targetId` (drag and drop)
+export function moveTile(tiles, id, targetId) {
+  const from = tiles.findIndex(t => t.id === id);
+  const to = tiles.findIndex(t => t.id === targetId);
+  if (from < 0 || to < 0 || from === to) return tiles;
+  const next = tiles.slice();
+  const [tile] = next.splice(from, 1);
+  next.splice(to, 0, tile);
+  return next;
+}
+
+export const resizeTile = (tiles, id, w, h) =>
+  tiles.map(t => (t.id === id ? { ...t, w: clamp(w, 1, GRID_COLUMNS), h: clamp(h, 1, MAX_TILE_ROWS) } : t));
+
+/* ───────── Filters ───────── */
+// Global filters: the parameters used by any tile, keeping their saved definitions
+export const dashboardParams = (d) => syncParams(d.tiles.map(t => t.sql).join('\n'), d.params);
+
+/**
+ * SQL to run for a tile with the current filter values, or { error } when a
+ * parameter it uses is missing or invalid.
+ */
+export function tileQuery(tile, params, values) {
+  const used = params.filter(p => paramNames(tile.sql).includes(p.name));
+  const errors = validateParams(used, values || {});
+  const bad = used.find(p => errors[p.name]);
+  if (bad) return { error: `${bad.label}: ${errors[bad.name]}` };
+  return { sql: fillParams(tile.sql, used, values || {}) };
+}
+
+export async function runTileQuery(sql, db, signal) {
+  const { data } = await api.post('/query/sql', { sql, db }, { signal, timeout: TILE_TIMEOUT });
+  return Array.isArray(data?.results) ? data.results : [];
+}
+
+/* ───────── Import / export ───────── */
+export function exportDashboard(d, db) {
+  const { id, updatedAt, paused, ...body } = normalizeDashboard(d);
+  return JSON.stringify({ format: DASHBOARD_FORMAT, version: 1, db, dashboard: { ...body, tiles: body.tiles.map(({ id: _, ...t }) => t) } }, null, 2);
+}
+
+/**
+ * Dashboard from an exported file with fresh ids, paused until the user has
+ * reviewed its SQL. Throws an Error with a user-facing message for files
+ * that aren't dashboard exports.
+ */
+export function parseDashboard(text) {
+  let data;
+  try { data = JSON.parse(text); } catch { throw new Error('Not a JSON file'); }
+  const body = data?.format === DASHBOARD_FORMAT ? data.dashboard : data;
+  if (!body || typeof body !== 'object' || !Array.isArray(body.tiles)) throw new Error('Not a dashboard export');
+  if (body.tiles.some(t => !t || typeof t.sql !== 'string' || !t.sql.trim())) throw new Error('Every tile needs SQL');
+  const d = normalizeDashboard({ ...body, id: null, tiles: body.tiles.map(t => ({ ...t, id: null })) });
+  return { dashboard: { ...d, paused: true, updatedAt: Date.now() }, db: data?.db ?? null };
+}
@@ -0,0 +1,74 @@
+import {
+  tileFromMessage, normalizeTile, moveTile, resizeTile, dashboardParams, tileQuery, exportDashboard, parseDashboard,
+  createDashboard, loadDashboards, saveDashboards, moveDashboards, clearDashboards
+} from './dashboards';
+
+const msg = {
+  id: 'm1', originalQuery: 'revenue by month', sql: 'SELECT month, revenue FROM sales', chartTitle: 'Chart',
+  chartType: 'line', chartColor: '#ef4444', xLabel: 'Month', yLabel: '', chartConfig: { yKeys: ['revenue'] }, view: 'both'
+};
+
+test('a tile keeps the result SQL, chart type, colour, axes and builder config', () => {
+  const t = tileFromMessage(msg);
+  expect(t).toMatchObject({
+    title: 'revenue by month', question: 'revenue by month', sql: 'SELECT month, revenue FROM sales', view: 'chart', w: 2, h: 1, refreshMs: 0,
+    chart: { chartType: 'line', chartColor: '#ef4444', xLabel: 'Month', chartConfig: { yKeys: ['revenue'] } }
+  });
+  expect(t.chart).not.toHaveProperty('yLabel');
+  expect(normalizeTile({ sql: 'x', w: 9, h: 0, refreshMs: 123 })).toMatchObject({ w: 4, h: 1, refreshMs: 0 });
+});
+
+test('tiles move and resize within the grid', () => {
+  const tiles = ['a', 'b', 'c'].map(id => normalizeTile({ id, sql: 'x' }));
+  expect(moveTile(tiles, 'c', 'a').map(t => t.id)).toEqual(['c', 'a', 'b']);
+  expect(moveTile(tiles, 'a', 'c').map(t => t.id)).toEqual(['b', 'c', 'a']);
+  expect(moveTile(tiles, 'a', 'zz')).toBe(tiles);
+  expect(resizeTile(tiles, 'b', 7, 2).find(t => t.id === 'b')).toMatchObject({ w: 4, h: 2 });
+});
+
+test('global filters come from the tiles\' parameters', () => {
+  const d = {
+    ...createDashboard('Ops'),
+    tiles: [
+      normalizeTile({ sql: 'SELECT * FROM s WHERE day BETWEEN {{period.start}} AND {{period.end}}' }),
+      normalizeTile({ sql: 'SELECT * FROM s WHERE region = {{region}}' }),
+      normalizeTile({ sql: 'SELECT 1' })
+    ]
+  };
+  const params = dashboardParams(d);
+  expect(params.map(p => [p.name, p.type])).toEqual([['period', 'daterange'], ['region', 'text']]);
+  const values = { period: { start: '2024-01-01', end: '2024-01-31' } };
+  expect(tileQuery(d.tiles[0], params, values)).toEqual({ sql: "SELECT * FROM s WHERE day BETWEEN '2024-01-01' AND '2024-01-31'" });
+  expect(tileQuery(d.tiles[1], params, values)).toEqual({ error: 'Region: Required' });
+  expect(tileQuery(d.tiles[2], params, {})).toEqual({ sql: 'SELECT 1' });
+});
+
+test('export and import round-trip with fresh ids', () => {
+  const d = { ...createDashboard('Weekly'), tiles: [tileFromMessage(msg)], values: { region: 'North' } };
+  const text = exportDashboard(d, 'cars');
+  expect(JSON.parse(text)).toMatchObject({ format: 'nl-sql-dashboard', version: 1, db: 'cars', dashboard: { name: 'Weekly' } });
+  const { dashboard, db } = parseDashboard(text);
+  expect(db).toBe('cars');
+  expect(dashboard.id).not.toBe(d.id);
+  expect(dashboard.tiles[0].id).not.toBe(d.tiles[0].id);
+  expect(dashboard).toMatchObject({ name: 'Weekly', values: { region: 'North' }, tiles: [{ sql: msg.sql, chart: { chartType: 'line' } }] });
+  // Imported tiles wait for review; the flag isn't exported
+  expect(dashboard.paused).toBe(true);
+  expect(JSON.parse(exportDashboard(dashboard, 'cars')).dashboard).not.toHaveProperty('paused');
+
+  expect(() => parseDashboard('nope')).toThrow('Not a JSON file');
+  expect(() => parseDashboard('{"a":1}')).toThrow('Not a dashboard export');
+  expect(() => parseDashboard('{"tiles":[{"title":"x"}]}')).toThrow('Every tile needs SQL');
+});
+
+test('dashboards are stored per database and follow a renamed tenant', () => {
+  const d = { ...createDashboard('A'), tiles: [tileFromMessage(msg)] };
+  saveDashboards('cars', [d]);
+  expect(loadDashboards('cars')).toEqual([d]);
+  moveDashboards('cars', 'autos');
+  expect([loadDashboards('cars'), loadDashboards('autos').map(x => x.name)]).toEqual([[], ['A']]);
+  // Logout clears every database's dashboards and nothing else
+  localStorage.setItem('selected_db', 'autos');
+  clearDashboards();
+  expect([loadDashboards('autos'), localStorage.getItem('selected_db')]).toEqual([[], 'autos']);
+});
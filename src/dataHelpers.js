@@ -0,0 +1,87 @@
+// src/dataHelpers.js
+// Number & time parsing shared by the chart, table and export code.
+
+export const toNumber = (v) => {
+  if (typeof v === 'number') return v;
+  if (typeof v === 'string') {
+    const cleaned = v.replace(/[^\d.,-]/g, '').replace(/\s+/g, '').replace(/,/g, '');
+    const n = Number(cleaned);
+    return Number.isFinite(n) ? n : NaN;
+  }
+  return NaN;
+};
+
+export const isNumber = (v) => {
+  if (typeof v === 'number') return Number.isFinite(v);
+  if (typeof v === 'string') {
+    const cleaned = v.replace(/[^\d.,-]/g, '').replace(/\s+/g, '').replace(/,/g, '');
+    const n = Number(cleaned);
+    return Number.isFinite(n);
+  }
+  return false;
+};
+
+// Pretty number formatting (2 decimals max)
+const nf = new Intl.NumberFormat(undefined, { maximumFractionDigits: 2 });
+export const formatNumber = (n) => {
+  const x = toNumber(n);
+  return Number.isFinite(x) ? nf.format(x) : String(n);
+};
+
+/* Aggregation shared by chart series and the pivot table. A streaming
+ * accumulator, so pivot subtotals aggregate raw values (avg of avgs is
+ * wrong); missing or non-numeric cells come out blank (null), never 0. */
+const isBlankCell = (v) => v === null || v === undefined || v === '';
+export const newAggregate = () => ({ sum: 0, n: 0, count: 0, min: Infinity, max: -Infinity, last: null });
+export const addToAggregate = (acc, raw) => {
+  const n = isBlankCell(raw) ? NaN : toNumber(raw);
+  acc.last = Number.isFinite(n) ? n : null;
+  if (isBlankCell(raw)) return;
+  acc.count += 1;
+  if (!Number.isFinite(n)) return;
+  acc.sum += n; acc.n += 1;
+  if (n < acc.min) acc.min = n;
+  if (n > acc.max) acc.max = n;
+};
+// `agg`: sum | avg | count | min | max, or none (the last value added)
+export const aggregateValue = (acc, agg) => {
+  if (!acc) return null;
+  switch (agg) {
+    case 'none': return acc.last;
+    case 'count': return acc.count || null;
+    case 'avg': return acc.n ? acc.sum / acc.n : null;
+    case 'min': return acc.n ? acc.min : null;
+    case 'max': return acc.n ? acc.max : null;
+    default: return acc.n ? acc.sum : null;
+  }
+};
+
+export const MONTHS3 = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
+export const fullTo3 = (m) => {
+  const idx = ['January','February','March','April','May','June','July','August','September','October','November','December']
+    .findIndex(x => x.toLowerCase() === String(m).toLowerCase());
+  return idx >= 0 ? MONTHS3[idx] : null;
+};
+export const monthIndex = (s) => {
+  if (typeof s !== 'string') return Number.POSITIVE_INFINITY;
+  const t = s.trim();
+  let m = t.match(/^([A-Za-z]{3})\s+(\d{4})$/);
+  if (m) { const mi = MONTHS3.indexOf(m[1].slice(0,3)); return (parseInt(m[2],10)*12)+(mi>=0?mi:0); }
+  m = t.match(/^([A-Za-z]+)\s+(\d{4})$/);
+  if (m) { const abbr = fullTo3(m[1]) || m[1].slice(0,3); const mi = MONTHS3.indexOf(abbr); return (parseInt(m[2],10)*12)+(mi>=0?mi:0); }
+  m = t.match(/^(\d{4})-(\d{2})$/); if (m) return (parseInt(m[1],10)*12)+(parseInt(m[2],10)-1);
+  m = t.match(/^(\d{2})\/(\d{4})$/); if (m) return (parseInt(m[2],10)*12)+(parseInt(m[1],10)-1);
+  m = t.match(/^(\d{4})$/); if (m) return parseInt(m[1],10)*12;
+  return Number.POSITIVE_INFINITY;
+};
+
+export const looksLikeTimeName = (name) => /(^|_)(month|date|period|quarter|year)s?($|_)/i.test(name);
+export const isTimeLikeAxis = (name, sampleValues = []) => {
+  if (!name) return false;
+  if (looksLikeTimeName(name)) return true;
+  const toCheck = sampleValues.slice(0, 15);
+  let parsed = 0;
+  for (const v of toCheck) if (Number.isFinite(monthIndex(String(v ?? '')))) parsed++;
+  return parsed >= Math.ceil((toCheck.length || 1) * 0.6);
+};
+export const nameMatches = (name, patterns) => patterns.some(p => new RegExp(p, 'i').test(name));
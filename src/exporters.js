@@ -0,0 +1,118 @@
+// src/exporters.js
+// Result-set serializers (CSV/TSV/JSON/NDJSON/XLSX/Markdown) and download helpers.
+// Every exporter takes (rows, columns, labels): `columns` are the row keys in
+// display order, `labels` the header text shown on screen for each of them.
+
+import * as XLSX from 'xlsx';
+
+const cellText = (v) => (v === null || v === undefined ? '' : typeof v === 'object' ? JSON.stringify(v) : String(v));
+
+// RFC 4180: quote fields containing the delimiter, a quote, CR or LF; double inner quotes
+const quoteField = (v, delimiter) => {
+  const s = cellText(v);
+  return (s.includes(delimiter) || /["\r\n]/.test(s)) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function toDelimited(rows, columns, labels = columns, delimiter = ',') {
+  const lines = [labels.map(l => quoteField(l, delimiter)).join(delimiter)];
+  (rows || []).forEach(r => lines.push(columns.map(c => quoteField(r?.[c], delimiter)).join(delimiter)));
+  return lines.join('\r\n') + '\r\n';
+}
+
+export const toCSV = (rows, columns, labels) => toDelimited(rows, columns, labels, ',');
+export const toTSV = (rows, columns, labels) => toDelimited(rows, columns, labels, '\t');
+
+const relabel = (r, columns, labels) => {
+  const o = {};
+  columns.forEach((c, i) => { o[labels[i]] = r?.[c] ?? null; });
+  return o;
+};
+
+export function toJSON(rows, columns, labels = columns) {
+  return JSON.stringify((rows || []).map(r => relabel(r, columns, labels)), null, 2);
+}
+
+export function toNDJSON(rows, columns, labels = columns) {
+  return (rows || []).map(r => JSON.stringify(relabel(r, columns, labels))).join('\n') + '\n';
+}
+
+// GitHub-flavoured table; pipes escaped and newlines folded so cells stay on one row.
+// `formatCell(value, column)` lets callers paste display-formatted values.
+export function toMarkdown(rows, columns, labels = columns, formatCell = null) {
+  const esc = (v) => cellText(v).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+  const head = `| ${labels.map(esc).join(' | ')} |`;
+  const sep = `| ${labels.map(() => '---').join(' | ')} |`;
+  const body = (rows || []).map(r => `| ${columns.map(c => esc(formatCell ? formatCell(r?.[c], c) : r?.[c])).join(' | ')} |`);
+  return [head, sep, ...body].join('\n') + '\n';
+}
+
+// Real .xlsx workbook (numbers stay numeric cells); `numFormats[i]` is an
+// optional Excel number format code for column i
+export function toXlsxArray(rows, columns, labels = columns, sheetName = 'Results', numFormats = []) {
+  const aoa = [labels, ...(rows || []).map(r => columns.map(c => {
+    const v = r?.[c];
+    return v === undefined ? null : (v !== null && typeof v === 'object' ? JSON.stringify(v) : v);
+  }))];
+  const ws = XLSX.utils.aoa_to_sheet(aoa);
+  numFormats.forEach((z, ci) => {
+    if (!z) return;
+    for (let ri = 1; ri < aoa.length; ri++) {
+      const cell = ws[XLSX.utils.encode_cell({ r: ri, c: ci })];
+      if (cell && cell.t === 'n') cell.z = z;
+    }
+  });
+  const wb = XLSX.utils.book_new();
+  // Sheet names: max 31 chars, no []:*?/\
+  XLSX.utils.book_append_sheet(wb, ws, String(sheetName).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Results');
+  return XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
+}
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', ext: 'csv', mime: 'text/csv;charset=utf-8', bom: true, build: toCSV },
+  { id: 'tsv', label: 'TSV', ext: 'tsv', mime: 'text/tab-separated-values;charset=utf-8', bom: true, build: toTSV },
+  { id: 'xlsx', label: 'Excel (.xlsx)', ext: 'xlsx', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', build: (r, c, l, base, opts) => toXlsxArray(r, c, l, base, opts?.numFormats) },
+  { id: 'json', label: 'JSON', ext: 'json', mime: 'application/json', build: toJSON },
+  { id: 'ndjson', label: 'NDJSON', ext: 'ndjson', mime: 'application/x-ndjson', build: toNDJSON }
+];
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export function exportFilename(base, ext) {
+  const slug = String(base || 'results').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'results';
+  const stamp = new Date().toISOString().slice(0, 10);
+  return `${slug}-${stamp}.${ext}`;
+}
+
+export function exportRows(formatId, rows, columns, labels, base, opts = {}) {
+  const f = EXPORT_FORMATS.find(x => x.id === formatId);
+  if (!f) throw new Error(`Unknown export format: ${formatId}`);
+  const payload = f.build(rows, columns, labels, base, opts);
+  // UTF-8 BOM so Excel opens CSV/TSV with the right encoding
+  const parts = f.bom ? ['\uFEFF', payload] : [payload];
+  downloadBlob(new Blob(parts, { type: f.mime }), exportFilename(base, f.ext));
+}
+
+export async function copyText(text) {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+  // Fallback for non-secure contexts
+  const ta = document.createElement('textarea');
+  ta.value = text;
+  ta.style.position = 'fixed';
+  ta.style.opacity = '0';
+  document.body.appendChild(ta);
+  ta.select();
+  document.execCommand('copy');
+  ta.remove();
+}
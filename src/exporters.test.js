@@ -0,0 +1,41 @@
+import * as XLSX from 'xlsx';
+import { toCSV, toTSV, toJSON, toNDJSON, toMarkdown, toXlsxArray } from './exporters';
+
+const rows = [
+  { branch_name: 'KL, Central', note: 'said "hi"', revenue: 1200.5 },
+  { branch_name: 'Penang', note: 'line1\nline2', revenue: null }
+];
+const columns = ['branch_name', 'note', 'revenue'];
+const labels = ['Branch', 'Note', 'Revenue (RM)'];
+
+test('CSV follows RFC 4180 quoting with the on-screen header', () => {
+  expect(toCSV(rows, columns, labels)).toBe(
+    'Branch,Note,Revenue (RM)\r\n' +
+    '"KL, Central","said ""hi""",1200.5\r\n' +
+    'Penang,"line1\nline2",\r\n'
+  );
+});
+
+test('TSV only quotes fields that need it', () => {
+  expect(toTSV(rows, columns, labels).split('\r\n')[1]).toBe('KL, Central\t"said ""hi"""\t1200.5');
+});
+
+test('JSON and NDJSON use labels as keys', () => {
+  expect(JSON.parse(toJSON(rows, columns, labels))[1]).toEqual({ Branch: 'Penang', Note: 'line1\nline2', 'Revenue (RM)': null });
+  const lines = toNDJSON(rows, columns, labels).trim().split('\n');
+  expect(lines).toHaveLength(2);
+  expect(JSON.parse(lines[0]).Branch).toBe('KL, Central');
+});
+
+test('Markdown escapes pipes and folds newlines', () => {
+  const md = toMarkdown([{ a: 'x|y', b: 'p\nq' }], ['a', 'b'], ['A', 'B']);
+  expect(md).toBe('| A | B |\n| --- | --- |\n| x\\|y | p<br>q |\n');
+});
+
+test('XLSX is a readable workbook with numeric cells', () => {
+  const wb = XLSX.read(toXlsxArray(rows, columns, labels, 'Sales: Q1'), { type: 'array' });
+  expect(wb.SheetNames).toEqual(['Sales  Q1']);
+  const aoa = XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]], { header: 1 });
+  expect(aoa[0]).toEqual(labels);
+  expect(aoa[1][2]).toBe(1200.5);
+});
@@ -0,0 +1,108 @@
+// src/feedback.js
+// Answer feedback: the rating (+ reason, comment and corrected SQL on a
+// thumbs-down) posted to /feedback, and the admin review queue of negative
+// feedback, whose corrections can be promoted into the database's saved
+// examples. The backend keys feedback on messageId, so posting again
+// replaces an earlier vote.
+
+import { api } from './api';
+
+export const FEEDBACK_REASONS = [
+  { id: 'wrong_result', label: 'Wrong result' },
+  { id: 'wrong_sql', label: 'SQL error / didn’t run' },
+  { id: 'misunderstood', label: 'Misunderstood the question' },
+  { id: 'wrong_table', label: 'Wrong table or column' },
+  { id: 'chart', label: 'Bad chart' },
+  { id: 'slow', label: 'Too slow' },
+  { id: 'other', label: 'Other' }
+];
+export const REVIEW_STATUSES = [
+  { id: 'open', label: 'Open' },
+  { id: 'promoted', label: 'Promoted' },
+  { id: 'dismissed', label: 'Dismissed' },
+  { id: 'all', label: 'All' }
+];
+export const REVIEW_PAGE = 50;
+
+export const reasonLabel = (id) => FEEDBACK_REASONS.find(r => r.id === id)?.label || id || '—';
+
+/* ───────── Submit ───────── */
+/**
+ * Body for POST /feedback. `details` ({ reason, comment, correctedSql }) is
+ * only sent with a thumbs-down; a correction identical to the generated SQL
+ * is dropped.
+ */
+export function feedbackPayload(msg, rating, details = {}, fallbackDb = null) {
+  const sql = msg?.sql || '';
+  const down = rating === -1;
+  const corrected = down ? String(details.correctedSql || '').trim() : '';
+  return {
+    messageId: msg?.id,
+    rating,
+    query: msg?.originalQuery || '',
+    sql,
+    meta: msg?.meta || { db: fallbackDb },
+    ...(down ? {
+      reason: details.reason || null,
+      comment: String(details.comment || '').trim() || null,
+      corrected_sql: corrected && corrected !== sql.trim() ? corrected : null
+    } : {})
+  };
+}
+
+export const submitFeedback = (payload) => api.post('/feedback', payload, { retry: 2 });
+
+/* ───────── Review queue ───────── */
+const when = (v) => {
+  if (v === undefined || v === null || v === '') return null;
+  const t = typeof v === 'number' ? (v < 1e12 ? v * 1000 : v) : Date.parse(v);
+  return Number.isFinite(t) ? t : null;
+};
+
+/**
+ * { id, messageId, at, user, db, rating, question, sql, reason, comment,
+ *   correctedSql, status }
+ */
+export function normalizeFeedback(f, i = 0) {
+  const meta = f.meta && typeof f.meta === 'object' ? f.meta : {};
+  return {
+    id: String(f.id ?? f.feedback_id ?? f.messageId ?? f.message_id ?? i),
+    messageId: f.messageId ?? f.message_id ?? null,
+    at: when(f.ts ?? f.at ?? f.created_at ?? f.timestamp),
+    user: f.user ?? f.username ?? null,
+    db: f.db ?? meta.db ?? null,
+    rating: Number(f.rating) || 0,
+    question: f.query ?? f.question ?? '',
+    sql: f.sql ?? f.generated_sql ?? '',
+    reason: f.reason ?? f.category ?? null,
+    comment: f.comment ?? '',
+    correctedSql: f.corrected_sql ?? f.correctedSql ?? '',
+    status: String(f.status || 'open').toLowerCase()
+  };
+}
+
+// Negative feedback, newest first: { items, total }
+export async function fetchFeedbackQueue({ status = 'open', db, offset = 0, limit = REVIEW_PAGE } = {}) {
+  const { data } = await api.get('/feedback', {
+    params: { rating: -1, ...(status !== 'all' ? { status } : {}), ...(db ? { db } : {}), offset, limit },
+    authPrompt: false
+  });
+  const list = Array.isArray(data) ? data : data?.items ?? data?.feedback ?? [];
+  const items = list.map((f, i) => normalizeFeedback(f, offset + i)).sort((a, b) => (b.at ?? 0) - (a.at ?? 0));
+  const total = Number(data?.total);
+  return { items, total: Number.isFinite(total) ? total : null };
+}
+
+export const setFeedbackStatus = (id, status) =>
+  api.patch(`/feedback/${encodeURIComponent(id)}`, { status }, { authPrompt: false, retry: false });
+
+// Saves question → SQL as an example for the item's database, then marks the item promoted
+export async function promoteCorrection(item, { question, sql }) {
+  await api.post('/examples', {
+    db: item.db,
+    question: question.trim(),
+    sql: sql.trim(),
+    source_feedback_id: item.id
+  }, { authPrompt: false, retry: false });
+  await setFeedbackStatus(item.id, 'promoted');
+}
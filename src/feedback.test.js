@@ -0,0 +1,40 @@
+import { feedbackPayload, normalizeFeedback, fetchFeedbackQueue, promoteCorrection } from './feedback';
+import { api } from './api';
+
+afterEach(() => jest.restoreAllMocks());
+
+const msg = { id: 'm1', originalQuery: 'top models', sql: 'SELECT model FROM sales', meta: { db: 'cars' } };
+
+test('feedbackPayload sends details only with a thumbs-down', () => {
+  expect(feedbackPayload(msg, 1, { reason: 'other', comment: 'x' })).toEqual({
+    messageId: 'm1', rating: 1, query: 'top models', sql: 'SELECT model FROM sales', meta: { db: 'cars' }
+  });
+  expect(feedbackPayload(msg, -1, { reason: 'wrong_result', comment: '  wrong year ', correctedSql: 'SELECT model FROM sales WHERE yr = 2024' }))
+    .toMatchObject({ rating: -1, reason: 'wrong_result', comment: 'wrong year', corrected_sql: 'SELECT model FROM sales WHERE yr = 2024' });
+  // An unchanged correction is not a correction
+  expect(feedbackPayload(msg, -1, { correctedSql: ' SELECT model FROM sales ' })).toMatchObject({ reason: null, comment: null, corrected_sql: null });
+  expect(feedbackPayload({ id: 'm2' }, 1, {}, 'demo').meta).toEqual({ db: 'demo' });
+});
+
+test('normalizeFeedback reads stored feedback records', () => {
+  expect(normalizeFeedback({
+    id: 9, messageId: 'm1', ts: 1717200000, username: 'ana', meta: { db: 'cars' }, rating: '-1',
+    query: 'top models', sql: 'SELECT 1', reason: 'wrong_sql', comment: 'fails', corrected_sql: 'SELECT 2'
+  })).toEqual({
+    id: '9', messageId: 'm1', at: 1717200000000, user: 'ana', db: 'cars', rating: -1, question: 'top models',
+    sql: 'SELECT 1', reason: 'wrong_sql', comment: 'fails', correctedSql: 'SELECT 2', status: 'open'
+  });
+});
+
+test('queue and promotion calls', async () => {
+  const get = jest.spyOn(api, 'get').mockResolvedValue({ data: { items: [{ id: 'a', ts: 1 }, { id: 'b', ts: 2 }], total: 7 } });
+  const page = await fetchFeedbackQueue({ status: 'all', db: 'cars' });
+  expect(get).toHaveBeenCalledWith('/feedback', expect.objectContaining({ params: { rating: -1, db: 'cars', offset: 0, limit: 50 } }));
+  expect([page.items.map(f => f.id), page.total]).toEqual([['b', 'a'], 7]);
+
+  const post = jest.spyOn(api, 'post').mockResolvedValue({ data: {} });
+  const patch = jest.spyOn(api, 'patch').mockResolvedValue({ data: {} });
+  await promoteCorrection({ id: 'a/1', db: 'cars' }, { question: ' top models ', sql: 'SELECT 2\n' });
+  expect(post).toHaveBeenCalledWith('/examples', { db: 'cars', question: 'top models', sql: 'SELECT 2', source_feedback_id: 'a/1' }, expect.anything());
+  expect(patch).toHaveBeenCalledWith('/feedback/a%2F1', { status: 'promoted' }, expect.anything());
+});
@@ -0,0 +1,207 @@
+// src/fileSources.js
+// Files a tenant can be created from: CSV, Excel workbooks, JSON / NDJSON and
+// Parquet. Each file has parts that can become tables (a CSV is one part, a
+// workbook has one per sheet, a JSON document one per array of records) and
+// every non-CSV part is converted client-side into the UTF-8, comma-separated
+// CSV (header row = final column names) that the upload endpoint takes.
+
+import * as XLSX from 'xlsx';
+import { readBlob, readFileHead, decodeBytes, detectEncoding, analyzeCsv, analyzeRows } from './csvIngest';
+import { toDelimited } from './exporters';
+
+export const SOURCE_KINDS = {
+  csv: { label: 'CSV', ext: ['csv', 'tsv', 'txt'] },
+  xlsx: { label: 'Excel', ext: ['xlsx', 'xlsm', 'xls', 'ods'] },
+  json: { label: 'JSON', ext: ['json'] },
+  ndjson: { label: 'NDJSON', ext: ['ndjson', 'jsonl'] },
+  parquet: { label: 'Parquet', ext: ['parquet', 'pq'] }
+};
+export const SOURCE_ACCEPT = Object.values(SOURCE_KINDS).flatMap(k => k.ext.map(e => `.${e}`)).join(',');
+
+// Extension first: browsers report CSVs as anything from text/plain to application/vnd.ms-excel
+export function sourceKind(name, type = '') {
+  const ext = (String(name || '').match(/\.([^.]+)$/)?.[1] || '').toLowerCase();
+  const hit = Object.entries(SOURCE_KINDS).find(([, k]) => k.ext.includes(ext));
+  if (hit) return hit[0];
+  if (/ndjson|jsonl/.test(type)) return 'ndjson';
+  if (/json/.test(type)) return 'json';
+  if (/spreadsheetml|opendocument\.spreadsheet/.test(type)) return 'xlsx';
+  if (/csv|text\/plain/.test(type)) return 'csv';
+  return null;
+}
+
+/* ───────── Records → rows ───────── */
+const isPlainObject = (v) => Object.prototype.toString.call(v) === '[object Object]';
+
+const isoDate = (d) => {
+  const s = d.toISOString();
+  return s.endsWith('T00:00:00.000Z') ? s.slice(0, 10) : s.replace('.000Z', 'Z');
+};
+
+// Cell text for the CSV: dates as ISO, nested values as JSON, 64-bit ints exactly
+export function cellString(v) {
+  if (v === null || v === undefined) return '';
+  if (v instanceof Date) return Number.isNaN(v.getTime()) ? '' : isoDate(v);
+  if (typeof v === 'bigint') return v.toString();
+  if (typeof v === 'object') return JSON.stringify(v, (_k, x) => (typeof x === 'bigint' ? x.toString() : x));
+  return String(v);
+}
+
+// { a: { b: 1 } } → { 'a.b': 1 }; arrays stay whole (become JSON cells)
+export function flattenRecord(rec, prefix = '', out = {}) {
+  Object.entries(rec || {}).forEach(([k, v]) => {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (isPlainObject(v) && Object.keys(v).length) flattenRecord(v, key, out);
+    else out[key] = v;
+  });
+  return out;
+}
+
+/**
+ * Rows (arrays of strings) for a list of records. Objects give a header row
+ * of their keys in first-seen order (`fixedHeader`); arrays are rows as-is;
+ * scalars become a single `value` column.
+ */
+export function recordsToRows(records) {
+  const list = Array.isArray(records) ? records : [];
+  if (list.length && list.every(Array.isArray)) return { rows: list.map(r => r.map(cellString)), fixedHeader: false };
+  if (list.some(isPlainObject)) {
+    const flat = list.map(r => (isPlainObject(r) ? flattenRecord(r) : { value: r }));
+    const keys = [];
+    const seen = new Set();
+    flat.forEach(r => Object.keys(r).forEach(k => { if (!seen.has(k)) { seen.add(k); keys.push(k); } }));
+    return { rows: [keys, ...flat.map(r => keys.map(k => cellString(r[k])))], fixedHeader: true };
+  }
+  return { rows: [['value'], ...list.map(v => [cellString(v)])], fixedHeader: true };
+}
+
+/* ───────── JSON paths ───────── */
+export const getPath = (value, path) => (path ? path.split('.').reduce((v, k) => (v == null ? v : v[k]), value) : value);
+
+// Dotted paths to the arrays of records in a JSON document ('' = the document itself)
+export function findArrayPaths(value, path = '', depth = 0, out = []) {
+  if (Array.isArray(value)) {
+    if (value.some(v => v !== null && typeof v === 'object')) out.push({ path, count: value.length });
+    return out;
+  }
+  if (isPlainObject(value) && depth < 6) {
+    Object.entries(value).forEach(([k, v]) => findArrayPaths(v, path ? `${path}.${k}` : k, depth + 1, out));
+  }
+  return out;
+}
+
+function parseNdjson(text) {
+  const records = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    try { records.push(JSON.parse(line)); } catch { throw new Error(`Line ${i + 1} is not valid JSON`); }
+  });
+  return records;
+}
+
+/* ───────── Loading ───────── */
+const sheetRowCount = (sheet) => {
+  if (!sheet?.['!ref']) return 0;
+  const r = XLSX.utils.decode_range(sheet['!ref']);
+  return r.e.r - r.s.r + 1;
+};
+
+// Untrusted workbooks are parsed in a Worker (xlsxReader.js); in place only
+// where there are no Workers (jsdom in tests)
+async function readWorkbook(buffer) {
+  if (typeof Worker === 'undefined') return XLSX.read(buffer, { type: 'array', cellDates: true });
+  const [{ parseWorkbook }, { createXlsxWorker }] = await Promise.all([import('./xlsxReader'), import('./xlsxWorkerFactory')]);
+  return parseWorkbook(buffer, createXlsxWorker);
+}
+
+/**
+ * Read a file into a source: { id, file, name, kind, parts: [{ id, label, count }] }
+ * plus what its parts are read from (CSV head bytes, workbook, JSON value or
+ * records). Parquet support is loaded on first use.
+ */
+export async function loadSource(file) {
+  const kind = sourceKind(file.name, file.type);
+  if (!kind) throw new Error(`${file.name}: unsupported file type (use ${SOURCE_ACCEPT})`);
+  const base = { id: `${file.name}:${file.size}:${file.lastModified || 0}`, file, name: file.name, kind };
+
+  if (kind === 'csv') return { ...base, head: await readFileHead(file), parts: [{ id: '', label: file.name, count: null }] };
+
+  const buffer = await readBlob(file);
+  if (kind === 'xlsx') {
+    let workbook;
+    try { workbook = await readWorkbook(buffer); } catch (e) { throw new Error(`${file.name}: ${e.message || 'not a readable workbook'}`); }
+    const parts = workbook.SheetNames.map(n => ({ id: n, label: n, count: sheetRowCount(workbook.Sheets[n]) })).filter(p => p.count > 0);
+    if (!parts.length) throw new Error(`${file.name}: the workbook has no data`);
+    return { ...base, workbook, parts };
+  }
+  if (kind === 'parquet') {
+    const { parquetReadObjects } = await import('hyparquet');
+    let records;
+    try { records = await parquetReadObjects({ file: buffer }); } catch (e) { throw new Error(`${file.name}: ${e.message || 'not a readable Parquet file'}`); }
+    return { ...base, records, parts: [{ id: '', label: file.name, count: records.length }] };
+  }
+
+  const bytes = new Uint8Array(buffer);
+  const text = decodeBytes(bytes, detectEncoding(bytes));
+  if (kind === 'ndjson') {
+    const records = parseNdjson(text);
+    return { ...base, records, parts: [{ id: '', label: file.name, count: records.length }] };
+  }
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (e) {
+    // Plenty of ".json" exports are really one object per line
+    try { value = parseNdjson(text); } catch { throw new Error(`${file.name}: not valid JSON (${e.message})`); }
+  }
+  const paths = findArrayPaths(value);
+  if (!paths.length) throw new Error(`${file.name}: no array of records found`);
+  return { ...base, value, parts: paths.map(p => ({ id: p.path, label: p.path || '(top level)', count: p.count })) };
+}
+
+// Rows of one part of a non-CSV source, cached per source
+const rowCache = new WeakMap();
+export function partRows(source, partId) {
+  if (!rowCache.has(source)) rowCache.set(source, new Map());
+  const cache = rowCache.get(source);
+  if (!cache.has(partId)) {
+    let out;
+    if (source.kind === 'xlsx') {
+      const raw = XLSX.utils.sheet_to_json(source.workbook.Sheets[partId], { header: 1, raw: true, defval: '', blankrows: false });
+      out = { rows: raw.map(r => r.map(cellString)), fixedHeader: false };
+    } else if (source.kind === 'json') {
+      out = recordsToRows(getPath(source.value, partId));
+    } else {
+      out = recordsToRows(source.records);
+    }
+    cache.set(partId, out);
+  }
+  return cache.get(partId);
+}
+
+/**
+ * Preview/analysis of one part, like analyzeCsv: { hasHeader, columns, rows,
+ * fixedHeader } plus encoding/delimiter for CSV. `opts` are the user's
+ * encoding/delimiter/hasHeader overrides.
+ */
+export function analyzePart(source, partId, opts = {}) {
+  if (source.kind === 'csv') return { ...analyzeCsv(source.head.bytes, { ...opts, truncated: source.head.truncated }), fixedHeader: false };
+  const { rows, fixedHeader } = partRows(source, partId);
+  return { ...analyzeRows(rows, { hasHeader: fixedHeader ? true : opts.hasHeader }), fixedHeader };
+}
+
+/**
+ * What to upload for a table and how the server should read it. CSV files go
+ * as they are, described by the detected/overridden encoding and delimiter;
+ * everything else becomes a UTF-8, comma-separated CSV of every row (not just
+ * the preview) with the final column names as its header.
+ */
+export function convertPart(source, partId, analysis, columns) {
+  if (source.kind === 'csv') {
+    return { blob: source.file, delimiter: analysis.delimiter, encoding: analysis.encoding, hasHeader: analysis.hasHeader, converted: false };
+  }
+  const { rows } = partRows(source, partId);
+  const body = analysis.hasHeader ? rows.slice(1) : rows;
+  const text = toDelimited(body, columns.map((_, j) => j), columns.map(c => c.name), ',');
+  return { blob: new Blob([text], { type: 'text/csv' }), delimiter: ',', encoding: 'utf-8', hasHeader: true, converted: true };
+}
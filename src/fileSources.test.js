@@ -0,0 +1,81 @@
+/**
+ * @jest-environment node
+ */
+import { Blob } from 'buffer';
+import * as XLSX from 'xlsx';
+import {
+  sourceKind, cellString, flattenRecord, recordsToRows, findArrayPaths, getPath, loadSource, analyzePart, convertPart
+} from './fileSources';
+
+jest.mock('hyparquet', () => ({
+  parquetReadObjects: jest.fn(async () => [{ id: 9007199254740993n, day: new Date('2024-03-01T00:00:00Z'), tags: ['a', 'b'] }])
+}));
+
+// Jest's node environment has no Blob/File globals; node's Blob plus a name is enough
+global.Blob = Blob;
+const file = (parts, name, type = '') => Object.assign(new Blob(parts, { type }), { name });
+
+test('sourceKind goes by extension, then MIME type', () => {
+  expect(['a.CSV', 'b.xlsx', 'c.json', 'd.jsonl', 'e.parquet', 'f.pdf'].map(n => sourceKind(n)))
+    .toEqual(['csv', 'xlsx', 'json', 'ndjson', 'parquet', null]);
+  expect(sourceKind('export', 'application/json')).toBe('json');
+  expect(sourceKind('export', 'text/csv')).toBe('csv');
+});
+
+test('records flatten into a header row and string cells', () => {
+  expect(flattenRecord({ a: { b: 1, c: { d: 2 } }, e: [1], f: {} })).toEqual({ 'a.b': 1, 'a.c.d': 2, e: [1], f: {} });
+  expect([cellString(null), cellString(12n), cellString(new Date('2024-01-02T00:00:00Z')), cellString({ x: 1n })])
+    .toEqual(['', '12', '2024-01-02', '{"x":"1"}']);
+  expect(recordsToRows([{ id: 1, meta: { ok: true } }, { id: 2, extra: 'x' }])).toEqual({
+    rows: [['id', 'meta.ok', 'extra'], ['1', 'true', ''], ['2', '', 'x']],
+    fixedHeader: true
+  });
+  expect(recordsToRows([['a', 1], ['b', 2]])).toEqual({ rows: [['a', '1'], ['b', '2']], fixedHeader: false });
+});
+
+test('findArrayPaths lists the arrays of records in a document', () => {
+  const doc = { meta: { tags: ['x'] }, data: { users: [{ id: 1 }], orders: [{ id: 2 }, { id: 3 }] } };
+  expect(findArrayPaths(doc)).toEqual([{ path: 'data.users', count: 1 }, { path: 'data.orders', count: 2 }]);
+  expect(findArrayPaths([{ a: 1 }])).toEqual([{ path: '', count: 1 }]);
+  expect(getPath(doc, 'data.orders')).toHaveLength(2);
+});
+
+test('workbook sheets become parts and convert to a normalized CSV', async () => {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['Name', 'Qty'], ['bolt; M4', 3], ['nut', 10]]), 'Stock');
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([]), 'Empty');
+  const src = await loadSource(file([XLSX.write(wb, { type: 'array', bookType: 'xlsx' })], 'stock.xlsx'));
+  expect(src.parts).toEqual([{ id: 'Stock', label: 'Stock', count: 3 }]);
+
+  const a = analyzePart(src, 'Stock');
+  expect(a).toMatchObject({ hasHeader: true, fixedHeader: false });
+  expect(a.columns.map(c => [c.name, c.type])).toEqual([['name', 'text'], ['qty', 'number']]);
+  const out = convertPart(src, 'Stock', a, [{ name: 'item' }, { name: 'qty' }]);
+  expect(out).toMatchObject({ delimiter: ',', encoding: 'utf-8', hasHeader: true, converted: true });
+  expect(await out.blob.text()).toBe('item,qty\r\nbolt; M4,3\r\nnut,10\r\n');
+});
+
+test('JSON, NDJSON and Parquet files load as records', async () => {
+  const json = await loadSource(file([JSON.stringify({ rows: [{ a: 1 }, { a: 2 }] })], 'x.json'));
+  expect(json.parts).toEqual([{ id: 'rows', label: 'rows', count: 2 }]);
+  expect(analyzePart(json, 'rows').rows).toEqual([['1'], ['2']]);
+
+  // A ".json" that is really one object per line still loads
+  const lines = await loadSource(file(['{"a":1}\n\n{"a":2,"b":"x"}\n'], 'y.json'));
+  expect(lines.parts[0]).toMatchObject({ id: '', label: '(top level)', count: 2 });
+  await expect(loadSource(file(['{"a":1}\nnope\n'], 'z.ndjson'))).rejects.toThrow('Line 2 is not valid JSON');
+  await expect(loadSource(file(['{"a":1}'], 'w.json'))).rejects.toThrow('no array of records');
+
+  const pq = await loadSource(file([new Uint8Array([1, 2, 3])], 'big.parquet'));
+  const a = analyzePart(pq, '');
+  expect(a.columns.map(c => c.name)).toEqual(['id', 'day', 'tags']);
+  expect(a.rows).toEqual([['9007199254740993', '2024-03-01', '["a","b"]']]);
+});
+
+test('CSV files are sent as they are with their detected format', async () => {
+  const f = file([new Uint8Array([0x61, 0x3b, 0x62, 0x0a, 0xe9, 0x3b, 0x31, 0x0a])], 'latin.csv');
+  const src = await loadSource(f);
+  const a = analyzePart(src, '', { hasHeader: true });
+  expect(a).toMatchObject({ encoding: 'windows-1252', delimiter: ';', rows: [['é', '1']] });
+  expect(convertPart(src, '', a, a.columns)).toEqual({ blob: f, delimiter: ';', encoding: 'windows-1252', hasHeader: true, converted: false });
+});
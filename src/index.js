@@ -1,13 +1,21 @@
-import React from 'react';
+import React, { useState } from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import OidcCallback from './OidcCallback';
+import { isOidcCallback } from './oidc';
 import reportWebVitals from './reportWebVitals';
 
+// The SSO redirect URI finishes the login first, then becomes the app
+function Root() {
+  const [callback, setCallback] = useState(() => isOidcCallback());
+  return callback ? <OidcCallback onDone={() => setCallback(false)} /> : <App />;
+}
+
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <Root />
   </React.StrictMode>
 );
 
@@ -0,0 +1,159 @@
+// src/metrics.js
+// Ops metrics: date ranges, the /metrics/summary response (totals, per-DB,
+// error types and a success-rate / latency time series) and the failed-query
+// drill-down from /metrics/events. Older backends answer only the flat
+// summary; everything else is optional.
+
+import { api } from './api';
+
+export const METRIC_RANGES = [
+  { id: '24h', label: 'Last 24 hours', ms: 24 * 3600 * 1000 },
+  { id: '7d', label: 'Last 7 days', ms: 7 * 86400 * 1000 },
+  { id: '30d', label: 'Last 30 days', ms: 30 * 86400 * 1000 },
+  { id: '90d', label: 'Last 90 days', ms: 90 * 86400 * 1000 },
+  { id: 'custom', label: 'Custom…', ms: null }
+];
+export const REFRESH_INTERVALS = [
+  { id: 0, label: 'Off' },
+  { id: 30000, label: '30 s' },
+  { id: 60000, label: '1 min' },
+  { id: 300000, label: '5 min' }
+];
+export const EVENTS_PAGE = 25;
+
+/* ───────── Ranges ───────── */
+const DAY = 86400 * 1000;
+
+/**
+ * { from, to, bucket } (ISO strings, 'hour' | 'day') for a range id; custom
+ * ranges take YYYY-MM-DD `start`/`end` (inclusive days, local time).
+ */
+export function rangeBounds(rangeId, now = Date.now(), custom = {}) {
+  let from;
+  let to = now;
+  const preset = METRIC_RANGES.find(r => r.id === rangeId && r.ms);
+  if (preset) {
+    from = now - preset.ms;
+  } else {
+    const start = custom.start ? new Date(`${custom.start}T00:00:00`).getTime() : NaN;
+    const end = custom.end ? new Date(`${custom.end}T00:00:00`).getTime() + DAY : NaN;
+    from = Number.isFinite(start) ? start : now - 7 * DAY;
+    to = Number.isFinite(end) ? Math.min(end, now) : now;
+    if (to <= from) to = from + DAY;
+  }
+  return { from: new Date(from).toISOString(), to: new Date(to).toISOString(), bucket: to - from <= 2 * DAY ? 'hour' : 'day' };
+}
+
+/* ───────── Normalization ───────── */
+const num = (...vs) => {
+  const v = vs.find(x => x !== undefined && x !== null && x !== '');
+  return v === undefined || !Number.isFinite(Number(v)) ? null : Number(v);
+};
+const ts = (v) => {
+  if (v === undefined || v === null || v === '') return null;
+  const t = typeof v === 'number' ? (v < 1e12 ? v * 1000 : v) : Date.parse(v);
+  return Number.isFinite(t) ? t : null;
+};
+const rate = (success, attempts) => (attempts ? Math.round((success / attempts) * 1000) / 10 : null);
+
+// { k: n } or [{ type|name, count }] → [{ type, count }] by count
+const counts = (v) => {
+  const list = Array.isArray(v)
+    ? v.map(x => ({ type: String(x.type ?? x.name ?? x.error_type ?? 'unknown'), count: num(x.count, x.n, x.value) ?? 0 }))
+    : Object.entries(v || {}).map(([type, count]) => ({ type, count: num(count) ?? 0 }));
+  return list.sort((a, b) => b.count - a.count);
+};
+
+/**
+ * {
+ *   totals: { events, attempts, success, successRate, avgMs, p50Ms, p95Ms },
+ *   typeBreakdown, errorTypes: [{ type, count }],
+ *   perDb: [{ db, attempts, success, successRate, p95Ms }],
+ *   series: [{ t, attempts, success, successRate, p50Ms, p95Ms }]   (t in ms, ascending)
+ * }
+ */
+export function normalizeSummary(data) {
+  const d = data || {};
+  const attempts = num(d.sql_attempts, d.attempts);
+  const success = num(d.sql_success, d.success);
+  const perDb = Array.isArray(d.per_db)
+    ? d.per_db.map(x => [x.db ?? x.name, x])
+    : Object.entries(d.per_db || {});
+  const rawSeries = d.timeseries ?? d.series ?? d.time_series ?? [];
+  return {
+    totals: {
+      events: num(d.total_events, d.events),
+      attempts,
+      success,
+      successRate: num(d.sql_success_rate_pct, d.success_rate_pct) ?? rate(success, attempts),
+      avgMs: num(d.avg_exec_ms_success, d.avg_exec_ms),
+      p50Ms: num(d.p50_exec_ms, d.p50_ms, d.latency?.p50),
+      p95Ms: num(d.p95_exec_ms, d.p95_ms, d.latency?.p95)
+    },
+    typeBreakdown: counts(d.type_breakdown),
+    errorTypes: counts(d.error_types ?? d.error_breakdown ?? d.errors_by_type),
+    perDb: perDb.map(([db, x]) => {
+      const a = num(x?.sql_attempts, x?.attempts) ?? 0;
+      const s = num(x?.sql_success, x?.success) ?? 0;
+      return { db: String(db), attempts: a, success: s, successRate: num(x?.sql_success_rate_pct) ?? rate(s, a), p95Ms: num(x?.p95_exec_ms, x?.p95_ms) };
+    }).sort((a, b) => b.attempts - a.attempts),
+    series: (Array.isArray(rawSeries) ? rawSeries : []).map(p => {
+      const a = num(p.sql_attempts, p.attempts) ?? 0;
+      const s = num(p.sql_success, p.success) ?? 0;
+      return {
+        t: ts(p.t ?? p.ts ?? p.bucket ?? p.time ?? p.date),
+        attempts: a,
+        success: s,
+        successRate: num(p.sql_success_rate_pct, p.success_rate_pct) ?? rate(s, a),
+        p50Ms: num(p.p50_exec_ms, p.p50_ms, p.p50),
+        p95Ms: num(p.p95_exec_ms, p.p95_ms, p.p95)
+      };
+    }).filter(p => p.t != null).sort((a, b) => a.t - b.t)
+  };
+}
+
+// One failed query: { id, at, db, question, sql, error, errorType, execMs, user }
+export function normalizeEvent(e, i = 0) {
+  return {
+    id: String(e.id ?? e.event_id ?? i),
+    at: ts(e.ts ?? e.at ?? e.timestamp ?? e.created_at),
+    db: e.db ?? e.database ?? null,
+    question: e.query ?? e.question ?? e.nl_query ?? '',
+    sql: e.sql ?? e.generated_sql ?? '',
+    error: e.error ?? e.error_message ?? e.message ?? '',
+    errorType: e.error_type ?? e.type ?? null,
+    execMs: num(e.exec_ms, e.duration_ms),
+    user: e.user ?? e.username ?? null
+  };
+}
+
+/* ───────── Calls ───────── */
+const scope = ({ from, to, bucket }, db) => ({ from, to, bucket, ...(db ? { db } : {}) });
+
+export async function fetchMetricsSummary(bounds, db, signal) {
+  const { data } = await api.get('/metrics/summary', { params: scope(bounds, db), signal, authPrompt: false });
+  return normalizeSummary(data);
+}
+
+// Failed queries newest first: { events, total } (total null when not reported)
+export async function fetchFailedEvents(bounds, db, { errorType, offset = 0, limit = EVENTS_PAGE, signal } = {}) {
+  const { bucket, ...params } = scope(bounds, db);
+  const { data } = await api.get('/metrics/events', {
+    params: { ...params, status: 'failed', ...(errorType ? { error_type: errorType } : {}), offset, limit },
+    signal,
+    authPrompt: false
+  });
+  const list = Array.isArray(data) ? data : data?.events ?? [];
+  return { events: list.map((e, i) => normalizeEvent(e, offset + i)), total: num(data?.total) };
+}
+
+export const formatMs = (ms) => (ms == null ? '—' : ms >= 10000 ? `${(ms / 1000).toFixed(1)} s` : `${Math.round(ms)} ms`);
+export const formatPct = (p) => (p == null ? '—' : `${Math.round(p * 10) / 10}%`);
+
+// Axis label for a bucket start
+export const formatBucket = (t, bucket) => {
+  const d = new Date(t);
+  return bucket === 'hour'
+    ? d.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })
+    : d.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+};
@@ -0,0 +1,50 @@
+import { rangeBounds, normalizeSummary, normalizeEvent, formatMs, formatPct } from './metrics';
+
+test('rangeBounds: presets end now, custom days are inclusive', () => {
+  const now = Date.parse('2024-06-10T12:00:00Z');
+  expect(rangeBounds('24h', now)).toEqual({ from: '2024-06-09T12:00:00.000Z', to: '2024-06-10T12:00:00.000Z', bucket: 'hour' });
+  expect(rangeBounds('30d', now).bucket).toBe('day');
+  const c = rangeBounds('custom', now, { start: '2024-06-01', end: '2024-06-03' });
+  expect(Date.parse(c.to) - Date.parse(c.from)).toBe(3 * 86400 * 1000);
+  expect(c.bucket).toBe('day');
+  // Custom range running into the future stops at now
+  expect(rangeBounds('custom', now, { start: '2024-06-10', end: '2024-06-20' }).to).toBe('2024-06-10T12:00:00.000Z');
+});
+
+test('normalizeSummary reads the flat summary of older backends', () => {
+  const s = normalizeSummary({
+    total_events: 40, sql_attempts: 30, sql_success: 27, sql_success_rate_pct: 90, avg_exec_ms_success: 120.4,
+    type_breakdown: { query: 30, feedback: 10 },
+    per_db: { demo: { sql_attempts: 20, sql_success: 19 }, cars: { sql_attempts: 10, sql_success: 8 } }
+  });
+  expect(s.totals).toEqual({ events: 40, attempts: 30, success: 27, successRate: 90, avgMs: 120.4, p50Ms: null, p95Ms: null });
+  expect(s.typeBreakdown).toEqual([{ type: 'query', count: 30 }, { type: 'feedback', count: 10 }]);
+  expect(s.perDb).toEqual([
+    { db: 'demo', attempts: 20, success: 19, successRate: 95, p95Ms: null },
+    { db: 'cars', attempts: 10, success: 8, successRate: 80, p95Ms: null }
+  ]);
+  expect([s.series, s.errorTypes]).toEqual([[], []]);
+});
+
+test('normalizeSummary reads time series, percentiles and error types', () => {
+  const s = normalizeSummary({
+    sql_attempts: 4, sql_success: 3, p50_exec_ms: 80, p95_exec_ms: 900,
+    timeseries: [
+      { bucket: '2024-06-02T00:00:00Z', sql_attempts: 1, sql_success: 0, p50_exec_ms: 50, p95_exec_ms: 50 },
+      { bucket: '2024-06-01T00:00:00Z', sql_attempts: 3, sql_success: 3, p50_exec_ms: 90, p95_exec_ms: 950 }
+    ],
+    error_types: [{ type: 'timeout', count: 1 }, { type: 'syntax', count: 3 }]
+  });
+  expect(s.totals).toMatchObject({ successRate: 75, p50Ms: 80, p95Ms: 900 });
+  expect(s.series.map(p => [new Date(p.t).toISOString().slice(0, 10), p.successRate, p.p95Ms])).toEqual([
+    ['2024-06-01', 100, 950],
+    ['2024-06-02', 0, 50]
+  ]);
+  expect(s.errorTypes.map(e => e.type)).toEqual(['syntax', 'timeout']);
+});
+
+test('normalizeEvent and formatters', () => {
+  expect(normalizeEvent({ id: 7, ts: 1717200000, db: 'cars', query: 'top models', sql: 'SELEC 1', error: 'syntax error', error_type: 'syntax', exec_ms: 12 }))
+    .toEqual({ id: '7', at: 1717200000000, db: 'cars', question: 'top models', sql: 'SELEC 1', error: 'syntax error', errorType: 'syntax', execMs: 12, user: null });
+  expect([formatMs(null), formatMs(12.4), formatMs(15300), formatPct(87.456), formatPct(null)]).toEqual(['—', '12 ms', '15.3 s', '87.5%', '—']);
+});
@@ -0,0 +1,234 @@
+// src/oidc.js
+// Single sign-on through an OpenID Connect provider (authorization code flow
+// with PKCE), next to the username/password login. Tokens from the provider go
+// through api.js' setTokens, so the same storage, interceptors and refresh
+// handling apply; refresh tokens are redeemed at the provider's token endpoint.
+//
+// Configuration (window.__OIDC__ wins over the build-time env):
+//   issuer        / REACT_APP_OIDC_ISSUER         required; discovery at <issuer>/.well-known/openid-configuration
+//   clientId      / REACT_APP_OIDC_CLIENT_ID      required; a public client (no secret)
+//   scope         / REACT_APP_OIDC_SCOPE          default 'openid profile email offline_access'
+//   redirectUri   / REACT_APP_OIDC_REDIRECT_URI   default <origin>/auth/callback (host must serve index.html there)
+//   postLogoutRedirectUri / REACT_APP_OIDC_POST_LOGOUT_REDIRECT_URI   default <origin>
+//   audience      / REACT_APP_OIDC_AUDIENCE       optional, for providers that need it for API tokens
+//   label         / REACT_APP_OIDC_LABEL          login button text
+//   useIdToken    / REACT_APP_OIDC_USE_ID_TOKEN=1 send the ID token to the backend instead of the access token
+//   authorizationEndpoint, tokenEndpoint, endSessionEndpoint: skip discovery for these
+
+import { ApiError, normalizeError, setTokens, registerRefresher } from './api';
+import { decodeJwt, normalizeUser, saveUser } from './auth';
+import { claimUserData } from './userData';
+
+export const CALLBACK_PATH = '/auth/callback';
+export const OIDC_PROVIDER = 'oidc';
+
+const PENDING_KEY = 'oidc_pending_v180';
+const ID_TOKEN_KEY = 'oidc_id_token_v180';
+const PENDING_MAX_AGE = 10 * 60 * 1000;
+
+/* ───────── Config ───────── */
+export function oidcConfig() {
+  const w = (typeof window !== 'undefined' && window.__OIDC__) || {};
+  const env = process.env;
+  const issuer = String(w.issuer || env.REACT_APP_OIDC_ISSUER || '').replace(/\/+$/, '');
+  const clientId = w.clientId || env.REACT_APP_OIDC_CLIENT_ID || '';
+  if (!issuer || !clientId) return null;
+  const origin = window.location.origin;
+  return {
+    issuer,
+    clientId,
+    scope: w.scope || env.REACT_APP_OIDC_SCOPE || 'openid profile email offline_access',
+    redirectUri: w.redirectUri || env.REACT_APP_OIDC_REDIRECT_URI || `${origin}${CALLBACK_PATH}`,
+    postLogoutRedirectUri: w.postLogoutRedirectUri || env.REACT_APP_OIDC_POST_LOGOUT_REDIRECT_URI || origin,
+    audience: w.audience || env.REACT_APP_OIDC_AUDIENCE || '',
+    label: w.label || env.REACT_APP_OIDC_LABEL || 'Sign in with SSO',
+    useIdToken: w.useIdToken !== undefined ? Boolean(w.useIdToken) : env.REACT_APP_OIDC_USE_ID_TOKEN === '1',
+    authorizationEndpoint: w.authorizationEndpoint || '',
+    tokenEndpoint: w.tokenEndpoint || '',
+    endSessionEndpoint: w.endSessionEndpoint || ''
+  };
+}
+
+const defaultFetch = (...args) => window.fetch(...args);
+
+// Endpoints from discovery, with explicit config taking precedence; cached per issuer
+const discovered = new Map();
+export async function oidcEndpoints(cfg, fetchImpl = defaultFetch) {
+  if (cfg.authorizationEndpoint && cfg.tokenEndpoint) {
+    return { authorization: cfg.authorizationEndpoint, token: cfg.tokenEndpoint, endSession: cfg.endSessionEndpoint || null };
+  }
+  if (!discovered.has(cfg.issuer)) {
+    const p = fetchImpl(`${cfg.issuer}/.well-known/openid-configuration`, { headers: { Accept: 'application/json' } })
+      .then(async (res) => {
+        if (!res.ok) throw new ApiError(`SSO provider discovery failed (${res.status})`, { status: res.status, code: 'server' });
+        return res.json();
+      });
+    discovered.set(cfg.issuer, p);
+    p.catch(() => discovered.delete(cfg.issuer)); // retry discovery next time
+  }
+  const doc = await discovered.get(cfg.issuer);
+  return {
+    authorization: cfg.authorizationEndpoint || doc.authorization_endpoint,
+    token: cfg.tokenEndpoint || doc.token_endpoint,
+    endSession: cfg.endSessionEndpoint || doc.end_session_endpoint || null
+  };
+}
+
+/* ───────── PKCE ───────── */
+const base64url = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+  .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+export function randomString(bytes = 32) {
+  return base64url(window.crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+// S256 code challenge (needs a secure context: https or localhost)
+export async function pkceChallenge(verifier) {
+  const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return base64url(digest);
+}
+
+/* ───────── Login ───────── */
+/**
+ * Redirect to the provider. `returnTo` is the app path to come back to after
+ * the callback. `navigate` is injectable for tests.
+ */
+export async function startOidcLogin({ returnTo = '/', cfg = oidcConfig(), fetchImpl, navigate = (url) => window.location.assign(url) } = {}) {
+  if (!cfg) throw new ApiError('SSO is not configured', { code: 'bad_request' });
+  const endpoints = await oidcEndpoints(cfg, fetchImpl);
+  const pending = { state: randomString(16), nonce: randomString(16), verifier: randomString(32), returnTo, ts: Date.now() };
+  sessionStorage.setItem(PENDING_KEY, JSON.stringify(pending));
+
+  const url = new URL(endpoints.authorization);
+  const params = {
+    response_type: 'code',
+    client_id: cfg.clientId,
+    redirect_uri: cfg.redirectUri,
+    scope: cfg.scope,
+    state: pending.state,
+    nonce: pending.nonce,
+    code_challenge: await pkceChallenge(pending.verifier),
+    code_challenge_method: 'S256',
+    ...(cfg.audience ? { audience: cfg.audience } : {})
+  };
+  Object.entries(params).forEach(([k, v]) => url.searchParams.set(k, v));
+  navigate(url.toString());
+  return url.toString();
+}
+
+// True when the current page is the provider redirecting back to us
+export function isOidcCallback(loc = window.location, cfg = oidcConfig()) {
+  if (!cfg) return false;
+  let path = CALLBACK_PATH;
+  try { path = new URL(cfg.redirectUri).pathname; } catch { /* keep default */ }
+  const q = new URLSearchParams(loc.search);
+  return loc.pathname === path && (q.has('code') || q.has('error'));
+}
+
+async function tokenRequest(endpoint, form, fetchImpl = defaultFetch) {
+  let res;
+  try {
+    res = await fetchImpl(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body: new URLSearchParams(form).toString()
+    });
+  } catch (e) {
+    throw normalizeError(e);
+  }
+  let data = null;
+  try { data = await res.json(); } catch { /* non-JSON error page */ }
+  if (!res.ok || !data) {
+    const message = data?.error_description || data?.error || `SSO token request failed (${res.status})`;
+    throw new ApiError(message, { status: res.status, code: res.status === 400 || res.status === 401 ? 'unauthorized' : 'server', data });
+  }
+  return data;
+}
+
+// The token the backend expects, plus the refresh token when the provider issued one
+const tokensFrom = (data, cfg) => ({
+  token: (cfg.useIdToken ? data.id_token : data.access_token) || data.access_token || data.id_token,
+  refreshToken: data.refresh_token,
+  provider: OIDC_PROVIDER
+});
+
+// Callback exchanges are shared so a double-mounted callback page redeems the code once
+const exchanges = new Map();
+
+/**
+ * Finish the login from the callback query string: check state, redeem the
+ * code with the PKCE verifier, check the ID token nonce and store the tokens.
+ * Resolves { returnTo }.
+ */
+export function completeOidcLogin(search = window.location.search, { cfg = oidcConfig(), fetchImpl } = {}) {
+  if (!exchanges.has(search)) exchanges.set(search, exchange(search, cfg, fetchImpl));
+  return exchanges.get(search);
+}
+
+async function exchange(search, cfg, fetchImpl) {
+  const q = new URLSearchParams(search);
+  let pending = null;
+  try { pending = JSON.parse(sessionStorage.getItem(PENDING_KEY)); } catch { /* ignore */ }
+  sessionStorage.removeItem(PENDING_KEY);
+
+  if (!cfg) throw new ApiError('SSO is not configured', { code: 'bad_request' });
+  if (q.has('error')) throw new ApiError(q.get('error_description') || q.get('error'), { code: 'unauthorized' });
+  if (!pending || Date.now() - pending.ts > PENDING_MAX_AGE) throw new ApiError('Sign-in expired, please try again', { code: 'unauthorized' });
+  if (q.get('state') !== pending.state) throw new ApiError('Sign-in response did not match the request', { code: 'unauthorized' });
+
+  const endpoints = await oidcEndpoints(cfg, fetchImpl);
+  const data = await tokenRequest(endpoints.token, {
+    grant_type: 'authorization_code',
+    code: q.get('code'),
+    redirect_uri: cfg.redirectUri,
+    client_id: cfg.clientId,
+    code_verifier: pending.verifier
+  }, fetchImpl);
+
+  // Signature is the backend's job; the nonce ties the ID token to this browser's request
+  const idClaims = decodeJwt(data.id_token);
+  if (data.id_token && idClaims?.nonce !== pending.nonce) throw new ApiError('Sign-in response did not match the request', { code: 'unauthorized' });
+
+  const tokens = tokensFrom(data, cfg);
+  if (!tokens.token) throw new ApiError('SSO provider returned no token', { code: 'unauthorized', data });
+  if (data.id_token) localStorage.setItem(ID_TOKEN_KEY, data.id_token);
+  // A different user than the one whose data this browser holds: wipe it before the app loads it
+  await claimUserData(normalizeUser(idClaims, tokens.token));
+  setTokens(tokens);
+  saveUser(normalizeUser(idClaims, tokens.token));
+  return { returnTo: pending.returnTo || '/' };
+}
+
+/* ───────── Refresh & logout ───────── */
+export async function oidcRefresh(refreshToken, { cfg = oidcConfig(), fetchImpl } = {}) {
+  if (!cfg) throw new ApiError('SSO is not configured', { code: 'bad_request' });
+  const endpoints = await oidcEndpoints(cfg, fetchImpl);
+  const data = await tokenRequest(endpoints.token, {
+    grant_type: 'refresh_token',
+    refresh_token: refreshToken,
+    client_id: cfg.clientId
+  }, fetchImpl);
+  if (data.id_token) localStorage.setItem(ID_TOKEN_KEY, data.id_token);
+  const { token, refreshToken: next } = tokensFrom(data, cfg);
+  return { token, refreshToken: next };
+}
+
+registerRefresher(OIDC_PROVIDER, (refreshToken) => oidcRefresh(refreshToken));
+
+/**
+ * Provider logout URL (RP-initiated logout), or null when the provider has no
+ * end_session_endpoint. Forgets the stored ID token either way.
+ */
+export async function oidcLogoutUrl({ cfg = oidcConfig(), fetchImpl } = {}) {
+  const idToken = localStorage.getItem(ID_TOKEN_KEY);
+  localStorage.removeItem(ID_TOKEN_KEY);
+  if (!cfg) return null;
+  let endpoints;
+  try { endpoints = await oidcEndpoints(cfg, fetchImpl); } catch { return null; }
+  if (!endpoints.endSession) return null;
+  const url = new URL(endpoints.endSession);
+  if (idToken) url.searchParams.set('id_token_hint', idToken);
+  url.searchParams.set('client_id', cfg.clientId);
+  url.searchParams.set('post_logout_redirect_uri', cfg.postLogoutRedirectUri);
+  return url.toString();
+}
@@ -0,0 +1,150 @@
+import http from 'http';
+import nodeCrypto from 'crypto';
+import { TextEncoder } from 'util';
+import { getToken, getRefreshToken, getAuthProvider, refreshTokens, clearTokens } from './api';
+import { loadUser } from './auth';
+import { claimUserData, historyKey } from './userData';
+import { startOidcLogin, completeOidcLogin, isOidcCallback, oidcLogoutUrl, pkceChallenge } from './oidc';
+
+// jsdom lacks WebCrypto/TextEncoder; node's are the same APIs browsers have
+window.crypto = nodeCrypto.webcrypto;
+global.TextEncoder = TextEncoder;
+
+const b64url = (v) => Buffer.from(typeof v === 'string' ? v : JSON.stringify(v)).toString('base64url');
+const jwt = (claims) => `${b64url({ alg: 'none' })}.${b64url(claims)}.`;
+
+// Minimal fetch over node's http (no redirect following, like `redirect: 'manual'`)
+const nodeFetch = (url, { method = 'GET', headers = {}, body } = {}) => new Promise((resolve, reject) => {
+  const req = http.request(url, { method, headers }, (res) => {
+    let text = '';
+    res.on('data', c => { text += c; });
+    res.on('end', () => resolve({
+      ok: res.statusCode >= 200 && res.statusCode < 300,
+      status: res.statusCode,
+      headers: { get: (h) => res.headers[h.toLowerCase()] || null },
+      json: async () => JSON.parse(text)
+    }));
+  });
+  req.on('error', reject);
+  req.end(body);
+});
+
+/* ───────── Mock OIDC provider ───────── */
+let server;
+let issuer;
+const codes = new Map(); // code → { challenge, redirectUri, nonce }
+let issued = 0;
+
+function tokenResponse(res, nonce) {
+  issued += 1;
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    access_token: jwt({ sub: 'ana', n: issued, exp: Math.floor(Date.now() / 1000) + 3600 }),
+    id_token: jwt({ sub: 'ana', name: 'Ana', email: 'ana@example.com', roles: ['analyst'], nonce }),
+    refresh_token: `refresh-${issued}`,
+    token_type: 'Bearer',
+    expires_in: 3600
+  }));
+}
+
+beforeAll(done => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, issuer);
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      if (url.pathname === '/.well-known/openid-configuration') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          issuer,
+          authorization_endpoint: `${issuer}/authorize`,
+          token_endpoint: `${issuer}/token`,
+          end_session_endpoint: `${issuer}/logout`
+        }));
+      } else if (url.pathname === '/authorize') {
+        // The user "logs in" and the provider redirects back with a code
+        const q = url.searchParams;
+        const code = `code-${codes.size + 1}`;
+        codes.set(code, { challenge: q.get('code_challenge'), redirectUri: q.get('redirect_uri'), nonce: q.get('nonce') });
+        res.writeHead(302, { Location: `${q.get('redirect_uri')}?code=${code}&state=${q.get('state')}` });
+        res.end();
+      } else if (url.pathname === '/token' && req.method === 'POST') {
+        const f = new URLSearchParams(body);
+        const bad = () => { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'invalid_grant', error_description: 'Invalid grant' })); };
+        if (f.get('grant_type') === 'refresh_token') {
+          if (!/^refresh-/.test(f.get('refresh_token') || '')) return bad();
+          return tokenResponse(res);
+        }
+        const entry = codes.get(f.get('code'));
+        codes.delete(f.get('code')); // single use
+        const challenge = nodeCrypto.createHash('sha256').update(f.get('code_verifier') || '').digest('base64url');
+        if (!entry || entry.challenge !== challenge || entry.redirectUri !== f.get('redirect_uri')) return bad();
+        tokenResponse(res, entry.nonce);
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    issuer = `http://127.0.0.1:${server.address().port}`;
+    window.__OIDC__ = { issuer, clientId: 'gpt-sql-ui', redirectUri: 'http://localhost/auth/callback' };
+    window.fetch = nodeFetch;
+    done();
+  });
+});
+afterAll(() => new Promise(resolve => {
+  delete window.__OIDC__;
+  server.closeAllConnections?.();
+  server.close(() => resolve());
+}));
+beforeEach(() => clearTokens());
+
+// Start a login and follow the provider's redirect back to the callback URL
+async function loginAtProvider(returnTo = '/') {
+  let authorizeUrl = null;
+  await startOidcLogin({ returnTo, navigate: (u) => { authorizeUrl = u; } });
+  const res = await nodeFetch(authorizeUrl);
+  return new URL(res.headers.get('location'));
+}
+
+test('PKCE challenge is the S256 of the verifier', async () => {
+  // RFC 7636 appendix B
+  expect(await pkceChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk')).toBe('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+});
+
+test('code + PKCE login stores tokens through the shared client', async () => {
+  // Bob used this browser before; Ana signing in doesn't inherit his history
+  await claimUserData({ username: 'bob' });
+  localStorage.setItem(historyKey('cars'), '["bob\'s question"]');
+  const callback = await loginAtProvider('/?db=cars');
+  expect(isOidcCallback(callback)).toBe(true);
+  expect(await completeOidcLogin(callback.search)).toEqual({ returnTo: '/?db=cars' });
+  expect(localStorage.getItem(historyKey('cars'))).toBeNull();
+  expect(getAuthProvider()).toBe('oidc');
+  expect(getRefreshToken()).toMatch(/^refresh-/);
+  expect(loadUser()).toMatchObject({ username: 'ana', name: 'Ana', email: 'ana@example.com', roles: ['analyst'] });
+
+  // Refresh goes to the provider's token endpoint, not the backend
+  const before = getToken();
+  expect(await refreshTokens()).not.toBe(before);
+  expect(getAuthProvider()).toBe('oidc');
+
+  const logout = new URL(await oidcLogoutUrl());
+  expect(logout.pathname).toBe('/logout');
+  expect(logout.searchParams.get('id_token_hint')).toBeTruthy();
+});
+
+test('callback is redeemed once and must match the pending request', async () => {
+  const callback = await loginAtProvider();
+  // StrictMode mounts the callback page twice: both share one exchange
+  const [a, b] = await Promise.all([completeOidcLogin(callback.search), completeOidcLogin(callback.search)]);
+  expect(a).toBe(b);
+
+  const forged = await loginAtProvider();
+  forged.searchParams.set('state', 'forged');
+  await expect(completeOidcLogin(forged.search)).rejects.toMatchObject({ code: 'unauthorized' });
+
+  await expect(completeOidcLogin('?error=access_denied&error_description=User%20cancelled'))
+    .rejects.toThrow('User cancelled');
+});
@@ -0,0 +1,176 @@
+// src/queryStream.js
+// Streaming client for POST /query/stream. The server answers with SSE
+// (text/event-stream) or NDJSON chunks; each event moves the query through
+// understanding → sql → executing → rows… → done. A plain JSON answer, or a
+// 404/405/501, means the server doesn't stream and the caller falls back to
+// the one-shot POST /query.
+
+export const STREAM_STAGES = [
+  { id: 'understanding', label: 'Understanding question' },
+  { id: 'sql', label: 'Generated SQL' },
+  { id: 'executing', label: 'Executing' },
+  { id: 'rows', label: 'Receiving rows' },
+  { id: 'done', label: 'Done' }
+];
+
+// Statuses that mean "no streaming endpoint here"
+export const STREAM_UNSUPPORTED = [404, 405, 501];
+
+export const INITIAL_STREAM_STATE = { stage: null, message: '', sql: null, rows: [], rowCount: null, meta: null, reply: null, action: null, error: null };
+
+const parseData = (s) => {
+  try { return JSON.parse(s); } catch { return s; }
+};
+
+// Event type from an explicit SSE `event:` line, else from the payload
+const eventOf = (type, data) => {
+  const d = data && typeof data === 'object' ? data : { message: data };
+  let t = type || d.event || d.type || d.stage || 'message';
+  if (t === 'stage' && d.stage) t = d.stage;
+  return { type: String(t).toLowerCase(), data: d };
+};
+
+/**
+ * Split buffered SSE text into complete events. Returns { events, rest } where
+ * `rest` is an unfinished trailing event to prepend to the next chunk.
+ */
+export function parseSse(buffer) {
+  const blocks = buffer.replace(/\r\n?/g, '\n').split('\n\n');
+  const rest = blocks.pop();
+  const events = [];
+  blocks.forEach(block => {
+    let type = null;
+    const data = [];
+    block.split('\n').forEach(line => {
+      if (!line || line.startsWith(':')) return;
+      const i = line.indexOf(':');
+      const field = i === -1 ? line : line.slice(0, i);
+      const value = i === -1 ? '' : line.slice(i + 1).replace(/^ /, '');
+      if (field === 'event') type = value;
+      else if (field === 'data') data.push(value);
+    });
+    if (data.length || type) events.push(eventOf(type, parseData(data.join('\n'))));
+  });
+  return { events, rest };
+}
+
+// Same contract as parseSse for newline-delimited JSON
+export function parseNdjson(buffer) {
+  const lines = buffer.split('\n');
+  const rest = lines.pop();
+  const events = lines.map(l => l.trim()).filter(Boolean).map(l => eventOf(null, parseData(l)));
+  return { events, rest };
+}
+
+/**
+ * Fold one event into the stream state. Rows arrive in batches and are
+ * appended; `done` may carry the full result for servers that only stream stages.
+ */
+export function applyStreamEvent(state, ev) {
+  const d = ev.data || {};
+  switch (ev.type) {
+    case 'understanding':
+      return { ...state, stage: 'understanding', message: d.message || state.message };
+    case 'sql':
+      return { ...state, stage: 'sql', sql: d.sql ?? state.sql };
+    case 'executing':
+      return { ...state, stage: 'executing' };
+    case 'rows': {
+      const batch = Array.isArray(d.rows) ? d.rows : Array.isArray(d.results) ? d.results : [];
+      const rows = [...state.rows, ...batch];
+      return { ...state, stage: 'rows', rows, rowCount: Math.max(rows.length, d.rowCount ?? 0) };
+    }
+    case 'row_count':
+    case 'rowcount':
+      return { ...state, rowCount: d.rowCount ?? d.count ?? state.rowCount };
+    case 'meta':
+      return { ...state, meta: { ...(state.meta || {}), ...(d.meta || d) } };
+    case 'reply':
+      return { ...state, reply: d.reply ?? d.message ?? null };
+    case 'action':
+      return { ...state, action: d.action || d };
+    case 'error':
+      return { ...state, stage: 'error', error: d.error || d.message || 'Query failed', sql: d.sql ?? state.sql };
+    case 'done': {
+      const rows = Array.isArray(d.results) && d.results.length >= state.rows.length ? d.results : state.rows;
+      return {
+        ...state,
+        stage: 'done',
+        rows,
+        rowCount: d.rowCount ?? rows.length,
+        sql: d.sql ?? state.sql,
+        meta: d.meta ? { ...(state.meta || {}), ...d.meta } : state.meta,
+        reply: d.reply ?? state.reply,
+        action: d.action ?? state.action
+      };
+    }
+    default:
+      return state;
+  }
+}
+
+// One-shot response shape (what POST /query returns) from a finished stream
+export function streamResult(state) {
+  if (state.action) return { action: state.action };
+  if (state.reply) return { reply: state.reply, meta: state.meta };
+  return { sql: state.sql, results: state.rows, meta: state.meta };
+}
+
+/**
+ * POST a query and consume the streamed answer, calling onEvent(ev, state)
+ * after every event. Resolves { streamed: true, state } for a stream, or
+ * { streamed: false, status, data } when the server answered without streaming.
+ * A `done()` on the response (apiFetch's) is called once the body is read.
+ */
+export async function streamQuery(url, body, { token, signal, onEvent, fetchImpl } = {}) {
+  const doFetch = fetchImpl || window.fetch.bind(window);
+  const res = await doFetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream, application/x-ndjson;q=0.9, application/json;q=0.5',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+  try {
+    return await readAnswer(res, onEvent);
+  } finally {
+    res.done?.();
+  }
+}
+
+async function readAnswer(res, onEvent) {
+  const type = res.headers.get('content-type') || '';
+  const isSse = type.includes('text/event-stream');
+  const isNdjson = /ndjson|jsonl/.test(type);
+  if (!res.ok || (!isSse && !isNdjson) || !res.body?.getReader) {
+    let data = null;
+    try { data = await res.json(); } catch { /* empty or non-JSON body */ }
+    return { streamed: false, status: res.status, data };
+  }
+
+  const parse = isSse ? parseSse : parseNdjson;
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let state = INITIAL_STREAM_STATE;
+  let buffer = '';
+  const feed = (events) => events.forEach(ev => {
+    state = applyStreamEvent(state, ev);
+    onEvent?.(ev, state);
+  });
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const { events, rest } = parse(buffer);
+    buffer = rest;
+    feed(events);
+  }
+  buffer += decoder.decode();
+  // Flush a final event that wasn't followed by a separator
+  if (buffer.trim()) feed(parse(`${buffer}${isSse ? '\n\n' : '\n'}`).events);
+  return { streamed: true, state };
+}
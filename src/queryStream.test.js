@@ -0,0 +1,108 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import { parseSse, parseNdjson, applyStreamEvent, streamQuery, streamResult, INITIAL_STREAM_STATE } from './queryStream';
+
+// Minimal fetch over node's http so the client reads a real chunked response
+const nodeFetch = (url, { method, headers, body }) => new Promise((resolve, reject) => {
+  const req = http.request(url, { method, headers }, (res) => {
+    const it = res[Symbol.asyncIterator]();
+    resolve({
+      ok: res.statusCode >= 200 && res.statusCode < 300,
+      status: res.statusCode,
+      headers: { get: (h) => res.headers[h.toLowerCase()] || null },
+      body: { getReader: () => ({ read: () => it.next() }) },
+      json: async () => {
+        let text = '';
+        for (let r = await it.next(); !r.done; r = await it.next()) text += r.value;
+        return JSON.parse(text);
+      }
+    });
+  });
+  req.on('error', reject);
+  req.end(body);
+});
+
+let server;
+let base;
+const routes = {};
+beforeAll(done => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => (routes[req.url] || ((_q, r) => { r.writeHead(404); r.end(); }))(JSON.parse(body || '{}'), res));
+  });
+  server.listen(0, '127.0.0.1', () => {
+    base = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+afterAll(() => new Promise(resolve => {
+  server.closeAllConnections?.();
+  server.close(() => resolve());
+}));
+
+const later = (ms) => new Promise(r => setTimeout(r, ms));
+
+test('parseSse keeps an unfinished event for the next chunk', () => {
+  const { events, rest } = parseSse('event: sql\ndata: {"sql":"SELECT 1"}\n\n: ping\n\ndata: {"stage":"exec');
+  expect(events).toEqual([{ type: 'sql', data: { sql: 'SELECT 1' } }]);
+  expect(rest).toBe('data: {"stage":"exec');
+  expect(parseNdjson('{"type":"executing"}\n{"type":"ro').events).toEqual([{ type: 'executing', data: { type: 'executing' } }]);
+});
+
+test('applyStreamEvent appends row batches and finishes on done', () => {
+  let s = INITIAL_STREAM_STATE;
+  s = applyStreamEvent(s, { type: 'rows', data: { rows: [{ a: 1 }] } });
+  s = applyStreamEvent(s, { type: 'rows', data: { rows: [{ a: 2 }] } });
+  s = applyStreamEvent(s, { type: 'done', data: { meta: { title: 'T' } } });
+  expect(s).toMatchObject({ stage: 'done', rowCount: 2, meta: { title: 'T' } });
+  expect(streamResult(s)).toEqual({ sql: null, results: [{ a: 1 }, { a: 2 }], meta: { title: 'T' } });
+});
+
+test('streams SSE stages and rows from a chunked response', async () => {
+  routes['/sse'] = async (q, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(`event: understanding\ndata: {"message":"${q.query}"}\n\n`);
+    await later(5);
+    res.write('event: sql\ndata: {"sql":"SELECT *');
+    await later(5);
+    res.write(' FROM sales"}\n\nevent: executing\ndata: {}\n\n');
+    res.write('event: rows\ndata: {"rows":[{"n":1}]}\n\n');
+    await later(5);
+    res.end('event: rows\ndata: {"rows":[{"n":2}]}\n\nevent: done\ndata: {"rowCount":2}');
+  };
+  const seen = [];
+  const { streamed, state } = await streamQuery(`${base}/sse`, { query: 'sales' }, {
+    fetchImpl: nodeFetch,
+    onEvent: (ev, st) => seen.push(`${ev.type}:${st.rows.length}`)
+  });
+  expect(streamed).toBe(true);
+  expect(seen).toEqual(['understanding:0', 'sql:0', 'executing:0', 'rows:1', 'rows:2', 'done:2']);
+  expect(state).toMatchObject({ stage: 'done', sql: 'SELECT * FROM sales', message: 'sales', rowCount: 2 });
+});
+
+test('NDJSON streams and error events', async () => {
+  routes['/ndjson'] = (_q, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+    res.write('{"stage":"sql","sql":"SELECT x"}\n');
+    res.end('{"type":"error","error":"no such column: x"}\n');
+  };
+  // apiFetch's done() hook runs once the body has been read
+  const done = jest.fn();
+  const { state } = await streamQuery(`${base}/ndjson`, {}, { fetchImpl: async (...a) => Object.assign(await nodeFetch(...a), { done }) });
+  expect(state).toMatchObject({ stage: 'error', error: 'no such column: x', sql: 'SELECT x' });
+  expect(done).toHaveBeenCalledTimes(1);
+});
+
+test('non-streaming servers are reported for fallback', async () => {
+  routes['/json'] = (_q, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ sql: 'SELECT 1', results: [{ a: 1 }] }));
+  };
+  expect(await streamQuery(`${base}/json`, {}, { fetchImpl: nodeFetch }))
+    .toEqual({ streamed: false, status: 200, data: { sql: 'SELECT 1', results: [{ a: 1 }] } });
+  expect(await streamQuery(`${base}/missing`, {}, { fetchImpl: nodeFetch }))
+    .toEqual({ streamed: false, status: 404, data: null });
+});
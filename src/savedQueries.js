@@ -0,0 +1,201 @@
+// src/savedQueries.js
+// Saved-query library: curated questions and SQL per database with title,
+// description, tags, owner and sharing, stored by the backend under
+// /saved_queries. Saved text may contain typed {{parameters}} that are filled
+// in through a generated form; values are validated and inlined as SQL
+// literals (a date range `{{period}}` is used as {{period.start}} /
+// {{period.end}}).
+
+import { api } from './api';
+
+export const PARAM_TYPES = [
+  { id: 'text', label: 'Text' },
+  { id: 'number', label: 'Number' },
+  { id: 'date', label: 'Date' },
+  { id: 'daterange', label: 'Date range' },
+  { id: 'select', label: 'Choice' }
+];
+export const SAVED_KINDS = [
+  { id: 'sql', label: 'SQL' },
+  { id: 'question', label: 'Question' }
+];
+
+const PARAM_RE = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)(?:\.(start|end))?\s*\}\}/g;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/* ───────── Parameters ───────── */
+// Parameter names used in a text, in order of first use
+export function paramNames(text) {
+  const out = [];
+  for (const m of String(text || '').matchAll(PARAM_RE)) if (!out.includes(m[1])) out.push(m[1]);
+  return out;
+}
+
+const labelFor = (name) => name.replace(/_/g, ' ').replace(/^./, c => c.toUpperCase());
+
+// Guesses a type from the name the first time a parameter appears
+const guessType = (name, text) => {
+  if (new RegExp(`\\{\\{\\s*${name}\\.(start|end)`).test(text)) return 'daterange';
+  if (/(^|_)(date|day|from|to|since|until)($|_)/i.test(name)) return 'date';
+  if (/(^|_)(n|count|limit|min|max|top|amount|qty)($|_)/i.test(name)) return 'number';
+  return 'text';
+};
+
+/**
+ * Parameter definitions for `text`: existing definitions are kept (in order
+ * of use), new names get a guessed type, unused ones are dropped.
+ */
+export function syncParams(text, params = []) {
+  return paramNames(text).map(name => params.find(p => p.name === name) || {
+    name, label: labelFor(name), type: guessType(name, text), options: [], default: '', required: true
+  });
+}
+
+export function normalizeParam(p) {
+  const type = PARAM_TYPES.some(t => t.id === p?.type) ? p.type : 'text';
+  const options = Array.isArray(p?.options) ? p.options.map(String) : String(p?.options || '').split(',').map(s => s.trim()).filter(Boolean);
+  return {
+    name: String(p?.name || ''),
+    label: String(p?.label || labelFor(String(p?.name || ''))),
+    type,
+    options,
+    default: p?.default ?? '',
+    required: p?.required !== false
+  };
+}
+
+// Initial form values: defaults, date ranges as { start, end }
+export function defaultValues(params) {
+  return Object.fromEntries(params.map(p => [p.name, p.type === 'daterange'
+    ? { start: p.default?.start || '', end: p.default?.end || '' }
+    : p.default ?? '']));
+}
+
+/** { name: message } for values that are missing or don't fit their type */
+export function validateParams(params, values) {
+  const errors = {};
+  params.forEach(p => {
+    const v = values[p.name];
+    if (p.type === 'daterange') {
+      const { start = '', end = '' } = v || {};
+      if (!start || !end) { if (p.required || start || end) errors[p.name] = 'Start and end dates are required'; }
+      else if (!DATE_RE.test(start) || !DATE_RE.test(end)) errors[p.name] = 'Use YYYY-MM-DD';
+      else if (start > end) errors[p.name] = 'Start is after end';
+      return;
+    }
+    const s = String(v ?? '').trim();
+    if (!s) { if (p.required) errors[p.name] = 'Required'; return; }
+    if (p.type === 'number' && !Number.isFinite(Number(s))) errors[p.name] = 'Not a number';
+    if (p.type === 'date' && !DATE_RE.test(s)) errors[p.name] = 'Use YYYY-MM-DD';
+    if (p.type === 'select' && p.options.length && !p.options.includes(s)) errors[p.name] = 'Pick one of the options';
+  });
+  return errors;
+}
+
+const quote = (s) => `'${String(s).replace(/'/g, "''")}'`;
+
+/**
+ * `text` with parameters replaced: SQL literals (numbers bare, everything
+ * else quoted) when `sql` is true, the plain values for a question. Empty
+ * optional values become NULL / nothing.
+ */
+export function fillParams(text, params, values, { sql = true } = {}) {
+  return String(text || '').replace(PARAM_RE, (whole, name, part) => {
+    const p = params.find(x => x.name === name);
+    if (!p) return whole;
+    let v = values[name];
+    if (p.type === 'daterange') v = v?.[part || 'start'];
+    const s = String(v ?? '').trim();
+    if (!sql) return s;
+    if (!s) return 'NULL';
+    return p.type === 'number' ? String(Number(s)) : quote(s);
+  });
+}
+
+/* ───────── Library ───────── */
+const when = (v) => {
+  if (v === undefined || v === null || v === '') return null;
+  const t = typeof v === 'number' ? (v < 1e12 ? v * 1000 : v) : Date.parse(v);
+  return Number.isFinite(t) ? t : null;
+};
+const tagList = (v) => (Array.isArray(v) ? v : String(v || '').split(','))
+  .map(t => String(t).trim().toLowerCase()).filter(Boolean);
+
+/**
+ * { id, db, kind, title, description, tags, owner, shared, question, sql,
+ *   params, createdAt, updatedAt }
+ */
+export function normalizeSavedQuery(raw) {
+  const r = raw || {};
+  const sql = r.sql ?? '';
+  const question = r.question ?? r.query ?? '';
+  const kind = r.kind === 'question' || (!sql && question) ? 'question' : 'sql';
+  return {
+    id: String(r.id ?? ''),
+    db: r.db ?? null,
+    kind,
+    title: String(r.title || r.name || question || 'Untitled'),
+    description: r.description ?? '',
+    tags: Array.from(new Set(tagList(r.tags))),
+    owner: r.owner ?? r.created_by ?? null,
+    shared: Boolean(r.shared ?? r.is_shared ?? false),
+    question,
+    sql,
+    params: (Array.isArray(r.params ?? r.parameters) ? r.params ?? r.parameters : []).map(normalizeParam).filter(p => p.name),
+    createdAt: when(r.created_at ?? r.createdAt),
+    updatedAt: when(r.updated_at ?? r.updatedAt)
+  };
+}
+
+export const savedText = (item) => (item.kind === 'question' ? item.question : item.sql);
+
+// Case-insensitive match on title, tags, description and text; title hits rank first
+export function searchSaved(items, text) {
+  const q = String(text || '').trim().toLowerCase();
+  if (!q) return items;
+  const words = q.split(/\s+/);
+  return items
+    .map(item => {
+      const title = item.title.toLowerCase();
+      const hay = [title, item.tags.join(' '), item.description.toLowerCase(), savedText(item).toLowerCase()].join('\n');
+      if (!words.every(w => hay.includes(w))) return null;
+      return { item, score: (title.startsWith(q) ? 0 : words.every(w => title.includes(w)) ? 1 : 2) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.score - b.score || a.item.title.localeCompare(b.item.title))
+    .map(x => x.item);
+}
+
+// Body for create/update: only the text matching the kind, params synced to it
+export function savedQueryPayload(draft, db) {
+  const text = draft.kind === 'question' ? draft.question : draft.sql;
+  return {
+    db,
+    kind: draft.kind,
+    title: draft.title.trim(),
+    description: draft.description.trim(),
+    tags: Array.from(new Set(tagList(draft.tags))),
+    shared: Boolean(draft.shared),
+    question: draft.question.trim() || null,
+    sql: draft.kind === 'sql' ? draft.sql.trim() : null,
+    params: syncParams(text, draft.params).map(p => ({ ...p, options: p.type === 'select' ? p.options : [] }))
+  };
+}
+
+/* ───────── Calls ───────── */
+const path = (id) => `/saved_queries/${encodeURIComponent(id)}`;
+
+export async function fetchSavedQueries(db) {
+  const { data } = await api.get('/saved_queries', { params: { db }, authPrompt: false });
+  const list = Array.isArray(data) ? data : data?.items ?? data?.saved_queries ?? [];
+  return list.map(normalizeSavedQuery).filter(q => q.id).sort((a, b) => a.title.localeCompare(b.title));
+}
+
+export async function saveSavedQuery(id, payload) {
+  const { data } = id
+    ? await api.patch(path(id), payload, { authPrompt: false, retry: false })
+    : await api.post('/saved_queries', payload, { authPrompt: false, retry: false });
+  return normalizeSavedQuery({ ...payload, id, ...(data?.item || data || {}) });
+}
+
+export const deleteSavedQuery = (id) => api.delete(path(id), { authPrompt: false, retry: false });
@@ -0,0 +1,55 @@
+import {
+  paramNames, syncParams, validateParams, fillParams, defaultValues, normalizeSavedQuery, searchSaved, savedQueryPayload
+} from './savedQueries';
+
+const sql = "SELECT * FROM sales WHERE region = {{region}} AND day BETWEEN {{period.start}} AND {{period.end}} LIMIT {{top_n}}";
+
+test('parameters are found in order and typed from their name and use', () => {
+  expect(paramNames(sql)).toEqual(['region', 'period', 'top_n']);
+  const params = syncParams(sql);
+  expect(params.map(p => [p.name, p.label, p.type])).toEqual([
+    ['region', 'Region', 'text'], ['period', 'Period', 'daterange'], ['top_n', 'Top n', 'number']
+  ]);
+  // Existing definitions survive edits; unused ones go
+  const edited = syncParams('SELECT {{region}}, {{branch}}', [{ ...params[0], type: 'select', options: ['North'] }]);
+  expect(edited.map(p => [p.name, p.type])).toEqual([['region', 'select'], ['branch', 'text']]);
+});
+
+test('values are validated and inlined as SQL literals', () => {
+  const params = syncParams(sql).map(p => (p.name === 'region' ? { ...p, type: 'select', options: ['North', "O'Hare"] } : p));
+  const empty = defaultValues(params);
+  expect(empty).toEqual({ region: '', period: { start: '', end: '' }, top_n: '' });
+  expect(validateParams(params, empty)).toEqual({ region: 'Required', period: 'Start and end dates are required', top_n: 'Required' });
+  expect(validateParams(params, { region: 'West', period: { start: '2024-02-01', end: '2024-01-01' }, top_n: 'ten' }))
+    .toEqual({ region: 'Pick one of the options', period: 'Start is after end', top_n: 'Not a number' });
+
+  const values = { region: "O'Hare", period: { start: '2024-01-01', end: '2024-01-31' }, top_n: '10' };
+  expect(validateParams(params, values)).toEqual({});
+  expect(fillParams(sql, params, values)).toBe(
+    "SELECT * FROM sales WHERE region = 'O''Hare' AND day BETWEEN '2024-01-01' AND '2024-01-31' LIMIT 10"
+  );
+  expect(fillParams('Sales in {{region}}', params, values, { sql: false })).toBe("Sales in O'Hare");
+  expect(fillParams('x = {{other}}', params, values)).toBe('x = {{other}}');
+});
+
+test('normalizeSavedQuery and search', () => {
+  const a = normalizeSavedQuery({ id: 1, title: 'Weekly revenue', tags: 'Finance, weekly', sql: 'SELECT 1', owner: 'ana', shared: 1 });
+  const b = normalizeSavedQuery({ id: 2, name: 'Top branches', question: 'top branches by revenue', tags: ['ops'] });
+  expect(a).toMatchObject({ id: '1', kind: 'sql', tags: ['finance', 'weekly'], owner: 'ana', shared: true, params: [] });
+  expect(b).toMatchObject({ id: '2', kind: 'question', title: 'Top branches', question: 'top branches by revenue' });
+  expect(searchSaved([a, b], 'revenue').map(q => q.id)).toEqual(['1', '2']);
+  expect(searchSaved([a, b], 'top').map(q => q.id)).toEqual(['2']);
+  expect(searchSaved([a, b], 'finance weekly').map(q => q.id)).toEqual(['1']);
+});
+
+test('savedQueryPayload keeps the text of its kind and params in sync with it', () => {
+  const draft = {
+    kind: 'sql', title: ' By region ', description: '', tags: 'a, b, a', shared: false, question: '',
+    sql: 'SELECT * FROM t WHERE r = {{region}}', params: [{ name: 'gone', type: 'text' }]
+  };
+  expect(savedQueryPayload(draft, 'cars')).toEqual({
+    db: 'cars', kind: 'sql', title: 'By region', description: '', tags: ['a', 'b'], shared: false, question: null,
+    sql: 'SELECT * FROM t WHERE r = {{region}}',
+    params: [{ name: 'region', label: 'Region', type: 'text', options: [], default: '', required: true }]
+  });
+});
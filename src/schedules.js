@@ -0,0 +1,340 @@
+// src/schedules.js
+// Scheduled reports: a saved SQL query run by the backend daily, weekly or on
+// a cron expression, with alert rules checked against each run's result
+// (thresholds, or a % change against the previous run). Runs and alerts land
+// in the notification inbox. Cron handling here is for validation and the
+// "next runs" preview only; the backend owns the actual schedule.
+
+import { api } from './api';
+
+export const FREQUENCIES = [
+  { id: 'daily', label: 'Daily' },
+  { id: 'weekly', label: 'Weekly' },
+  { id: 'cron', label: 'Cron' }
+];
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+export const RULE_AGGREGATES = [
+  { id: 'sum', label: 'Sum of' },
+  { id: 'avg', label: 'Average of' },
+  { id: 'min', label: 'Minimum of' },
+  { id: 'max', label: 'Maximum of' },
+  { id: 'last', label: 'Last value of' },
+  { id: 'count', label: 'Row count' }
+];
+export const RULE_OPERATORS = [
+  { id: 'above', label: 'is above', pct: false },
+  { id: 'below', label: 'is below', pct: false },
+  { id: 'drops_pct', label: 'drops by % vs previous run', pct: true },
+  { id: 'rises_pct', label: 'rises by % vs previous run', pct: true }
+];
+export const NOTIFICATIONS_PAGE = 30;
+export const INBOX_POLL_MS = 60000;
+const SAMPLE_TIMEOUT = 120000;
+
+/* ───────── Cron ───────── */
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const parseField = (text, { name, min, max }) => {
+  const out = new Set();
+  text.split(',').forEach(part => {
+    const m = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`Bad ${name}: “${part}”`);
+    const step = m[4] ? Number(m[4]) : 1;
+    const lo = m[1] === '*' ? min : Number(m[2]);
+    const hi = m[1] === '*' ? max : m[3] !== undefined ? Number(m[3]) : m[4] ? max : lo;
+    if (lo < min || hi > max || lo > hi || step < 1) throw new Error(`${name} must be ${min}-${max}`);
+    for (let v = lo; v <= hi; v += step) out.add(v);
+  });
+  return out;
+};
+
+/**
+ * { minutes, hours, days, months, weekdays, anyDay, anyWeekday } from a
+ * 5-field cron expression; throws an Error with a readable message.
+ */
+export function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error('Cron needs 5 fields: minute hour day-of-month month day-of-week');
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, CRON_FIELDS[i]));
+  if (weekdays.delete(7)) weekdays.add(0);
+  return { minutes, hours, days, months, weekdays, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+}
+
+export function validateCron(expr) {
+  try { parseCron(expr); return ''; } catch (e) { return e.message; }
+}
+
+// Standard cron: when both day fields are restricted, either may match.
+// `d` is a calendar day held in UTC fields (see nextRuns).
+const dayMatches = (c, d) => {
+  const dom = c.days.has(d.getUTCDate());
+  const dow = c.weekdays.has(d.getUTCDay());
+  if (c.anyDay && c.anyWeekday) return true;
+  if (c.anyDay) return dow;
+  if (c.anyWeekday) return dom;
+  return dom || dow;
+};
+
+export function validateTimeZone(tz) {
+  if (!String(tz || '').trim()) return 'Enter a time zone, e.g. Asia/Kuala_Lumpur';
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: tz });
+    return '';
+  } catch {
+    return `Unknown time zone “${tz}”`;
+  }
+}
+
+const zoneFormats = {};
+// Wall-clock fields of instant `t` in `timeZone` (local zone when omitted)
+function wallClock(t, timeZone) {
+  if (!timeZone) {
+    const d = new Date(t);
+    return { y: d.getFullYear(), mo: d.getMonth(), d: d.getDate(), h: d.getHours(), mi: d.getMinutes() };
+  }
+  zoneFormats[timeZone] = zoneFormats[timeZone] || new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+  });
+  const p = Object.fromEntries(zoneFormats[timeZone].formatToParts(t).map(x => [x.type, Number(x.value)]));
+  return { y: p.year, mo: p.month - 1, d: p.day, h: p.hour % 24, mi: p.minute };
+}
+
+// Instant at which the wall clock in `timeZone` shows the given time
+function zonedTime(y, mo, d, h, mi, timeZone) {
+  if (!timeZone) return new Date(y, mo, d, h, mi).getTime();
+  const want = Date.UTC(y, mo, d, h, mi);
+  let t = want;
+  for (let i = 0; i < 2; i += 1) {
+    const w = wallClock(t, timeZone);
+    t += want - Date.UTC(w.y, w.mo, w.d, w.h, w.mi);
+  }
+  return t;
+}
+
+/**
+ * Next `count` run times (ms) strictly after `from`, with the cron fields
+ * read as wall-clock time in `timeZone` (the browser's zone when omitted).
+ */
+export function nextRuns(expr, from = Date.now(), count = 3, timeZone = undefined) {
+  const c = parseCron(expr);
+  const hours = [...c.hours].sort((a, b) => a - b);
+  const minutes = [...c.minutes].sort((a, b) => a - b);
+  const out = [];
+  const today = wallClock(from, timeZone);
+  const day = new Date(Date.UTC(today.y, today.mo, today.d));
+  for (let i = 0; i < 366 * 5 && out.length < count; i += 1, day.setUTCDate(day.getUTCDate() + 1)) {
+    if (!c.months.has(day.getUTCMonth() + 1) || !dayMatches(c, day)) continue;
+    for (const h of hours) {
+      for (const m of minutes) {
+        const t = zonedTime(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), h, m, timeZone);
+        if (t > from && out.length < count) out.push(t);
+      }
+    }
+  }
+  return out;
+}
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// The cron expression a schedule runs on (daily / weekly are sugar for cron)
+export function scheduleCron(s) {
+  if (s.frequency === 'cron') return String(s.cron || '').trim();
+  const [, h = '8', m = '0'] = String(s.time || '').match(TIME_RE) || [];
+  return `${Number(m)} ${Number(h)} * * ${s.frequency === 'weekly' ? Number(s.weekday ?? 1) : '*'}`;
+}
+
+export function describeSchedule(s) {
+  if (s.frequency === 'daily') return `Daily at ${s.time}`;
+  if (s.frequency === 'weekly') return `Weekly on ${WEEKDAYS[Number(s.weekday ?? 1)]} at ${s.time}`;
+  return `Cron ${s.cron}`;
+}
+
+/* ───────── Alert rules ───────── */
+export function describeRule(r) {
+  const agg = r.aggregate === 'count' ? 'row count' : `${r.aggregate}(${r.column || '?'})`;
+  const op = RULE_OPERATORS.find(o => o.id === r.operator);
+  if (op?.pct) return `${agg} ${r.operator === 'drops_pct' ? 'drops' : 'rises'} ${r.value}% vs previous run`;
+  return `${agg} ${op?.label || r.operator} ${r.value}`;
+}
+
+export function validateRule(r) {
+  if (r.aggregate !== 'count' && !r.column) return 'Pick a column';
+  if (!Number.isFinite(Number(r.value)) || String(r.value).trim() === '') return 'Enter a number';
+  if (RULE_OPERATORS.find(o => o.id === r.operator)?.pct && Number(r.value) <= 0) return 'Percentage must be above 0';
+  return '';
+}
+
+// Aggregate of a rule's column over result rows (null when nothing numeric)
+export function ruleValue(r, rows = []) {
+  if (r.aggregate === 'count') return rows.length;
+  const nums = rows.map(row => Number(row?.[r.column])).filter(Number.isFinite);
+  if (!nums.length) return null;
+  switch (r.aggregate) {
+    case 'avg': return nums.reduce((a, b) => a + b, 0) / nums.length;
+    case 'min': return Math.min(...nums);
+    case 'max': return Math.max(...nums);
+    case 'last': return nums[nums.length - 1];
+    default: return nums.reduce((a, b) => a + b, 0);
+  }
+}
+
+/**
+ * { triggered, value, previous, changePct } for `rows`, comparing with the
+ * previous run's rows for the % rules (not triggered without a previous run).
+ * Mirrors the backend's check so rules can be tried before saving.
+ */
+export function evaluateRule(r, rows, previousRows = null) {
+  const value = ruleValue(r, rows);
+  const previous = previousRows ? ruleValue(r, previousRows) : null;
+  const limit = Number(r.value);
+  const changePct = value != null && previous ? ((value - previous) / Math.abs(previous)) * 100 : null;
+  let triggered = false;
+  if (value != null) {
+    if (r.operator === 'above') triggered = value > limit;
+    else if (r.operator === 'below') triggered = value < limit;
+    else if (changePct != null) triggered = r.operator === 'drops_pct' ? changePct <= -limit : changePct >= limit;
+  }
+  return { triggered, value, previous, changePct };
+}
+
+/* ───────── Normalization ───────── */
+const when = (v) => {
+  if (v === undefined || v === null || v === '') return null;
+  const t = typeof v === 'number' ? (v < 1e12 ? v * 1000 : v) : Date.parse(v);
+  return Number.isFinite(t) ? t : null;
+};
+const num = (v) => (v === undefined || v === null || v === '' || !Number.isFinite(Number(v)) ? null : Number(v));
+
+export const normalizeRule = (r = {}, i = 0) => ({
+  id: String(r.id ?? `r${i}`),
+  column: r.column ?? r.metric ?? '',
+  aggregate: RULE_AGGREGATES.some(a => a.id === r.aggregate) ? r.aggregate : 'sum',
+  operator: RULE_OPERATORS.some(o => o.id === r.operator) ? r.operator : 'below',
+  value: r.value ?? r.threshold ?? ''
+});
+
+/**
+ * { id, db, name, savedQueryId, frequency, time, weekday, cron, timezone,
+ *   paramValues, rules, enabled, owner, lastRunAt, nextRunAt, lastStatus }
+ */
+export function normalizeSchedule(raw = {}) {
+  const frequency = FREQUENCIES.some(f => f.id === raw.frequency) ? raw.frequency : raw.cron ? 'cron' : 'daily';
+  return {
+    id: raw.id != null ? String(raw.id) : null,
+    db: raw.db ?? null,
+    name: String(raw.name || raw.title || ''),
+    savedQueryId: raw.saved_query_id != null ? String(raw.saved_query_id) : raw.savedQueryId != null ? String(raw.savedQueryId) : '',
+    frequency,
+    time: TIME_RE.test(raw.time || '') ? raw.time : '08:00',
+    weekday: Number.isInteger(Number(raw.weekday)) && raw.weekday !== null && raw.weekday !== '' ? Number(raw.weekday) % 7 : 1,
+    cron: raw.cron || '0 8 * * 1',
+    timezone: raw.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+    paramValues: raw.param_values ?? raw.paramValues ?? {},
+    rules: (Array.isArray(raw.rules ?? raw.alerts) ? raw.rules ?? raw.alerts : []).map(normalizeRule),
+    enabled: raw.enabled !== false,
+    owner: raw.owner ?? null,
+    lastRunAt: when(raw.last_run_at ?? raw.lastRunAt),
+    nextRunAt: when(raw.next_run_at ?? raw.nextRunAt),
+    lastStatus: raw.last_status ?? raw.lastStatus ?? null
+  };
+}
+
+// Body for create/update; daily/weekly are also sent as cron for simpler backends
+export function schedulePayload(s, db) {
+  return {
+    db,
+    name: s.name.trim(),
+    saved_query_id: s.savedQueryId,
+    frequency: s.frequency,
+    time: s.time,
+    weekday: s.weekday,
+    cron: scheduleCron(s),
+    timezone: s.timezone,
+    param_values: s.paramValues,
+    rules: s.rules.map(({ id, ...r }) => ({ ...r, value: Number(r.value) })),
+    enabled: s.enabled
+  };
+}
+
+// One past run: { id, at, status, rowCount, error, alerts: [description] }
+export const normalizeRun = (r = {}, i = 0) => ({
+  id: String(r.id ?? i),
+  at: when(r.at ?? r.ran_at ?? r.started_at ?? r.created_at),
+  status: String(r.status || (r.error ? 'failed' : 'ok')).toLowerCase(),
+  rowCount: num(r.row_count ?? r.rows),
+  error: r.error ?? null,
+  alerts: (Array.isArray(r.alerts) ? r.alerts : []).map(a => (typeof a === 'string' ? a : a?.message ?? describeRule(normalizeRule(a))))
+});
+
+/**
+ * Inbox entry: { id, kind: 'alert' | 'report' | 'error', title, body, at,
+ *   read, db, scheduleId, value, previous, rows }
+ */
+export function normalizeNotification(n = {}, i = 0) {
+  const kind = ['alert', 'report', 'error'].includes(n.kind ?? n.type) ? (n.kind ?? n.type) : 'report';
+  return {
+    id: String(n.id ?? i),
+    kind,
+    title: String(n.title || n.subject || (kind === 'alert' ? 'Alert' : 'Report')),
+    body: n.body ?? n.message ?? '',
+    at: when(n.at ?? n.created_at ?? n.ts),
+    read: Boolean(n.read ?? n.read_at ?? false),
+    db: n.db ?? null,
+    scheduleId: n.schedule_id != null ? String(n.schedule_id) : null,
+    value: num(n.value),
+    previous: num(n.previous),
+    rows: Array.isArray(n.rows ?? n.preview) ? n.rows ?? n.preview : []
+  };
+}
+
+/* ───────── Calls ───────── */
+const path = (id) => `/schedules/${encodeURIComponent(id)}`;
+
+export async function fetchSchedules(db) {
+  const { data } = await api.get('/schedules', { params: { db }, authPrompt: false });
+  const list = Array.isArray(data) ? data : data?.items ?? data?.schedules ?? [];
+  return list.map(normalizeSchedule).filter(s => s.id).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function saveSchedule(id, payload) {
+  const { data } = id
+    ? await api.patch(path(id), payload, { authPrompt: false, retry: false })
+    : await api.post('/schedules', payload, { authPrompt: false, retry: false });
+  return normalizeSchedule({ ...payload, id, ...(data?.item || data || {}) });
+}
+
+export const deleteSchedule = (id) => api.delete(path(id), { authPrompt: false, retry: false });
+export const runScheduleNow = (id) => api.post(`${path(id)}/run`, {}, { authPrompt: false, retry: false });
+
+// Run the filled-in SQL once from the editor so rules can be checked against real rows
+export async function runSample(sql, db) {
+  const { data } = await api.post('/query/sql', { sql, db }, { timeout: SAMPLE_TIMEOUT });
+  return Array.isArray(data?.results) ? data.results : [];
+}
+
+export async function fetchScheduleRuns(id) {
+  const { data } = await api.get(`${path(id)}/runs`, { authPrompt: false });
+  const list = Array.isArray(data) ? data : data?.runs ?? [];
+  return list.map(normalizeRun).sort((a, b) => (b.at ?? 0) - (a.at ?? 0));
+}
+
+// Newest first: { items, unread, total }
+export async function fetchNotifications({ offset = 0, limit = NOTIFICATIONS_PAGE, unreadOnly = false } = {}) {
+  const { data } = await api.get('/notifications', {
+    params: { offset, limit, ...(unreadOnly ? { unread: 1 } : {}) },
+    authPrompt: false
+  });
+  const list = Array.isArray(data) ? data : data?.items ?? data?.notifications ?? [];
+  const items = list.map((n, i) => normalizeNotification(n, offset + i)).sort((a, b) => (b.at ?? 0) - (a.at ?? 0));
+  return { items, unread: num(data?.unread) ?? items.filter(n => !n.read).length, total: num(data?.total) };
+}
+
+// Mark some notifications read, or all of them when `ids` is omitted
+export const markNotificationsRead = (ids) =>
+  api.post('/notifications/read', ids ? { ids } : { all: true }, { authPrompt: false, retry: false });
@@ -0,0 +1,107 @@
+import { api } from './api';
+import {
+  parseCron, validateCron, validateTimeZone, nextRuns, scheduleCron, describeSchedule, describeRule, validateRule, evaluateRule,
+  normalizeSchedule, schedulePayload, normalizeNotification, fetchNotifications, markNotificationsRead, saveSchedule
+} from './schedules';
+
+afterEach(() => jest.restoreAllMocks());
+
+test('cron expressions are parsed and validated', () => {
+  const c = parseCron('*/15 8-9 * * 1,5');
+  expect([...c.minutes]).toEqual([0, 15, 30, 45]);
+  expect([...c.hours]).toEqual([8, 9]);
+  expect([...c.weekdays]).toEqual([1, 5]);
+  expect(parseCron('0 8 * * 7').weekdays.has(0)).toBe(true);
+  expect(validateCron('0 8 * * 1')).toBe('');
+  expect(validateCron('0 8 * *')).toMatch(/5 fields/);
+  expect(validateCron('61 8 * * *')).toBe('minute must be 0-59');
+  expect(validateCron('0 8 * * mon')).toBe('Bad day of week: “mon”');
+});
+
+test('next runs follow the schedule in local time', () => {
+  const from = new Date(2024, 0, 1, 9, 0).getTime();     // Monday 1 Jan 2024, 09:00
+  const at = (...a) => new Date(...a).getTime();
+  expect(nextRuns('30 8 * * *', from, 2)).toEqual([at(2024, 0, 2, 8, 30), at(2024, 0, 3, 8, 30)]);
+  expect(nextRuns('0 8 * * 1', from, 2)).toEqual([at(2024, 0, 8, 8, 0), at(2024, 0, 15, 8, 0)]);
+  // Both day fields restricted: either matches
+  expect(nextRuns('0 12 15 * 5', from, 3)).toEqual([at(2024, 0, 5, 12), at(2024, 0, 12, 12), at(2024, 0, 15, 12)]);
+  expect(nextRuns('0 0 30 2 *', from)).toEqual([]);
+});
+
+test('next runs are read in the schedule’s time zone', () => {
+  expect(nextRuns('0 8 * * *', Date.UTC(2023, 11, 31, 23), 2, 'Asia/Kuala_Lumpur'))
+    .toEqual([Date.UTC(2024, 0, 1, 0), Date.UTC(2024, 0, 2, 0)]);
+  // 1 Jan 2024 00:00 UTC is still Sunday evening in New York; Monday 09:00 EST is 14:00 UTC
+  expect(nextRuns('0 9 * * 1', Date.UTC(2024, 0, 1), 1, 'America/New_York')).toEqual([Date.UTC(2024, 0, 1, 14)]);
+  // Summer time: 09:00 EDT is 13:00 UTC
+  expect(nextRuns('0 9 1 7 *', Date.UTC(2024, 0, 1), 1, 'America/New_York')).toEqual([Date.UTC(2024, 6, 1, 13)]);
+  expect(validateTimeZone('Europe/London')).toBe('');
+  expect(validateTimeZone('Mars/Olympus')).toBe('Unknown time zone “Mars/Olympus”');
+  expect(validateTimeZone(' ')).toMatch(/Enter a time zone/);
+});
+
+test('daily and weekly schedules are described and sent as cron', () => {
+  const weekly = normalizeSchedule({ frequency: 'weekly', weekday: 1, time: '07:30' });
+  expect(scheduleCron(weekly)).toBe('30 7 * * 1');
+  expect(describeSchedule(weekly)).toBe('Weekly on Monday at 07:30');
+  const daily = normalizeSchedule({ frequency: 'daily', time: '18:05' });
+  expect([scheduleCron(daily), describeSchedule(daily)]).toEqual(['5 18 * * *', 'Daily at 18:05']);
+  expect(describeSchedule(normalizeSchedule({ cron: '0 6 1 * *' }))).toBe('Cron 0 6 1 * *');
+
+  const s = normalizeSchedule({
+    id: 7, name: ' Weekly revenue ', saved_query_id: 3, frequency: 'weekly', weekday: 1, time: '08:00', timezone: 'Asia/Kuala_Lumpur',
+    param_values: { region: 'North' }, rules: [{ id: 'x', metric: 'revenue_rm', operator: 'drops_pct', threshold: '20' }]
+  });
+  expect(schedulePayload(s, 'sales')).toEqual({
+    db: 'sales', name: 'Weekly revenue', saved_query_id: '3', frequency: 'weekly', time: '08:00', weekday: 1, cron: '0 8 * * 1',
+    timezone: 'Asia/Kuala_Lumpur', param_values: { region: 'North' }, enabled: true,
+    rules: [{ column: 'revenue_rm', aggregate: 'sum', operator: 'drops_pct', value: 20 }]
+  });
+});
+
+test('alert rules compare thresholds or the change against the previous run', () => {
+  const rows = [{ week: 'W2', revenue_rm: 700 }, { week: 'W2b', revenue_rm: 100 }];
+  const prev = [{ week: 'W1', revenue_rm: 1000 }];
+  const drop = { column: 'revenue_rm', aggregate: 'sum', operator: 'drops_pct', value: 20 };
+  expect(describeRule(drop)).toBe('sum(revenue_rm) drops 20% vs previous run');
+  expect(evaluateRule(drop, rows, prev)).toEqual({ triggered: true, value: 800, previous: 1000, changePct: -20 });
+  expect(evaluateRule({ ...drop, value: 25 }, rows, prev).triggered).toBe(false);
+  // No previous run yet: nothing to compare with
+  expect(evaluateRule(drop, rows).triggered).toBe(false);
+
+  expect(evaluateRule({ column: 'revenue_rm', aggregate: 'max', operator: 'above', value: 500 }, rows).triggered).toBe(true);
+  expect(evaluateRule({ aggregate: 'count', operator: 'below', value: 3 }, rows)).toMatchObject({ triggered: true, value: 2 });
+  expect(evaluateRule({ column: 'week', aggregate: 'sum', operator: 'above', value: 0 }, rows)).toMatchObject({ triggered: false, value: null });
+
+  expect(validateRule({ aggregate: 'sum', column: '', operator: 'above', value: 1 })).toBe('Pick a column');
+  expect(validateRule({ aggregate: 'count', operator: 'above', value: '' })).toBe('Enter a number');
+  expect(validateRule({ ...drop, value: 0 })).toBe('Percentage must be above 0');
+});
+
+test('notifications are normalized, counted and marked read', async () => {
+  expect(normalizeNotification({ id: 5, type: 'alert', message: 'Revenue dropped', created_at: 1700000000, schedule_id: 2, value: '800' }))
+    .toMatchObject({ id: '5', kind: 'alert', title: 'Alert', body: 'Revenue dropped', at: 1700000000000, scheduleId: '2', value: 800, read: false });
+
+  const get = jest.spyOn(api, 'get').mockResolvedValue({
+    data: { items: [{ id: 1, title: 'Old', at: '2024-01-01T00:00:00Z', read: true }, { id: 2, title: 'New', at: '2024-01-02T00:00:00Z' }], total: 12 }
+  });
+  const page = await fetchNotifications();
+  expect(page.items.map(n => n.title)).toEqual(['New', 'Old']);
+  expect([page.unread, page.total]).toEqual([1, 12]);
+  expect(get).toHaveBeenCalledWith('/notifications', expect.objectContaining({ params: { offset: 0, limit: 30 } }));
+
+  const post = jest.spyOn(api, 'post').mockResolvedValue({ data: {} });
+  await markNotificationsRead(['2']);
+  await markNotificationsRead();
+  expect(post.mock.calls.map(c => [c[0], c[1]])).toEqual([['/notifications/read', { ids: ['2'] }], ['/notifications/read', { all: true }]]);
+});
+
+test('schedules are created with POST and updated with PATCH', async () => {
+  const post = jest.spyOn(api, 'post').mockResolvedValue({ data: { id: 9, next_run_at: '2024-01-08T00:00:00Z' } });
+  const patch = jest.spyOn(api, 'patch').mockResolvedValue({ data: {} });
+  const body = schedulePayload(normalizeSchedule({ name: 'R', saved_query_id: 1 }), 'sales');
+  expect(await saveSchedule(null, body)).toMatchObject({ id: '9', name: 'R', savedQueryId: '1', nextRunAt: Date.parse('2024-01-08T00:00:00Z') });
+  expect(await saveSchedule('9', body)).toMatchObject({ id: '9', name: 'R' });
+  expect(post).toHaveBeenCalledWith('/schedules', body, expect.anything());
+  expect(patch).toHaveBeenCalledWith('/schedules/9', body, expect.anything());
+});
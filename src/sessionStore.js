@@ -0,0 +1,152 @@
+// src/sessionStore.js
+// Saved conversation sessions, one object store keyed by session id and
+// indexed by database. Uses IndexedDB so large result sets don't run into the
+// localStorage quota; falls back to an in-memory map where IndexedDB is not
+// available (private mode in some browsers, jsdom in tests).
+
+const IDB_NAME = 'nl_sql_sessions_v181';
+const IDB_VERSION = 1;
+const STORE = 'sessions';
+
+let dbPromise = null;
+const memory = new Map();
+
+const hasIdb = () => typeof window !== 'undefined' && !!window.indexedDB;
+
+function openDb() {
+  if (!hasIdb()) return Promise.resolve(null);
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve) => {
+    let req;
+    try {
+      req = window.indexedDB.open(IDB_NAME, IDB_VERSION);
+    } catch {
+      resolve(null);
+      return;
+    }
+    req.onupgradeneeded = () => {
+      const idb = req.result;
+      if (!idb.objectStoreNames.contains(STORE)) {
+        const os = idb.createObjectStore(STORE, { keyPath: 'id' });
+        os.createIndex('db', 'db', { unique: false });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    // Blocked/failed open → degrade to memory rather than breaking the app
+    req.onerror = () => resolve(null);
+  });
+  return dbPromise;
+}
+
+function tx(idb, mode, run) {
+  return new Promise((resolve, reject) => {
+    const t = idb.transaction(STORE, mode);
+    const req = run(t.objectStore(STORE));
+    t.oncomplete = () => resolve(req?.result);
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error);
+  });
+}
+
+const byUpdatedDesc = (a, b) => (b.updatedAt || 0) - (a.updatedAt || 0);
+
+// Summaries only (no conversation payload) so the sidebar stays cheap
+const summarize = ({ id, db, name, createdAt, updatedAt, conversation }) => ({
+  id, db, name, createdAt, updatedAt, messageCount: Array.isArray(conversation) ? conversation.length : 0
+});
+
+export async function listSessions(db) {
+  const idb = await openDb();
+  if (!idb) {
+    return Array.from(memory.values()).filter(s => s.db === db).map(summarize).sort(byUpdatedDesc);
+  }
+  const all = await tx(idb, 'readonly', os => os.index('db').getAll(db));
+  return (all || []).map(summarize).sort(byUpdatedDesc);
+}
+
+export async function getSession(id) {
+  const idb = await openDb();
+  if (!idb) {
+    const s = memory.get(id);
+    return s ? structuredCloneSafe(s) : null;
+  }
+  return (await tx(idb, 'readonly', os => os.get(id))) || null;
+}
+
+export async function saveSession(session) {
+  const record = { ...session, updatedAt: Date.now() };
+  if (!record.createdAt) record.createdAt = record.updatedAt;
+  const idb = await openDb();
+  if (!idb) memory.set(record.id, structuredCloneSafe(record));
+  else await tx(idb, 'readwrite', os => os.put(record));
+  return record;
+}
+
+export async function deleteSession(id) {
+  const idb = await openDb();
+  if (!idb) { memory.delete(id); return; }
+  await tx(idb, 'readwrite', os => os.delete(id));
+}
+
+// Autosave entry point: keeps name/createdAt of an existing record
+export async function upsertConversation(id, db, conversation) {
+  const existing = await getSession(id);
+  return saveSession({
+    id,
+    db,
+    name: existing?.name || sessionNameFrom(conversation),
+    createdAt: existing?.createdAt,
+    conversation
+  });
+}
+
+export async function renameSession(id, name) {
+  const s = await getSession(id);
+  if (!s) return null;
+  return saveSession({ ...s, name });
+}
+
+export async function duplicateSession(id, newId) {
+  const s = await getSession(id);
+  if (!s) return null;
+  return saveSession({ ...s, id: newId, name: `${s.name} (copy)`, createdAt: undefined });
+}
+
+// A tenant was renamed: its sessions follow it
+export async function moveSessions(fromDb, toDb) {
+  const list = await listSessions(fromDb);
+  for (const { id } of list) {
+    const s = await getSession(id);
+    if (s) await saveSession({ ...s, db: toDb });
+  }
+  return list.length;
+}
+
+// A tenant was deleted: drop its sessions
+export async function deleteSessionsFor(db) {
+  const list = await listSessions(db);
+  await Promise.all(list.map(s => deleteSession(s.id)));
+  return list.length;
+}
+
+// Logout: drop every session (they hold result rows of the user's databases)
+export async function clearSessions() {
+  const idb = await openDb();
+  if (!idb) { memory.clear(); return; }
+  await tx(idb, 'readwrite', os => os.clear());
+}
+
+// Default title for a new session: the first question, trimmed
+export function sessionNameFrom(conversation) {
+  const first = (conversation || []).find(m => m.type === 'user' && m.content);
+  const text = first ? String(first.content).trim() : '';
+  if (!text) return 'Untitled session';
+  return text.length > 60 ? `${text.slice(0, 57)}…` : text;
+}
+
+function structuredCloneSafe(v) {
+  if (typeof structuredClone === 'function') {
+    try { return structuredClone(v); } catch {}
+  }
+  return JSON.parse(JSON.stringify(v));
+}
@@ -0,0 +1,54 @@
+import {
+  listSessions, getSession, upsertConversation, renameSession, duplicateSession, deleteSession, sessionNameFrom,
+  moveSessions, deleteSessionsFor, clearSessions
+} from './sessionStore';
+
+const convo = [
+  { id: 'u1', type: 'user', content: 'revenue per month by branch' },
+  { id: 'b1', type: 'bot', sql: 'SELECT 1', results: [{ month: 'Jan 2024', revenue_rm: 10 }], chartType: 'line', meta: { db: 'demo' } }
+];
+
+test('saves, restores, renames, duplicates and deletes sessions per db', async () => {
+  await upsertConversation('s1', 'demo', convo);
+  await upsertConversation('s2', 'cars', [{ id: 'u2', type: 'user', content: 'hi' }]);
+
+  const demo = await listSessions('demo');
+  expect(demo).toHaveLength(1);
+  expect(demo[0]).toMatchObject({ id: 's1', name: 'revenue per month by branch', messageCount: 2 });
+
+  const restored = await getSession('s1');
+  expect(restored.conversation[1]).toMatchObject({ sql: 'SELECT 1', chartType: 'line', meta: { db: 'demo' } });
+
+  await renameSession('s1', 'Monthly revenue');
+  await upsertConversation('s1', 'demo', convo);
+  expect((await getSession('s1')).name).toBe('Monthly revenue');
+
+  await duplicateSession('s1', 's3');
+  expect((await listSessions('demo')).map(s => s.name).sort()).toEqual(['Monthly revenue', 'Monthly revenue (copy)']);
+
+  await deleteSession('s1');
+  expect(await getSession('s1')).toBeNull();
+  expect((await getSession('s3')).conversation).toHaveLength(2);
+});
+
+test('sessions follow a renamed tenant and go with a deleted one', async () => {
+  await upsertConversation('m1', 'old_name', convo);
+  await upsertConversation('m2', 'old_name', convo);
+  expect(await moveSessions('old_name', 'new_name')).toBe(2);
+  expect(await listSessions('old_name')).toEqual([]);
+  expect((await getSession('m1')).conversation).toHaveLength(2);
+  expect(await deleteSessionsFor('new_name')).toBe(2);
+  expect(await getSession('m2')).toBeNull();
+});
+
+test('logout clears the sessions of every database', async () => {
+  await upsertConversation('c1', 'demo', convo);
+  await upsertConversation('c2', 'cars', convo);
+  await clearSessions();
+  expect([await listSessions('demo'), await listSessions('cars')]).toEqual([[], []]);
+});
+
+test('sessionNameFrom falls back when there is no user message', () => {
+  expect(sessionNameFrom([])).toBe('Untitled session');
+  expect(sessionNameFrom([{ type: 'user', content: 'x'.repeat(80) }])).toHaveLength(58);
+});
@@ -0,0 +1,122 @@
+// src/tenants.js
+// Tenant (database) administration: the /tenants listing with owner, size and
+// tables, per-tenant upload history, and the rename / delete / export calls.
+// Listings are normalized from the few shapes the backend has used, the same
+// way SchemaExplorer treats /schema_suggestions.
+
+import { api } from './api';
+import { downloadBlob, exportFilename } from './exporters';
+
+export const TENANT_KEY_RE = /^[A-Za-z0-9_-]{2,40}$/;
+export const validateTenantKey = (key) => (TENANT_KEY_RE.test(String(key || '')) ? '' : 'Tenant key: 2-40 chars, letters/numbers/_/-');
+
+export const TENANT_EXPORT_FORMATS = [
+  { id: 'zip', label: 'CSV per table (.zip)', ext: 'zip' },
+  { id: 'sqlite', label: 'SQLite database', ext: 'sqlite' }
+];
+const EXPORT_TIMEOUT = 10 * 60 * 1000;
+
+/* ───────── Normalization ───────── */
+const num = (...vs) => {
+  const v = vs.find(x => x !== undefined && x !== null && x !== '');
+  return v === undefined || !Number.isFinite(Number(v)) ? null : Number(v);
+};
+const when = (v) => {
+  if (v === undefined || v === null || v === '') return null;
+  const t = typeof v === 'number' ? (v < 1e12 ? v * 1000 : v) : Date.parse(v);
+  return Number.isFinite(t) ? t : null;
+};
+
+const normTable = (t) => (typeof t === 'string'
+  ? { name: t, rowCount: null }
+  : { name: String(t?.name ?? t?.table ?? ''), rowCount: num(t?.row_count, t?.rowCount, t?.rows) });
+
+/**
+ * { name, owner, createdAt, updatedAt, sizeBytes, rowCount, tables: [{ name, rowCount }] }
+ * (times in ms). Tables come as names, objects or a { name: rowCount } map.
+ */
+export function normalizeTenant(raw, fallbackName = '') {
+  const r = raw && typeof raw === 'object' ? raw : {};
+  const rawTables = r.tables ?? [];
+  const tables = (Array.isArray(rawTables)
+    ? rawTables.map(normTable)
+    : Object.entries(rawTables).map(([name, v]) => (v && typeof v === 'object' ? normTable({ name, ...v }) : { name, rowCount: num(v) })))
+    .filter(t => t.name);
+  const summed = tables.every(t => t.rowCount != null) && tables.length ? tables.reduce((n, t) => n + t.rowCount, 0) : null;
+  return {
+    name: String(r.name ?? r.tenant ?? r.db ?? r.key ?? fallbackName),
+    owner: r.owner ?? r.created_by ?? r.owner_username ?? null,
+    createdAt: when(r.created_at ?? r.createdAt ?? r.created),
+    updatedAt: when(r.updated_at ?? r.updatedAt ?? r.last_upload_at),
+    sizeBytes: num(r.size_bytes, r.sizeBytes, r.size),
+    rowCount: num(r.row_count, r.rowCount) ?? summed,
+    tables
+  };
+}
+
+/**
+ * Tenants from { tenants: [...] } / [...] / { name: {...} }. Names only
+ * known from /databases (older backends) are listed without metadata.
+ */
+export function normalizeTenants(data, known = []) {
+  const list = data?.tenants ?? data?.databases ?? data;
+  const out = Array.isArray(list)
+    ? list.map(t => (typeof t === 'string' ? normalizeTenant({ name: t }) : normalizeTenant(t)))
+    : list && typeof list === 'object' ? Object.entries(list).map(([name, t]) => normalizeTenant(t, name)) : [];
+  const names = new Set(out.map(t => t.name));
+  known.forEach(name => { if (!names.has(name)) out.push(normalizeTenant({ name })); });
+  return out.filter(t => t.name).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+const uploadStatus = (u) => {
+  const st = String(u.status ?? (u.error ? 'failed' : 'ok')).toLowerCase();
+  return /^(ok|success|succeeded|completed?|done)$/.test(st) ? 'ok' : st;
+};
+
+/**
+ * Upload history, newest first: [{ id, at, user, mode, files, tables,
+ * imported, rejected, status }].
+ */
+export function normalizeUploads(data) {
+  const list = Array.isArray(data) ? data : data?.uploads ?? data?.history ?? [];
+  const names = (v) => (Array.isArray(v) ? v.map(x => (typeof x === 'string' ? x : x?.name ?? x?.table ?? '')).filter(Boolean) : v ? [String(v)] : []);
+  return list.map((u, i) => ({
+    id: String(u.id ?? u.upload_id ?? i),
+    at: when(u.at ?? u.created_at ?? u.uploaded_at ?? u.timestamp),
+    user: u.user ?? u.username ?? u.uploaded_by ?? null,
+    mode: u.mode ?? u.strategy ?? null,
+    files: names(u.files ?? u.file ?? u.filename),
+    tables: names(u.tables ?? u.table),
+    imported: num(u.rows_imported, u.imported),
+    rejected: num(u.rows_rejected, u.rejected),
+    status: uploadStatus(u),
+    error: u.error ?? null
+  })).sort((a, b) => (b.at ?? 0) - (a.at ?? 0));
+}
+
+/* ───────── Calls ───────── */
+const path = (name) => `/tenants/${encodeURIComponent(name)}`;
+
+export async function fetchTenants(known = []) {
+  const { data } = await api.get('/tenants', { authPrompt: false });
+  return normalizeTenants(data, known);
+}
+
+export async function fetchUploadHistory(name) {
+  const { data } = await api.get(`${path(name)}/uploads`, { authPrompt: false });
+  return normalizeUploads(data);
+}
+
+export const renameTenant = (name, to) => api.patch(path(name), { name: to }, { authPrompt: false, retry: false });
+export const deleteTenant = (name) => api.delete(path(name), { authPrompt: false, retry: false });
+
+// Streams the server's export to a download; the server's file name wins when it sends one
+export async function downloadTenant(name, formatId) {
+  const f = TENANT_EXPORT_FORMATS.find(x => x.id === formatId) || TENANT_EXPORT_FORMATS[0];
+  const res = await api.get(`${path(name)}/export`, {
+    params: { format: f.id }, responseType: 'blob', timeout: EXPORT_TIMEOUT, authPrompt: false
+  });
+  const disposition = res.headers?.['content-disposition'] || '';
+  const m = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+  downloadBlob(res.data, m ? decodeURIComponent(m[1]) : exportFilename(name, f.ext));
+}
@@ -0,0 +1,38 @@
+import { normalizeTenant, normalizeTenants, normalizeUploads, validateTenantKey } from './tenants';
+
+test('normalizeTenant reads metadata and the table shapes', () => {
+  expect(normalizeTenant({
+    name: 'cars', owner: 'ana', created_at: '2024-05-01T10:00:00Z', size_bytes: '2048',
+    tables: [{ name: 'sales', row_count: 10 }, { table: 'models', rows: 5 }]
+  })).toEqual({
+    name: 'cars', owner: 'ana', createdAt: Date.parse('2024-05-01T10:00:00Z'), updatedAt: null, sizeBytes: 2048, rowCount: 15,
+    tables: [{ name: 'sales', rowCount: 10 }, { name: 'models', rowCount: 5 }]
+  });
+  expect(normalizeTenant({ created_at: 1714557600, tables: { a: 3, b: { row_count: 4 } } }, 'x'))
+    .toMatchObject({ name: 'x', createdAt: 1714557600000, rowCount: 7, tables: [{ name: 'a', rowCount: 3 }, { name: 'b', rowCount: 4 }] });
+  expect(normalizeTenant({ name: 'y', tables: ['t1', 't2'] })).toMatchObject({ rowCount: null, tables: [{ name: 't1', rowCount: null }, { name: 't2', rowCount: null }] });
+});
+
+test('normalizeTenants lists every known database, sorted', () => {
+  expect(normalizeTenants({ tenants: [{ name: 'shop' }, 'cars'] }, ['demo', 'cars']).map(t => t.name)).toEqual(['cars', 'demo', 'shop']);
+  expect(normalizeTenants({ hr: { owner: 'bob' } }).map(t => [t.name, t.owner])).toEqual([['hr', 'bob']]);
+  expect(normalizeTenants(null, ['demo']).map(t => t.name)).toEqual(['demo']);
+});
+
+test('normalizeUploads is newest first with file and table names', () => {
+  const list = normalizeUploads({
+    uploads: [
+      { id: 1, created_at: '2024-05-01T00:00:00Z', username: 'ana', filename: 'jan.csv', table: 'sales', rows_imported: 10, status: 'completed' },
+      { id: 2, created_at: '2024-06-01T00:00:00Z', user: 'bob', files: [{ name: 'feb.xlsx' }], tables: ['sales', 'returns'], strategy: 'upsert', error: 'disk full' }
+    ]
+  });
+  expect(list.map(u => [u.id, u.user, u.files, u.tables, u.mode, u.status])).toEqual([
+    ['2', 'bob', ['feb.xlsx'], ['sales', 'returns'], 'upsert', 'failed'],
+    ['1', 'ana', ['jan.csv'], ['sales'], null, 'ok']
+  ]);
+  expect(list[1].imported).toBe(10);
+});
+
+test('validateTenantKey', () => {
+  expect([validateTenantKey('cars_2024'), validateTenantKey('x'), validateTenantKey('a b')].map(Boolean)).toEqual([false, true, true]);
+});
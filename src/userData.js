@@ -0,0 +1,34 @@
+// src/userData.js
+// What this browser keeps for the signed-in user: question history, saved
+// sessions (with their result rows), dashboards and column dictionaries of
+// every database. It is wiped on logout and when a different user signs in,
+// so the next person on the machine doesn't see the previous one's data.
+
+import { clearSessions } from './sessionStore';
+import { clearDashboards } from './dashboards';
+import { clearColumnDictionaries } from './columnDictionary';
+
+const OWNER_KEY = 'user_data_owner_v181';
+
+export const historyKey = (db) => `nl_sql_history_v180_${db}`;
+
+export async function clearUserData() {
+  Object.keys(localStorage).filter(k => k.startsWith(historyKey(''))).forEach(k => localStorage.removeItem(k));
+  clearColumnDictionaries();
+  clearDashboards();
+  localStorage.removeItem(OWNER_KEY);
+  await clearSessions().catch(() => {});
+}
+
+/**
+ * Record `user` as the owner of the local data after a login, wiping it first
+ * when it belonged to someone else. Resolves true when it was wiped.
+ */
+export async function claimUserData(user) {
+  const owner = localStorage.getItem(OWNER_KEY);
+  const username = user?.username || '';
+  const switched = owner !== null && owner !== username;
+  if (switched) await clearUserData();
+  localStorage.setItem(OWNER_KEY, username);
+  return switched;
+}
@@ -0,0 +1,37 @@
+import { clearUserData, claimUserData, historyKey } from './userData';
+import { listSessions, upsertConversation } from './sessionStore';
+import { loadDashboards, saveDashboards, createDashboard } from './dashboards';
+import { loadColumnDictionary, saveColumnDictionary } from './columnDictionary';
+
+const convo = [{ id: 'u1', type: 'user', content: 'top models' }];
+
+async function seed() {
+  localStorage.setItem(historyKey('cars'), '["top models"]');
+  saveDashboards('cars', [createDashboard('A')]);
+  saveColumnDictionary('cars', { model: { label: 'Model' } });
+  await upsertConversation('s1', 'cars', convo);
+}
+
+const stored = async () => [
+  localStorage.getItem(historyKey('cars')), loadDashboards('cars').length, loadColumnDictionary('cars'), (await listSessions('cars')).length
+];
+
+beforeEach(() => localStorage.clear());
+
+test('logout wipes history, dashboards, dictionaries and sessions of every database', async () => {
+  await seed();
+  localStorage.setItem('selected_db', 'cars');
+  await clearUserData();
+  expect(await stored()).toEqual([null, 0, null, 0]);
+  expect(localStorage.getItem('selected_db')).toBe('cars');
+});
+
+test('a different user signing in gets a clean slate; the same user keeps their data', async () => {
+  await seed();
+  expect(await claimUserData({ username: 'ana' })).toBe(false);
+  expect(await claimUserData({ username: 'ana' })).toBe(false);
+  expect((await stored())[1]).toBe(1);
+
+  expect(await claimUserData({ username: 'bob' })).toBe(true);
+  expect(await stored()).toEqual([null, 0, null, 0]);
+});
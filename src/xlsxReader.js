@@ -0,0 +1,26 @@
+// src/xlsxReader.js
+// Parses an uploaded workbook in a throwaway Worker (see xlsxWorker.js) and
+// resolves with the plain { SheetNames, Sheets } object it sends back. A
+// workbook that keeps the worker busy past `timeoutMs` is given up on and the
+// worker terminated, so a crafted file can't leave the upload hanging.
+
+export const WORKBOOK_TIMEOUT = 60000;
+
+export function parseWorkbook(buffer, createWorker, timeoutMs = WORKBOOK_TIMEOUT) {
+  return new Promise((resolve, reject) => {
+    const worker = createWorker();
+    const finish = (fn, value) => { clearTimeout(timer); worker.terminate(); fn(value); };
+    const timer = setTimeout(() => {
+      finish(reject, new Error(`reading the workbook took over ${Math.round(timeoutMs / 1000)} s; the file may be damaged`));
+    }, timeoutMs);
+    worker.onmessage = ({ data }) => {
+      if (data?.error) finish(reject, new Error(data.error));
+      else finish(resolve, data?.workbook);
+    };
+    worker.onerror = (e) => {
+      e.preventDefault?.();
+      finish(reject, new Error(e.message || 'the workbook reader failed'));
+    };
+    worker.postMessage(buffer, [buffer]);
+  });
+}
@@ -0,0 +1,45 @@
+import { parseWorkbook } from './xlsxReader';
+
+afterEach(() => jest.useRealTimers());
+
+// Stand-in for the worker: records what it was sent and answers on demand
+function fakeWorker() {
+  const w = { sent: null, terminated: false };
+  w.postMessage = (data, transfer) => { w.sent = { data, transfer }; };
+  w.terminate = () => { w.terminated = true; };
+  return w;
+}
+
+test('the workbook is parsed in a worker that is thrown away afterwards', async () => {
+  const w = fakeWorker();
+  const buffer = new ArrayBuffer(8);
+  const parsing = parseWorkbook(buffer, () => w);
+  expect(w.sent).toEqual({ data: buffer, transfer: [buffer] });
+  w.onmessage({ data: { workbook: { SheetNames: ['Stock'], Sheets: { Stock: {} } } } });
+  expect(await parsing).toEqual({ SheetNames: ['Stock'], Sheets: { Stock: {} } });
+  expect(w.terminated).toBe(true);
+});
+
+test('parse errors and worker failures reject with a readable message', async () => {
+  const bad = fakeWorker();
+  const parsing = parseWorkbook(new ArrayBuffer(1), () => bad);
+  bad.onmessage({ data: { error: 'Unsupported file' } });
+  await expect(parsing).rejects.toThrow('Unsupported file');
+
+  const crashed = fakeWorker();
+  const failing = parseWorkbook(new ArrayBuffer(1), () => crashed);
+  crashed.onerror({ message: 'Uncaught RangeError', preventDefault: () => {} });
+  await expect(failing).rejects.toThrow('Uncaught RangeError');
+  expect(crashed.terminated).toBe(true);
+});
+
+test('a workbook that keeps the worker busy is given up on', async () => {
+  jest.useFakeTimers();
+  const w = fakeWorker();
+  const parsing = parseWorkbook(new ArrayBuffer(1), () => w, 5000);
+  jest.advanceTimersByTime(5000);
+  await expect(parsing).rejects.toThrow('reading the workbook took over 5 s; the file may be damaged');
+  expect(w.terminated).toBe(true);
+  // A late answer changes nothing
+  w.onmessage({ data: { workbook: {} } });
+});
@@ -0,0 +1,18 @@
+// src/xlsxWorker.js
+// Worker side of xlsxReader.js: parses one workbook and posts it back. Kept
+// off the main thread because SheetJS 0.18.5, the last npm release, has a
+// prototype-pollution advisory for crafted files; here that can only touch
+// this worker's own objects, which are discarded with it.
+
+import * as XLSX from 'xlsx';
+
+// eslint-disable-next-line no-restricted-globals
+const scope = self;
+
+scope.onmessage = ({ data }) => {
+  try {
+    scope.postMessage({ workbook: XLSX.read(data, { type: 'array', cellDates: true }) });
+  } catch (e) {
+    scope.postMessage({ error: e?.message || 'not a readable workbook' });
+  }
+};
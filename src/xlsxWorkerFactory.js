@@ -0,0 +1,5 @@
+// src/xlsxWorkerFactory.js
+// The bundler turns this `new URL(…, import.meta.url)` into the worker's own
+// chunk. Kept apart from xlsxReader.js because Jest can't load import.meta.
+
+export const createXlsxWorker = () => new Worker(new URL('./xlsxWorker.js', import.meta.url));